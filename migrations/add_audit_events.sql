@@ -0,0 +1,29 @@
+-- Migration: เพิ่มตาราง audit_events
+-- บันทึกทุก action ที่เปลี่ยนสถานะข้อมูล (POST/PUT/PATCH/DELETE) ว่าใครทำ ด้วย role อะไร กับ entity ไหน
+-- before/after เป็น snapshot ของ entity, changes เป็น diff { field: { from, to } }
+-- entity_id เป็น VARCHAR เพราะบาง entity ใช้ key ผสม (เช่น user_role = "userId:roleId")
+
+CREATE TABLE IF NOT EXISTS audit_events (
+  id           BIGSERIAL    PRIMARY KEY,
+  actor_id     INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+  actor_role   VARCHAR(100),
+  action       VARCHAR(100) NOT NULL,
+  entity_type  VARCHAR(50)  NOT NULL,
+  entity_id    VARCHAR(100),
+  before_data  JSONB,
+  after_data   JSONB,
+  changes      JSONB        NOT NULL DEFAULT '{}'::jsonb,
+  request_id   VARCHAR(100),
+  method       VARCHAR(10)  NOT NULL,
+  path         TEXT         NOT NULL,
+  status_code  INTEGER      NOT NULL,
+  created_at   TIMESTAMP    NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON audit_events (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events (actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events (action);
+
+COMMENT ON TABLE audit_events IS
+'ประวัติทุก action ที่เปลี่ยนข้อมูล (ใคร, role, action, entity, before/after, request id) — ดูได้ที่ GET /api/audit';
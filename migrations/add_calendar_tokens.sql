@@ -0,0 +1,13 @@
+-- Migration: เพิ่มตาราง calendar_tokens
+-- token ลับต่อผู้ใช้สำหรับ subscribe ปฏิทินภาระงาน (GET /api/calendar/:token.ics)
+-- ปฏิทินภายนอก (Google/Apple Calendar) ส่ง JWT ไม่ได้ จึงใช้ token ใน URL แทน
+
+CREATE TABLE IF NOT EXISTS calendar_tokens (
+  user_id      INTEGER     PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  token        VARCHAR(64) NOT NULL UNIQUE,
+  created_at   TIMESTAMP   NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMP
+);
+
+COMMENT ON TABLE calendar_tokens IS
+'token สำหรับ iCalendar feed ต่อผู้ใช้ (หนึ่ง token ต่อคน, สร้างใหม่ได้เพื่อยกเลิก URL เดิม)';
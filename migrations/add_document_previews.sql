@@ -0,0 +1,46 @@
+-- Migration: เพิ่มตัวอย่างเอกสาร (preview) ให้ไฟล์ที่อัปโหลด
+-- หลังอัปโหลด background job สร้างภาพหน้าแรก (PNG) และนับจำนวนหน้า
+-- ไฟล์ DOCX แปลงเป็น PDF ก่อน (ถ้า server มี LibreOffice) เพื่อให้ผู้ตรวจเปิดดูในเบราว์เซอร์ได้
+--
+-- preview_status:
+-- - NULL        รอบที่ส่งเป็นลิงก์ภายนอก (ไม่มีไฟล์)
+-- - pending     รอสร้าง (server จะทำต่อเมื่อเริ่มใหม่)
+-- - ready       สร้างแล้ว
+-- - unavailable ไม่รองรับชนิดไฟล์ หรือ server ไม่มีโปรแกรมแปลง
+-- - failed      สร้างไม่สำเร็จ (เช่นไฟล์เสีย)
+
+BEGIN;
+
+ALTER TABLE document_submissions ADD COLUMN IF NOT EXISTS preview_status VARCHAR(20);
+ALTER TABLE document_submissions ADD COLUMN IF NOT EXISTS page_count INTEGER;
+ALTER TABLE document_submissions ADD COLUMN IF NOT EXISTS thumbnail_path TEXT;
+ALTER TABLE document_submissions ADD COLUMN IF NOT EXISTS preview_pdf_path TEXT;
+ALTER TABLE document_submissions ADD COLUMN IF NOT EXISTS preview_generated_at TIMESTAMP;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'chk_document_submissions_preview_status'
+  ) THEN
+    ALTER TABLE document_submissions
+      ADD CONSTRAINT chk_document_submissions_preview_status
+      CHECK (preview_status IN ('pending', 'ready', 'unavailable', 'failed'));
+  END IF;
+END $$;
+
+-- ไฟล์ที่อัปโหลดก่อนหน้านี้ — สร้าง preview ย้อนหลังเมื่อ server เริ่มทำงาน
+UPDATE document_submissions
+SET preview_status = 'pending'
+WHERE file_path IS NOT NULL
+  AND preview_status IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_document_submissions_preview_pending
+  ON document_submissions (id)
+  WHERE preview_status = 'pending';
+
+COMMENT ON COLUMN document_submissions.thumbnail_path IS
+'storage key ของภาพหน้าแรก (PNG) เช่น <file_path>.thumb.png';
+COMMENT ON COLUMN document_submissions.preview_pdf_path IS
+'storage key ของ PDF ที่แปลงจาก DOCX (NULL ถ้าไฟล์ต้นฉบับเป็น PDF)';
+
+COMMIT;
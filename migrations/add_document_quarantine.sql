@@ -0,0 +1,27 @@
+-- Migration: เก็บไฟล์อัปโหลดที่ตรวจพบไวรัส (quarantine)
+-- ไฟล์ยังอยู่ใน storage ตาม file_path แต่ไม่มี document_submissions อ้างถึง จึงเปิด/ดาวน์โหลดผ่าน API ไม่ได้
+-- (อัปโหลดไม่ได้เขียน term_subject_documents แล้วตั้งแต่ unify_document_submissions.sql จึงแยกเป็นตารางนี้)
+-- ผู้ดูแลระบบตรวจสอบแล้วลบไฟล์ใน storage และตั้ง status = 'deleted'
+
+CREATE TABLE IF NOT EXISTS document_quarantine (
+  id               SERIAL       PRIMARY KEY,
+  term_subject_id  INTEGER      NOT NULL REFERENCES term_subjects(id) ON DELETE CASCADE,
+  document_type    VARCHAR(20)  NOT NULL,
+  file_path        TEXT         NOT NULL,
+  original_name    TEXT,
+  uploaded_by      INTEGER      REFERENCES users(id) ON DELETE SET NULL,
+  scanner          VARCHAR(20)  NOT NULL,
+  signature        TEXT         NOT NULL,
+  status           VARCHAR(20)  NOT NULL DEFAULT 'quarantined'
+                   CHECK (status IN ('quarantined', 'deleted')),
+  created_at       TIMESTAMP    NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_quarantine_term_subject ON document_quarantine (term_subject_id);
+
+COMMENT ON TABLE document_quarantine IS
+'ไฟล์อัปโหลดที่ scanner ตรวจพบไวรัส (1 แถวต่อการอัปโหลด)';
+COMMENT ON COLUMN document_quarantine.file_path IS
+'storage key ของไฟล์ที่ถูกกักไว้';
+COMMENT ON COLUMN document_quarantine.signature IS
+'ชื่อ signature ที่ scanner รายงาน เช่น Win.Test.EICAR_HDB-1';
@@ -0,0 +1,61 @@
+-- Migration: เพิ่มตาราง faculties และผูก programs, subjects, terms, users เข้ากับคณะ
+-- เดิมระบบอนุญาตเฉพาะคณะวิทยาศาสตร์และเทคโนโลยี (hard-code ใน facultyChecker)
+-- คณะที่ใช้งานระบบได้ = faculties ที่ is_active = true (เพิ่มคณะใหม่ด้วย INSERT ไม่ต้องแก้โค้ด)
+-- ข้อมูลเดิมทั้งหมดถูกผูกกับคณะวิทยาศาสตร์และเทคโนโลยี (ยกเว้น users ที่ชื่อคณะตรงกับคณะอื่นที่มีอยู่แล้ว)
+-- term_subjects, work_details, document_submissions ฯลฯ อ้างอิงคณะผ่าน terms
+
+CREATE TABLE IF NOT EXISTS faculties (
+  id          SERIAL       PRIMARY KEY,
+  code        VARCHAR(20)  NOT NULL UNIQUE,
+  name_th     VARCHAR(255) NOT NULL UNIQUE,
+  name_en     VARCHAR(255),
+  is_active   BOOLEAN      NOT NULL DEFAULT true,
+  created_at  TIMESTAMP    NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMP    NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO faculties (code, name_th, name_en)
+VALUES ('SCI', 'คณะวิทยาศาสตร์และเทคโนโลยี', 'Faculty of Science and Technology')
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE programs ADD COLUMN IF NOT EXISTS faculty_id INTEGER REFERENCES faculties(id);
+ALTER TABLE subjects ADD COLUMN IF NOT EXISTS faculty_id INTEGER REFERENCES faculties(id);
+ALTER TABLE terms    ADD COLUMN IF NOT EXISTS faculty_id INTEGER REFERENCES faculties(id);
+ALTER TABLE users    ADD COLUMN IF NOT EXISTS faculty_id INTEGER REFERENCES faculties(id);
+
+-- users: จับคู่จากชื่อคณะ (users.faculty อาจมีคำต่อท้าย เช่น "มหาวิทยาลัยธรรมศาสตร์")
+UPDATE users u
+SET faculty_id = f.id
+FROM faculties f
+WHERE u.faculty_id IS NULL
+  AND u.faculty IS NOT NULL
+  AND regexp_replace(u.faculty, '\s+', ' ', 'g') LIKE '%' || f.name_th || '%';
+
+UPDATE programs SET faculty_id = (SELECT id FROM faculties WHERE code = 'SCI') WHERE faculty_id IS NULL;
+UPDATE subjects SET faculty_id = (SELECT id FROM faculties WHERE code = 'SCI') WHERE faculty_id IS NULL;
+UPDATE terms    SET faculty_id = (SELECT id FROM faculties WHERE code = 'SCI') WHERE faculty_id IS NULL;
+UPDATE users    SET faculty_id = (SELECT id FROM faculties WHERE code = 'SCI') WHERE faculty_id IS NULL;
+
+ALTER TABLE programs ALTER COLUMN faculty_id SET NOT NULL;
+ALTER TABLE subjects ALTER COLUMN faculty_id SET NOT NULL;
+ALTER TABLE terms    ALTER COLUMN faculty_id SET NOT NULL;
+ALTER TABLE users    ALTER COLUMN faculty_id SET NOT NULL;
+
+-- ปีการศึกษา/ภาค และรหัสวิชา ไม่ซ้ำภายในคณะเดียวกัน (คณะอื่นใช้ซ้ำได้)
+ALTER TABLE terms    DROP CONSTRAINT IF EXISTS terms_academic_year_academic_sector_key;
+ALTER TABLE subjects DROP CONSTRAINT IF EXISTS subjects_code_th_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_terms_faculty_year_sector ON terms (faculty_id, academic_year, academic_sector);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_subjects_faculty_code_th ON subjects (faculty_id, code_th);
+
+CREATE INDEX IF NOT EXISTS idx_programs_faculty ON programs (faculty_id);
+CREATE INDEX IF NOT EXISTS idx_users_faculty ON users (faculty_id);
+
+COMMENT ON TABLE faculties IS
+'คณะที่ใช้งานระบบ — login ได้เฉพาะผู้ใช้ที่คณะตรงกับ faculties.is_active = true';
+COMMENT ON COLUMN faculties.name_th IS
+'ชื่อคณะภาษาไทยตามที่ TU API ส่งมา ใช้จับคู่ตอน login';
+COMMENT ON COLUMN terms.faculty_id IS
+'คณะเจ้าของภาคการศึกษา (term_subjects และข้อมูลลูกทั้งหมดอยู่ในคณะนี้)';
+COMMENT ON COLUMN users.faculty_id IS
+'คณะของผู้ใช้ — ทุก request เห็นเฉพาะข้อมูลของคณะนี้';
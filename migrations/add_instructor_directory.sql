@@ -0,0 +1,33 @@
+-- Migration: เพิ่ม cache รายชื่ออาจารย์จาก TU Instructor API
+-- login ของอาจารย์และหน้า permission อ่านจาก cache นี้เมื่อยังไม่หมดอายุ
+-- หรือเมื่อ TU API ช้า/ล่ม (circuit breaker เปิด) — background job refresh ทุกคณะเป็นระยะ
+
+CREATE TABLE IF NOT EXISTS instructor_directory (
+  email            VARCHAR(255) PRIMARY KEY,
+  tu_id            VARCHAR(100),
+  first_name_th    VARCHAR(255),
+  last_name_th     VARCHAR(255),
+  first_name_en    VARCHAR(255),
+  last_name_en     VARCHAR(255),
+  department       VARCHAR(255),
+  faculty          VARCHAR(255),
+  faculty_name_th  VARCHAR(255) NOT NULL,
+  fetched_at       TIMESTAMP    NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_instructor_directory_faculty ON instructor_directory (faculty_name_th);
+
+CREATE TABLE IF NOT EXISTS instructor_directory_refreshes (
+  faculty_name_th   VARCHAR(255) PRIMARY KEY,
+  instructor_count  INTEGER      NOT NULL DEFAULT 0,
+  refreshed_at      TIMESTAMP    NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE instructor_directory IS
+'cache ข้อมูลอาจารย์จาก TU Instructor API (1 แถวต่อ email)';
+COMMENT ON COLUMN instructor_directory.faculty IS
+'ชื่อคณะตามที่ API ส่งมา (อาจมีคำต่อท้าย)';
+COMMENT ON COLUMN instructor_directory.faculty_name_th IS
+'คณะที่ใช้ค้นรายชื่อ (faculties.name_th) — refresh ทั้งคณะจะลบแถวที่ไม่อยู่ในรายชื่อล่าสุด';
+COMMENT ON TABLE instructor_directory_refreshes IS
+'เวลาที่ดึงรายชื่ออาจารย์ทั้งคณะสำเร็จล่าสุด (ใช้คำนวณอายุ cache)';
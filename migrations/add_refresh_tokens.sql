@@ -0,0 +1,26 @@
+-- Migration: เพิ่มตาราง refresh_tokens
+-- access token (JWT) อายุสั้น ต่ออายุด้วย refresh token ที่เก็บฝั่ง server (เก็บเฉพาะ SHA-256 hash)
+-- ทุกครั้งที่ refresh จะออก token ใหม่ใน family เดิมและยกเลิก token เก่า (rotation)
+-- ถ้า token ที่ถูก rotate ไปแล้วถูกใช้ซ้ำ จะยกเลิกทั้ง family (สงสัยว่า token ถูกขโมย)
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id             BIGSERIAL    PRIMARY KEY,
+  user_id        INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash     VARCHAR(64)  NOT NULL UNIQUE,
+  family_id      UUID         NOT NULL,
+  expires_at     TIMESTAMP    NOT NULL,
+  created_at     TIMESTAMP    NOT NULL DEFAULT NOW(),
+  revoked_at     TIMESTAMP,
+  revoked_reason VARCHAR(30),
+  replaced_by    BIGINT       REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+  user_agent     TEXT,
+  ip_address     VARCHAR(64)
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens (user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens (family_id);
+
+COMMENT ON TABLE refresh_tokens IS
+'refresh token ของ session ผู้ใช้ (hash เท่านั้น) — ถูกยกเลิกเมื่อ logout, ใช้ซ้ำ หรือ role ของผู้ใช้เปลี่ยน';
+COMMENT ON COLUMN refresh_tokens.revoked_reason IS
+'rotated | logout | reuse_detected | role_changed';
@@ -0,0 +1,16 @@
+-- Migration: เพิ่มข้อมูลสาขาและรุ่นของนักศึกษาใน users
+-- program: สาขาวิชาของนักศึกษา (จาก department ใน TU Auth)
+-- entry_year: ปีที่เข้าศึกษา (พ.ศ.) จากรหัสนักศึกษา เช่น 6609611234 → 2566
+-- ชั้นปีคำนวณจาก entry_year เทียบกับ academic_year ของ term (ไม่เก็บชั้นปีตรง ๆ เพราะเปลี่ยนทุกปี)
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS program VARCHAR NULL;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS entry_year INTEGER NULL;
+
+COMMENT ON COLUMN users.program IS
+'สาขาวิชาของนักศึกษา (NULL สำหรับบุคลากร)';
+
+COMMENT ON COLUMN users.entry_year IS
+'ปีที่เข้าศึกษา (พ.ศ.) ใช้คำนวณชั้นปีของนักศึกษาในแต่ละ term (NULL สำหรับบุคลากร)';
@@ -0,0 +1,16 @@
+-- Migration: เพิ่มปฏิทินรายสัปดาห์ให้ terms
+-- week_count: จำนวนสัปดาห์ของเทอม (NULL = คำนวณจาก term_start_date ถึง term_end_date)
+-- break_weeks: เลขสัปดาห์ที่เป็นสัปดาห์หยุด (เช่น หยุดกลางภาค)
+-- สัปดาห์สอบกลางภาค/ปลายภาคคำนวณจาก midterm_* และ final_* ที่มีอยู่แล้ว
+
+ALTER TABLE terms
+ADD COLUMN IF NOT EXISTS week_count INTEGER NULL CHECK (week_count BETWEEN 1 AND 30);
+
+ALTER TABLE terms
+ADD COLUMN IF NOT EXISTS break_weeks INTEGER[] NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN terms.week_count IS
+'จำนวนสัปดาห์ของเทอม (NULL = คำนวณจากวันเปิด-ปิดเทอม, ใช้กำหนดเองสำหรับภาคฤดูร้อน/เทอมที่สั้นกว่าปกติ)';
+
+COMMENT ON COLUMN terms.break_weeks IS
+'เลขสัปดาห์ (1-based) ที่เป็นสัปดาห์หยุด';
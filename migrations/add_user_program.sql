@@ -0,0 +1,19 @@
+-- Migration: ผูกผู้ใช้กับหลักสูตร (programs) ตามสาขาวิชาที่ TU API ส่งมา
+-- programs.name_th: ชื่อสาขาวิชาตรงกับ department ของ TU API (เช่น "วิทยาการคอมพิวเตอร์") ใช้จับคู่ตอน login
+-- users.program_id: หลักสูตรของผู้ใช้ — นักศึกษาใช้กรอง dashboard, Program Chair ใช้ตรวจสิทธิ์รับรองภาระงาน
+-- หลักสูตรชื่อเดียวกันมีได้หลายปี (program_year) นักศึกษาใช้หลักสูตรปีล่าสุดที่ไม่เกินปีที่เข้าศึกษา
+-- กรอก programs.name_th ให้ครบก่อน แล้ว users.program_id จะถูกกำหนดเมื่อผู้ใช้ login ครั้งถัดไป
+
+ALTER TABLE programs
+ADD COLUMN IF NOT EXISTS name_th VARCHAR(255) NULL;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS program_id INTEGER NULL REFERENCES programs(id);
+
+CREATE INDEX IF NOT EXISTS idx_programs_faculty_name ON programs (faculty_id, name_th);
+
+COMMENT ON COLUMN programs.name_th IS
+'ชื่อสาขาวิชาตาม department ของ TU API ใช้จับคู่ users.program_id ตอน login';
+
+COMMENT ON COLUMN users.program_id IS
+'หลักสูตรของผู้ใช้ (จาก department ตอน login) NULL ถ้าไม่พบหลักสูตรที่ตรงกัน';
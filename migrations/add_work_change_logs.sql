@@ -0,0 +1,20 @@
+-- Migration: เพิ่มตาราง work_change_logs
+-- บันทึกว่าใครสร้าง/แก้ไข/ลบรายละเอียดภาระงาน (work_details) และเปลี่ยนค่าอะไรบ้าง
+-- ไม่ผูก FK กับ work_details เพื่อให้ประวัติการลบยังคงอยู่
+
+CREATE TABLE IF NOT EXISTS work_change_logs (
+  id              SERIAL      PRIMARY KEY,
+  work_id         INTEGER     NOT NULL,
+  term_subject_id INTEGER     NOT NULL REFERENCES term_subjects(id) ON DELETE CASCADE,
+  actor_id        INTEGER     NOT NULL REFERENCES users(id),
+  actor_role      VARCHAR(50),
+  action          VARCHAR(20) NOT NULL CHECK (action IN ('created', 'updated', 'deleted')),
+  changes         JSONB       NOT NULL DEFAULT '{}'::jsonb,
+  changed_at      TIMESTAMP   NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_work_change_logs_term_subject ON work_change_logs (term_subject_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_work_change_logs_work ON work_change_logs (work_id);
+
+COMMENT ON TABLE work_change_logs IS
+'ประวัติการสร้าง/แก้ไข/ลบภาระงาน — changes เก็บเป็น { field: { from, to } }';
@@ -0,0 +1,19 @@
+-- Migration: เพิ่มตาราง work_efforts
+-- ชั่วโมงจริงที่นักศึกษาใช้กับแต่ละภาระงานในแต่ละสัปดาห์ (self-reported)
+-- ใช้เทียบกับ work_details.hours_per_week ที่วางแผนไว้ (แสดงเป็นสถิติรวมแบบไม่ระบุตัวตนเท่านั้น)
+
+CREATE TABLE IF NOT EXISTS work_efforts (
+  id          SERIAL       PRIMARY KEY,
+  work_id     INTEGER      NOT NULL REFERENCES work_details(id) ON DELETE CASCADE,
+  student_id  INTEGER      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  week        INTEGER      NOT NULL CHECK (week BETWEEN 1 AND 30),
+  hours       NUMERIC(5,2) NOT NULL CHECK (hours >= 0 AND hours <= 168),
+  created_at  TIMESTAMP    NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMP    NOT NULL DEFAULT NOW(),
+  CONSTRAINT uq_work_efforts_work_student_week UNIQUE (work_id, student_id, week)
+);
+
+CREATE INDEX IF NOT EXISTS idx_work_efforts_work_id ON work_efforts (work_id);
+
+COMMENT ON TABLE work_efforts IS
+'ชั่วโมงจริงที่นักศึกษารายงานต่อภาระงานต่อสัปดาห์ (รายงานซ้ำในสัปดาห์เดิมจะแทนที่ค่าเดิม)';
@@ -0,0 +1,36 @@
+-- Migration: ประเภทภาระงาน (work type taxonomy)
+-- 1. เพิ่มตาราง work_types (จัดการโดย Academic Officer) พร้อมชั่วโมงเริ่มต้นและน้ำหนักคะแนน (optional)
+-- 2. เพิ่ม work_details.work_type_id (NULL = ยังไม่จัดประเภท)
+-- 3. ใส่ประเภทเริ่มต้น: assignment, exam, project, reading
+
+CREATE TABLE IF NOT EXISTS work_types (
+  id                     SERIAL       PRIMARY KEY,
+  code                   VARCHAR(50)  NOT NULL UNIQUE,
+  name_th                VARCHAR(255) NOT NULL,
+  name_en                VARCHAR(255),
+  default_hours_per_week INTEGER      NULL CHECK (default_hours_per_week BETWEEN 1 AND 168),
+  weight                 NUMERIC(5,2) NULL CHECK (weight BETWEEN 0 AND 100),
+  is_active              BOOLEAN      NOT NULL DEFAULT true,
+  created_at             TIMESTAMP    NOT NULL DEFAULT NOW(),
+  created_by             INTEGER      REFERENCES users(id),
+  updated_at             TIMESTAMP,
+  updated_by             INTEGER      REFERENCES users(id)
+);
+
+COMMENT ON COLUMN work_types.default_hours_per_week IS
+'ชั่วโมงต่อสัปดาห์ที่ใช้เมื่อสร้างภาระงานโดยไม่ระบุ hours_per_week (NULL = ต้องระบุเอง)';
+
+COMMENT ON COLUMN work_types.weight IS
+'น้ำหนักคะแนน (%) โดยประมาณของภาระงานประเภทนี้ (ข้อมูลประกอบ ไม่ใช้คำนวณชั่วโมง)';
+
+INSERT INTO work_types (code, name_th, name_en) VALUES
+  ('assignment', 'การบ้าน/แบบฝึกหัด', 'Assignment'),
+  ('exam',       'สอบ/ทดสอบย่อย',     'Exam'),
+  ('project',    'โครงงาน',            'Project'),
+  ('reading',    'การอ่าน',            'Reading')
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE work_details
+ADD COLUMN IF NOT EXISTS work_type_id INTEGER NULL REFERENCES work_types(id);
+
+CREATE INDEX IF NOT EXISTS idx_work_details_work_type_id ON work_details (work_type_id);
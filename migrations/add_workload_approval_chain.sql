@@ -0,0 +1,40 @@
+-- Migration: ลำดับขั้นการอนุมัติภาระงาน (approval chain)
+-- 1. ขยาย CHECK ของ workload_approved ให้รองรับสถานะ 'endorsed'
+-- 2. เพิ่ม workload_approval_stage เก็บขั้นที่กำลังรออนุมัติ
+-- 3. เพิ่มตาราง workload_reviews บันทึกทุกขั้น (ผู้ดำเนินการ, เวลา, ความเห็น)
+
+ALTER TABLE term_subjects
+DROP CONSTRAINT IF EXISTS term_subjects_workload_approved_check;
+
+ALTER TABLE term_subjects
+ADD CONSTRAINT term_subjects_workload_approved_check CHECK (
+    workload_approved IN ('pending', 'submitted', 'endorsed', 'approved')
+);
+
+COMMENT ON COLUMN term_subjects.workload_approved IS
+'Workload submission status: pending (ยังไม่ส่ง/ถูกตีกลับ), submitted (รอขั้นแรก), endorsed (ผ่านบางขั้น รอขั้นถัดไป), approved (อนุมัติแล้ว)';
+
+ALTER TABLE term_subjects
+ADD COLUMN IF NOT EXISTS workload_approval_stage INTEGER NULL;
+
+COMMENT ON COLUMN term_subjects.workload_approval_stage IS
+'index (0-based) ของขั้นใน WORKLOAD_APPROVAL_CHAIN ที่กำลังรออนุมัติ (NULL = ไม่ได้อยู่ระหว่างอนุมัติ)';
+
+CREATE TABLE IF NOT EXISTS workload_reviews (
+  id              SERIAL PRIMARY KEY,
+  term_subject_id INTEGER NOT NULL REFERENCES term_subjects(id) ON DELETE CASCADE,
+  actor_id        INTEGER NOT NULL REFERENCES users(id),
+  actor_role      VARCHAR(50),
+  action          VARCHAR(20) NOT NULL CHECK (action IN ('submitted', 'endorsed', 'approved', 'rejected')),
+  stage           INTEGER,
+  from_status     VARCHAR(20),
+  to_status       VARCHAR(20) NOT NULL,
+  comment         TEXT,
+  reason          TEXT,
+  reviewed_at     TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workload_reviews_term_subject ON workload_reviews (term_subject_id, reviewed_at);
+
+COMMENT ON TABLE workload_reviews IS
+'ประวัติการส่ง/รับรอง/อนุมัติ/ตีกลับภาระงานของแต่ละ term_subject';
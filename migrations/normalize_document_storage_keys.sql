@@ -0,0 +1,21 @@
+-- Migration: เปลี่ยน file_path ของเอกสารเป็น storage key (relative จาก storage root)
+-- เดิมเก็บเป็น path จาก project root เช่น uploads/term-subjects/123/outline-1707123456789.pdf
+-- หลัง migration นี้เก็บเป็น term-subjects/123/outline-1707123456789.pdf
+-- ซึ่ง local driver อ่านจาก STORAGE_LOCAL_ROOT (default: uploads/) และ s3 driver ใช้เป็น object key
+--
+-- หมายเหตุ: ถ้าเปลี่ยนเป็น STORAGE_DRIVER=s3 ต้องคัดลอกไฟล์เดิมใน uploads/ ขึ้น bucket ด้วย key เดียวกัน
+-- เช่น: aws s3 sync uploads/ s3://<bucket>/ --exclude ".gitkeep"
+
+BEGIN;
+
+UPDATE document_submissions
+SET file_path = substring(file_path FROM length('uploads/') + 1)
+WHERE file_path LIKE 'uploads/%';
+
+UPDATE term_subject_documents
+SET file_path = substring(file_path FROM length('uploads/') + 1)
+WHERE file_path LIKE 'uploads/%';
+
+COMMENT ON COLUMN term_subject_documents.file_path IS 'storage key (relative จาก storage root) เช่น term-subjects/123/outline-1707123456789.pdf';
+
+COMMIT;
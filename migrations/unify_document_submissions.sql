@@ -0,0 +1,116 @@
+-- Migration: รวมเอกสารที่อัปโหลด (term_subject_documents) เข้ากับ document_submissions
+-- หลัง migration นี้ document_submissions เป็นแหล่งข้อมูลเดียว: 1 แถว = 1 รอบการส่ง
+-- - อัปโหลดไฟล์ (POST /api/term-subjects/:id/upload) สร้างรอบใหม่ที่ชี้ไปยังไฟล์ (file_path)
+-- - การตรวจ (submission_reviews) ผูกกับรอบนั้น
+-- - term_subject_documents เก็บไว้อ่านย้อนหลังเท่านั้น ระบบไม่เขียนเพิ่มแล้ว
+--
+-- การ reconcile ข้อมูลเดิม:
+-- 1) submission ที่ client ส่ง file_url มาหลังอัปโหลด → ผูกกับไฟล์ที่อัปโหลดล่าสุดก่อนหน้า (ชื่อไฟล์ตรงกัน)
+-- 2) ไฟล์ที่อัปโหลดแต่ไม่เคยมี submission → สร้างรอบใหม่สถานะ pending
+-- 3) เรียงเลขรอบใหม่ตามเวลาที่ส่ง
+-- 4) ตั้งสถานะเอกสารใน term_subjects ให้ตรงกับรอบล่าสุด
+
+BEGIN;
+
+ALTER TABLE document_submissions ADD COLUMN IF NOT EXISTS file_path TEXT;
+ALTER TABLE document_submissions ADD COLUMN IF NOT EXISTS legacy_document_id INTEGER
+  REFERENCES term_subject_documents(id) ON DELETE SET NULL;
+ALTER TABLE document_submissions ALTER COLUMN file_url DROP NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'chk_document_submissions_file'
+  ) THEN
+    ALTER TABLE document_submissions
+      ADD CONSTRAINT chk_document_submissions_file CHECK (file_path IS NOT NULL OR file_url IS NOT NULL);
+  END IF;
+END $$;
+
+-- 1) ผูก submission เดิมกับไฟล์ที่อัปโหลด
+WITH matches AS (
+  SELECT DISTINCT ON (ds.id)
+    ds.id AS submission_id,
+    d.id AS document_id,
+    d.file_path
+  FROM document_submissions ds
+  JOIN term_subject_documents d
+    ON d.term_subject_id = ds.term_subject_id
+   AND d.document_type = ds.document_type
+   AND d.original_name = ds.original_name
+   AND d.uploaded_at <= ds.submitted_at
+  WHERE ds.file_path IS NULL
+  ORDER BY ds.id, d.uploaded_at DESC
+)
+UPDATE document_submissions ds
+SET file_path = m.file_path,
+    legacy_document_id = m.document_id
+FROM matches m
+WHERE ds.id = m.submission_id;
+
+-- 2) ไฟล์ที่ไม่มี submission อ้างถึง → รอบใหม่ (ยังไม่เคยถูกตรวจ)
+INSERT INTO document_submissions (
+  term_subject_id, document_type, file_url, file_path, original_name,
+  round_number, status, submitted_at, submitted_by, legacy_document_id
+)
+SELECT
+  d.term_subject_id, d.document_type, NULL, d.file_path, d.original_name,
+  0, 'pending', d.uploaded_at, d.uploaded_by, d.id
+FROM term_subject_documents d
+WHERE d.document_type IN ('outline', 'report')
+  AND NOT EXISTS (
+    SELECT 1 FROM document_submissions ds WHERE ds.legacy_document_id = d.id
+  );
+
+-- 3) เรียงเลขรอบใหม่ตามลำดับเวลาที่ส่ง
+WITH numbered AS (
+  SELECT
+    id,
+    ROW_NUMBER() OVER (
+      PARTITION BY term_subject_id, document_type
+      ORDER BY submitted_at ASC, id ASC
+    ) AS round_number
+  FROM document_submissions
+)
+UPDATE document_submissions ds
+SET round_number = n.round_number
+FROM numbered n
+WHERE ds.id = n.id
+  AND ds.round_number IS DISTINCT FROM n.round_number;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_document_submissions_round
+  ON document_submissions (term_subject_id, document_type, round_number);
+
+-- 4) สถานะเอกสารใน term_subjects = สถานะของรอบล่าสุด
+UPDATE term_subjects ts
+SET outline_status = true,
+    outline_approved = latest.status
+FROM (
+  SELECT DISTINCT ON (term_subject_id) term_subject_id, status
+  FROM document_submissions
+  WHERE document_type = 'outline'
+  ORDER BY term_subject_id, round_number DESC
+) latest
+WHERE latest.term_subject_id = ts.id;
+
+UPDATE term_subjects ts
+SET report_status = true,
+    report_approved = latest.status
+FROM (
+  SELECT DISTINCT ON (term_subject_id) term_subject_id, status
+  FROM document_submissions
+  WHERE document_type = 'report'
+  ORDER BY term_subject_id, round_number DESC
+) latest
+WHERE latest.term_subject_id = ts.id;
+
+COMMENT ON COLUMN document_submissions.file_path IS
+'ไฟล์ที่อัปโหลดเข้าระบบ (relative path) — ดาวน์โหลดผ่าน /api/term-subjects/:id/documents/:submissionId/file';
+COMMENT ON COLUMN document_submissions.file_url IS
+'ลิงก์ภายนอกที่ส่งผ่าน POST /api/submissions (NULL สำหรับไฟล์ที่อัปโหลด)';
+COMMENT ON COLUMN document_submissions.legacy_document_id IS
+'แถว term_subject_documents เดิมที่ถูกรวมเข้ามาตอน migrate';
+COMMENT ON TABLE term_subject_documents IS
+'(เลิกใช้) เอกสารที่อัปโหลดก่อนรวมเข้ากับ document_submissions — อ่านอย่างเดียว';
+
+COMMIT;
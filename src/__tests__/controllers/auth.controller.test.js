@@ -0,0 +1,185 @@
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+
+/**
+ * login → processLoginUser → JWT ผ่าน local auth provider (ไม่ใช้ network)
+ * mock เฉพาะ repositories (ฐานข้อมูล)
+ */
+
+const usersByEmail = new Map();
+const assignedRoles = new Map();
+
+const userRepo = {
+    findByEmail: jest.fn(async (email) => usersByEmail.get(email) || null),
+    create: jest.fn(async (user) => {
+        const created = { ...user, id: usersByEmail.size + 1 };
+        usersByEmail.set(user.email, created);
+        return created;
+    }),
+    updateProgramProfile: jest.fn(),
+    updateFaculty: jest.fn(),
+    findFacultyId: jest.fn(),
+};
+
+const directoryRepo = {
+    findInstructorByEmail: jest.fn(async () => null),
+    upsertInstructorProfile: jest.fn(),
+};
+
+const facultyRepo = {
+    findActiveFaculties: jest.fn(async () => [{ id: 1, code: 'SCI', name_th: 'คณะวิทยาศาสตร์และเทคโนโลยี' }]),
+};
+
+const programRepo = {
+    findProgramByName: jest.fn(async (facultyId, name) => (
+        name === 'วิทยาการคอมพิวเตอร์' ? { id: 7, name_th: name, program_year: 2565 } : null
+    )),
+};
+
+const roleRepo = {
+    findByName: jest.fn(async (name) => ({ id: name, name })),
+};
+
+const userRoleRepo = {
+    assignRole: jest.fn(async (userId, roleName) => {
+        const roles = assignedRoles.get(userId) || new Set();
+        const inserted = !roles.has(roleName);
+        roles.add(roleName);
+        assignedRoles.set(userId, roles);
+        return { inserted, userRole: null };
+    }),
+    getUserRoles: jest.fn(async (userId) => [...(assignedRoles.get(userId) || [])].map(name => ({ id: name, name }))),
+};
+
+const refreshTokenRepo = {
+    insertRefreshToken: jest.fn(async (client, data) => ({ id: 1, expires_at: data.expiresAt })),
+};
+
+jest.unstable_mockModule('../../repositories/user.repository.js', () => userRepo);
+jest.unstable_mockModule('../../repositories/role.repository.js', () => roleRepo);
+jest.unstable_mockModule('../../repositories/userRole.repository.js', () => userRoleRepo);
+jest.unstable_mockModule('../../repositories/refreshToken.repository.js', () => refreshTokenRepo);
+jest.unstable_mockModule('../../repositories/faculty.repository.js', () => facultyRepo);
+jest.unstable_mockModule('../../repositories/instructorDirectory.repository.js', () => directoryRepo);
+jest.unstable_mockModule('../../repositories/program.repository.js', () => programRepo);
+
+const { default: config } = await import('../../config/env.js');
+const { login } = await import('../../controllers/auth.controller.js');
+const { processLoginUser } = await import('../../services/loginPostProcess.service.js');
+
+function mockResponse() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+function mockRequest(UserName, PassWord) {
+    return { body: { UserName, PassWord }, ip: '127.0.0.1', get: () => 'jest' };
+}
+
+beforeAll(() => {
+    config.auth.provider = 'local';
+    config.jwt.secret = config.jwt.secret || 'test-secret';
+});
+
+afterAll(() => {
+    config.auth.provider = 'tu';
+});
+
+beforeEach(() => {
+    usersByEmail.clear();
+    assignedRoles.clear();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.log.mockRestore();
+});
+
+describe('login with the local auth provider', () => {
+    test('student in the allowed faculty gets a JWT with the Student role', async () => {
+        const res = mockResponse();
+
+        await login(mockRequest('6509610011', 'local1234'), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        const body = res.json.mock.calls[0][0];
+        expect(body.user).toMatchObject({ type: 'student', roles: ['Student'] });
+        expect(jwt.verify(body.token, config.jwt.secret)).toMatchObject({ sub: body.user.id, roles: ['Student'] });
+        expect(body.refreshToken).toEqual(expect.any(String));
+        expect(userRepo.create).toHaveBeenCalledWith(expect.objectContaining({ facultyId: 1, programId: 7 }));
+        expect(programRepo.findProgramByName).toHaveBeenCalledWith(1, 'วิทยาการคอมพิวเตอร์', 2565);
+    });
+
+    test('returning users whose program changed are updated', async () => {
+        usersByEmail.set('somying.jai@dome.tu.ac.th', {
+            id: 5,
+            email: 'somying.jai@dome.tu.ac.th',
+            facultyId: 1,
+            program: 'วิทยาการคอมพิวเตอร์',
+            entryYear: 2565,
+            programId: null,
+        });
+        userRepo.updateProgramProfile.mockResolvedValueOnce({ id: 5, email: 'somying.jai@dome.tu.ac.th', programId: 7 });
+
+        const res = mockResponse();
+        await login(mockRequest('6509610011', 'local1234'), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(userRepo.updateProgramProfile).toHaveBeenCalledWith(5, expect.objectContaining({ programId: 7 }));
+    });
+
+    test('officer fixtures are granted their extra roles', async () => {
+        const res = mockResponse();
+
+        await login(mockRequest('malee.k', 'local1234'), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json.mock.calls[0][0].user.roles).toEqual(['Professor', 'Academic Officer']);
+        expect(res.json.mock.calls[0][0].user.faculty).toBe('คณะวิทยาศาสตร์และเทคโนโลยี');
+    });
+
+    test('users outside the allowed faculty are rejected', async () => {
+        for (const username of ['6501010033', 'prasert.n']) {
+            const res = mockResponse();
+
+            await login(mockRequest(username, 'local1234'), res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        }
+        expect(userRepo.create).not.toHaveBeenCalled();
+    });
+
+    test('wrong password returns 401', async () => {
+        const res = mockResponse();
+
+        await login(mockRequest('somchai.r', 'wrong'), res);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+    });
+});
+
+describe('processLoginUser', () => {
+    test('ignores granted_roles from providers other than local', async () => {
+        config.auth.provider = 'tu';
+        try {
+            const result = await processLoginUser({
+                status: true,
+                type: 'student',
+                username: '6509610099',
+                displayname_th: 'ทดสอบ ระบบ',
+                displayname_en: 'Test System',
+                email: 'test.sys@dome.tu.ac.th',
+                department: 'วิทยาการคอมพิวเตอร์',
+                faculty: 'คณะวิทยาศาสตร์และเทคโนโลยี',
+                granted_roles: ['Academic Officer'],
+            });
+
+            expect(result.roles).toEqual(['Student']);
+        } finally {
+            config.auth.provider = 'local';
+        }
+    });
+});
@@ -0,0 +1,55 @@
+import { jest } from '@jest/globals';
+
+const termSubjectService = {
+    rejectWorkload: jest.fn(async (termSubjectId) => ({ id: termSubjectId, workload_approved: 'pending' })),
+};
+
+jest.unstable_mockModule('../../services/termSubject.service.js', () => termSubjectService);
+
+const { rejectWorkload } = await import('../../controllers/termSubject.controller.js');
+
+function mockResponse() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+function mockRequest(body) {
+    return {
+        params: { termSubjectId: '12' },
+        body,
+        user: { id: 3, roles: ['Program Chair'] },
+    };
+}
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('rejectWorkload', () => {
+    test.each([
+        [undefined],
+        [{}],
+        [{ reason: '' }],
+        [{ reason: '   ' }],
+    ])('returns 400 when the reason is missing (%p)', async (body) => {
+        const res = mockResponse();
+
+        await rejectWorkload(mockRequest(body), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
+        expect(termSubjectService.rejectWorkload).not.toHaveBeenCalled();
+    });
+
+    test('passes the trimmed reason to the service', async () => {
+        const res = mockResponse();
+
+        await rejectWorkload(mockRequest({ reason: '  Week 5 is overloaded ' }), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(termSubjectService.rejectWorkload)
+            .toHaveBeenCalledWith(12, { id: 3, roles: ['Program Chair'] }, 'Week 5 is overloaded');
+    });
+});
@@ -0,0 +1,125 @@
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+
+const auditService = {
+    hasEntityLoader: jest.fn((entityType) => entityType === 'term'),
+    loadEntitySnapshot: jest.fn(),
+    recordAuditEvent: jest.fn(),
+};
+
+jest.unstable_mockModule('../../services/audit.service.js', () => auditService);
+
+const { auditAction } = await import('../../middlewares/audit.middleware.js');
+
+const officer = { id: 3, roles: ['Academic Officer'] };
+
+function mockResponse() {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.status = jest.fn((code) => {
+        res.statusCode = code;
+        return res;
+    });
+    res.json = jest.fn(() => {
+        res.emit('finish');
+        return res;
+    });
+    return res;
+}
+
+function mockRequest(overrides = {}) {
+    return {
+        id: 'req-1',
+        method: 'PUT',
+        originalUrl: '/api/terms/4?x=1',
+        params: {},
+        query: {},
+        body: {},
+        user: officer,
+        ...overrides,
+    };
+}
+
+/**
+ * รอให้ handler ของ 'finish' (async) ทำงานจนเสร็จ
+ */
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+beforeEach(() => {
+    auditService.loadEntitySnapshot.mockReset();
+    auditService.recordAuditEvent.mockReset();
+});
+
+describe('auditAction', () => {
+    test('records before/after snapshots and the diff for entities with a loader', async () => {
+        auditService.loadEntitySnapshot
+            .mockResolvedValueOnce({ id: 4, name: 'Old' })
+            .mockResolvedValueOnce({ id: 4, name: 'New' });
+
+        const req = mockRequest({ params: { id: '4' } });
+        const res = mockResponse();
+
+        await auditAction('term.update', { param: 'id' })(req, res, () => {
+            res.status(200).json({ success: true, data: { id: 4 } });
+        });
+        await flush();
+
+        expect(auditService.recordAuditEvent).toHaveBeenCalledWith({
+            actorId: 3,
+            actorRole: 'Academic Officer',
+            action: 'term.update',
+            entityType: 'term',
+            entityId: '4',
+            before: { id: 4, name: 'Old' },
+            after: { id: 4, name: 'New' },
+            changes: { name: { from: 'Old', to: 'New' } },
+            requestId: 'req-1',
+            method: 'PUT',
+            path: '/api/terms/4',
+            statusCode: 200,
+        });
+    });
+
+    test('uses the response data as snapshot and id for entities without a loader', async () => {
+        const req = mockRequest({ method: 'POST', originalUrl: '/api/submissions' });
+        const res = mockResponse();
+
+        await auditAction('submission.create')(req, res, () => {
+            res.status(201).json({ success: true, data: { id: 9, status: 'pending' } });
+        });
+        await flush();
+
+        expect(auditService.loadEntitySnapshot).not.toHaveBeenCalled();
+        expect(auditService.recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+            entityType: 'submission',
+            entityId: 9,
+            before: null,
+            after: { id: 9, status: 'pending' },
+            statusCode: 201,
+        }));
+    });
+
+    test('does not record failed requests', async () => {
+        const req = mockRequest({ params: { id: '4' } });
+        const res = mockResponse();
+
+        await auditAction('term.delete', { param: 'id' })(req, res, () => {
+            res.status(409).json({ success: false });
+        });
+        await flush();
+
+        expect(auditService.recordAuditEvent).not.toHaveBeenCalled();
+    });
+
+    test('skips requests matched by skip()', async () => {
+        const req = mockRequest({ query: { preview: 'true' } });
+        const res = mockResponse();
+        const next = jest.fn(() => res.status(200).json({ success: true }));
+
+        await auditAction('term.clone', { skip: (r) => r.query.preview === 'true' })(req, res, next);
+        await flush();
+
+        expect(next).toHaveBeenCalled();
+        expect(auditService.recordAuditEvent).not.toHaveBeenCalled();
+    });
+});
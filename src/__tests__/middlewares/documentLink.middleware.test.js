@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+
+const SECRET = 'test-secret';
+
+const roleResolver = {
+    resolveUserAccess: jest.fn(),
+};
+const authMiddleware = jest.fn((req, res, next) => next());
+
+jest.unstable_mockModule('../../config/env.js', () => ({
+    default: { documentLinks: { secret: SECRET } },
+}));
+jest.unstable_mockModule('../../services/roleResolver.service.js', () => roleResolver);
+jest.unstable_mockModule('../../middlewares/auth.middleware.js', () => ({ authMiddleware }));
+
+const { authenticateDocumentLink } = await import('../../middlewares/documentLink.middleware.js');
+const { signDocumentLink } = await import('../../utils/documentLink.js');
+
+function mockResponse() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+function signedRequest({ expiresAt = new Date(Date.now() + 60000), userId = 7 } = {}) {
+    return {
+        params: { id: '12', documentId: '40' },
+        query: signDocumentLink({ termSubjectId: 12, documentId: 40, userId, expiresAt }, SECRET),
+        headers: {},
+    };
+}
+
+beforeEach(() => {
+    roleResolver.resolveUserAccess.mockReset();
+    authMiddleware.mockClear();
+});
+
+describe('authenticateDocumentLink', () => {
+    test('falls back to Bearer authentication without link params', async () => {
+        const next = jest.fn();
+        await authenticateDocumentLink({ params: { id: '12', documentId: '40' }, query: {}, headers: {} }, mockResponse(), next);
+
+        expect(authMiddleware).toHaveBeenCalled();
+        expect(roleResolver.resolveUserAccess).not.toHaveBeenCalled();
+    });
+
+    test('acts as the user the link was issued to, with current roles and faculty', async () => {
+        roleResolver.resolveUserAccess.mockResolvedValue({ roles: ['Professor'], facultyId: 1 });
+        const req = signedRequest();
+        const next = jest.fn();
+
+        await authenticateDocumentLink(req, mockResponse(), next);
+
+        expect(roleResolver.resolveUserAccess).toHaveBeenCalledWith(7);
+        expect(req.user).toEqual({ id: 7, roles: ['Professor'], facultyId: 1 });
+        expect(next).toHaveBeenCalled();
+        expect(authMiddleware).not.toHaveBeenCalled();
+    });
+
+    test('rejects a link signed for another document', async () => {
+        const req = signedRequest();
+        req.params.documentId = '41';
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await authenticateDocumentLink(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_DOCUMENT_LINK' }));
+    });
+
+    test('rejects expired links', async () => {
+        const res = mockResponse();
+        await authenticateDocumentLink(signedRequest({ expiresAt: new Date(Date.now() - 1000) }), res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'DOCUMENT_LINK_EXPIRED' }));
+    });
+
+    test('rejects links of users that no longer exist', async () => {
+        roleResolver.resolveUserAccess.mockResolvedValue({ roles: [], facultyId: null });
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await authenticateDocumentLink(signedRequest(), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+    });
+});
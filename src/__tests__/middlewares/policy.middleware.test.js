@@ -0,0 +1,159 @@
+import { jest } from '@jest/globals';
+
+const termSubjectRepo = {
+    findTermSubjectById: jest.fn(),
+    findProfessorsByTermSubject: jest.fn(),
+};
+
+const tenancyRepo = {
+    findFacultyIdOf: jest.fn(),
+};
+
+const workRepo = {
+    findWorkById: jest.fn(),
+};
+
+jest.unstable_mockModule('../../repositories/termSubject.repository.js', () => termSubjectRepo);
+jest.unstable_mockModule('../../repositories/tenancy.repository.js', () => tenancyRepo);
+jest.unstable_mockModule('../../repositories/work.repository.js', () => workRepo);
+
+const { authorizeTermSubject } = await import('../../middlewares/policy.middleware.js');
+const { ACTIONS } = await import('../../utils/policy.js');
+const { ROLES } = await import('../../middlewares/role.middleware.js');
+const { default: submissionRoutes } = await import('../../routes/submission.routes.js');
+const { default: workEffortRoutes } = await import('../../routes/workEffort.route.js');
+
+const owner = { id: 1, roles: [ROLES.PROFESSOR], facultyId: 1 };
+const otherProfessor = { id: 2, roles: [ROLES.PROFESSOR], facultyId: 1 };
+
+function mockResponse() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+/**
+ * รัน middleware ทีละตัวตามลำดับจนกว่าจะมีตัวที่ไม่เรียก next()
+ */
+async function runChain(handlers, req, res) {
+    for (const handler of handlers) {
+        let calledNext = false;
+        await handler(req, res, () => { calledNext = true; });
+        if (!calledNext) return false;
+    }
+    return true;
+}
+
+beforeEach(() => {
+    termSubjectRepo.findTermSubjectById.mockReset();
+    termSubjectRepo.findProfessorsByTermSubject.mockReset();
+    termSubjectRepo.findTermSubjectById.mockResolvedValue({ id: 10, workload_approved: 'pending' });
+    termSubjectRepo.findProfessorsByTermSubject.mockResolvedValue([{ user_id: owner.id }]);
+    tenancyRepo.findFacultyIdOf.mockResolvedValue(1);
+    workRepo.findWorkById.mockReset();
+    workRepo.findWorkById.mockResolvedValue({ id: 5, term_subject_id: 10 });
+});
+
+describe('authorizeTermSubject', () => {
+    test('loads the term subject and passes assigned lecturers through', async () => {
+        const req = { user: owner, params: { id: '10' } };
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await authorizeTermSubject(ACTIONS.VIEW)(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(req.termSubject).toMatchObject({ id: 10, lecturerIds: [owner.id] });
+    });
+
+    test('returns the policy denial for other lecturers', async () => {
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await authorizeTermSubject(ACTIONS.EDIT_WORKS, { param: 'termSubjectId' })(
+            { user: otherProfessor, params: { termSubjectId: '10' } }, res, next
+        );
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'NOT_ASSIGNED_LECTURER' }));
+    });
+
+    test('rejects invalid ids and missing term subjects', async () => {
+        const res = mockResponse();
+        await authorizeTermSubject(ACTIONS.VIEW)({ user: owner, params: { id: 'abc' } }, res, jest.fn());
+        expect(res.status).toHaveBeenCalledWith(400);
+
+        termSubjectRepo.findTermSubjectById.mockResolvedValueOnce(undefined);
+        const missing = mockResponse();
+        await authorizeTermSubject(ACTIONS.VIEW)({ user: owner, params: { id: '99' } }, missing, jest.fn());
+        expect(missing.status).toHaveBeenCalledWith(404);
+    });
+
+    test('can resolve the id from the request body', async () => {
+        const next = jest.fn();
+        await authorizeTermSubject(ACTIONS.UPLOAD, { resolveId: (req) => req.body.term_subject_id })(
+            { user: owner, params: {}, body: { term_subject_id: 10 } }, mockResponse(), next
+        );
+
+        expect(termSubjectRepo.findTermSubjectById).toHaveBeenCalledWith(expect.anything(), 10);
+        expect(next).toHaveBeenCalled();
+    });
+});
+
+describe('GET /api/submissions/:termSubjectId/history/:documentType', () => {
+    const historyRoute = submissionRoutes.stack
+        .find(layer => layer.route?.path === '/:termSubjectId/history/:documentType')
+        .route;
+    // ข้าม controller ตัวสุดท้าย — ทดสอบเฉพาะ middleware ของ route
+    const guards = historyRoute.stack.slice(0, -1).map(layer => layer.handle);
+
+    test("a professor cannot read another professor's submission history", async () => {
+        const res = mockResponse();
+        const passed = await runChain(
+            guards,
+            { user: otherProfessor, params: { termSubjectId: '10', documentType: 'outline' } },
+            res
+        );
+
+        expect(passed).toBe(false);
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'PERMISSION_DENIED' }));
+    });
+
+    test('the assigned professor can read the history', async () => {
+        const passed = await runChain(
+            guards,
+            { user: owner, params: { termSubjectId: '10', documentType: 'outline' } },
+            mockResponse()
+        );
+
+        expect(passed).toBe(true);
+    });
+});
+
+describe('GET /api/works/:workId/effort', () => {
+    const effortRoute = workEffortRoutes.stack
+        .find(layer => layer.route?.path === '/:workId/effort' && layer.route.methods.get)
+        .route;
+    const guards = effortRoute.stack.slice(0, -1).map(layer => layer.handle);
+
+    test("a professor cannot read effort statistics of another professor's subject", async () => {
+        const res = mockResponse();
+        const passed = await runChain(guards, { user: otherProfessor, params: { workId: '5' } }, res);
+
+        expect(passed).toBe(false);
+        expect(workRepo.findWorkById).toHaveBeenCalledWith(expect.anything(), 5);
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'PERMISSION_DENIED' }));
+    });
+
+    test("the assigned professor can read the work's effort statistics", async () => {
+        const req = { user: owner, params: { workId: '5' } };
+        const passed = await runChain(guards, req, mockResponse());
+
+        expect(passed).toBe(true);
+        expect(req.termSubject).toMatchObject({ id: 10 });
+    });
+});
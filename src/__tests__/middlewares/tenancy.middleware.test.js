@@ -0,0 +1,74 @@
+import { jest } from '@jest/globals';
+
+const tenancyRepo = {
+    findFacultyIdOf: jest.fn(),
+};
+
+jest.unstable_mockModule('../../repositories/tenancy.repository.js', () => tenancyRepo);
+
+const { scopeToFaculty } = await import('../../middlewares/tenancy.middleware.js');
+
+const officer = { id: 3, roles: ['Academic Officer'], facultyId: 1 };
+
+function mockResponse() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+beforeEach(() => {
+    tenancyRepo.findFacultyIdOf.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.log.mockRestore();
+});
+
+describe('scopeToFaculty', () => {
+    test('passes entities of the caller faculty through', async () => {
+        tenancyRepo.findFacultyIdOf.mockResolvedValue(1);
+        const next = jest.fn();
+
+        await scopeToFaculty('term')({ user: officer, params: { id: '4' } }, mockResponse(), next);
+
+        expect(tenancyRepo.findFacultyIdOf).toHaveBeenCalledWith(expect.anything(), 'term', 4);
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('hides entities of another faculty behind a 404', async () => {
+        tenancyRepo.findFacultyIdOf.mockResolvedValue(2);
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await scopeToFaculty('work', { param: 'workId' })(
+            { user: officer, params: { workId: '7' } }, res, next
+        );
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'NOT_FOUND' }));
+    });
+
+    test('leaves invalid ids and missing entities to the controller', async () => {
+        const next = jest.fn();
+        await scopeToFaculty('term')({ user: officer, params: { id: 'abc' } }, mockResponse(), next);
+        expect(tenancyRepo.findFacultyIdOf).not.toHaveBeenCalled();
+
+        tenancyRepo.findFacultyIdOf.mockResolvedValue(null);
+        await scopeToFaculty('term', { resolveId: (req) => req.query.termId })(
+            { user: officer, params: {}, query: { termId: '99' } }, mockResponse(), next
+        );
+
+        expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('requires an authenticated user', async () => {
+        const res = mockResponse();
+
+        await scopeToFaculty('term')({ params: { id: '4' } }, res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(401);
+    });
+});
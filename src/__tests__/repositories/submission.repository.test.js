@@ -170,6 +170,39 @@ describe('createSubmission', () => {
         const insertValues = mockClient.query.mock.calls[1][1];
         expect(insertValues[4]).toBe(3);
     });
+
+    test('uploaded files are stored as file_path with no file_url', async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [{ next_round_number: '1' }] })
+            .mockResolvedValueOnce({ rows: [createdRow] });
+
+        await repo.createSubmission(mockClient, {
+            ...submissionData,
+            fileUrl: undefined,
+            filePath: 'uploads/term-subjects/1/outline/outline-1.pdf',
+        });
+
+        const insertValues = mockClient.query.mock.calls[1][1];
+        expect(insertValues[2]).toBeNull();
+        expect(insertValues[6]).toBe('uploads/term-subjects/1/outline/outline-1.pdf');
+        expect(insertValues[7]).toBe('pending');
+    });
+
+    test('uploaded files take the preview status chosen by the caller', async () => {
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [{ next_round_number: '1' }] })
+            .mockResolvedValueOnce({ rows: [createdRow] });
+
+        await repo.createSubmission(mockClient, {
+            ...submissionData,
+            fileUrl: undefined,
+            filePath: 'uploads/term-subjects/1/outline/outline-1.pdf',
+            previewStatus: 'unavailable',
+        });
+
+        expect(mockClient.query.mock.calls[1][0]).toMatch(/CASE WHEN \$7::text IS NOT NULL THEN \$8::text END/);
+        expect(mockClient.query.mock.calls[1][1][7]).toBe('unavailable');
+    });
 });
 
 // ---------------------------------------------------------------------------
@@ -362,3 +395,44 @@ describe('getSubmissionHistory', () => {
         expect(result[1].event_type).toBe('reviewed');
     });
 });
+
+// ---------------------------------------------------------------------------
+// lockTermSubject / document lookups
+// ---------------------------------------------------------------------------
+describe('lockTermSubject', () => {
+    test('locks the term subject row and reports whether it exists', async () => {
+        mockClient.query.mockResolvedValueOnce({ rowCount: 1, rows: [{ id: 1 }] });
+        await expect(repo.lockTermSubject(mockClient, 1)).resolves.toBe(true);
+        expect(mockClient.query.mock.calls[0][0]).toMatch(/FOR UPDATE/);
+
+        mockClient.query.mockResolvedValueOnce({ rowCount: 0, rows: [] });
+        await expect(repo.lockTermSubject(mockClient, 99)).resolves.toBe(false);
+    });
+});
+
+describe('document lookups', () => {
+    test('findLatestDocumentByType reads the highest round from document_submissions', async () => {
+        const row = { id: 10, round_number: 2, file_url: '/api/term-subjects/1/documents/10/file' };
+        mockClient.query.mockResolvedValueOnce({ rows: [row] });
+
+        const result = await repo.findLatestDocumentByType(mockClient, 1, 'outline');
+
+        const [sql, values] = mockClient.query.mock.calls[0];
+        expect(sql).toMatch(/FROM document_submissions ds/);
+        expect(sql).toMatch(/ORDER BY ds.round_number DESC/);
+        expect(values).toEqual([1, 'outline']);
+        expect(result).toEqual(row);
+    });
+
+    test('findLatestDocumentByType returns null when nothing was submitted', async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+        await expect(repo.findLatestDocumentByType(mockClient, 1, 'report')).resolves.toBeNull();
+    });
+
+    test('findDocumentById is scoped to the term subject', async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+        await expect(repo.findDocumentById(mockClient, 1, 10)).resolves.toBeNull();
+        expect(mockClient.query.mock.calls[0][1]).toEqual([10, 1]);
+    });
+});
@@ -0,0 +1,64 @@
+import { jest } from '@jest/globals';
+import * as repo from '../../repositories/workloadReview.repository.js';
+
+const mockClient = { query: jest.fn() };
+
+beforeEach(() => mockClient.query.mockReset());
+
+// ---------------------------------------------------------------------------
+// insertWorkloadReview
+// ---------------------------------------------------------------------------
+describe('insertWorkloadReview', () => {
+    test('inserts review with nullable fields defaulted to null', async () => {
+        const row = { id: 1, action: 'rejected' };
+        mockClient.query.mockResolvedValueOnce({ rows: [row] });
+
+        const result = await repo.insertWorkloadReview(mockClient, {
+            termSubjectId: 5,
+            actorId: 9,
+            actorRole: 'Program Chair',
+            action: 'rejected',
+            stage: 0,
+            fromStatus: 'submitted',
+            toStatus: 'pending',
+            reason: 'ชั่วโมงไม่ครบ',
+        });
+
+        expect(result).toEqual(row);
+        const [sql, values] = mockClient.query.mock.calls[0];
+        expect(sql).toMatch(/INSERT INTO workload_reviews/);
+        expect(values).toEqual([5, 9, 'Program Chair', 'rejected', 0, 'submitted', 'pending', null, 'ชั่วโมงไม่ครบ']);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// findLatestWorkloadReview
+// ---------------------------------------------------------------------------
+describe('findLatestWorkloadReview', () => {
+    test('returns null when no reviews exist', async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+        await expect(repo.findLatestWorkloadReview(mockClient, 5)).resolves.toBeNull();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// getWorkloadEmailDetails
+// ---------------------------------------------------------------------------
+describe('getWorkloadEmailDetails', () => {
+    test('prefers Thai subject code and name', async () => {
+        mockClient.query.mockResolvedValueOnce({
+            rows: [{ email: 'a@tu.ac.th', code_th: 'วท101', code_eng: 'SC101', name_th: 'วิทย์', name_eng: 'Sci' }],
+        });
+
+        const result = await repo.getWorkloadEmailDetails(mockClient, 5);
+
+        expect(result.subject_code).toBe('วท101');
+        expect(result.subject_name).toBe('วิทย์');
+        expect(mockClient.query.mock.calls[0][0]).toMatch(/wr\.action = 'submitted'/);
+    });
+
+    test('returns undefined when nobody has submitted', async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [] });
+        await expect(repo.getWorkloadEmailDetails(mockClient, 5)).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,122 @@
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+
+const mockClient = {
+    query: jest.fn(),
+    release: jest.fn(),
+};
+
+const refreshTokenRepo = {
+    insertRefreshToken: jest.fn(),
+    findRefreshTokenByHash: jest.fn(),
+    markRefreshTokenRotated: jest.fn(),
+    revokeRefreshTokenFamily: jest.fn(),
+    revokeUserRefreshTokens: jest.fn(),
+};
+
+const userRoleRepo = {
+    getUserRoles: jest.fn(),
+};
+
+jest.unstable_mockModule('../../config/db.js', () => ({
+    pool: { connect: jest.fn(async () => mockClient) },
+}));
+jest.unstable_mockModule('../../repositories/refreshToken.repository.js', () => refreshTokenRepo);
+jest.unstable_mockModule('../../repositories/userRole.repository.js', () => userRoleRepo);
+
+const { default: config } = await import('../../config/env.js');
+const service = await import('../../services/authSession.service.js');
+const { REVOKE_REASONS, hashRefreshToken, generateRefreshToken } = await import('../../utils/authToken.js');
+
+const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+
+beforeAll(() => {
+    config.jwt.secret = config.jwt.secret || 'test-secret';
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient.query.mockResolvedValue({});
+    refreshTokenRepo.insertRefreshToken.mockImplementation(async (client, data) => ({
+        id: 2,
+        family_id: data.familyId,
+        expires_at: data.expiresAt,
+    }));
+    userRoleRepo.getUserRoles.mockResolvedValue([{ id: 1, name: 'Professor' }]);
+});
+
+describe('createSession', () => {
+    test('issues a JWT with sub and roles plus a hashed refresh token', async () => {
+        const session = await service.createSession(7, ['Student']);
+
+        const payload = jwt.verify(session.token, config.jwt.secret);
+        expect(payload).toMatchObject({ sub: 7, roles: ['Student'] });
+        expect(session.expiresIn).toBe(payload.exp - payload.iat);
+
+        const stored = refreshTokenRepo.insertRefreshToken.mock.calls[0][1];
+        expect(stored.tokenHash).toBe(hashRefreshToken(session.refreshToken));
+        expect(stored.tokenHash).not.toBe(session.refreshToken);
+    });
+});
+
+describe('refreshSession', () => {
+    test('rotates the token within the family and uses current roles', async () => {
+        refreshTokenRepo.findRefreshTokenByHash.mockResolvedValue({
+            id: 1, user_id: 7, family_id: 'family-1', expires_at: expiresAt, revoked_at: null,
+        });
+
+        const oldToken = generateRefreshToken();
+        const session = await service.refreshSession(oldToken);
+
+        expect(session.refreshToken).not.toBe(oldToken);
+        expect(refreshTokenRepo.insertRefreshToken.mock.calls[0][1]).toMatchObject({ userId: 7, familyId: 'family-1' });
+        expect(refreshTokenRepo.markRefreshTokenRotated).toHaveBeenCalledWith(mockClient, 1, 2);
+        expect(jwt.verify(session.token, config.jwt.secret).roles).toEqual(['Professor']);
+        expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    test('revokes the whole family when a rotated token is reused', async () => {
+        refreshTokenRepo.findRefreshTokenByHash.mockResolvedValue({
+            id: 1, user_id: 7, family_id: 'family-1', expires_at: expiresAt,
+            revoked_at: new Date(), revoked_reason: REVOKE_REASONS.ROTATED,
+        });
+
+        await expect(service.refreshSession(generateRefreshToken())).rejects.toMatchObject({
+            statusCode: 401,
+            code: 'REFRESH_TOKEN_REUSED',
+        });
+        expect(refreshTokenRepo.revokeRefreshTokenFamily).toHaveBeenCalledWith(
+            mockClient, 'family-1', REVOKE_REASONS.REUSE_DETECTED
+        );
+        expect(refreshTokenRepo.insertRefreshToken).not.toHaveBeenCalled();
+        expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    test('rejects tokens revoked by a role change', async () => {
+        refreshTokenRepo.findRefreshTokenByHash.mockResolvedValue({
+            id: 1, user_id: 7, family_id: 'family-1', expires_at: expiresAt,
+            revoked_at: new Date(), revoked_reason: REVOKE_REASONS.ROLE_CHANGED,
+        });
+
+        await expect(service.refreshSession(generateRefreshToken())).rejects.toMatchObject({
+            code: 'REFRESH_TOKEN_REVOKED',
+        });
+    });
+
+    test('rejects unknown and malformed tokens', async () => {
+        refreshTokenRepo.findRefreshTokenByHash.mockResolvedValue(null);
+
+        await expect(service.refreshSession(generateRefreshToken())).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+        await expect(service.refreshSession('nope')).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    });
+});
+
+describe('revokeSession', () => {
+    test('revokes the family of the token on logout', async () => {
+        refreshTokenRepo.findRefreshTokenByHash.mockResolvedValue({ id: 3, family_id: 'family-2' });
+        refreshTokenRepo.revokeRefreshTokenFamily.mockResolvedValue(1);
+
+        await expect(service.revokeSession(generateRefreshToken())).resolves.toBe(true);
+        expect(refreshTokenRepo.revokeRefreshTokenFamily.mock.calls[0].slice(1)).toEqual(['family-2', REVOKE_REASONS.LOGOUT]);
+    });
+});
@@ -0,0 +1,41 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../config/env.js', () => ({
+    default: {
+        preview: {
+            pdfinfoPath: '/nonexistent/pdfinfo',
+            pdftoppmPath: '/nonexistent/pdftoppm',
+            sofficePath: '/nonexistent/soffice',
+            timeoutMs: 5000,
+            thumbnailWidth: 320,
+        },
+    },
+}));
+
+const {
+    parsePdfInfoPages,
+    countPdfPages,
+    convertToPdf,
+    isConverterUnavailable,
+} = await import('../../services/documentConverter.service.js');
+
+describe('parsePdfInfoPages', () => {
+    test('reads the page count from pdfinfo output', () => {
+        const output = 'Title:          Outline\nProducer:       LibreOffice\nPages:          14\nEncrypted:      no\n';
+        expect(parsePdfInfoPages(output)).toBe(14);
+    });
+
+    test('returns null when pdfinfo reports no page count', () => {
+        expect(parsePdfInfoPages('Syntax Error: Couldn\'t read xref table')).toBeNull();
+    });
+});
+
+describe('missing converters', () => {
+    test('report CONVERTER_UNAVAILABLE instead of a generic failure', async () => {
+        const pdfinfoError = await countPdfPages('/tmp/a.pdf').catch(e => e);
+        const sofficeError = await convertToPdf('/tmp/a.docx', '/tmp').catch(e => e);
+
+        expect(isConverterUnavailable(pdfinfoError)).toBe(true);
+        expect(isConverterUnavailable(sofficeError)).toBe(true);
+    });
+});
@@ -0,0 +1,174 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+
+const submissionRepo = {
+    findSubmissionById: jest.fn(),
+    updateDocumentPreview: jest.fn(async (client, id, preview) => ({ id, ...preview })),
+    findPendingPreviews: jest.fn(),
+};
+
+const stored = new Map();
+const storage = {
+    get: jest.fn(async (key) => ({ stream: Readable.from([stored.get(key) || '']), size: null, contentType: null })),
+    put: jest.fn(async (key, stream) => {
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(chunk);
+        stored.set(key, Buffer.concat(chunks).toString());
+        return { key, size: 0 };
+    }),
+};
+
+function unavailable(command) {
+    const error = new Error(`${command} is not installed on this server`);
+    error.code = 'CONVERTER_UNAVAILABLE';
+    return error;
+}
+
+const converter = {
+    countPdfPages: jest.fn(async () => 12),
+    renderFirstPage: jest.fn(async (pdfPath, outputDir) => {
+        const output = path.join(outputDir, 'thumbnail.png');
+        await fs.promises.writeFile(output, 'PNG');
+        return output;
+    }),
+    convertToPdf: jest.fn(async (sourcePath, outputDir) => {
+        const output = path.join(outputDir, `${path.parse(sourcePath).name}.pdf`);
+        await fs.promises.writeFile(output, '%PDF-converted');
+        return output;
+    }),
+    isConverterUnavailable: (error) => error?.code === 'CONVERTER_UNAVAILABLE',
+};
+
+jest.unstable_mockModule('../../config/db.js', () => ({ pool: {} }));
+jest.unstable_mockModule('../../config/env.js', () => ({ default: { preview: { enabled: true } } }));
+jest.unstable_mockModule('../../repositories/submission.repository.js', () => submissionRepo);
+jest.unstable_mockModule('../../services/storage.service.js', () => ({ getStorage: () => storage }));
+jest.unstable_mockModule('../../services/documentConverter.service.js', () => converter);
+
+const { default: config } = await import('../../config/env.js');
+const {
+    generateDocumentPreview,
+    scheduleDocumentPreview,
+    resumePendingPreviews,
+    initialPreviewStatus,
+    PREVIEW_STATUSES,
+} = await import('../../services/documentPreview.service.js');
+
+const pdfRound = { id: 5, file_path: 'term-subjects/1/a.pdf', original_name: 'เค้าโครง.pdf' };
+const docxRound = { id: 6, file_path: 'term-subjects/1/b.docx', original_name: 'report.docx' };
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    stored.clear();
+    stored.set(pdfRound.file_path, '%PDF-1.7');
+    stored.set(docxRound.file_path, 'PK-docx');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('generateDocumentPreview', () => {
+    test('stores a first-page thumbnail and page count next to a PDF', async () => {
+        submissionRepo.findSubmissionById.mockResolvedValue(pdfRound);
+
+        await generateDocumentPreview(5);
+
+        expect(converter.convertToPdf).not.toHaveBeenCalled();
+        expect(stored.get('term-subjects/1/a.pdf.thumb.png')).toBe('PNG');
+        expect(submissionRepo.updateDocumentPreview).toHaveBeenCalledWith(expect.anything(), 5, {
+            status: PREVIEW_STATUSES.READY,
+            pageCount: 12,
+            thumbnailPath: 'term-subjects/1/a.pdf.thumb.png',
+            previewPdfPath: null,
+        });
+    });
+
+    test('converts DOCX to PDF and keeps the converted file for inline viewing', async () => {
+        submissionRepo.findSubmissionById.mockResolvedValue(docxRound);
+
+        await generateDocumentPreview(6);
+
+        expect(stored.get('term-subjects/1/b.docx.preview.pdf')).toBe('%PDF-converted');
+        expect(submissionRepo.updateDocumentPreview).toHaveBeenCalledWith(expect.anything(), 6, expect.objectContaining({
+            status: PREVIEW_STATUSES.READY,
+            previewPdfPath: 'term-subjects/1/b.docx.preview.pdf',
+        }));
+    });
+
+    test('marks the preview unavailable when no local converter is installed', async () => {
+        submissionRepo.findSubmissionById.mockResolvedValue(docxRound);
+        converter.convertToPdf.mockRejectedValueOnce(unavailable('soffice'));
+
+        await generateDocumentPreview(6);
+
+        expect(submissionRepo.updateDocumentPreview).toHaveBeenCalledWith(expect.anything(), 6, { status: PREVIEW_STATUSES.UNAVAILABLE });
+    });
+
+    test('marks unsupported file types unavailable without reading them', async () => {
+        submissionRepo.findSubmissionById.mockResolvedValue({ id: 7, file_path: 'term-subjects/1/c.xlsx', original_name: 'grades.xlsx' });
+
+        await generateDocumentPreview(7);
+
+        expect(storage.get).not.toHaveBeenCalled();
+        expect(submissionRepo.updateDocumentPreview).toHaveBeenCalledWith(expect.anything(), 7, { status: PREVIEW_STATUSES.UNAVAILABLE });
+    });
+
+    test('marks the preview failed when rendering breaks', async () => {
+        submissionRepo.findSubmissionById.mockResolvedValue(pdfRound);
+        converter.renderFirstPage.mockRejectedValueOnce(new Error('pdftoppm failed: Syntax Error'));
+
+        await generateDocumentPreview(5);
+
+        expect(submissionRepo.updateDocumentPreview).toHaveBeenCalledWith(expect.anything(), 5, { status: PREVIEW_STATUSES.FAILED });
+    });
+
+    test('skips rounds submitted as external links', async () => {
+        submissionRepo.findSubmissionById.mockResolvedValue({ id: 8, file_path: null, file_url: 'https://drive/x' });
+
+        await expect(generateDocumentPreview(8)).resolves.toBeNull();
+        expect(submissionRepo.updateDocumentPreview).not.toHaveBeenCalled();
+    });
+});
+
+describe('scheduleDocumentPreview / resumePendingPreviews', () => {
+    test('processes queued previews one at a time', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        submissionRepo.findSubmissionById.mockImplementation(async (client, id) => {
+            running += 1;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setImmediate(resolve));
+            running -= 1;
+            return { ...pdfRound, id };
+        });
+        submissionRepo.findPendingPreviews.mockResolvedValue([1, 2, 3]);
+
+        await expect(resumePendingPreviews()).resolves.toBe(3);
+        await scheduleDocumentPreview(4);
+
+        expect(submissionRepo.updateDocumentPreview.mock.calls.map(call => call[1])).toEqual([1, 2, 3, 4]);
+        expect(maxRunning).toBe(1);
+    });
+});
+
+describe('when previews are disabled', () => {
+    afterEach(() => {
+        config.preview.enabled = true;
+    });
+
+    test('new uploads start as unavailable and nothing is resumed', async () => {
+        expect(initialPreviewStatus()).toBe(PREVIEW_STATUSES.PENDING);
+
+        config.preview.enabled = false;
+
+        expect(initialPreviewStatus()).toBe(PREVIEW_STATUSES.UNAVAILABLE);
+        await expect(resumePendingPreviews()).resolves.toBe(0);
+        expect(submissionRepo.findPendingPreviews).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,177 @@
+import { jest } from '@jest/globals';
+
+const mockClient = {
+    query: jest.fn(),
+    release: jest.fn(),
+};
+
+const directoryRepo = {
+    findInstructorByEmail: jest.fn(),
+    findInstructorsByFaculty: jest.fn(),
+    findDirectoryRefresh: jest.fn(),
+    upsertInstructor: jest.fn(),
+    upsertInstructorProfile: jest.fn(),
+    deleteFacultyInstructorsExcept: jest.fn(),
+    upsertDirectoryRefresh: jest.fn(),
+};
+
+const facultyRepo = {
+    findActiveFaculties: jest.fn(),
+};
+
+const provider = {
+    fetchInstructorByEmail: jest.fn(),
+    fetchInstructors: jest.fn(),
+};
+
+jest.unstable_mockModule('../../config/db.js', () => ({
+    pool: { connect: jest.fn(async () => mockClient) },
+}));
+jest.unstable_mockModule('../../repositories/instructorDirectory.repository.js', () => directoryRepo);
+jest.unstable_mockModule('../../repositories/faculty.repository.js', () => facultyRepo);
+jest.unstable_mockModule('../../services/authProvider.service.js', () => ({
+    getAuthProvider: () => provider,
+}));
+
+const { default: config } = await import('../../config/env.js');
+const service = await import('../../services/instructorDirectory.service.js');
+
+const FACULTY = 'คณะวิทยาศาสตร์และเทคโนโลยี';
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+const cachedRow = {
+    email: 'somchai.r@tu.ac.th',
+    tu_id: 'T001',
+    first_name_th: 'สมชาย',
+    last_name_th: 'รักเรียน',
+    first_name_en: 'Somchai',
+    last_name_en: 'Rakrian',
+    department: 'วิทยาการคอมพิวเตอร์',
+    faculty: FACULTY,
+    faculty_name_th: FACULTY,
+};
+
+const apiProfile = {
+    firstNameTh: 'สมชาย',
+    lastNameTh: 'รักเรียน',
+    firstNameEn: 'Somchai',
+    lastNameEn: 'Rakrian',
+    facultyNameTh: FACULTY,
+    email: 'somchai.r@tu.ac.th',
+};
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    service.resetInstructorCircuit();
+    mockClient.query.mockResolvedValue({});
+    directoryRepo.findInstructorByEmail.mockResolvedValue(null);
+    directoryRepo.findDirectoryRefresh.mockResolvedValue(null);
+    directoryRepo.findInstructorsByFaculty.mockResolvedValue([cachedRow]);
+    directoryRepo.upsertDirectoryRefresh.mockResolvedValue({ faculty_name_th: FACULTY, refreshed_at: new Date() });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+});
+
+describe('lookupInstructorByEmail', () => {
+    test('serves a fresh cache entry without calling the API', async () => {
+        directoryRepo.findInstructorByEmail.mockResolvedValue({ ...cachedRow, fetched_at: minutesAgo(5) });
+
+        await expect(service.lookupInstructorByEmail(cachedRow.email)).resolves.toEqual(apiProfile);
+        expect(provider.fetchInstructorByEmail).not.toHaveBeenCalled();
+    });
+
+    test('fetches and caches when the entry is missing or expired', async () => {
+        provider.fetchInstructorByEmail.mockResolvedValue(apiProfile);
+
+        await expect(service.lookupInstructorByEmail(cachedRow.email)).resolves.toEqual(apiProfile);
+        expect(directoryRepo.upsertInstructorProfile).toHaveBeenCalledWith(expect.anything(), apiProfile);
+    });
+
+    test('falls back to a stale entry when the API fails', async () => {
+        directoryRepo.findInstructorByEmail.mockResolvedValue({
+            ...cachedRow,
+            fetched_at: minutesAgo(config.instructorDirectory.ttlMinutes + 1),
+        });
+        provider.fetchInstructorByEmail.mockRejectedValue(new Error('Instructor API is unavailable'));
+
+        await expect(service.lookupInstructorByEmail(cachedRow.email)).resolves.toEqual(apiProfile);
+    });
+
+    test('stops calling the API once the circuit opens', async () => {
+        provider.fetchInstructorByEmail.mockRejectedValue(new Error('Instructor API is unavailable'));
+
+        for (let i = 0; i < config.instructorDirectory.failureThreshold; i++) {
+            await expect(service.lookupInstructorByEmail(cachedRow.email)).rejects.toThrow('unavailable');
+        }
+        await expect(service.lookupInstructorByEmail(cachedRow.email)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+        expect(provider.fetchInstructorByEmail).toHaveBeenCalledTimes(config.instructorDirectory.failureThreshold);
+    });
+});
+
+describe('getFacultyInstructors', () => {
+    test('returns the cached list with its age while fresh', async () => {
+        directoryRepo.findDirectoryRefresh.mockResolvedValue({ faculty_name_th: FACULTY, refreshed_at: minutesAgo(10) });
+
+        const result = await service.getFacultyInstructors(FACULTY);
+
+        expect(provider.fetchInstructors).not.toHaveBeenCalled();
+        expect(result.instructors).toEqual([expect.objectContaining({ email: cachedRow.email, tu_id: 'T001' })]);
+        expect(result.cache).toMatchObject({ source: 'cache', stale: false, circuit: 'closed' });
+        expect(result.cache.ageSeconds).toBeGreaterThanOrEqual(600);
+    });
+
+    test('refreshes the faculty inside a transaction when the cache expired', async () => {
+        directoryRepo.findDirectoryRefresh.mockResolvedValue({
+            faculty_name_th: FACULTY,
+            refreshed_at: minutesAgo(config.instructorDirectory.ttlMinutes + 1),
+        });
+        provider.fetchInstructors.mockResolvedValue([{ ...cachedRow }]);
+
+        const result = await service.getFacultyInstructors(FACULTY);
+
+        expect(provider.fetchInstructors).toHaveBeenCalledWith(FACULTY);
+        expect(directoryRepo.upsertInstructor).toHaveBeenCalledWith(mockClient, FACULTY, expect.objectContaining({ email: cachedRow.email }));
+        expect(directoryRepo.deleteFacultyInstructorsExcept).toHaveBeenCalledWith(mockClient, FACULTY, [cachedRow.email]);
+        expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+        expect(result.cache).toMatchObject({ source: 'api', stale: false, ageSeconds: 0 });
+    });
+
+    test('serves the stale list when the API is down', async () => {
+        directoryRepo.findDirectoryRefresh.mockResolvedValue({
+            faculty_name_th: FACULTY,
+            refreshed_at: minutesAgo(config.instructorDirectory.ttlMinutes + 1),
+        });
+        provider.fetchInstructors.mockRejectedValue(new Error('timeout'));
+
+        const result = await service.getFacultyInstructors(FACULTY);
+
+        expect(result.instructors).toHaveLength(1);
+        expect(result.cache).toMatchObject({ source: 'cache', stale: true });
+    });
+
+    test('throws when the API is down and nothing was cached', async () => {
+        provider.fetchInstructors.mockRejectedValue(new Error('timeout'));
+
+        await expect(service.getFacultyInstructors(FACULTY)).rejects.toThrow('timeout');
+    });
+});
+
+describe('refreshAllFaculties', () => {
+    test('refreshes every active faculty and reports failures', async () => {
+        facultyRepo.findActiveFaculties.mockResolvedValue([
+            { id: 1, name_th: FACULTY },
+            { id: 2, name_th: 'คณะวิศวกรรมศาสตร์' },
+        ]);
+        provider.fetchInstructors
+            .mockResolvedValueOnce([{ ...cachedRow }])
+            .mockRejectedValueOnce(new Error('timeout'));
+
+        await expect(service.refreshAllFaculties()).resolves.toEqual({ refreshed: 1, failed: 1 });
+    });
+});
@@ -0,0 +1,84 @@
+import { jest } from '@jest/globals';
+
+const userRoleRepo = {
+    getUserRoles: jest.fn(),
+};
+
+const userRepo = {
+    findFacultyId: jest.fn(),
+};
+
+jest.unstable_mockModule('../../repositories/userRole.repository.js', () => userRoleRepo);
+jest.unstable_mockModule('../../repositories/user.repository.js', () => userRepo);
+
+const { default: config } = await import('../../config/env.js');
+const {
+    resolveUserAccess,
+    invalidateUserRoles,
+    clearRoleCache,
+} = await import('../../services/roleResolver.service.js');
+
+beforeEach(() => {
+    clearRoleCache();
+    userRoleRepo.getUserRoles.mockReset();
+    userRoleRepo.getUserRoles.mockResolvedValue([{ id: 2, name: 'Professor' }]);
+    userRepo.findFacultyId.mockReset();
+    userRepo.findFacultyId.mockResolvedValue(1);
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('resolveUserAccess', () => {
+    test('returns role names with the faculty and caches them per user', async () => {
+        await expect(resolveUserAccess(5)).resolves.toEqual({ roles: ['Professor'], facultyId: 1 });
+        await expect(resolveUserAccess('5')).resolves.toEqual({ roles: ['Professor'], facultyId: 1 });
+
+        expect(userRoleRepo.getUserRoles).toHaveBeenCalledTimes(1);
+        expect(userRoleRepo.getUserRoles).toHaveBeenCalledWith(5);
+        expect(userRepo.findFacultyId).toHaveBeenCalledTimes(1);
+    });
+
+    test('shares one query between concurrent requests', async () => {
+        await Promise.all([resolveUserAccess(5), resolveUserAccess(5), resolveUserAccess(5)]);
+
+        expect(userRoleRepo.getUserRoles).toHaveBeenCalledTimes(1);
+    });
+
+    test('reloads after invalidation (role granted)', async () => {
+        await resolveUserAccess(5);
+        userRoleRepo.getUserRoles.mockResolvedValue([
+            { id: 1, name: 'Academic Officer' },
+            { id: 2, name: 'Professor' },
+        ]);
+
+        invalidateUserRoles([5]);
+
+        await expect(resolveUserAccess(5)).resolves.toEqual({ roles: ['Academic Officer', 'Professor'], facultyId: 1 });
+    });
+
+    test('reloads after the TTL expires', async () => {
+        jest.useFakeTimers({ now: new Date('2025-06-01T00:00:00Z') });
+        await resolveUserAccess(5);
+
+        jest.setSystemTime(Date.now() + config.auth.roleCacheTtlSeconds * 1000 + 1);
+        await resolveUserAccess(5);
+
+        expect(userRoleRepo.getUserRoles).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not cache failures', async () => {
+        userRoleRepo.getUserRoles.mockRejectedValueOnce(new Error('connection refused'));
+
+        await expect(resolveUserAccess(5)).rejects.toThrow('connection refused');
+        await expect(resolveUserAccess(5)).resolves.toEqual({ roles: ['Professor'], facultyId: 1 });
+    });
+
+    test('returns null faculty for a user that no longer exists', async () => {
+        userRoleRepo.getUserRoles.mockResolvedValue([]);
+        userRepo.findFacultyId.mockResolvedValue(null);
+
+        await expect(resolveUserAccess(99)).resolves.toEqual({ roles: [], facultyId: null });
+    });
+});
@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import net from 'net';
+import { Readable } from 'stream';
+
+jest.unstable_mockModule('../../config/env.js', () => ({
+    default: { scanner: { driver: 'none', clamav: {} }, storage: { driver: 'local', localRoot: 'uploads', s3: {} } },
+}));
+
+const { createClamAvScanner, parseClamAvReply } = await import('../../services/clamavScanner.service.js');
+const { getScanner, scanStoredFile, isScanFailure } = await import('../../services/scanner.service.js');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+/**
+ * clamd จำลอง: อ่าน INSTREAM ทั้งหมดแล้วตอบตามเนื้อหา
+ */
+function createFakeClamd(reply) {
+    const received = [];
+    const server = net.createServer((socket) => {
+        let buffer = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            const command = 'zINSTREAM\0';
+            if (buffer.length < command.length) return;
+
+            let offset = command.length;
+            const parts = [];
+            while (buffer.length >= offset + 4) {
+                const size = buffer.readUInt32BE(offset);
+                if (size === 0) {
+                    const content = Buffer.concat(parts).toString('utf8');
+                    received.push({ command: buffer.subarray(0, command.length).toString(), content });
+                    socket.end(`${reply(content)}\0`);
+                    return;
+                }
+                if (buffer.length < offset + 4 + size) return;
+                parts.push(buffer.subarray(offset + 4, offset + 4 + size));
+                offset += 4 + size;
+            }
+        });
+    });
+    return { server, received };
+}
+
+describe('parseClamAvReply', () => {
+    test('maps clamd replies to scan results', () => {
+        expect(parseClamAvReply('stream: OK')).toEqual({ clean: true, signature: null });
+        expect(parseClamAvReply('stream: Win.Test.EICAR_HDB-1 FOUND')).toEqual({ clean: false, signature: 'Win.Test.EICAR_HDB-1' });
+    });
+
+    test('treats clamd errors as scan failures', () => {
+        let error;
+        try {
+            parseClamAvReply('INSTREAM size limit exceeded. ERROR');
+        } catch (e) {
+            error = e;
+        }
+        expect(isScanFailure(error)).toBe(true);
+    });
+});
+
+describe('createClamAvScanner', () => {
+    let clamd;
+    let port;
+
+    beforeAll(async () => {
+        clamd = createFakeClamd(content => (content.includes('EICAR') ? 'stream: Win.Test.EICAR_HDB-1 FOUND' : 'stream: OK'));
+        await new Promise(resolve => clamd.server.listen(0, '127.0.0.1', resolve));
+        port = clamd.server.address().port;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => clamd.server.close(resolve));
+    });
+
+    test('streams the file with INSTREAM and reports clean files', async () => {
+        const scanner = createClamAvScanner({ host: '127.0.0.1', port });
+
+        await expect(scanner.scan(Readable.from([Buffer.from('%PDF-'), Buffer.from('1.7 hello')])))
+            .resolves.toEqual({ clean: true, signature: null });
+        expect(clamd.received.at(-1)).toEqual({ command: 'zINSTREAM\0', content: '%PDF-1.7 hello' });
+    });
+
+    test('reports the signature of infected files', async () => {
+        const scanner = createClamAvScanner({ host: '127.0.0.1', port });
+
+        await expect(scanner.scan(Readable.from([Buffer.from(EICAR)])))
+            .resolves.toEqual({ clean: false, signature: 'Win.Test.EICAR_HDB-1' });
+    });
+
+    test('fails the scan when clamd is unreachable', async () => {
+        const closed = net.createServer();
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+        const closedPort = closed.address().port;
+        await new Promise(resolve => closed.close(resolve));
+
+        const scanner = createClamAvScanner({ host: '127.0.0.1', port: closedPort });
+        const error = await scanner.scan(Readable.from(['x'])).catch(e => e);
+
+        expect(isScanFailure(error)).toBe(true);
+    });
+});
+
+describe('scanStoredFile', () => {
+    test('the no-op scanner passes files without reading them from storage', async () => {
+        expect(getScanner().name).toBe('none');
+        await expect(scanStoredFile('term-subjects/1/missing.pdf'))
+            .resolves.toEqual({ clean: true, signature: null, scanner: 'none' });
+    });
+});
@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+
+jest.unstable_mockModule('../../config/env.js', () => ({
+    default: { storage: { driver: 'local', localRoot: 'uploads', s3: {} } },
+}));
+
+const { createLocalStorage } = await import('../../services/localStorage.service.js');
+const { createS3Storage } = await import('../../services/s3Storage.service.js');
+const { buildDocumentKey, isStorageNotFound } = await import('../../services/storage.service.js');
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+describe('buildDocumentKey', () => {
+    test('keys documents by term subject with a unique name and the original extension', () => {
+        const key = buildDocumentKey('12', 'เค้าโครง รายวิชา.PDF');
+        expect(key).toMatch(/^term-subjects\/12\/\d+-[0-9a-f-]{36}\.pdf$/);
+        expect(buildDocumentKey(12, 'a.pdf')).not.toBe(buildDocumentKey(12, 'a.pdf'));
+    });
+});
+
+describe('local storage driver', () => {
+    let root;
+    let storage;
+
+    beforeEach(async () => {
+        root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+        storage = createLocalStorage({ root });
+    });
+
+    afterEach(async () => {
+        await fs.promises.rm(root, { recursive: true, force: true });
+    });
+
+    test('stores, reads and removes a file', async () => {
+        const result = await storage.put('term-subjects/1/a.pdf', Readable.from(['hello ', 'world']));
+        expect(result).toEqual({ key: 'term-subjects/1/a.pdf', size: 11 });
+
+        const file = await storage.get('term-subjects/1/a.pdf');
+        expect(file.size).toBe(11);
+        expect(await readAll(file.stream)).toBe('hello world');
+
+        await storage.remove('term-subjects/1/a.pdf');
+        await expect(storage.get('term-subjects/1/a.pdf')).rejects.toMatchObject({ code: 'STORAGE_NOT_FOUND' });
+        await expect(storage.remove('term-subjects/1/a.pdf')).resolves.toBeUndefined();
+    });
+
+    test('rejects keys outside the storage root', async () => {
+        await expect(storage.put('../escape.txt', Readable.from(['x']))).rejects.toThrow('Invalid storage key');
+        await expect(storage.get('../../etc/passwd')).rejects.toThrow('Invalid storage key');
+    });
+});
+
+describe('s3 storage driver', () => {
+    // S3-compatible server จำลอง (path-style เหมือน MinIO)
+    const objects = new Map();
+    const requests = [];
+    let server;
+    let storage;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers });
+
+            if (!req.headers.authorization?.startsWith('AWS4-HMAC-SHA256 Credential=test-key/')) {
+                res.writeHead(403).end();
+                return;
+            }
+
+            if (req.method === 'PUT') {
+                const chunks = [];
+                req.on('data', chunk => chunks.push(chunk));
+                req.on('end', () => {
+                    objects.set(req.url, { body: Buffer.concat(chunks), contentType: req.headers['content-type'] });
+                    res.writeHead(200).end();
+                });
+                return;
+            }
+
+            const object = objects.get(req.url);
+            if (req.method === 'GET') {
+                if (!object) return res.writeHead(404).end('<Error><Code>NoSuchKey</Code></Error>');
+                res.writeHead(200, { 'content-type': object.contentType, 'content-length': object.body.length });
+                return res.end(object.body);
+            }
+            if (req.method === 'DELETE') {
+                if (!object) return res.writeHead(404).end();
+                objects.delete(req.url);
+                return res.writeHead(204).end();
+            }
+            res.writeHead(405).end();
+        });
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        storage = createS3Storage({
+            endpoint: `http://127.0.0.1:${server.address().port}`,
+            bucket: 'documents',
+            accessKeyId: 'test-key',
+            secretAccessKey: 'test-secret',
+        });
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('uploads with a signed PUT and streams the object back', async () => {
+        const result = await storage.put('term-subjects/1/a b.pdf', Readable.from(['%PDF-', '1.7']), { contentType: 'application/pdf' });
+        expect(result).toEqual({ key: 'term-subjects/1/a b.pdf', size: 8 });
+
+        const put = requests.find(r => r.method === 'PUT');
+        expect(put.url).toBe('/documents/term-subjects/1/a%20b.pdf');
+        expect(put.headers['content-length']).toBe('8');
+        expect(put.headers['x-amz-content-sha256']).toBe('UNSIGNED-PAYLOAD');
+
+        const file = await storage.get('term-subjects/1/a b.pdf');
+        expect(file.size).toBe(8);
+        expect(file.contentType).toBe('application/pdf');
+        expect(await readAll(file.stream)).toBe('%PDF-1.7');
+    });
+
+    test('maps a missing object to STORAGE_NOT_FOUND and ignores it on remove', async () => {
+        await storage.remove('term-subjects/1/a b.pdf');
+
+        const error = await storage.get('term-subjects/1/a b.pdf').catch(e => e);
+        expect(isStorageNotFound(error)).toBe(true);
+        await expect(storage.remove('term-subjects/1/a b.pdf')).resolves.toBeUndefined();
+    });
+
+    test('surfaces other S3 errors', async () => {
+        const unauthorized = createS3Storage({
+            endpoint: `http://127.0.0.1:${server.address().port}`,
+            bucket: 'documents',
+            accessKeyId: 'wrong-key',
+            secretAccessKey: 'test-secret',
+        });
+
+        await expect(unauthorized.get('term-subjects/1/x.pdf')).rejects.toThrow('status 403');
+    });
+});
@@ -0,0 +1,77 @@
+import {
+    toAuditSnapshot,
+    diffSnapshots,
+    parseAuditFilters,
+    AUDIT_MAX_LIMIT,
+} from '../../utils/audit.js';
+import { ValidationError } from '../../utils/termValidation.js';
+
+describe('toAuditSnapshot', () => {
+    test('serializes dates and drops secret fields', () => {
+        const snapshot = toAuditSnapshot({
+            id: 1,
+            start_date: new Date('2025-06-02T00:00:00.000Z'),
+            password: 'secret',
+            note: undefined,
+        });
+
+        expect(snapshot).toEqual({ id: 1, start_date: '2025-06-02T00:00:00.000Z', note: null });
+    });
+
+    test('returns null for missing values', () => {
+        expect(toAuditSnapshot(undefined)).toBeNull();
+        expect(toAuditSnapshot(null)).toBeNull();
+    });
+});
+
+describe('diffSnapshots', () => {
+    test('records changed fields and ignores timestamps', () => {
+        const before = { id: 1, name: 'Term 1', updated_at: '2025-01-01' };
+        const after = { id: 1, name: 'Term 1/2568', updated_at: '2025-02-01' };
+
+        expect(diffSnapshots(before, after)).toEqual({ name: { from: 'Term 1', to: 'Term 1/2568' } });
+    });
+
+    test('treats created and deleted entities as changes from/to null', () => {
+        expect(diffSnapshots(null, { id: 5 })).toEqual({ id: { from: null, to: 5 } });
+        expect(diffSnapshots({ id: 5 }, null)).toEqual({ id: { from: 5, to: null } });
+    });
+});
+
+describe('parseAuditFilters', () => {
+    test('defaults to the first page', () => {
+        expect(parseAuditFilters({})).toEqual({ page: 1, limit: 50, offset: 0 });
+    });
+
+    test('parses filters and caps the page size', () => {
+        const filters = parseAuditFilters({
+            actor_id: '7',
+            action: 'work',
+            entity_type: 'work',
+            entity_id: '12',
+            from: '2025-06-01',
+            to: '2025-06-30',
+            page: '3',
+            limit: '1000',
+        });
+
+        expect(filters).toEqual({
+            actorId: 7,
+            action: 'work',
+            entityType: 'work',
+            entityId: '12',
+            from: '2025-06-01',
+            to: '2025-06-30 23:59:59.999',
+            page: 3,
+            limit: AUDIT_MAX_LIMIT,
+            offset: 2 * AUDIT_MAX_LIMIT,
+        });
+    });
+
+    test('rejects invalid values', () => {
+        expect(() => parseAuditFilters({ actor_id: 'abc' })).toThrow(ValidationError);
+        expect(() => parseAuditFilters({ from: 'not-a-date' })).toThrow(ValidationError);
+        expect(() => parseAuditFilters({ from: '2025-07-01', to: '2025-06-01' })).toThrow('from must be before to');
+        expect(() => parseAuditFilters({ page: '0' })).toThrow(ValidationError);
+    });
+});
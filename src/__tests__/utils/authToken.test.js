@@ -0,0 +1,58 @@
+import {
+    REFRESH_TOKEN_STATES,
+    REVOKE_REASONS,
+    generateRefreshToken,
+    hashRefreshToken,
+    isWellFormedRefreshToken,
+    computeRefreshExpiry,
+    getRefreshTokenState,
+} from '../../utils/authToken.js';
+
+const now = new Date('2025-06-01T00:00:00.000Z');
+const future = new Date('2025-06-30T00:00:00.000Z');
+
+describe('refresh token generation', () => {
+    test('generates unique well-formed tokens', () => {
+        const first = generateRefreshToken();
+        const second = generateRefreshToken();
+
+        expect(isWellFormedRefreshToken(first)).toBe(true);
+        expect(first).not.toBe(second);
+    });
+
+    test('hashes deterministically to SHA-256 hex', () => {
+        const token = generateRefreshToken();
+
+        expect(hashRefreshToken(token)).toMatch(/^[a-f0-9]{64}$/);
+        expect(hashRefreshToken(token)).toBe(hashRefreshToken(token));
+    });
+
+    test('rejects malformed tokens', () => {
+        expect(isWellFormedRefreshToken(undefined)).toBe(false);
+        expect(isWellFormedRefreshToken('short')).toBe(false);
+        expect(isWellFormedRefreshToken(`${'a'.repeat(63)}!`)).toBe(false);
+    });
+
+    test('computes expiry in days', () => {
+        expect(computeRefreshExpiry(30, now).toISOString()).toBe('2025-07-01T00:00:00.000Z');
+    });
+});
+
+describe('getRefreshTokenState', () => {
+    test('active until expiry', () => {
+        expect(getRefreshTokenState({ expires_at: future, revoked_at: null }, now)).toBe(REFRESH_TOKEN_STATES.ACTIVE);
+        expect(getRefreshTokenState({ expires_at: now, revoked_at: null }, now)).toBe(REFRESH_TOKEN_STATES.EXPIRED);
+    });
+
+    test('distinguishes reuse of a rotated token from other revocations', () => {
+        const rotated = { expires_at: future, revoked_at: now, revoked_reason: REVOKE_REASONS.ROTATED };
+        const loggedOut = { expires_at: future, revoked_at: now, revoked_reason: REVOKE_REASONS.LOGOUT };
+
+        expect(getRefreshTokenState(rotated, now)).toBe(REFRESH_TOKEN_STATES.REUSED);
+        expect(getRefreshTokenState(loggedOut, now)).toBe(REFRESH_TOKEN_STATES.REVOKED);
+    });
+
+    test('missing when no row', () => {
+        expect(getRefreshTokenState(null, now)).toBe(REFRESH_TOKEN_STATES.MISSING);
+    });
+});
@@ -0,0 +1,75 @@
+import {
+    createCircuitBreaker,
+    CircuitOpenError,
+    CircuitTimeoutError,
+    CIRCUIT_STATES,
+} from '../../utils/circuitBreaker.js';
+
+function createClock(start = 0) {
+    let time = start;
+    return {
+        now: () => time,
+        advance: (ms) => { time += ms; },
+    };
+}
+
+const fail = () => Promise.reject(new Error('API down'));
+
+describe('createCircuitBreaker', () => {
+    test('opens after consecutive failures and rejects without calling', async () => {
+        const clock = createClock();
+        const breaker = createCircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000, now: clock.now });
+
+        await expect(breaker.execute(fail)).rejects.toThrow('API down');
+        expect(breaker.getState().state).toBe(CIRCUIT_STATES.CLOSED);
+        await expect(breaker.execute(fail)).rejects.toThrow('API down');
+        expect(breaker.getState().state).toBe(CIRCUIT_STATES.OPEN);
+
+        let called = false;
+        await expect(breaker.execute(async () => { called = true; })).rejects.toBeInstanceOf(CircuitOpenError);
+        expect(called).toBe(false);
+    });
+
+    test('a success resets the failure count', async () => {
+        const breaker = createCircuitBreaker({ failureThreshold: 2 });
+
+        await expect(breaker.execute(fail)).rejects.toThrow();
+        await expect(breaker.execute(async () => 'ok')).resolves.toBe('ok');
+        await expect(breaker.execute(fail)).rejects.toThrow();
+
+        expect(breaker.getState()).toMatchObject({ state: CIRCUIT_STATES.CLOSED, failures: 1 });
+    });
+
+    test('half-opens after the reset timeout and closes on a successful trial', async () => {
+        const clock = createClock();
+        const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, now: clock.now });
+
+        await expect(breaker.execute(fail)).rejects.toThrow();
+        clock.advance(1000);
+        expect(breaker.getState().state).toBe(CIRCUIT_STATES.HALF_OPEN);
+
+        await expect(breaker.execute(async () => 'ok')).resolves.toBe('ok');
+        expect(breaker.getState().state).toBe(CIRCUIT_STATES.CLOSED);
+    });
+
+    test('a failed trial re-opens the circuit', async () => {
+        const clock = createClock();
+        const breaker = createCircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 1000, now: clock.now });
+
+        for (let i = 0; i < 3; i++) {
+            await expect(breaker.execute(fail)).rejects.toThrow();
+        }
+        clock.advance(1000);
+        await expect(breaker.execute(fail)).rejects.toThrow('API down');
+
+        expect(breaker.getState().state).toBe(CIRCUIT_STATES.OPEN);
+    });
+
+    test('slow calls time out and count as failures', async () => {
+        const breaker = createCircuitBreaker({ failureThreshold: 1, callTimeoutMs: 10 });
+
+        await expect(breaker.execute(() => new Promise(resolve => setTimeout(resolve, 200))))
+            .rejects.toBeInstanceOf(CircuitTimeoutError);
+        expect(breaker.getState().state).toBe(CIRCUIT_STATES.OPEN);
+    });
+});
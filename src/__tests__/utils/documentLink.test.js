@@ -0,0 +1,58 @@
+import {
+    signDocumentLink,
+    verifyDocumentLink,
+    buildDocumentLinkPath,
+    DOCUMENT_LINK_STATES,
+} from '../../utils/documentLink.js';
+
+const SECRET = 'test-secret';
+const now = new Date('2025-01-10T08:00:00Z');
+const link = { termSubjectId: 12, documentId: 40, userId: 7 };
+
+function sign(overrides = {}) {
+    return signDocumentLink({ ...link, expiresAt: new Date('2025-01-10T08:15:00Z'), ...overrides }, SECRET);
+}
+
+describe('buildDocumentLinkPath', () => {
+    test('points at the document file endpoint with the signed query', () => {
+        const params = sign();
+        expect(buildDocumentLinkPath(12, 40, params))
+            .toBe(`/api/term-subjects/12/documents/40/file?uid=7&expires=${params.expires}&sig=${params.sig}`);
+    });
+});
+
+describe('verifyDocumentLink', () => {
+    test('accepts a link signed for the same document before it expires', () => {
+        expect(verifyDocumentLink({ termSubjectId: 12, documentId: 40, query: sign() }, SECRET, now))
+            .toEqual({ state: DOCUMENT_LINK_STATES.VALID, userId: 7 });
+    });
+
+    test('reports a missing link when no link params are present', () => {
+        expect(verifyDocumentLink({ termSubjectId: 12, documentId: 40, query: {} }, SECRET, now).state)
+            .toBe(DOCUMENT_LINK_STATES.MISSING);
+    });
+
+    test('rejects a link used for another document or term subject', () => {
+        const query = sign();
+        expect(verifyDocumentLink({ termSubjectId: 12, documentId: 41, query }, SECRET, now).state)
+            .toBe(DOCUMENT_LINK_STATES.INVALID);
+        expect(verifyDocumentLink({ termSubjectId: 13, documentId: 40, query }, SECRET, now).state)
+            .toBe(DOCUMENT_LINK_STATES.INVALID);
+    });
+
+    test('rejects tampered user, expiry, signature or secret', () => {
+        const query = sign();
+        const verify = (q, secret = SECRET) => verifyDocumentLink({ termSubjectId: 12, documentId: 40, query: q }, secret, now).state;
+
+        expect(verify({ ...query, uid: '8' })).toBe(DOCUMENT_LINK_STATES.INVALID);
+        expect(verify({ ...query, expires: String(Number(query.expires) + 3600) })).toBe(DOCUMENT_LINK_STATES.INVALID);
+        expect(verify({ ...query, sig: 'abc' })).toBe(DOCUMENT_LINK_STATES.INVALID);
+        expect(verify(query, 'other-secret')).toBe(DOCUMENT_LINK_STATES.INVALID);
+    });
+
+    test('reports expired links', () => {
+        const query = sign({ expiresAt: new Date('2025-01-10T07:59:59Z') });
+        expect(verifyDocumentLink({ termSubjectId: 12, documentId: 40, query }, SECRET, now))
+            .toEqual({ state: DOCUMENT_LINK_STATES.EXPIRED, userId: 7 });
+    });
+});
@@ -0,0 +1,31 @@
+import {
+    findAllowedFaculty,
+    isAllowedFaculty,
+    getAllowedFacultyNames,
+} from '../../utils/facultyChecker.js';
+
+const faculties = [
+    { id: 1, name_th: 'คณะวิทยาศาสตร์และเทคโนโลยี' },
+    { id: 2, name_th: 'คณะวิศวกรรมศาสตร์' },
+];
+
+describe('findAllowedFaculty', () => {
+    test('matches exact names and names with a suffix', () => {
+        expect(findAllowedFaculty('คณะวิศวกรรมศาสตร์', faculties)).toEqual(faculties[1]);
+        expect(findAllowedFaculty('คณะวิทยาศาสตร์และเทคโนโลยี  มหาวิทยาลัยธรรมศาสตร์', faculties)).toEqual(faculties[0]);
+    });
+
+    test('returns null for unknown or missing faculties', () => {
+        expect(findAllowedFaculty('คณะนิติศาสตร์', faculties)).toBeNull();
+        expect(findAllowedFaculty(undefined, faculties)).toBeNull();
+        expect(findAllowedFaculty('คณะวิศวกรรมศาสตร์', [])).toBeNull();
+    });
+});
+
+describe('isAllowedFaculty / getAllowedFacultyNames', () => {
+    test('reflects the active faculty list', () => {
+        expect(isAllowedFaculty('คณะวิศวกรรมศาสตร์', faculties)).toBe(true);
+        expect(isAllowedFaculty('คณะนิติศาสตร์', faculties)).toBe(false);
+        expect(getAllowedFacultyNames(faculties)).toBe('คณะวิทยาศาสตร์และเทคโนโลยี, คณะวิศวกรรมศาสตร์');
+    });
+});
@@ -0,0 +1,106 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import {
+    FILE_FORMATS,
+    detectFileFormat,
+    checkUploadedDocument,
+    createFileInspector,
+} from '../../utils/fileSignature.js';
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+async function inspect(chunks) {
+    const inspector = createFileInspector();
+    const received = [];
+    await pipeline(Readable.from(chunks), inspector, async function* (source) {
+        for await (const chunk of source) received.push(chunk);
+    });
+    return { sample: inspector.result(), passedThrough: Buffer.concat(received) };
+}
+
+describe('detectFileFormat', () => {
+    test('recognises PDF, executables and unknown content by magic bytes', () => {
+        expect(detectFileFormat({ head: Buffer.from('%PDF-1.7\n') })).toBe(FILE_FORMATS.PDF);
+        expect(detectFileFormat({ head: Buffer.from('MZ\x90\x00\x03') })).toBe(FILE_FORMATS.EXECUTABLE);
+        expect(detectFileFormat({ head: Buffer.from('hello world') })).toBe(FILE_FORMATS.UNKNOWN);
+        expect(detectFileFormat({ head: Buffer.alloc(0) })).toBe(FILE_FORMATS.UNKNOWN);
+    });
+
+    test('tells Office documents apart from other ZIP archives', () => {
+        const head = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00]);
+        expect(detectFileFormat({ head, zipMarkers: [FILE_FORMATS.DOCX] })).toBe(FILE_FORMATS.DOCX);
+        expect(detectFileFormat({ head, zipMarkers: [FILE_FORMATS.XLSX] })).toBe(FILE_FORMATS.XLSX);
+        expect(detectFileFormat({ head })).toBe(FILE_FORMATS.ZIP);
+    });
+});
+
+describe('createFileInspector', () => {
+    test('passes data through unchanged and finds Office entry names across chunk boundaries', async () => {
+        const { sample, passedThrough } = await inspect([
+            Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+            Buffer.from('....word/docu'),
+            Buffer.from('ment.xml....'),
+        ]);
+
+        expect(passedThrough.toString('latin1')).toBe('PK\x03\x04....word/document.xml....');
+        expect(detectFileFormat(sample)).toBe(FILE_FORMATS.DOCX);
+    });
+
+    test('keeps only the head of large files', async () => {
+        const { sample } = await inspect([Buffer.from('%PDF'), Buffer.from('-1.4'), Buffer.alloc(1024)]);
+        expect(sample.head.length).toBe(16);
+        expect(detectFileFormat(sample)).toBe(FILE_FORMATS.PDF);
+    });
+});
+
+describe('checkUploadedDocument', () => {
+    test('accepts a PDF outline declared as PDF', () => {
+        expect(checkUploadedDocument({
+            documentType: 'outline',
+            format: FILE_FORMATS.PDF,
+            mimetype: 'application/pdf',
+            originalName: 'เค้าโครง.pdf',
+        })).toBeNull();
+    });
+
+    test('rejects a renamed executable with the detected type in the reason', () => {
+        const rejection = checkUploadedDocument({
+            documentType: 'outline',
+            format: FILE_FORMATS.EXECUTABLE,
+            mimetype: 'application/pdf',
+            originalName: 'outline.pdf',
+        });
+
+        expect(rejection.code).toBe('FILE_TYPE_NOT_ALLOWED');
+        expect(rejection.message).toBe('The uploaded file is an executable program; outline documents must be PDF or Word (DOCX)');
+    });
+
+    test('applies per-document-type formats', () => {
+        const xlsx = {
+            format: FILE_FORMATS.XLSX,
+            mimetype: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            originalName: 'grades.xlsx',
+        };
+
+        expect(checkUploadedDocument({ documentType: 'report', ...xlsx })).toBeNull();
+        expect(checkUploadedDocument({ documentType: 'outline', ...xlsx }).code).toBe('FILE_TYPE_NOT_ALLOWED');
+    });
+
+    test('rejects files whose declared type or extension does not match the content', () => {
+        expect(checkUploadedDocument({
+            documentType: 'outline',
+            format: FILE_FORMATS.PDF,
+            mimetype: DOCX_MIME,
+            originalName: 'outline.pdf',
+        }).code).toBe('FILE_TYPE_MISMATCH');
+
+        const rejection = checkUploadedDocument({
+            documentType: 'outline',
+            format: FILE_FORMATS.DOCX,
+            mimetype: DOCX_MIME,
+            originalName: 'outline.pdf',
+        });
+        expect(rejection.code).toBe('FILE_TYPE_MISMATCH');
+        expect(rejection.message).toContain('rename it to .docx');
+    });
+});
@@ -0,0 +1,58 @@
+import { escapeIcalText, foldIcalLine, buildIcalCalendar } from '../../utils/ical.js';
+
+describe('escapeIcalText', () => {
+    test('escapes RFC 5545 special characters', () => {
+        expect(escapeIcalText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+        expect(escapeIcalText(null)).toBe('');
+    });
+});
+
+describe('foldIcalLine', () => {
+    test('keeps short lines intact', () => {
+        expect(foldIcalLine('SUMMARY:Lab')).toBe('SUMMARY:Lab');
+    });
+
+    test('folds at 75 octets without splitting multi-byte characters', () => {
+        const line = `SUMMARY:${'ภาระงาน'.repeat(10)}`;
+        const parts = foldIcalLine(line).split('\r\n');
+
+        expect(parts.length).toBeGreaterThan(1);
+        parts.forEach(part => expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75));
+        expect(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join('')).toBe(line);
+    });
+});
+
+describe('buildIcalCalendar', () => {
+    const generatedAt = new Date('2025-01-01T08:30:00.000Z');
+
+    test('emits all-day events with exclusive DTEND', () => {
+        const ics = buildIcalCalendar({
+            name: 'ภาระงาน',
+            generatedAt,
+            events: [
+                { uid: 'term-1-midterm@x', summary: 'สอบกลางภาค', startDate: '2025-03-03', endDate: '2025-03-09' },
+                { uid: 'work-5-end@x', summary: 'กำหนดส่ง: SC101 Lab', description: 'SC101', startDate: new Date(2025, 0, 31) },
+            ],
+        });
+
+        const lines = ics.split('\r\n');
+        expect(lines[0]).toBe('BEGIN:VCALENDAR');
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(lines).toContain('DTSTAMP:20250101T083000Z');
+        expect(lines).toContain('DTSTART;VALUE=DATE:20250303');
+        expect(lines).toContain('DTEND;VALUE=DATE:20250310');
+        expect(lines).toContain('DTSTART;VALUE=DATE:20250131');
+        expect(lines).toContain('DTEND;VALUE=DATE:20250201');
+        expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    });
+
+    test('skips events without a start date', () => {
+        const ics = buildIcalCalendar({
+            name: 'x',
+            generatedAt,
+            events: [{ uid: 'a', summary: 'a', startDate: null }],
+        });
+
+        expect(ics).not.toContain('BEGIN:VEVENT');
+    });
+});
@@ -0,0 +1,60 @@
+import { ACTIONS, authorize, can } from '../../utils/policy.js';
+import { ROLES } from '../../constants/roles.js';
+
+const officer = { id: 1, roles: [ROLES.ACADEMIC_OFFICER] };
+const chair = { id: 3, roles: [ROLES.PROGRAM_CHAIR] };
+const lecturer = { id: 2, roles: [ROLES.PROFESSOR] };
+const otherLecturer = { id: 4, roles: [ROLES.PROFESSOR] };
+const student = { id: 5, roles: [ROLES.STUDENT] };
+
+const termSubject = (status = 'pending') => ({ id: 10, workload_approved: status, lecturerIds: [2] });
+
+describe('ACTIONS.VIEW', () => {
+    test('academic staff and assigned lecturers can view', () => {
+        expect(can(officer, ACTIONS.VIEW, termSubject())).toBe(true);
+        expect(can(chair, ACTIONS.VIEW, termSubject())).toBe(true);
+        expect(can(lecturer, ACTIONS.VIEW, termSubject())).toBe(true);
+    });
+
+    test('other lecturers and students cannot view', () => {
+        expect(authorize(otherLecturer, ACTIONS.VIEW, termSubject())).toMatchObject({ code: 'PERMISSION_DENIED', statusCode: 403 });
+        expect(can(student, ACTIONS.VIEW, termSubject())).toBe(false);
+    });
+});
+
+describe('ACTIONS.UPLOAD / ACTIONS.SUBMIT_WORKLOAD', () => {
+    test('only assigned lecturers', () => {
+        expect(can(lecturer, ACTIONS.UPLOAD, termSubject())).toBe(true);
+        expect(authorize(otherLecturer, ACTIONS.UPLOAD, termSubject())).toMatchObject({ code: 'UNAUTHORIZED_UPLOAD' });
+        expect(can(officer, ACTIONS.UPLOAD, termSubject())).toBe(false);
+
+        expect(can(lecturer, ACTIONS.SUBMIT_WORKLOAD, termSubject())).toBe(true);
+        expect(authorize(otherLecturer, ACTIONS.SUBMIT_WORKLOAD, termSubject())).toMatchObject({ code: 'NOT_ASSIGNED' });
+    });
+});
+
+describe('ACTIONS.EDIT_WORKS', () => {
+    test('academic officers can edit in any status', () => {
+        expect(can(officer, ACTIONS.EDIT_WORKS, termSubject('approved'))).toBe(true);
+    });
+
+    test('assigned lecturers can edit only while pending', () => {
+        expect(can(lecturer, ACTIONS.EDIT_WORKS, termSubject('pending'))).toBe(true);
+
+        for (const status of ['submitted', 'endorsed', 'approved']) {
+            expect(authorize(lecturer, ACTIONS.EDIT_WORKS, termSubject(status)))
+                .toMatchObject({ code: 'WORKLOAD_LOCKED', statusCode: 409 });
+        }
+    });
+
+    test('rejects users who are not assigned to the subject', () => {
+        expect(authorize(otherLecturer, ACTIONS.EDIT_WORKS, termSubject()))
+            .toMatchObject({ code: 'NOT_ASSIGNED_LECTURER', statusCode: 403 });
+        expect(authorize(chair, ACTIONS.EDIT_WORKS, termSubject()))
+            .toMatchObject({ code: 'NOT_ASSIGNED_LECTURER' });
+    });
+});
+
+test('unknown actions are programming errors', () => {
+    expect(() => can(officer, 'delete-everything', termSubject())).toThrow('Unknown policy action');
+});
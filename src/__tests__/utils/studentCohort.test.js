@@ -0,0 +1,27 @@
+import { deriveYearLevel, deriveEntryYear, resolveStudentYearLevel } from '../../utils/studentCohort.js';
+
+describe('deriveYearLevel', () => {
+    test('computes year level from entry year prefix', () => {
+        expect(deriveYearLevel('6809611234', 2568)).toBe(1);
+        expect(deriveYearLevel('6609611234', '2568')).toBe(3);
+    });
+
+    test('caps at final year and rejects unknown formats', () => {
+        expect(deriveYearLevel('6009611234', 2568)).toBe(4);
+        expect(deriveYearLevel('somchai.j', 2568)).toBeNull();
+        expect(deriveYearLevel('6909611234', 2568)).toBeNull();
+    });
+});
+
+describe('deriveEntryYear / resolveStudentYearLevel', () => {
+    test('derives entry year relative to the reference year', () => {
+        expect(deriveEntryYear('6609611234', 2568)).toBe(2566);
+        expect(deriveEntryYear('abc', 2568)).toBeNull();
+    });
+
+    test('prefers stored entry year over the student ID', () => {
+        expect(resolveStudentYearLevel({ entryYear: 2565, username: '6809611234' }, 2568)).toBe(4);
+        expect(resolveStudentYearLevel({ entryYear: null, username: '6809611234' }, 2568)).toBe(1);
+        expect(resolveStudentYearLevel(null, 2568)).toBeNull();
+    });
+});
@@ -0,0 +1,80 @@
+import { buildTermCalendar, deriveWeekCount, toDateOnly, MAX_WEEK_COUNT, WEEK_TYPES } from '../../utils/termCalendar.js';
+
+const term = (overrides = {}) => ({
+    term_start_date: '2024-01-01',
+    term_end_date: '2024-04-14',
+    midterm_start_date: '2024-02-19',
+    midterm_end_date: '2024-02-23',
+    final_start_date: '2024-04-08',
+    final_end_date: '2024-04-12',
+    week_count: null,
+    break_weeks: [],
+    ...overrides,
+});
+
+describe('toDateOnly', () => {
+    test('accepts strings and local-midnight Date objects', () => {
+        expect(toDateOnly('2024-01-01T00:00:00.000Z')).toBe('2024-01-01');
+        expect(toDateOnly(new Date(2024, 0, 1))).toBe('2024-01-01');
+        expect(toDateOnly(null)).toBeNull();
+    });
+});
+
+describe('deriveWeekCount', () => {
+    test('rounds partial weeks up', () => {
+        expect(deriveWeekCount('2024-01-01', '2024-04-14')).toBe(15);
+        expect(deriveWeekCount('2024-01-01', '2024-01-08')).toBe(2);
+    });
+});
+
+describe('buildTermCalendar', () => {
+    test('derives week count and marks exam weeks', () => {
+        const calendar = buildTermCalendar(term());
+
+        expect(calendar.weekCount).toBe(15);
+        expect(calendar.weeks[0]).toEqual({
+            week: 1,
+            startDate: '2024-01-01',
+            endDate: '2024-01-07',
+            type: WEEK_TYPES.TEACHING,
+        });
+        expect(calendar.weeks[7].type).toBe(WEEK_TYPES.MIDTERM);
+        expect(calendar.weeks[14].type).toBe(WEEK_TYPES.FINAL);
+    });
+
+    test('uses explicit week_count for shortened terms', () => {
+        const calendar = buildTermCalendar(term({
+            term_end_date: '2024-02-11',
+            midterm_start_date: null,
+            midterm_end_date: null,
+            final_start_date: null,
+            final_end_date: null,
+            week_count: 6,
+        }));
+
+        expect(calendar.weekCount).toBe(6);
+        expect(calendar.weeks).toHaveLength(6);
+        expect(calendar.weeks.every(w => w.type === WEEK_TYPES.TEACHING)).toBe(true);
+    });
+
+    test('break weeks override exam weeks', () => {
+        const calendar = buildTermCalendar(term({ break_weeks: [8, 9] }));
+
+        expect(calendar.weeks[7].type).toBe(WEEK_TYPES.BREAK);
+        expect(calendar.weeks[8].type).toBe(WEEK_TYPES.BREAK);
+    });
+
+    test('caps derived week count at MAX_WEEK_COUNT', () => {
+        const calendar = buildTermCalendar(term({
+            term_start_date: '2024-01-01',
+            term_end_date: '2025-12-31',
+        }));
+
+        expect(calendar.weekCount).toBe(MAX_WEEK_COUNT);
+        expect(calendar.weeks).toHaveLength(MAX_WEEK_COUNT);
+    });
+
+    test('returns empty calendar when term dates are missing', () => {
+        expect(buildTermCalendar({})).toEqual({ weekCount: 0, weeks: [] });
+    });
+});
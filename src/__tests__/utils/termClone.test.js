@@ -0,0 +1,93 @@
+import {
+    getDateShiftDays,
+    shiftDate,
+    buildClonePlan,
+    CLONE_CONFLICTS,
+} from '../../utils/termClone.js';
+
+const sourceTerm = { term_start_date: '2024-01-08', term_end_date: '2024-04-28' };
+const targetTerm = { term_start_date: '2025-01-06', term_end_date: '2025-04-27' };
+
+const sourceSubjects = [
+    { id: 10, subject_id: 1, code_eng: 'SC101', name_th: 'วิทยาศาสตร์' },
+    { id: 11, subject_id: 2, code_eng: 'MA101', name_th: 'คณิตศาสตร์' },
+];
+
+const lecturers = [
+    { term_subject_id: 10, user_id: 5, is_responsible: true, notes: 'ผู้ประสานงาน' },
+    { term_subject_id: 10, user_id: 6, is_responsible: false, notes: null },
+    { term_subject_id: 11, user_id: 7, is_responsible: true, notes: null },
+];
+
+const works = [
+    { id: 100, term_subject_id: 10, work_title: 'Lab', description: null, start_date: '2024-01-15', end_date: '2024-01-21', hours_per_week: '3', work_type_id: 2 },
+    { id: 101, term_subject_id: 10, work_title: 'Project', description: 'x', start_date: '2024-04-22', end_date: '2024-04-28', hours_per_week: 5 },
+];
+
+describe('getDateShiftDays / shiftDate', () => {
+    test('computes day offset between term starts', () => {
+        expect(getDateShiftDays('2024-01-08', '2025-01-06')).toBe(364);
+        expect(getDateShiftDays(new Date(2024, 0, 8), '2024-01-01')).toBe(-7);
+    });
+
+    test('shifts across month and year boundaries', () => {
+        expect(shiftDate('2024-12-30', 3)).toBe('2025-01-02');
+        expect(shiftDate(null, 3)).toBeNull();
+    });
+});
+
+describe('buildClonePlan', () => {
+    test('copies subjects with lecturers, responsible flags and notes', () => {
+        const plan = buildClonePlan({
+            sourceTerm, targetTerm, sourceSubjects, targetSubjectIds: [], lecturers, works,
+        });
+
+        expect(plan.conflicts).toEqual([]);
+        expect(plan.subjects).toHaveLength(2);
+        expect(plan.subjects[0].lecturers).toEqual([
+            { user_id: 5, is_responsible: true, notes: 'ผู้ประสานงาน' },
+            { user_id: 6, is_responsible: false, notes: null },
+        ]);
+        expect(plan.subjects[0].works).toEqual([]);
+    });
+
+    test('reports subjects already in the target term as conflicts', () => {
+        const plan = buildClonePlan({
+            sourceTerm, targetTerm, sourceSubjects, targetSubjectIds: [2], lecturers, works,
+        });
+
+        expect(plan.subjects.map(s => s.subject_id)).toEqual([1]);
+        expect(plan.conflicts).toHaveLength(1);
+        expect(plan.conflicts[0]).toMatchObject({ subject_id: 2, code: CLONE_CONFLICTS.SUBJECT_ALREADY_IN_TERM });
+    });
+
+    test('shifts works and flags those falling outside the target term', () => {
+        const shorterTerm = { ...targetTerm, term_end_date: '2025-04-20' };
+        const plan = buildClonePlan({
+            sourceTerm,
+            targetTerm: shorterTerm,
+            sourceSubjects,
+            targetSubjectIds: [],
+            lecturers,
+            works,
+            includeWorks: true,
+        });
+
+        expect(plan.shiftDays).toBe(364);
+        expect(plan.subjects[0].works).toEqual([{
+            source_work_id: 100,
+            work_title: 'Lab',
+            description: null,
+            start_date: '2025-01-13',
+            end_date: '2025-01-19',
+            hours_per_week: 3,
+            work_type_id: 2,
+        }]);
+        expect(plan.conflicts).toHaveLength(1);
+        expect(plan.conflicts[0]).toMatchObject({
+            source_work_id: 101,
+            end_date: '2025-04-27',
+            code: CLONE_CONFLICTS.WORK_OUTSIDE_TERM,
+        });
+    });
+});
@@ -0,0 +1,44 @@
+import {
+    resolveEditorRole,
+    diffWorkChanges,
+} from '../../utils/workEditAccess.js';
+import { ROLES } from '../../constants/roles.js';
+
+const lecturer = { id: 2, roles: [ROLES.PROFESSOR] };
+
+describe('resolveEditorRole', () => {
+    test('prefers Academic Officer over Professor', () => {
+        expect(resolveEditorRole({ roles: [ROLES.PROFESSOR, ROLES.ACADEMIC_OFFICER] })).toBe(ROLES.ACADEMIC_OFFICER);
+        expect(resolveEditorRole(lecturer)).toBe(ROLES.PROFESSOR);
+    });
+});
+
+describe('diffWorkChanges', () => {
+    const before = {
+        work_title: 'Lab 1',
+        description: null,
+        start_date: new Date(2025, 5, 2),
+        end_date: new Date(2025, 5, 13),
+        hours_per_week: 3,
+        work_type_id: null,
+    };
+
+    test('records only fields that changed', () => {
+        const after = { ...before, start_date: '2025-06-02', end_date: '2025-06-20', hours_per_week: '4' };
+
+        expect(diffWorkChanges(before, after)).toEqual({
+            end_date: { from: '2025-06-13', to: '2025-06-20' },
+            hours_per_week: { from: 3, to: 4 },
+        });
+    });
+
+    test('records every set field on create and delete', () => {
+        expect(diffWorkChanges(null, before)).toEqual({
+            work_title: { from: null, to: 'Lab 1' },
+            start_date: { from: null, to: '2025-06-02' },
+            end_date: { from: null, to: '2025-06-13' },
+            hours_per_week: { from: null, to: 3 },
+        });
+        expect(Object.keys(diffWorkChanges(before, null))).toEqual(['work_title', 'start_date', 'end_date', 'hours_per_week']);
+    });
+});
@@ -0,0 +1,111 @@
+import {
+    percentile,
+    summarizeEffort,
+    validateEffortInput,
+    assertCanLogEffort,
+    buildEffortStats,
+} from '../../utils/workEffort.js';
+import { WorkValidationError } from '../../utils/workValidation.js';
+
+describe('percentile / summarizeEffort', () => {
+    test('interpolates between ranks', () => {
+        expect(percentile([1, 2, 3, 4], 50)).toBe(2.5);
+        expect(percentile([10], 90)).toBe(10);
+        expect(percentile([], 50)).toBeNull();
+    });
+
+    test('summarizes count, median and p90', () => {
+        expect(summarizeEffort([4, 1, 3, 2, 10], 5, 5)).toEqual({ count: 5, median: 3, p90: 7.6 });
+        expect(summarizeEffort([])).toEqual({ count: 0, median: null, p90: null });
+    });
+
+    test('hides median and p90 when fewer students than the minimum group size reported', () => {
+        expect(summarizeEffort([4, 1, 3, 2], 5, 4)).toEqual({ count: 4, median: null, p90: null });
+        expect(summarizeEffort([4, 1, 3, 2, 10], 5, 1)).toEqual({ count: 5, median: null, p90: null });
+        expect(summarizeEffort([4, 1], 2, 2)).toEqual({ count: 2, median: 2.5, p90: 3.7 });
+    });
+});
+
+describe('validateEffortInput', () => {
+    test('accepts a week inside the work range', () => {
+        expect(validateEffortInput({ week: '2', hours: '3.5' }, [1, 2, 3])).toEqual({ week: 2, hours: 3.5 });
+    });
+
+    test('rejects weeks outside the work and invalid hours', () => {
+        try {
+            validateEffortInput({ week: 5, hours: -1 }, [1, 2, 3]);
+            throw new Error('expected validation error');
+        } catch (error) {
+            expect(error).toBeInstanceOf(WorkValidationError);
+            expect(error.details.map(d => d.code)).toEqual(['WEEK_OUT_OF_RANGE', 'HOURS_OUT_OF_RANGE']);
+        }
+    });
+
+    test('requires both fields', () => {
+        expect(() => validateEffortInput({}, [1])).toThrow(WorkValidationError);
+    });
+});
+
+describe('assertCanLogEffort', () => {
+    const activeTerm = { id: 1, is_active: true };
+
+    test('allows students whose year level matches the subject in the active term', () => {
+        expect(() => assertCanLogEffort(activeTerm, [2, 3], 3)).not.toThrow();
+    });
+
+    test('rejects works of an inactive term', () => {
+        expect(() => assertCanLogEffort({ id: 1, is_active: false }, [2], 2))
+            .toThrow(expect.objectContaining({ code: 'TERM_NOT_ACTIVE', statusCode: 403 }));
+    });
+
+    test('rejects students of another or unknown year level', () => {
+        expect(() => assertCanLogEffort(activeTerm, [1], 2))
+            .toThrow(expect.objectContaining({ code: 'NOT_SUBJECT_STUDENT', statusCode: 403 }));
+        expect(() => assertCanLogEffort(activeTerm, [1], null))
+            .toThrow(expect.objectContaining({ code: 'NOT_SUBJECT_STUDENT' }));
+    });
+});
+
+describe('buildEffortStats', () => {
+    test('compares reported hours with planned hours per week', () => {
+        const stats = buildEffortStats(
+            { id: 7, hours_per_week: 3 },
+            [1, 2],
+            [{ week: 1, hours: 2 }, { week: 1, hours: 4 }, { week: 2, hours: 6 }],
+            { minGroupSize: 1, studentCount: 2 }
+        );
+
+        expect(stats.work_id).toBe(7);
+        expect(stats.planned_hours_per_week).toBe(3);
+        expect(stats.overall).toEqual({ count: 3, median: 4, p90: 5.6, underestimated: true });
+        expect(stats.weeks).toEqual([
+            { week: 1, count: 2, median: 3, p90: 3.8, underestimated: false },
+            { week: 2, count: 1, median: 6, p90: 6, underestimated: true },
+        ]);
+    });
+
+    test('keeps only counts for groups below the default minimum size', () => {
+        const rows = [1, 2, 3, 4, 5].map(hours => ({ week: 1, hours }))
+            .concat([{ week: 2, hours: 9 }]);
+        const stats = buildEffortStats({ id: 7, hours_per_week: 3 }, [1, 2], rows, { studentCount: 5 });
+
+        expect(stats.overall).toMatchObject({ count: 6, median: 3.5 });
+        expect(stats.weeks).toEqual([
+            { week: 1, count: 5, median: 3, p90: 4.6, underestimated: false },
+            { week: 2, count: 1, median: null, p90: null, underestimated: false },
+        ]);
+    });
+
+    test('hides overall stats when one student reports many weeks', () => {
+        const rows = [11, 12, 13, 14, 15].map((hours, index) => ({ week: index + 1, hours }));
+        const stats = buildEffortStats(
+            { id: 7, hours_per_week: 3 },
+            [1, 2, 3, 4, 5],
+            rows,
+            { minGroupSize: 5, studentCount: 1 }
+        );
+
+        expect(stats.overall).toEqual({ count: 5, median: null, p90: null, underestimated: false });
+        expect(stats.weeks.every(week => week.median === null)).toBe(true);
+    });
+});
@@ -0,0 +1,96 @@
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+import { toExportRecord, buildExportFileName, WORK_EXPORT_COLUMNS } from '../../utils/workExport.js';
+import { writeCsvStream, writeXlsxStream } from '../../utils/spreadsheet.js';
+import { parseCsv } from '../../utils/csv.js';
+
+const row = {
+    code_th: 'วท101',
+    code_eng: 'SC101',
+    name_th: 'วิทยาศาสตร์',
+    name_eng: 'Science',
+    year_levels: '1,2',
+    responsible_lecturer: 'สมชาย ใจดี',
+    work_title: 'Lab, week 1',
+    description: null,
+    start_date: new Date(2024, 0, 8),
+    end_date: '2024-01-14',
+    hours_per_week: 3,
+    work_type_id: 2,
+};
+
+const collect = (stream) => new Promise((resolve) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+describe('toExportRecord', () => {
+    test('flattens subject, dates and hours', () => {
+        expect(toExportRecord(row)).toEqual({
+            subject_code: 'SC101',
+            subject_name: 'วิทยาศาสตร์',
+            year_levels: '1,2',
+            responsible_lecturer: 'สมชาย ใจดี',
+            work_title: 'Lab, week 1',
+            description: '',
+            start_date: '2024-01-08',
+            end_date: '2024-01-14',
+            hours_per_week: 3,
+            work_type_id: 2,
+        });
+    });
+
+    test('leaves the work type blank for uncategorized works', () => {
+        expect(toExportRecord({ ...row, work_type_id: null }).work_type_id).toBe('');
+    });
+
+    test('builds file name from term', () => {
+        expect(buildExportFileName({ academic_year: 2567, academic_sector: 1 }, 'xlsx')).toBe('works-2567-1.xlsx');
+    });
+});
+
+describe('export writers', () => {
+    const records = [toExportRecord(row)];
+
+    test('writes CSV with header and quoted values', async () => {
+        const stream = new PassThrough();
+        const done = collect(stream);
+        writeCsvStream(stream, WORK_EXPORT_COLUMNS, records);
+
+        const rows = parseCsv((await done).toString('utf8'));
+        expect(rows[0]).toEqual(WORK_EXPORT_COLUMNS.map(c => c.header));
+        expect(rows[1][4]).toBe('Lab, week 1');
+    });
+
+    test('neutralizes values that spreadsheets would run as formulas', async () => {
+        const stream = new PassThrough();
+        const done = collect(stream);
+        const titles = ['=HYPERLINK("http://evil")', '+1', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd', 'Lab 1'];
+        writeCsvStream(stream, WORK_EXPORT_COLUMNS, titles.map(work_title => ({
+            ...toExportRecord(row),
+            work_title,
+            hours_per_week: -1,
+        })));
+
+        const rows = parseCsv((await done).toString('utf8')).slice(1);
+        expect(rows.map(r => r[4])).toEqual([
+            '\'=HYPERLINK("http://evil")', '\'+1', '\'-2+3', '\'@SUM(A1)', '\'\tcmd', '\'\rcmd', 'Lab 1',
+        ]);
+        expect(rows[0][8]).toBe('-1');
+    });
+
+    test('writes a readable XLSX workbook', async () => {
+        const stream = new PassThrough();
+        const done = collect(stream);
+        await writeXlsxStream(stream, 'works', WORK_EXPORT_COLUMNS, records);
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await done);
+        const sheet = workbook.getWorksheet('works');
+
+        expect(sheet.getRow(1).getCell(1).value).toBe('subject_code');
+        expect(sheet.getRow(2).getCell(1).value).toBe('SC101');
+        expect(sheet.getRow(2).getCell(9).value).toBe(3);
+    });
+});
@@ -0,0 +1,177 @@
+import ExcelJS from 'exceljs';
+import { buildImportReport, mapImportHeaders } from '../../utils/workImport.js';
+import { parseCsv, parseCsvRecords, toCsv } from '../../utils/csv.js';
+import { readSpreadsheetRows } from '../../utils/spreadsheet.js';
+import { WORK_EXPORT_COLUMNS } from '../../utils/workExport.js';
+
+// ---------------------------------------------------------------------------
+// csv
+// ---------------------------------------------------------------------------
+describe('parseCsv / toCsv', () => {
+    test('handles quotes, embedded commas, newlines and BOM', () => {
+        const text = '﻿work_title,description\r\n"Lab, part 1","line1\nline2"\r\n"Say ""hi""",\r\n\r\n';
+        expect(parseCsv(text)).toEqual([
+            ['work_title', 'description'],
+            ['Lab, part 1', 'line1\nline2'],
+            ['Say "hi"', ''],
+        ]);
+    });
+
+    test('round-trips through toCsv', () => {
+        const rows = [['a', 'b,c'], ['"q"', null]];
+        expect(parseCsv(toCsv(rows))).toEqual([['a', 'b,c'], ['"q"', '']]);
+    });
+
+    test('numbers records by spreadsheet row, counting skipped blank lines', () => {
+        const text = 'work_title,description\r\n\r\nQuiz 1,\n"Lab","line1\nline2"\n,\nEssay,\n';
+        expect(parseCsvRecords(text)).toEqual([
+            { number: 1, cells: ['work_title', 'description'] },
+            { number: 3, cells: ['Quiz 1', ''] },
+            { number: 4, cells: ['Lab', 'line1\nline2'] },
+            { number: 6, cells: ['Essay', ''] },
+        ]);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// mapImportHeaders
+// ---------------------------------------------------------------------------
+describe('mapImportHeaders', () => {
+    test('accepts aliases case-insensitively', () => {
+        expect(mapImportHeaders(['Title', 'Start_Date', 'end_date', 'Hours'])).toEqual({
+            work_title: 0,
+            start_date: 1,
+            end_date: 2,
+            hours_per_week: 3,
+        });
+    });
+
+    test('throws with missing columns listed', () => {
+        expect(() => mapImportHeaders(['work_title']))
+            .toThrow(expect.objectContaining({ code: 'IMPORT_MISSING_COLUMNS' }));
+    });
+});
+
+// ---------------------------------------------------------------------------
+// buildImportReport
+// ---------------------------------------------------------------------------
+describe('buildImportReport', () => {
+    const header = ['work_title', 'description', 'start_date', 'end_date', 'hours_per_week'];
+    const records = (...rows) => rows.map((cells, index) => ({ number: index + 1, cells }));
+
+    test('reports per-row errors using spreadsheet row numbers', () => {
+        const report = buildImportReport(records(
+            header,
+            ['Quiz 1', '', '2024-01-08', '2024-01-14', '3'],
+            ['', 'no title', '2024-01-08', '2024-01-01', 'x'],
+        ));
+
+        expect(report.total).toBe(2);
+        expect(report.valid).toBe(1);
+        expect(report.invalid).toBe(1);
+        expect(report.rows[0]).toMatchObject({
+            row: 2,
+            valid: true,
+            data: { work_title: 'Quiz 1', description: null, hours_per_week: 3 },
+        });
+        expect(report.rows[1].row).toBe(3);
+        expect(report.rows[1].errors.map(e => e.code)).toEqual(
+            expect.arrayContaining(['WORK_TITLE_REQUIRED', 'END_DATE_BEFORE_START_DATE', 'HOURS_PER_WEEK_INVALID_TYPE'])
+        );
+    });
+
+    test('strips the formula guard added by the CSV export', () => {
+        const report = buildImportReport(records(
+            header,
+            ["'-Quiz 1", "'=notes", '2024-01-08', '2024-01-14', '3'],
+        ));
+
+        expect(report.rows[0].data).toMatchObject({ work_title: '-Quiz 1', description: '=notes' });
+    });
+
+    test('reports the file row number when blank lines were skipped', async () => {
+        const buffer = Buffer.from([
+            header.join(','),
+            'Quiz 1,,2024-01-08,2024-01-14,3',
+            '',
+            '',
+            ',no title,2024-01-08,2024-01-14,3',
+        ].join('\n'));
+        const rows = await readSpreadsheetRows({ buffer, originalname: 'works.csv', mimetype: 'text/csv' });
+
+        const report = buildImportReport(rows);
+
+        expect(report.rows.map(item => item.row)).toEqual([2, 5]);
+        expect(report.rows[1].valid).toBe(false);
+    });
+
+    test('reads the optional work type and fills hours from its default', () => {
+        const workTypes = [{ id: 2, default_hours_per_week: 4 }];
+        const report = buildImportReport(records(
+            [...header, 'work_type_id'],
+            ['Quiz 1', '', '2024-01-08', '2024-01-14', '', '2'],
+            ['Lab', '', '2024-01-08', '2024-01-14', '3', ''],
+            ['Essay', '', '2024-01-08', '2024-01-14', '3', '9'],
+        ), { workTypes });
+
+        expect(report.rows[0]).toMatchObject({ valid: true, data: { work_type_id: 2, hours_per_week: 4 } });
+        expect(report.rows[1]).toMatchObject({ valid: true, data: { work_type_id: null } });
+        expect(report.rows[2].valid).toBe(false);
+        expect(report.rows[2].errors.map(e => e.field)).toEqual(['work_type_id']);
+    });
+
+    test('round-trips the exported columns', () => {
+        const exported = WORK_EXPORT_COLUMNS.map(column => column.header);
+        const report = buildImportReport(records(
+            exported,
+            ['SC101', 'วิทยาศาสตร์', '1', '', 'Lab', '', '2024-01-08', '2024-01-14', '3', '2'],
+        ), { workTypes: [{ id: 2 }] });
+
+        expect(report.rows[0]).toMatchObject({ valid: true, data: { work_title: 'Lab', work_type_id: 2 } });
+    });
+
+    test('throws when file has no data rows', () => {
+        expect(() => buildImportReport(records(header))).toThrow(expect.objectContaining({ code: 'IMPORT_EMPTY' }));
+    });
+});
+
+// ---------------------------------------------------------------------------
+// readSpreadsheetRows
+// ---------------------------------------------------------------------------
+describe('readSpreadsheetRows', () => {
+    test('reads XLSX with date cells as YYYY-MM-DD', async () => {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('works');
+        sheet.addRow(['work_title', 'start_date', 'end_date', 'hours_per_week']);
+        sheet.addRow(['Project', new Date(Date.UTC(2024, 0, 8)), new Date(Date.UTC(2024, 0, 21)), 4]);
+        const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+        const rows = await readSpreadsheetRows({ buffer, originalname: 'works.xlsx', mimetype: 'application/octet-stream' });
+
+        expect(rows).toEqual([
+            { number: 1, cells: ['work_title', 'start_date', 'end_date', 'hours_per_week'] },
+            { number: 2, cells: ['Project', '2024-01-08', '2024-01-21', '4'] },
+        ]);
+    });
+
+    test('keeps XLSX row numbers across empty rows', async () => {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('works');
+        sheet.addRow(['work_title', 'hours_per_week']);
+        sheet.getRow(4).values = ['Essay', 2];
+        const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+        const rows = await readSpreadsheetRows({ buffer, originalname: 'works.xlsx', mimetype: 'application/octet-stream' });
+
+        expect(rows.map(row => row.number)).toEqual([1, 4]);
+    });
+
+    test('reads CSV by extension', async () => {
+        const buffer = Buffer.from('work_title,hours_per_week\nEssay,2\n');
+        const rows = await readSpreadsheetRows({ buffer, originalname: 'works.csv', mimetype: 'application/vnd.ms-excel' });
+        expect(rows).toEqual([
+            { number: 1, cells: ['work_title', 'hours_per_week'] },
+            { number: 2, cells: ['Essay', '2'] },
+        ]);
+    });
+});
@@ -0,0 +1,73 @@
+import {
+    EXAM_PERIODS,
+    collectTermRangeErrors,
+    validateWorkWithinTerm,
+    findExamOverlaps,
+    buildExamOverlapReport,
+} from '../../utils/workTermDates.js';
+import { WorkValidationError } from '../../utils/workValidation.js';
+
+const term = {
+    term_start_date: '2025-06-02',
+    term_end_date: '2025-09-26',
+    midterm_start_date: '2025-07-21',
+    midterm_end_date: '2025-07-27',
+    final_start_date: '2025-09-15',
+    final_end_date: '2025-09-26',
+};
+
+describe('term range checks', () => {
+    test('accepts works inside the term', () => {
+        expect(collectTermRangeErrors({ start_date: '2025-06-02', end_date: '2025-09-26' }, term)).toEqual([]);
+    });
+
+    test('rejects works starting before or ending after the term', () => {
+        const errors = collectTermRangeErrors({ start_date: '2025-05-30', end_date: '2025-10-01' }, term);
+        expect(errors.map(e => e.code)).toEqual(['START_DATE_BEFORE_TERM', 'END_DATE_AFTER_TERM']);
+
+        try {
+            validateWorkWithinTerm({ start_date: '2025-05-30', end_date: '2025-06-10' }, term);
+            throw new Error('expected validation error');
+        } catch (error) {
+            expect(error).toBeInstanceOf(WorkValidationError);
+            expect(error.code).toBe('WORK_OUTSIDE_TERM');
+            expect(error.details[0].field).toBe('start_date');
+        }
+    });
+
+    test('skips the check when the term has no dates', () => {
+        expect(collectTermRangeErrors({ start_date: '2020-01-01', end_date: '2030-01-01' }, {})).toEqual([]);
+    });
+});
+
+describe('findExamOverlaps', () => {
+    test('reports the overlapping part of each exam period', () => {
+        const warnings = findExamOverlaps({ id: 7, start_date: '2025-07-14', end_date: '2025-07-23' }, term);
+
+        expect(warnings).toEqual([expect.objectContaining({
+            code: 'EXAM_PERIOD_OVERLAP',
+            period: EXAM_PERIODS.MIDTERM,
+            workId: 7,
+            overlapStart: '2025-07-21',
+            overlapEnd: '2025-07-23',
+        })]);
+    });
+
+    test('returns nothing for works between exam periods or without exam dates', () => {
+        expect(findExamOverlaps({ start_date: '2025-08-01', end_date: '2025-08-15' }, term)).toEqual([]);
+        expect(findExamOverlaps({ start_date: '2025-07-21', end_date: '2025-07-22' }, { term_start_date: '2025-06-02' })).toEqual([]);
+    });
+});
+
+describe('buildExamOverlapReport', () => {
+    test('lists only works that overlap an exam period', () => {
+        const report = buildExamOverlapReport([
+            { id: 1, term_subject_id: 10, code_eng: 'CS101', work_title: 'Lab', start_date: '2025-06-09', end_date: '2025-06-20', hours_per_week: 2 },
+            { id: 2, term_subject_id: 11, code_th: 'วท101', name_th: 'โครงงาน', work_title: 'Project', start_date: '2025-07-01', end_date: '2025-09-20', hours_per_week: 4 },
+        ], term);
+
+        expect(report).toHaveLength(1);
+        expect(report[0]).toMatchObject({ workId: 2, subjectCode: 'วท101', subjectName: 'โครงงาน' });
+        expect(report[0].warnings.map(w => w.period)).toEqual([EXAM_PERIODS.MIDTERM, EXAM_PERIODS.FINAL]);
+    });
+});
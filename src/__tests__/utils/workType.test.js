@@ -0,0 +1,83 @@
+import {
+    UNCATEGORIZED,
+    validateWorkTypeInput,
+    groupHoursByCategory,
+} from '../../utils/workType.js';
+import {
+    validateCreateWorkInput,
+    applyWorkTypeDefaults,
+    WorkValidationError,
+} from '../../utils/workValidation.js';
+
+const workTypes = [
+    { id: 1, code: 'assignment', default_hours_per_week: 3 },
+    { id: 2, code: 'exam', default_hours_per_week: null },
+];
+
+const baseWork = {
+    work_title: 'Lab 1',
+    start_date: '2025-01-06',
+    end_date: '2025-01-20',
+    hours_per_week: 4,
+};
+
+describe('validateWorkTypeInput', () => {
+    test('normalizes a new work type', () => {
+        expect(validateWorkTypeInput({
+            code: ' Project ',
+            name_th: 'โครงงาน',
+            default_hours_per_week: '5',
+            weight: '20',
+        })).toEqual({ code: 'project', name_th: 'โครงงาน', default_hours_per_week: 5, weight: 20 });
+    });
+
+    test('requires code and name_th on create but not on partial update', () => {
+        expect(() => validateWorkTypeInput({})).toThrow(WorkValidationError);
+        expect(validateWorkTypeInput({ weight: null }, { partial: true })).toEqual({ weight: null });
+    });
+
+    test('rejects reserved code and out-of-range values', () => {
+        try {
+            validateWorkTypeInput({ code: UNCATEGORIZED, name_th: 'x', default_hours_per_week: 0, weight: 101 });
+            throw new Error('expected validation error');
+        } catch (error) {
+            expect(error).toBeInstanceOf(WorkValidationError);
+            expect(error.details.map(d => d.code)).toEqual(['CODE_INVALID', 'DEFAULT_HOURS_INVALID', 'WEIGHT_INVALID']);
+        }
+    });
+});
+
+describe('work_type_id in work validation', () => {
+    test('accepts an active type and rejects unknown ones', () => {
+        expect(validateCreateWorkInput({ ...baseWork, work_type_id: 1 }, { workTypes })).toBe(true);
+
+        try {
+            validateCreateWorkInput({ ...baseWork, work_type_id: 9 }, { workTypes });
+            throw new Error('expected validation error');
+        } catch (error) {
+            expect(error.details[0].code).toBe('WORK_TYPE_NOT_FOUND');
+        }
+    });
+
+    test('fills hours_per_week from the type default only when missing', () => {
+        const { hours_per_week, ...noHours } = baseWork;
+        expect(applyWorkTypeDefaults({ ...noHours, work_type_id: 1 }, workTypes).hours_per_week).toBe(3);
+        expect(applyWorkTypeDefaults({ ...baseWork, work_type_id: 1 }, workTypes).hours_per_week).toBe(hours_per_week);
+        expect(applyWorkTypeDefaults({ ...noHours, work_type_id: 2 }, workTypes).hours_per_week).toBeUndefined();
+    });
+});
+
+describe('groupHoursByCategory', () => {
+    test('sums hours per key and buckets untyped works', () => {
+        const grouped = groupHoursByCategory([
+            { key: 1, category: 'assignment', hours: 3 },
+            { key: 1, category: null, hours: 2 },
+            { key: 1, category: 'assignment', hours: '1.5' },
+            { key: 2, category: 'exam', hours: 6 },
+        ]);
+
+        expect(grouped.get(1)).toEqual({ assignment: 4.5, [UNCATEGORIZED]: 2 });
+        expect(grouped.get(2)).toEqual({ exam: 6 });
+        expect(grouped.get(3)).toBeUndefined();
+    });
+});
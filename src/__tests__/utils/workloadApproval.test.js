@@ -0,0 +1,102 @@
+import {
+    parseApprovalChain,
+    getCurrentStage,
+    assertCanActOnStage,
+    getNextApprovalState,
+    WORKLOAD_STATUS,
+    WORKLOAD_ACTIONS,
+} from '../../utils/workloadApproval.js';
+
+const APPROVER_ROLES = ['Program Chair', 'Academic Officer'];
+const CHAIN = ['Program Chair', 'Academic Officer'];
+
+// ---------------------------------------------------------------------------
+// parseApprovalChain
+// ---------------------------------------------------------------------------
+describe('parseApprovalChain', () => {
+    test('splits and trims role names', () => {
+        expect(parseApprovalChain(' Program Chair , Academic Officer ', APPROVER_ROLES)).toEqual(CHAIN);
+    });
+
+    test('throws on unknown role or empty chain', () => {
+        expect(() => parseApprovalChain('Dean', APPROVER_ROLES)).toThrow();
+        expect(() => parseApprovalChain('', APPROVER_ROLES)).toThrow();
+    });
+
+    test('throws on roles that cannot approve workloads', () => {
+        expect(() => parseApprovalChain('Program Chair,Professor', APPROVER_ROLES)).toThrow(/allowed roles/);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// getCurrentStage
+// ---------------------------------------------------------------------------
+describe('getCurrentStage', () => {
+    test('returns null when not under review', () => {
+        expect(getCurrentStage({ workload_approved: 'pending' })).toBeNull();
+        expect(getCurrentStage({ workload_approved: 'approved' })).toBeNull();
+    });
+
+    test('defaults legacy submitted rows to first stage', () => {
+        expect(getCurrentStage({ workload_approved: 'submitted', workload_approval_stage: null })).toBe(0);
+        expect(getCurrentStage({ workload_approved: 'endorsed', workload_approval_stage: 1 })).toBe(1);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// assertCanActOnStage
+// ---------------------------------------------------------------------------
+describe('assertCanActOnStage', () => {
+    test('allows the role that owns the current stage', () => {
+        const ts = { workload_approved: 'submitted', workload_approval_stage: 0, program_id: 3 };
+        expect(assertCanActOnStage(CHAIN, ts, ['Program Chair'], { programIds: [2, 3] }))
+            .toEqual({ stage: 0, role: 'Program Chair' });
+    });
+
+    test('rejects a Program Chair of another program at the endorsement step', () => {
+        const ts = { workload_approved: 'submitted', workload_approval_stage: 0, program_id: 3 };
+        expect(() => assertCanActOnStage(CHAIN, ts, ['Program Chair'], { programIds: [4] }))
+            .toThrow(expect.objectContaining({ code: 'NOT_PROGRAM_CHAIR', statusCode: 403 }));
+        expect(() => assertCanActOnStage(CHAIN, ts, ['Program Chair']))
+            .toThrow(expect.objectContaining({ code: 'NOT_PROGRAM_CHAIR' }));
+    });
+
+    test('does not check programs at the Academic Officer step', () => {
+        const ts = { workload_approved: 'endorsed', workload_approval_stage: 1, program_id: 3 };
+        expect(assertCanActOnStage(CHAIN, ts, ['Academic Officer'])).toEqual({ stage: 1, role: 'Academic Officer' });
+    });
+
+    test('rejects an approver acting out of turn', () => {
+        const ts = { workload_approved: 'submitted', workload_approval_stage: 0 };
+        expect(() => assertCanActOnStage(CHAIN, ts, ['Academic Officer']))
+            .toThrow(expect.objectContaining({ code: 'NOT_CURRENT_APPROVER', statusCode: 403 }));
+    });
+
+    test('rejects when not submitted or already approved', () => {
+        expect(() => assertCanActOnStage(CHAIN, { workload_approved: 'pending' }, ['Program Chair']))
+            .toThrow(expect.objectContaining({ code: 'NOT_SUBMITTED' }));
+        expect(() => assertCanActOnStage(CHAIN, { workload_approved: 'approved' }, ['Academic Officer']))
+            .toThrow(expect.objectContaining({ code: 'ALREADY_APPROVED' }));
+    });
+});
+
+// ---------------------------------------------------------------------------
+// getNextApprovalState
+// ---------------------------------------------------------------------------
+describe('getNextApprovalState', () => {
+    test('endorses and advances when more stages remain', () => {
+        expect(getNextApprovalState(CHAIN, 0)).toEqual({
+            status: WORKLOAD_STATUS.ENDORSED,
+            stage: 1,
+            action: WORKLOAD_ACTIONS.ENDORSED,
+        });
+    });
+
+    test('approves on the last stage', () => {
+        expect(getNextApprovalState(CHAIN, 1)).toEqual({
+            status: WORKLOAD_STATUS.APPROVED,
+            stage: null,
+            action: WORKLOAD_ACTIONS.APPROVED,
+        });
+    });
+});
@@ -0,0 +1,101 @@
+import { detectOverloadWeeks, buildOverloadWarnings, getWorkWeekIndexes } from '../../utils/workloadOverload.js';
+
+const work = (overrides = {}) => ({
+    work_id: 1,
+    work_title: 'Assignment',
+    hours_per_week: 10,
+    start_date: '2024-01-01',
+    end_date: '2024-01-07',
+    term_subject_id: 100,
+    code_th: 'วท101',
+    code_eng: 'SC101',
+    name_th: 'วิทยาศาสตร์',
+    name_eng: 'Science',
+    student_year: 1,
+    term_start_date: '2024-01-01',
+    ...overrides,
+});
+
+// ---------------------------------------------------------------------------
+// getWorkWeekIndexes
+// ---------------------------------------------------------------------------
+describe('getWorkWeekIndexes', () => {
+    test('returns every week the work spans', () => {
+        expect(getWorkWeekIndexes('2024-01-01', '2024-01-08', '2024-01-20')).toEqual([1, 2]);
+    });
+
+    test('clamps to term weeks', () => {
+        expect(getWorkWeekIndexes('2024-01-01', '2023-12-01', '2024-01-03', 15)).toEqual([0]);
+        expect(getWorkWeekIndexes('2024-01-01', '2024-04-01', '2024-06-01', 15)).toEqual([13, 14]);
+    });
+
+    test('returns empty array for invalid dates', () => {
+        expect(getWorkWeekIndexes('2024-01-01', 'bad', '2024-01-03')).toEqual([]);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// detectOverloadWeeks
+// ---------------------------------------------------------------------------
+describe('detectOverloadWeeks', () => {
+    test('flags weeks above threshold with responsible subjects and works', () => {
+        const works = [
+            work({ work_id: 1, hours_per_week: 20 }),
+            work({ work_id: 2, hours_per_week: 15, term_subject_id: 200, code_eng: 'SC102' }),
+            work({ work_id: 3, hours_per_week: 5, start_date: '2024-01-08', end_date: '2024-01-14' }),
+        ];
+
+        const result = detectOverloadWeeks(works, { threshold: 30 });
+
+        expect(result).toHaveLength(1);
+        expect(result[0].yearLevel).toBe(1);
+        expect(result[0].overloadedWeeks).toHaveLength(1);
+
+        const [week] = result[0].overloadedWeeks;
+        expect(week.week).toBe(1);
+        expect(week.totalHours).toBe(35);
+        expect(week.excessHours).toBe(5);
+        expect(week.termSubjects.map(s => s.termSubjectId)).toEqual([100, 200]);
+        expect(week.works.map(w => w.workId)).toEqual([1, 2]);
+    });
+
+    test('does not flag weeks exactly at threshold', () => {
+        const works = [work({ hours_per_week: 30 })];
+        const result = detectOverloadWeeks(works, { threshold: 30 });
+        expect(result[0].overloadedWeeks).toEqual([]);
+    });
+
+    test('keeps year levels separate', () => {
+        const works = [
+            work({ work_id: 1, hours_per_week: 25, student_year: 1 }),
+            work({ work_id: 2, hours_per_week: 25, student_year: 2 }),
+        ];
+        const result = detectOverloadWeeks(works, { threshold: 30 });
+        expect(result.every(r => r.overloadedWeeks.length === 0)).toBe(true);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// buildOverloadWarnings
+// ---------------------------------------------------------------------------
+describe('buildOverloadWarnings', () => {
+    test('returns warnings only for weeks the given work contributes to', () => {
+        const works = [
+            work({ work_id: 1, hours_per_week: 20, end_date: '2024-01-14' }),
+            work({ work_id: 2, hours_per_week: 20, term_subject_id: 200 }),
+            work({ work_id: 3, hours_per_week: 20, term_subject_id: 300, start_date: '2024-01-08', end_date: '2024-01-14' }),
+        ];
+        const overloads = detectOverloadWeeks(works, { threshold: 30 });
+
+        const warnings = buildOverloadWarnings(overloads, 2, 30);
+
+        expect(warnings).toHaveLength(1);
+        expect(warnings[0]).toMatchObject({
+            code: 'WORKLOAD_OVERLOAD',
+            yearLevel: 1,
+            week: 1,
+            totalHours: 40,
+            threshold: 30,
+        });
+    });
+});
@@ -1,6 +1,7 @@
 import express from 'express';
 import cors from 'cors';
 import routes from './routes/index.js';
+import { requestIdMiddleware } from './middlewares/requestId.middleware.js';
 
 /**
  * Express application configuration
@@ -15,12 +16,16 @@ app.use(cors({
     origin: true,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id'],
 }));
 
 // Handle preflight OPTIONS requests สำหรับทุก routes
 app.options('*', cors());
 
+// Middleware: Request ID (ใช้ตามรอย request ใน audit_events และ log)
+app.use(requestIdMiddleware);
+
 /**
  * Middleware: JSON Parser
  * 
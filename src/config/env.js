@@ -1,4 +1,6 @@
 import dotenv from 'dotenv';
+import { WORKLOAD_APPROVER_ROLES } from '../constants/roles.js';
+import { parseApprovalChain } from '../utils/workloadApproval.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -30,12 +32,157 @@ const config = {
     // JWT Configuration
     jwt: {
         secret: process.env.JWT_SECRET,
-        expiresIn: process.env.JWT_EXPIRES_IN || '30d', // 30 days
+        // access token อายุสั้น ต่ออายุด้วย refresh token (POST /api/auth/refresh)
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+        refreshExpiresInDays: process.env.JWT_REFRESH_EXPIRES_IN_DAYS ? parseInt(process.env.JWT_REFRESH_EXPIRES_IN_DAYS, 10) : 30,
+    },
+
+    // Auth Configuration
+    auth: {
+        // ผู้ให้บริการ login: 'tu' (TU Auth API) | 'local' (fixtures สำหรับ dev/test ไม่ต้องใช้ network)
+        provider: (process.env.AUTH_PROVIDER || 'tu').toLowerCase(),
+        // ไฟล์ผู้ใช้ของ local provider (default: fixtures/local-auth-users.json)
+        localUsersFile: process.env.LOCAL_AUTH_USERS_FILE,
+        // อายุ cache ของ roles ที่ authMiddleware อ่านจากฐานข้อมูล (วินาที)
+        roleCacheTtlSeconds: process.env.ROLE_CACHE_TTL_SECONDS ? parseInt(process.env.ROLE_CACHE_TTL_SECONDS, 10) : 30,
+    },
+
+    // Instructor Directory (cache ของ TU Instructor API)
+    instructorDirectory: {
+        // อายุ cache ก่อนต้องดึงจาก API ใหม่ (นาที)
+        ttlMinutes: process.env.INSTRUCTOR_CACHE_TTL_MINUTES ? parseInt(process.env.INSTRUCTOR_CACHE_TTL_MINUTES, 10) : 720,
+        // รอบ background refresh ทุกคณะ (นาที, 0 = ปิด)
+        refreshIntervalMinutes: process.env.INSTRUCTOR_CACHE_REFRESH_MINUTES ? parseInt(process.env.INSTRUCTOR_CACHE_REFRESH_MINUTES, 10) : 360,
+        // เวลารอ API สูงสุดก่อน fallback ไปใช้ cache (ms)
+        callTimeoutMs: process.env.INSTRUCTOR_API_TIMEOUT_MS ? parseInt(process.env.INSTRUCTOR_API_TIMEOUT_MS, 10) : 3000,
+        // ล้มเหลวติดกันกี่ครั้งจึงหยุดเรียก API ชั่วคราว (circuit breaker)
+        failureThreshold: process.env.INSTRUCTOR_API_FAILURE_THRESHOLD ? parseInt(process.env.INSTRUCTOR_API_FAILURE_THRESHOLD, 10) : 3,
+        // หยุดเรียก API นานเท่าไรก่อนลองใหม่ (วินาที)
+        resetTimeoutSeconds: process.env.INSTRUCTOR_API_RESET_SECONDS ? parseInt(process.env.INSTRUCTOR_API_RESET_SECONDS, 10) : 60,
+    },
+
+    // Document Storage Configuration
+    storage: {
+        // ที่เก็บไฟล์เอกสาร: 'local' (disk ของ server) | 's3' (S3-compatible เช่น AWS S3, MinIO)
+        driver: (process.env.STORAGE_DRIVER || 'local').toLowerCase(),
+        // โฟลเดอร์ของ local driver (relative จาก project root ได้)
+        localRoot: process.env.STORAGE_LOCAL_ROOT || 'uploads',
+        s3: {
+            endpoint: process.env.S3_ENDPOINT,
+            region: process.env.S3_REGION || 'us-east-1',
+            bucket: process.env.S3_BUCKET,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            // MinIO และ endpoint ส่วนใหญ่ใช้ path-style (endpoint/bucket/key)
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+        },
+    },
+
+    // Upload Virus Scanning
+    scanner: {
+        // ตัวตรวจไวรัส: 'none' (ไม่ตรวจ สำหรับ dev/test) | 'clamav' (clamd ผ่าน socket)
+        driver: (process.env.SCANNER_DRIVER || 'none').toLowerCase(),
+        clamav: {
+            // unix socket ของ clamd เช่น /var/run/clamav/clamd.ctl (ถ้าตั้ง จะใช้แทน host/port)
+            socketPath: process.env.CLAMAV_SOCKET,
+            host: process.env.CLAMAV_HOST || '127.0.0.1',
+            port: process.env.CLAMAV_PORT ? parseInt(process.env.CLAMAV_PORT, 10) : 3310,
+            // เวลารอ clamd สูงสุด (ms)
+            timeoutMs: process.env.CLAMAV_TIMEOUT_MS ? parseInt(process.env.CLAMAV_TIMEOUT_MS, 10) : 30000,
+        },
+    },
+
+    // Document Previews (ภาพหน้าแรก + จำนวนหน้า + แปลง DOCX เป็น PDF)
+    preview: {
+        // ปิดการสร้าง preview หลังอัปโหลด (PREVIEW_ENABLED=false)
+        enabled: process.env.PREVIEW_ENABLED !== 'false',
+        // โปรแกรมจาก poppler-utils และ LibreOffice (ไม่มี = preview เป็น unavailable)
+        pdftoppmPath: process.env.PREVIEW_PDFTOPPM_PATH || 'pdftoppm',
+        pdfinfoPath: process.env.PREVIEW_PDFINFO_PATH || 'pdfinfo',
+        sofficePath: process.env.PREVIEW_SOFFICE_PATH || 'soffice',
+        // เวลาสูงสุดต่อคำสั่งแปลง (ms)
+        timeoutMs: process.env.PREVIEW_TIMEOUT_MS ? parseInt(process.env.PREVIEW_TIMEOUT_MS, 10) : 60000,
+        // ความกว้างภาพหน้าแรก (px)
+        thumbnailWidth: process.env.PREVIEW_THUMBNAIL_WIDTH ? parseInt(process.env.PREVIEW_THUMBNAIL_WIDTH, 10) : 320,
+    },
+
+    // Signed Document Links (ลิงก์ดาวน์โหลดเอกสารแบบไม่ต้องมี Bearer header)
+    documentLinks: {
+        // key สำหรับลงลายเซ็น HMAC (default: JWT_SECRET)
+        secret: process.env.DOCUMENT_LINK_SECRET || process.env.JWT_SECRET,
+        // อายุลิงก์จาก POST .../documents/:documentId/link (นาที)
+        ttlMinutes: process.env.DOCUMENT_LINK_TTL_MINUTES ? parseInt(process.env.DOCUMENT_LINK_TTL_MINUTES, 10) : 15,
+        // อายุลิงก์ในอีเมลแจ้งผลการตรวจ (ชั่วโมง)
+        emailTtlHours: process.env.DOCUMENT_LINK_EMAIL_TTL_HOURS ? parseInt(process.env.DOCUMENT_LINK_EMAIL_TTL_HOURS, 10) : 72,
+        // origin ของ API ที่ผู้ใช้เข้าถึงได้ เช่น https://api.example.com (จำเป็นสำหรับลิงก์ในอีเมล)
+        publicBaseUrl: (process.env.API_PUBLIC_URL || '').replace(/\/+$/, ''),
+    },
+
+    // Workload Configuration
+    workload: {
+        // ชั่วโมงต่อสัปดาห์สูงสุดต่อชั้นปี ก่อนถือว่าภาระงานเกินกำหนด
+        weeklyHourLimit: process.env.WORKLOAD_WEEKLY_HOUR_LIMIT ? parseInt(process.env.WORKLOAD_WEEKLY_HOUR_LIMIT, 10) : 40,
+        // ลำดับ role ที่ต้องอนุมัติหลังอาจารย์ส่งภาระงาน (คั่นด้วย comma, แปลงเป็น array ตอน start)
+        approvalChain: process.env.WORKLOAD_APPROVAL_CHAIN || 'Program Chair,Academic Officer',
+        // จำนวนนักศึกษาขั้นต่ำที่รายงานก่อนแสดง median/p90 ของชั่วโมงจริง (กลุ่มเล็กกว่านี้ระบุตัวนักศึกษาได้)
+        effortMinGroupSize: process.env.WORKLOAD_EFFORT_MIN_GROUP_SIZE ? parseInt(process.env.WORKLOAD_EFFORT_MIN_GROUP_SIZE, 10) : 5,
     },
 };
 
-// Validate required environment variables
-if (!config.tuApi.applicationKey) {
+// Validate auth provider
+if (!['tu', 'local'].includes(config.auth.provider)) {
+    console.error(`❌ ERROR: AUTH_PROVIDER must be "tu" or "local" (got "${config.auth.provider}")`);
+    process.exit(1);
+}
+
+if (config.auth.provider === 'local' && config.nodeEnv === 'production') {
+    console.error('❌ ERROR: AUTH_PROVIDER=local is for development/testing only and cannot be used in production');
+    process.exit(1);
+}
+
+// Validate storage driver
+if (!['local', 's3'].includes(config.storage.driver)) {
+    console.error(`❌ ERROR: STORAGE_DRIVER must be "local" or "s3" (got "${config.storage.driver}")`);
+    process.exit(1);
+}
+
+if (config.storage.driver === 's3' && !(config.storage.s3.bucket && config.storage.s3.accessKeyId && config.storage.s3.secretAccessKey)) {
+    console.error('❌ ERROR: STORAGE_DRIVER=s3 requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    process.exit(1);
+}
+
+// Validate upload scanner
+if (!['none', 'clamav'].includes(config.scanner.driver)) {
+    console.error(`❌ ERROR: SCANNER_DRIVER must be "none" or "clamav" (got "${config.scanner.driver}")`);
+    process.exit(1);
+}
+
+if (config.scanner.driver === 'none' && config.nodeEnv === 'production') {
+    console.warn('⚠️  WARNING: SCANNER_DRIVER=none — uploaded documents are not scanned for viruses');
+}
+
+// Validate weekly hour limit (NaN ทำให้ทุกสัปดาห์ถูกรายงานว่าเกินกำหนด)
+if (!Number.isInteger(config.workload.weeklyHourLimit) || config.workload.weeklyHourLimit < 1) {
+    console.error('❌ ERROR: WORKLOAD_WEEKLY_HOUR_LIMIT must be a positive integer');
+    process.exit(1);
+}
+
+// Validate workload approval chain (จำกัดเฉพาะ roles ที่ route approve/reject-workload อนุญาต)
+try {
+    config.workload.approvalChain = parseApprovalChain(config.workload.approvalChain, WORKLOAD_APPROVER_ROLES);
+} catch (error) {
+    console.error(`❌ ERROR: WORKLOAD_APPROVAL_CHAIN is invalid — ${error.message}`);
+    process.exit(1);
+}
+
+// Validate effort statistics group size
+if (!Number.isInteger(config.workload.effortMinGroupSize) || config.workload.effortMinGroupSize < 1) {
+    console.error('❌ ERROR: WORKLOAD_EFFORT_MIN_GROUP_SIZE must be a positive integer');
+    process.exit(1);
+}
+
+// Validate required environment variables (TU API ใช้เฉพาะ provider 'tu')
+if (config.auth.provider === 'tu' && !config.tuApi.applicationKey) {
     console.error('❌ ERROR: TU_API_APPLICATION_KEY is required but not set in environment variables');
     console.error('Please add TU_API_APPLICATION_KEY to your .env file');
     process.exit(1);
@@ -0,0 +1,22 @@
+/**
+ * Role Constants
+ * ชื่อ roles ในระบบ ใช้ร่วมกันทั้ง middleware, services, utils และ config
+ * (แยกจาก middleware เพื่อไม่ให้ business logic ต้องพึ่ง HTTP layer)
+ */
+
+/**
+ * Constants สำหรับ roles ในระบบ
+ * ใช้เพื่อป้องกัน typo และทำให้ refactor ง่าย
+ */
+export const ROLES = {
+    ACADEMIC_OFFICER: 'Academic Officer',
+    PROGRAM_CHAIR: 'Program Chair',
+    PROFESSOR: 'Professor',
+    STUDENT: 'Student',
+};
+
+/**
+ * Roles ที่อนุมัติภาระงานได้ (route approve/reject-workload อนุญาตเฉพาะ roles นี้)
+ * WORKLOAD_APPROVAL_CHAIN ต้องประกอบด้วย roles ในรายการนี้เท่านั้น
+ */
+export const WORKLOAD_APPROVER_ROLES = [ROLES.PROGRAM_CHAIR, ROLES.ACADEMIC_OFFICER];
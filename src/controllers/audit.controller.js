@@ -0,0 +1,48 @@
+/**
+ * Audit Controller
+ * HTTP layer สำหรับดูประวัติ audit_events
+ */
+
+import * as auditService from '../services/audit.service.js';
+import { ValidationError } from '../utils/termValidation.js';
+
+function handleError(res, error) {
+    console.error('[Audit Controller] Error:', error.message);
+
+    if (error instanceof ValidationError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: 'INVALID_AUDIT_FILTER',
+            field: error.field,
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        code: 'INTERNAL_SERVER_ERROR',
+    });
+}
+
+/**
+ * @route   GET /api/audit
+ * @desc    ค้นหา audit events (ใหม่สุดก่อน)
+ * @query   actor_id, action ("term.update" หรือ prefix "term"), entity_type, entity_id,
+ *          request_id, from, to (YYYY-MM-DD หรือ ISO 8601), page, limit (default 50, max 200)
+ * @access  Protected (Academic Officer only)
+ */
+export async function getAuditEvents(req, res) {
+    try {
+        const result = await auditService.listAuditEvents(req.query, req.user.facultyId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Audit events retrieved successfully',
+            data: result.events,
+            pagination: result.pagination,
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
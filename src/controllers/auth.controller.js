@@ -1,13 +1,24 @@
-import jwt from 'jsonwebtoken';
 import * as tuAuthService from '../services/tuAuth.service.js';
+import { getAuthProvider } from '../services/authProvider.service.js';
 import * as loginPostProcessService from '../services/loginPostProcess.service.js';
-import config from '../config/env.js';
+import * as authSessionService from '../services/authSession.service.js';
+import * as userService from '../services/user.service.js';
 
 /**
  * Authentication Controller
  * Handles authentication-related HTTP requests
  */
 
+/**
+ * Helper: client info stored with the refresh token
+ */
+function getSessionMeta(req) {
+    return {
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip,
+    };
+}
+
 /**
  * Login handler
  * Authenticates user credentials via TU Auth API
@@ -45,9 +56,9 @@ export const login = async (req, res) => {
         console.log(`[Auth] ⏱️  Validation time: ${validationTime}ms`);
         console.log(`[Auth] 🔑 Login attempt for user: ${username}`);
 
-        // Call TU Auth service
+        // Call auth provider (TU Auth API หรือ local fixtures ตาม AUTH_PROVIDER)
         const tuAuthStart = Date.now();
-        const tuResponse = await tuAuthService.verifyCredentials(username, password);
+        const tuResponse = await getAuthProvider().verifyCredentials(username, password);
         const tuAuthTime = Date.now() - tuAuthStart;
         console.log(`[Auth] ⏱️  TU Auth service time: ${tuAuthTime}ms`);
 
@@ -80,25 +91,16 @@ export const login = async (req, res) => {
                 });
             }
 
-            // Generate JWT token with user ID and roles
-            // JWT payload ต้องมีเฉพาะ sub (user id) และ roles (array)
-            // ห้ามใส่ sensitive data เช่น email, username
+            // Generate short-lived JWT (sub + roles) and a server-side refresh token
+            // ห้ามใส่ sensitive data เช่น email, username ใน JWT
             const jwtStart = Date.now();
-            const tokenPayload = {
-                sub: postProcessResult.user.id,
-                roles: postProcessResult.roles,
-            };
-
-            const token = jwt.sign(
-                tokenPayload,
-                config.jwt.secret,
-                { expiresIn: config.jwt.expiresIn }
+            const session = await authSessionService.createSession(
+                postProcessResult.user.id,
+                postProcessResult.roles,
+                getSessionMeta(req)
             );
             const jwtTime = Date.now() - jwtStart;
-            console.log(`[Auth] ⏱️  JWT generation: ${jwtTime}ms`);
-
-            // Calculate expiresIn in seconds (30 days = 2592000 seconds)
-            const expiresIn = 30 * 24 * 60 * 60; // 2592000 seconds
+            console.log(`[Auth] ⏱️  Session creation: ${jwtTime}ms`);
 
             const totalTime = Date.now() - requestStartTime;
             console.log(`[Auth] ✅ Login successful for user: ${username} (${tuResponse.type})`);
@@ -114,8 +116,10 @@ export const login = async (req, res) => {
                     roles: postProcessResult.roles,
                     faculty: postProcessResult.faculty,
                 },
-                token: token,
-                expiresIn: expiresIn,
+                token: session.token,
+                expiresIn: session.expiresIn,
+                refreshToken: session.refreshToken,
+                refreshExpiresAt: session.refreshExpiresAt,
             });
         } else {
             // Authentication failed (wrong credentials)
@@ -145,3 +149,124 @@ export const login = async (req, res) => {
         });
     }
 };
+
+/**
+ * Refresh handler
+ * Exchanges a refresh token for a new access token + rotated refresh token
+ *
+ * @route POST /api/auth/refresh
+ * @body { refreshToken }
+ */
+export const refresh = async (req, res) => {
+    try {
+        const refreshToken = req.body?.refreshToken;
+
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'refreshToken is required',
+                code: 'REFRESH_TOKEN_REQUIRED',
+            });
+        }
+
+        const session = await authSessionService.refreshSession(refreshToken, getSessionMeta(req));
+
+        return res.status(200).json({
+            success: true,
+            message: 'Token refreshed',
+            token: session.token,
+            expiresIn: session.expiresIn,
+            refreshToken: session.refreshToken,
+            refreshExpiresAt: session.refreshExpiresAt,
+        });
+    } catch (error) {
+        console.error(`[Auth] ❌ Refresh failed: ${error.message}`);
+
+        if (error.name === 'BusinessError') {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                code: error.code,
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR',
+        });
+    }
+};
+
+/**
+ * Logout handler
+ * Revokes the session of the given refresh token (idempotent)
+ *
+ * @route POST /api/auth/logout
+ * @body { refreshToken }
+ */
+export const logout = async (req, res) => {
+    try {
+        const refreshToken = req.body?.refreshToken;
+
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'refreshToken is required',
+                code: 'REFRESH_TOKEN_REQUIRED',
+            });
+        }
+
+        await authSessionService.revokeSession(refreshToken);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Logged out',
+        });
+    } catch (error) {
+        console.error(`[Auth] ❌ Logout failed: ${error.message}`);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR',
+        });
+    }
+};
+
+/**
+ * Current user handler
+ * Returns the user profile and effective roles (roles resolved by authMiddleware)
+ *
+ * @route GET /api/auth/me
+ * @access Protected
+ */
+export const me = async (req, res) => {
+    try {
+        const user = await userService.getUserById(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+                code: 'USER_NOT_FOUND',
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            user: {
+                ...user.toJSON(),
+                roles: req.user.roles,
+            },
+        });
+    } catch (error) {
+        console.error(`[Auth] ❌ Get current user failed: ${error.message}`);
+
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            code: 'INTERNAL_SERVER_ERROR',
+        });
+    }
+};
@@ -0,0 +1,82 @@
+/**
+ * Calendar Controller
+ * HTTP layer สำหรับ iCalendar feed ของภาระงาน
+ */
+
+import * as calendarService from '../services/calendar.service.js';
+import { BusinessError } from '../utils/termValidation.js';
+
+/**
+ * @route   GET /api/calendar/token
+ * @desc    Get (or create) the current user's calendar feed token
+ * @access  Protected
+ */
+export async function getCalendarToken(req, res) {
+    try {
+        const result = await calendarService.getCalendarToken(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
+
+/**
+ * @route   POST /api/calendar/token/rotate
+ * @desc    Replace the current user's calendar feed token (old URL stops working)
+ * @access  Protected
+ */
+export async function rotateCalendarToken(req, res) {
+    try {
+        const result = await calendarService.rotateCalendarToken(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Calendar token rotated successfully',
+            data: result,
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
+
+/**
+ * @route   GET /api/calendar/:token.ics
+ * @desc    iCalendar feed of works and exam ranges in the active term
+ * @access  Public (token in URL)
+ */
+export async function getCalendarFeed(req, res) {
+    try {
+        const ics = await calendarService.getCalendarFeed(req.params.token);
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', 'inline; filename="workload.ics"');
+        res.setHeader('Cache-Control', 'private, max-age=900');
+        res.status(200).send(ics);
+    } catch (error) {
+        handleError(res, error);
+    }
+}
+
+/**
+ * Centralized error handler
+ */
+function handleError(res, error) {
+    console.error('[Calendar Controller] Error:', error.message);
+
+    if (error instanceof BusinessError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+    });
+}
@@ -5,6 +5,7 @@
 
 import * as dashboardService from '../services/dashboard.service.js';
 import { parseOptionalPositiveInt, parseYearLevels } from '../services/dashboard.service.js';
+import * as workloadOverloadService from '../services/workloadOverload.service.js';
 
 function handleDashboardError(res, error, fallbackMessage) {
     const statusCode = error.statusCode || 500;
@@ -22,7 +23,7 @@ export async function getSummaryStatistics(req, res) {
     try {
         const termId = parseOptionalPositiveInt(req.query.termId, 'termId');
 
-        const result = await dashboardService.getSummaryStatistics(termId);
+        const result = await dashboardService.getSummaryStatistics(termId, req.user.facultyId);
 
         res.status(200).json({
             success: true,
@@ -42,7 +43,7 @@ export async function getAverageWorkload(req, res) {
     try {
         const termId = parseOptionalPositiveInt(req.query.termId, 'termId');
 
-        const result = await dashboardService.getAverageWorkload(termId);
+        const result = await dashboardService.getAverageWorkload(termId, req.user.facultyId);
 
         res.status(200).json({
             success: true,
@@ -61,11 +62,12 @@ export async function getAverageWorkload(req, res) {
 export async function getWorkloadChart(req, res) {
     try {
         const termId = parseOptionalPositiveInt(req.query.termId, 'termId');
-        const yearLevels = parseYearLevels(req.query.years);
+        // ไม่ระบุ years → นักศึกษาเห็นชั้นปีตัวเอง, บุคลากรเห็นทุกชั้นปี
+        const yearLevels = req.query.years ? parseYearLevels(req.query.years) : null;
 
         console.log('[getWorkloadChart] 📊 Request:', { termId, yearLevels });
 
-        const result = await dashboardService.getWorkloadChart(termId, yearLevels);
+        const result = await dashboardService.getWorkloadChart(termId, yearLevels, req.user);
 
         console.log('[getWorkloadChart] ✅ Result:', {
             termId: result.termId,
@@ -87,7 +89,7 @@ export async function getWorkloadChart(req, res) {
 
 export async function getActiveTerm(req, res) {
     try {
-        const activeTerm = await dashboardService.getActiveTermInfo();
+        const activeTerm = await dashboardService.getActiveTermInfo(req.user.facultyId);
 
         if (!activeTerm) {
             return res.status(404).json({
@@ -114,7 +116,8 @@ export async function getActiveTerm(req, res) {
 export async function getStudentSubjects(req, res) {
     try {
         const termId = parseOptionalPositiveInt(req.query.termId, 'termId');
-        const result = await dashboardService.getStudentSubjects(termId);
+        const yearLevels = req.query.years ? parseYearLevels(req.query.years) : null;
+        const result = await dashboardService.getStudentSubjects(termId, req.user, yearLevels);
 
         res.status(200).json({
             success: true,
@@ -126,10 +129,33 @@ export async function getStudentSubjects(req, res) {
     }
 }
 
+/**
+ * GET /api/dashboard/overload
+ * ดึงสัปดาห์ที่ภาระงานรวมของชั้นปีเกินกำหนด พร้อมรายวิชาและงานที่เป็นต้นเหตุ
+ */
+export async function getOverload(req, res) {
+    try {
+        const termId = parseOptionalPositiveInt(req.query.termId, 'termId');
+        const yearLevel = parseOptionalPositiveInt(req.query.yearLevel, 'yearLevel');
+        const threshold = parseOptionalPositiveInt(req.query.threshold, 'threshold');
+
+        const result = await workloadOverloadService.getOverloadReport(termId, yearLevel, threshold, req.user.facultyId);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Error in getOverload:', error);
+        return handleDashboardError(res, error, 'เกิดข้อผิดพลาดในการตรวจสอบภาระงานเกินกำหนด');
+    }
+}
+
 export default {
     getSummaryStatistics,
     getAverageWorkload,
     getWorkloadChart,
     getActiveTerm,
-    getStudentSubjects
+    getStudentSubjects,
+    getOverload
 };
@@ -2,8 +2,8 @@ import * as permissionService from '../services/permission.service.js';
 
 export async function getInstructors(req, res) {
     try {
-        const data = await permissionService.getInstructors();
-        return res.status(200).json({ success: true, data });
+        const { instructors, cache } = await permissionService.getInstructors(req.user.facultyId);
+        return res.status(200).json({ success: true, data: instructors, cache });
     } catch (error) {
         return handleError(res, error);
     }
@@ -16,7 +16,8 @@ export async function bulkCreateUsers(req, res) {
         const grouped = await permissionService.bulkUpsertUsersWithRole(
             instructors,
             role,
-            req.user.id
+            req.user.id,
+            req.user.facultyId
         );
 
         return res.status(200).json({
@@ -51,7 +52,7 @@ export async function removeUserRole(req, res) {
 
 export async function getUsersGroupedByRole(req, res) {
     try {
-        const data = await permissionService.getUsersGroupedByRole();
+        const data = await permissionService.getUsersGroupedByRole(req.user.facultyId);
         return res.status(200).json({ success: true, data });
     } catch (error) {
         return handleError(res, error);
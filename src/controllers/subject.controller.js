@@ -63,7 +63,7 @@ export async function createSubject(req, res) {
             student_year_ids,
             count_workload,
             is_active,
-        });
+        }, req.user.facultyId);
 
         console.log('[Subject] ✅ Subject created:', subject.id);
 
@@ -102,7 +102,7 @@ export async function getAllSubjects(req, res) {
             filters.is_active = req.query.is_active === 'true';
         }
 
-        const subjects = await subjectService.getAllSubjects(filters);
+        const subjects = await subjectService.getAllSubjects(req.user.facultyId, filters);
 
         console.log('[Subject] ✅ Retrieved subjects:', subjects.length);
 
@@ -207,7 +207,7 @@ export async function updateSubject(req, res) {
         }
 
         // Update subject
-        const updatedSubject = await subjectService.updateSubject(id, updateData);
+        const updatedSubject = await subjectService.updateSubject(id, updateData, req.user.facultyId);
 
         console.log('[Subject] ✅ Subject updated:', id);
 
@@ -14,7 +14,7 @@ import { ValidationError, BusinessError } from '../utils/termValidation.js';
  */
 export async function getFilterOptions(req, res) {
     try {
-        const options = await termService.getFilterOptions();
+        const options = await termService.getFilterOptions(req.user.facultyId);
 
         res.status(200).json({
             success: true,
@@ -40,7 +40,7 @@ export async function createTerm(req, res) {
             roles: req.user.roles
         });
 
-        const term = await termService.createTerm(req.body, req.user.id);
+        const term = await termService.createTerm(req.body, req.user.id, req.user.facultyId);
 
         res.status(201).json({
             success: true,
@@ -66,7 +66,7 @@ export async function getAllTerms(req, res) {
             status: req.query.status,
         };
 
-        const terms = await termService.getAllTerms(filters);
+        const terms = await termService.getAllTerms(req.user.facultyId, filters);
 
         res.status(200).json({
             success: true,
@@ -85,7 +85,7 @@ export async function getAllTerms(req, res) {
  */
 export async function getActiveTerms(req, res) {
     try {
-        const terms = await termService.getActiveTerms();
+        const terms = await termService.getActiveTerms(req.user.facultyId);
 
         res.status(200).json({
             success: true,
@@ -104,7 +104,7 @@ export async function getActiveTerms(req, res) {
  */
 export async function getEndedTerms(req, res) {
     try {
-        const terms = await termService.getEndedTerms();
+        const terms = await termService.getEndedTerms(req.user.facultyId);
 
         res.status(200).json({
             success: true,
@@ -230,6 +230,33 @@ export async function getTermSubjects(req, res) {
     }
 }
 
+/**
+ * @route   GET /api/terms/:id/calendar
+ * @desc    Get week calendar of a term (week number, date range, week type)
+ * @access  Protected
+ */
+export async function getTermCalendar(req, res) {
+    try {
+        const termId = parseInt(req.params.id);
+
+        if (isNaN(termId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid term ID',
+            });
+        }
+
+        const calendar = await termService.getTermCalendar(termId);
+
+        res.status(200).json({
+            success: true,
+            data: calendar,
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
+
 /**
  * @route   PUT /api/terms/:id/subjects
  * @desc    Update subjects in a term (replace all)
@@ -268,6 +295,47 @@ export async function updateTermSubjects(req, res) {
     }
 }
 
+/**
+ * @route   POST /api/terms/:id/clone-from/:sourceTermId
+ * @desc    Copy subjects, lecturers and (optionally) works from another term
+ * @access  Protected (Academic staff only)
+ */
+export async function cloneTermFrom(req, res) {
+    try {
+        const termId = parseInt(req.params.id);
+        const sourceTermId = parseInt(req.params.sourceTermId);
+
+        if (isNaN(termId) || isNaN(sourceTermId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid term ID',
+            });
+        }
+
+        const options = {
+            includeWorks: isTruthy(req.query.include_works ?? req.body?.include_works),
+            preview: isTruthy(req.query.preview ?? req.body?.preview),
+        };
+
+        const result = await termService.cloneTermFrom(termId, sourceTermId, options, req.user);
+
+        res.status(options.preview ? 200 : 201).json({
+            success: true,
+            message: options.preview ? 'Term clone preview' : 'Term cloned successfully',
+            data: result,
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
+
+/**
+ * Helper: Parse boolean flag from query string or JSON body
+ */
+function isTruthy(value) {
+    return value === true || value === 'true' || value === '1' || value === 1;
+}
+
 /**
  * Centralized error handler
  * Maps error types to appropriate HTTP responses
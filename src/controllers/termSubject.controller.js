@@ -3,6 +3,8 @@
  * HTTP handlers for term subjects and lecturer assignments
  */
 
+import path from 'path';
+import { pipeline } from 'stream';
 import * as termSubjectService from '../services/termSubject.service.js';
 import { BusinessError } from '../utils/termValidation.js';
 
@@ -13,7 +15,7 @@ import { BusinessError } from '../utils/termValidation.js';
  */
 export async function addSubjectToTerm(req, res) {
     try {
-        const termSubject = await termSubjectService.addSubjectToTerm(req.body);
+        const termSubject = await termSubjectService.addSubjectToTerm(req.body, req.user.id, req.user.facultyId);
 
         res.status(201).json({
             success: true,
@@ -441,7 +443,7 @@ export async function assignProfessor(req, res) {
 
 /**
  * @route   GET /api/term-subjects/:id/detail
- * @desc    ดึงข้อมูล term subject โดยละเอียด พร้อมเช็คสิทธิ์
+ * @desc    ดึงข้อมูล term subject โดยละเอียด
  * @access  Protected (Academic staff or assigned professor)
  */
 export async function getTermSubjectDetail(req, res) {
@@ -455,7 +457,7 @@ export async function getTermSubjectDetail(req, res) {
             });
         }
 
-        const termSubject = await termSubjectService.getTermSubjectDetail(termSubjectId, req.user);
+        const termSubject = await termSubjectService.getTermSubjectDetail(termSubjectId);
 
         res.status(200).json({
             success: true,
@@ -505,8 +507,9 @@ export async function submitWorkload(req, res) {
         }
 
         const userId = req.user.id;
+        const { comment } = req.body || {}; // Optional comment for approvers
 
-        const updated = await termSubjectService.submitWorkload(termSubjectId, userId);
+        const updated = await termSubjectService.submitWorkload(termSubjectId, userId, comment);
 
         res.status(200).json({
             success: true,
@@ -520,8 +523,8 @@ export async function submitWorkload(req, res) {
 
 /**
  * @route   POST /api/term-subjects/:termSubjectId/approve-workload
- * @desc    Approve workload submission (Academic Officer only)
- * @access  Protected (Academic Officer)
+ * @desc    Approve the current step of a workload submission (approval chain)
+ * @access  Protected (Program Chair, Academic Officer - must match the current step)
  */
 export async function approveWorkload(req, res) {
     try {
@@ -534,13 +537,15 @@ export async function approveWorkload(req, res) {
             });
         }
 
-        const userId = req.user.id;
+        const { comment } = req.body || {}; // Optional comment
 
-        const updated = await termSubjectService.approveWorkload(termSubjectId, userId);
+        const updated = await termSubjectService.approveWorkload(termSubjectId, req.user, comment);
 
         res.status(200).json({
             success: true,
-            message: 'Workload approved successfully',
+            message: updated.workload_approved === 'approved'
+                ? 'Workload approved successfully'
+                : 'Workload endorsed and forwarded to the next approver',
             data: updated,
         });
     } catch (error) {
@@ -550,8 +555,8 @@ export async function approveWorkload(req, res) {
 
 /**
  * @route   POST /api/term-subjects/:termSubjectId/reject-workload
- * @desc    Reject workload submission (Academic Officer only)
- * @access  Protected (Academic Officer)
+ * @desc    Reject workload submission at the current step and send it back to the professor
+ * @access  Protected (Program Chair, Academic Officer - must match the current step)
  */
 export async function rejectWorkload(req, res) {
     try {
@@ -564,10 +569,16 @@ export async function rejectWorkload(req, res) {
             });
         }
 
-        const userId = req.user.id;
-        const { reason } = req.body; // Optional rejection reason
+        const reason = String(req.body?.reason || '').trim();
 
-        const updated = await termSubjectService.rejectWorkload(termSubjectId, userId, reason);
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'Rejection reason is required',
+            });
+        }
+
+        const updated = await termSubjectService.rejectWorkload(termSubjectId, req.user, reason);
 
         res.status(200).json({
             success: true,
@@ -579,9 +590,59 @@ export async function rejectWorkload(req, res) {
     }
 }
 
+/**
+ * @route   GET /api/term-subjects/:termSubjectId/workload-history
+ * @desc    ดึงประวัติการส่ง/รับรอง/อนุมัติ/ตีกลับภาระงาน
+ * @access  Protected (Academic staff or assigned professor)
+ */
+export async function getWorkloadHistory(req, res) {
+    try {
+        const termSubjectId = parseInt(req.params.termSubjectId);
+
+        if (isNaN(termSubjectId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid term subject ID',
+            });
+        }
+
+        const history = await termSubjectService.getWorkloadHistory(termSubjectId);
+
+        res.status(200).json({
+            success: true,
+            count: history.length,
+            data: history,
+        });
+    } catch (error) {
+        return handleError(res, error);
+    }
+}
+
 /**
  * Centralized error handler
  */
+/**
+ * stream ไฟล์จาก storage (local/s3) ตรงไปยัง client
+ * @param {Object} file - { stream, size, contentType }
+ * @param {Object} options - { filename, disposition: 'inline' | 'attachment' }
+ */
+function sendStoredFile(res, file, { filename, disposition }) {
+    res.setHeader(
+        'Content-Disposition',
+        `${disposition}; filename*=UTF-8''${encodeURIComponent(filename)}`
+    );
+    res.type(file.contentType || path.extname(filename) || 'application/octet-stream');
+    if (file.size) {
+        res.setHeader('Content-Length', file.size);
+    }
+
+    pipeline(file.stream, res, (error) => {
+        if (error) {
+            console.error('[Term Subject Controller] Document stream failed:', error.message);
+        }
+    });
+}
+
 function handleError(res, error) {
     console.error('[Term Subject Controller] Error:', error.message);
 
@@ -660,6 +721,7 @@ export async function uploadDocument(req, res) {
         }
 
         if (!document_type) {
+            await termSubjectService.discardUploadedFile(file);
             return res.status(400).json({
                 success: false,
                 message: 'Document type is required',
@@ -764,21 +826,92 @@ export async function downloadDocument(req, res) {
             });
         }
 
-        const { document, absolutePath } = await termSubjectService.getDocumentFile(
+        const { document, file } = await termSubjectService.getDocumentFile(
+            termSubjectId,
+            documentId
+        );
+
+        sendStoredFile(res, file, {
+            filename: document.original_name,
+            disposition: isDownload ? 'attachment' : 'inline',
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
+
+/**
+ * @route   GET /api/term-subjects/:id/documents/:documentId/preview
+ * @desc    ดูตัวอย่างเอกสารในหน้าตรวจ (PDF แสดงในเบราว์เซอร์ หรือภาพหน้าแรก)
+ * @access  Protected (Bearer header หรือลิงก์ที่ลงลายเซ็น)
+ *
+ * Query:
+ * - variant=thumbnail => ภาพหน้าแรก (PNG)
+ * - default           => PDF (DOCX ที่แปลงแล้ว)
+ *
+ * Headers: X-Page-Count (ถ้าทราบจำนวนหน้า)
+ */
+export async function previewDocument(req, res) {
+    try {
+        const termSubjectId = parseInt(req.params.id);
+        const documentId = parseInt(req.params.documentId);
+
+        if (isNaN(termSubjectId) || isNaN(documentId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid term subject ID or document ID',
+            });
+        }
+
+        const variant = req.query.variant || 'pdf';
+        const { document, file } = await termSubjectService.getDocumentPreview(
             termSubjectId,
             documentId,
-            req.user
+            variant
         );
 
-        if (isDownload) {
-            return res.download(absolutePath, document.original_name);
+        if (document.page_count) {
+            res.setHeader('X-Page-Count', document.page_count);
         }
 
-        res.setHeader(
-            'Content-Disposition',
-            `inline; filename*=UTF-8''${encodeURIComponent(document.original_name)}`
+        const baseName = path.parse(document.original_name).name;
+        sendStoredFile(res, file, {
+            filename: variant === 'thumbnail' ? `${baseName}.png` : `${baseName}.pdf`,
+            disposition: 'inline',
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
+
+/**
+ * @route   POST /api/term-subjects/:id/documents/:documentId/link
+ * @desc    สร้างลิงก์ดูเอกสารที่ลงลายเซ็นและหมดอายุ (เปิดในแท็บใหม่/แนบอีเมลได้โดยไม่ต้องมี Bearer header)
+ * @access  Protected
+ */
+export async function createDocumentLink(req, res) {
+    try {
+        const termSubjectId = parseInt(req.params.id);
+        const documentId = parseInt(req.params.documentId);
+
+        if (isNaN(termSubjectId) || isNaN(documentId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid term subject ID or document ID',
+            });
+        }
+
+        const link = await termSubjectService.createDocumentLink(
+            termSubjectId,
+            documentId,
+            req.user.id,
+            `${req.protocol}://${req.get('host')}`
         );
-        return res.sendFile(absolutePath);
+
+        res.status(201).json({
+            success: true,
+            data: link,
+        });
     } catch (error) {
         handleError(res, error);
     }
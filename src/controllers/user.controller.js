@@ -15,7 +15,7 @@ export async function getProfessors(req, res) {
     try {
         console.log('[User Controller] 📥 Get professors request');
 
-        const professors = await userService.getProfessors();
+        const professors = await userService.getProfessors(req.user.facultyId);
 
         return res.status(200).json({
             success: true,
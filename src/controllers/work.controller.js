@@ -13,6 +13,8 @@
 
 import * as workService from '../services/work.service.js';
 import { WorkValidationError } from '../utils/workValidation.js';
+import { EXPORT_FORMATS, WORK_EXPORT_COLUMNS, buildExportFileName } from '../utils/workExport.js';
+import { writeCsvStream, writeXlsxStream, XLSX_MIME_TYPE } from '../utils/spreadsheet.js';
 
 /**
  * Common error handler
@@ -59,7 +61,7 @@ function handleError(res, error) {
 /**
  * @route   POST /api/term-subjects/:termSubjectId/works
  * @desc    เพิ่มภาระงาน (workload) ใหม่
- * @access  Protected (Academic Officer only)
+ * @access  Protected (Academic Officer, or assigned lecturer while workload is pending)
  * 
  * Body:
  * {
@@ -74,13 +76,13 @@ function handleError(res, error) {
  * {
  *   "success": true,
  *   "message": "Workload created successfully",
- *   "data": { ...workload object }
+ *   "data": { ...workload object },
+ *   "warnings": [ ...overload warnings (ถ้ามี) ]
  * }
  */
 export async function createWork(req, res) {
     try {
         const termSubjectId = parseInt(req.params.termSubjectId);
-        const userId = req.user.id; // จาก auth middleware
         const workData = req.body;
 
         // ตรวจสอบ termSubjectId ถูกต้อง
@@ -93,7 +95,7 @@ export async function createWork(req, res) {
         }
 
         // เรียก service
-        const newWork = await workService.createWork(termSubjectId, workData, userId);
+        const { work: newWork, warnings } = await workService.createWork(termSubjectId, workData, req.user);
 
         // ส่ง response
         res.status(201).json({
@@ -101,6 +103,68 @@ export async function createWork(req, res) {
             message: 'Workload created successfully',
             code: 'WORKLOAD_CREATED',
             data: newWork,
+            warnings,
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
+
+/**
+ * @route   POST /api/term-subjects/:termSubjectId/works/import
+ * @desc    นำเข้าภาระงานหลายรายการจากไฟล์ CSV/XLSX
+ * @access  Protected (Academic Officer only)
+ * 
+ * Form data:
+ * - file: ไฟล์ .csv หรือ .xlsx (แถวแรกเป็น header: work_title, description, start_date, end_date, hours_per_week และ work_type_id ถ้ามี)
+ * - mode: "dry-run" (default) ตรวจสอบอย่างเดียว | "commit" บันทึกทั้งหมดแบบ atomic
+ * 
+ * Response (200 dry-run / 201 commit):
+ * {
+ *   "success": true,
+ *   "data": { dryRun, total, valid, invalid, rows: [{ row, data, valid, errors }], works, warnings }
+ * }
+ */
+export async function importWorks(req, res) {
+    try {
+        const termSubjectId = parseInt(req.params.termSubjectId);
+        const mode = (req.query.mode || req.body?.mode || 'dry-run').toString().toLowerCase();
+
+        if (isNaN(termSubjectId) || termSubjectId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid term subject ID',
+                code: 'INVALID_TERM_SUBJECT_ID',
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No file uploaded',
+                code: 'NO_FILE_UPLOADED',
+            });
+        }
+
+        if (!['dry-run', 'commit'].includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'mode must be "dry-run" or "commit"',
+                code: 'INVALID_IMPORT_MODE',
+            });
+        }
+
+        const result = await workService.importWorks(termSubjectId, req.file, req.user, {
+            dryRun: mode === 'dry-run',
+        });
+
+        res.status(result.dryRun ? 200 : 201).json({
+            success: true,
+            message: result.dryRun
+                ? 'Import validated (dry-run, nothing saved)'
+                : 'Workloads imported successfully',
+            code: result.dryRun ? 'WORKLOAD_IMPORT_VALIDATED' : 'WORKLOAD_IMPORTED',
+            data: result,
         });
     } catch (error) {
         handleError(res, error);
@@ -176,9 +240,9 @@ export async function getWorkByTermSubject(req, res) {
 }
 
 /**
- * @route   PUT /api/works/:workId
+ * @route   PUT /api/term-subjects/:termSubjectId/works/:workId
  * @desc    อัพเดท workload
- * @access  Protected (Academic Officer only)
+ * @access  Protected (Academic Officer, or assigned lecturer while workload is pending)
  * 
  * Body (partial update):
  * {
@@ -193,15 +257,24 @@ export async function getWorkByTermSubject(req, res) {
  * {
  *   "success": true,
  *   "message": "Workload updated successfully",
- *   "data": { ...updated workload object }
+ *   "data": { ...updated workload object },
+ *   "warnings": [ ...overload warnings (ถ้ามี) ]
  * }
  */
 export async function updateWork(req, res) {
     try {
+        const termSubjectId = parseInt(req.params.termSubjectId);
         const workId = parseInt(req.params.workId);
-        const userId = req.user.id;
         const updateData = req.body;
 
+        if (isNaN(termSubjectId) || termSubjectId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid term subject ID',
+                code: 'INVALID_TERM_SUBJECT_ID',
+            });
+        }
+
         if (isNaN(workId) || workId <= 0) {
             return res.status(400).json({
                 success: false,
@@ -219,13 +292,14 @@ export async function updateWork(req, res) {
             });
         }
 
-        const updatedWork = await workService.updateWork(workId, updateData, userId);
+        const { work: updatedWork, warnings } = await workService.updateWork(termSubjectId, workId, updateData, req.user);
 
         res.status(200).json({
             success: true,
             message: 'Workload updated successfully',
             code: 'WORKLOAD_UPDATED',
             data: updatedWork,
+            warnings,
         });
     } catch (error) {
         handleError(res, error);
@@ -233,9 +307,9 @@ export async function updateWork(req, res) {
 }
 
 /**
- * @route   DELETE /api/works/:workId
+ * @route   DELETE /api/term-subjects/:termSubjectId/works/:workId
  * @desc    ลบ workload
- * @access  Protected (Academic Officer only)
+ * @access  Protected (Academic Officer, or assigned lecturer while workload is pending)
  * 
  * Response (200):
  * {
@@ -245,8 +319,17 @@ export async function updateWork(req, res) {
  */
 export async function deleteWork(req, res) {
     try {
+        const termSubjectId = parseInt(req.params.termSubjectId);
         const workId = parseInt(req.params.workId);
 
+        if (isNaN(termSubjectId) || termSubjectId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid term subject ID',
+                code: 'INVALID_TERM_SUBJECT_ID',
+            });
+        }
+
         if (isNaN(workId) || workId <= 0) {
             return res.status(400).json({
                 success: false,
@@ -255,7 +338,7 @@ export async function deleteWork(req, res) {
             });
         }
 
-        await workService.deleteWork(workId);
+        await workService.deleteWork(termSubjectId, workId, req.user);
 
         res.status(200).json({
             success: true,
@@ -267,6 +350,40 @@ export async function deleteWork(req, res) {
     }
 }
 
+/**
+ * @route   GET /api/term-subjects/:termSubjectId/works/changes
+ * @desc    ดึงประวัติการสร้าง/แก้ไข/ลบ workload ของ term_subject (ใคร เปลี่ยนอะไร เมื่อไร)
+ * @access  Protected (Academic staff or assigned lecturer)
+ * 
+ * Response (200):
+ * {
+ *   "success": true,
+ *   "data": [{ work_id, actor_id, actor_name, actor_role, action, changes: { field: { from, to } }, changed_at }]
+ * }
+ */
+export async function getWorkChanges(req, res) {
+    try {
+        const termSubjectId = parseInt(req.params.termSubjectId);
+
+        if (isNaN(termSubjectId) || termSubjectId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid term subject ID',
+                code: 'INVALID_TERM_SUBJECT_ID',
+            });
+        }
+
+        const changes = await workService.getWorkChanges(termSubjectId);
+
+        res.status(200).json({
+            success: true,
+            data: changes,
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
+
 /**
  * @route   GET /api/terms/:termId/works
  * @desc    ดึง workload ทั้งหมดของ term
@@ -302,3 +419,88 @@ export async function getWorksByTerm(req, res) {
         handleError(res, error);
     }
 }
+
+/**
+ * @route   GET /api/terms/:id/works/exam-overlaps
+ * @desc    รายงาน workload ในเทอมที่ทับช่วงสอบกลางภาค/ปลายภาค
+ * @access  Protected (Academic Officer, Program Chair)
+ * 
+ * Response (200):
+ * {
+ *   "success": true,
+ *   "data": { termId, midterm, final, total, works: [{ workId, subjectCode, workTitle, ..., warnings }] }
+ * }
+ */
+export async function getExamOverlapsByTerm(req, res) {
+    try {
+        const termId = parseInt(req.params.id);
+
+        if (isNaN(termId) || termId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid term ID',
+                code: 'INVALID_TERM_ID',
+            });
+        }
+
+        const report = await workService.getExamOverlapsByTerm(termId);
+
+        res.status(200).json({
+            success: true,
+            data: report,
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
+
+/**
+ * @route   GET /api/terms/:id/works/export?format=csv|xlsx
+ * @desc    Export workload ทั้งหมดของ term เป็น CSV หรือ XLSX
+ *          (รหัส/ชื่อวิชา, ชั้นปี, อาจารย์ผู้รับผิดชอบ, วันที่, ชั่วโมงต่อสัปดาห์)
+ * @access  Protected (Academic Officer, Program Chair)
+ * 
+ * Response (200): ไฟล์แนบ (Content-Disposition: attachment)
+ */
+export async function exportWorksByTerm(req, res) {
+    try {
+        const termId = parseInt(req.params.id);
+        const format = (req.query.format || 'csv').toString().toLowerCase();
+
+        if (isNaN(termId) || termId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid term ID',
+                code: 'INVALID_TERM_ID',
+            });
+        }
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+                code: 'INVALID_EXPORT_FORMAT',
+            });
+        }
+
+        const { term, records } = await workService.getWorksForExport(termId);
+
+        res.status(200);
+        res.attachment(buildExportFileName(term, format));
+
+        if (format === 'xlsx') {
+            res.type(XLSX_MIME_TYPE);
+            await writeXlsxStream(res, 'works', WORK_EXPORT_COLUMNS, records);
+        } else {
+            res.type('text/csv; charset=utf-8');
+            writeCsvStream(res, WORK_EXPORT_COLUMNS, records);
+        }
+    } catch (error) {
+        // ถ้าเริ่มส่งไฟล์ไปแล้ว ส่ง JSON error ไม่ได้ — ตัดการเชื่อมต่อแทน
+        if (res.headersSent) {
+            console.error('[Work Controller] Export stream failed:', error);
+            return res.destroy(error);
+        }
+        handleError(res, error);
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * Work Effort Controller
+ * HTTP layer สำหรับชั่วโมงจริงที่นักศึกษารายงานต่อภาระงาน
+ */
+
+import * as workEffortService from '../services/workEffort.service.js';
+import { WorkValidationError } from '../utils/workValidation.js';
+
+function handleError(res, error) {
+    console.error('[Work Effort Controller] Error:', error.message);
+
+    if (error instanceof WorkValidationError) {
+        return res.status(error.statusCode || 400).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            details: error.details || [],
+        });
+    }
+
+    if (error.name === 'BusinessError') {
+        return res.status(error.statusCode || 400).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        code: 'INTERNAL_SERVER_ERROR',
+    });
+}
+
+/**
+ * @route   POST /api/works/:workId/effort
+ * @desc    นักศึกษารายงานชั่วโมงจริงของภาระงานในสัปดาห์หนึ่ง (รายงานซ้ำจะแทนที่ค่าเดิม)
+ * @access  Protected (Student only)
+ *
+ * Body: { "week": 3, "hours": 4.5 }
+ */
+export async function logEffort(req, res) {
+    try {
+        const workId = parseInt(req.params.workId);
+
+        if (isNaN(workId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid work ID',
+                code: 'INVALID_WORK_ID',
+            });
+        }
+
+        const effort = await workEffortService.logEffort(workId, req.user.id, req.body || {});
+
+        res.status(201).json({
+            success: true,
+            message: 'Effort recorded successfully',
+            data: {
+                work_id: effort.work_id,
+                week: effort.week,
+                hours: Number(effort.hours),
+                updated_at: effort.updated_at,
+            },
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
+
+/**
+ * @route   GET /api/works/:workId/effort
+ * @desc    สถิติชั่วโมงจริง (count, median, p90) เทียบกับชั่วโมงที่วางแผน แยกรายสัปดาห์
+ * @access  Protected (Academic Officer, Program Chair, or lecturer assigned to the subject)
+ */
+export async function getWorkEffortStats(req, res) {
+    try {
+        const workId = parseInt(req.params.workId);
+
+        if (isNaN(workId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid work ID',
+                code: 'INVALID_WORK_ID',
+            });
+        }
+
+        const stats = await workEffortService.getWorkEffortStats(workId);
+
+        res.status(200).json({
+            success: true,
+            data: stats,
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
+
+/**
+ * @route   GET /api/term-subjects/:termSubjectId/works/effort
+ * @desc    สถิติชั่วโมงจริงของทุกภาระงานในรายวิชา เทียบกับชั่วโมงที่วางแผน
+ * @access  Protected (Academic Officer, Program Chair, or lecturer assigned to the subject)
+ */
+export async function getTermSubjectEffortSummary(req, res) {
+    try {
+        const termSubjectId = parseInt(req.params.termSubjectId);
+
+        if (isNaN(termSubjectId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid term subject ID',
+                code: 'INVALID_TERM_SUBJECT_ID',
+            });
+        }
+
+        const summary = await workEffortService.getTermSubjectEffortSummary(termSubjectId);
+
+        res.status(200).json({
+            success: true,
+            data: summary,
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
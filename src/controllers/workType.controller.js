@@ -0,0 +1,132 @@
+/**
+ * Work Type Controller
+ * HTTP layer สำหรับจัดการประเภทภาระงาน
+ */
+
+import * as workTypeService from '../services/workType.service.js';
+import { WorkValidationError } from '../utils/workValidation.js';
+
+function handleError(res, error) {
+    console.error('[Work Type Controller] Error:', error.message);
+
+    if (error instanceof WorkValidationError) {
+        return res.status(error.statusCode || 400).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            details: error.details || [],
+        });
+    }
+
+    if (error.name === 'BusinessError') {
+        return res.status(error.statusCode || 400).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        code: 'INTERNAL_SERVER_ERROR',
+    });
+}
+
+function parseWorkTypeId(req, res) {
+    const workTypeId = parseInt(req.params.id);
+
+    if (isNaN(workTypeId)) {
+        res.status(400).json({
+            success: false,
+            message: 'Invalid work type ID',
+            code: 'INVALID_WORK_TYPE_ID',
+        });
+        return null;
+    }
+
+    return workTypeId;
+}
+
+/**
+ * @route   GET /api/work-types
+ * @desc    ดึงประเภทภาระงาน
+ * @query   include_inactive (optional) - "true" เพื่อรวมประเภทที่ปิดใช้งาน
+ * @access  Protected
+ */
+export async function getWorkTypes(req, res) {
+    try {
+        const includeInactive = req.query.include_inactive === 'true';
+        const workTypes = await workTypeService.listWorkTypes(includeInactive);
+
+        res.status(200).json({
+            success: true,
+            data: workTypes,
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
+
+/**
+ * @route   POST /api/work-types
+ * @desc    สร้างประเภทภาระงาน
+ * @access  Protected (Academic Officer only)
+ */
+export async function createWorkType(req, res) {
+    try {
+        const workType = await workTypeService.createWorkType(req.body || {}, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Work type created successfully',
+            data: workType,
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
+
+/**
+ * @route   PUT /api/work-types/:id
+ * @desc    แก้ไขประเภทภาระงาน
+ * @access  Protected (Academic Officer only)
+ */
+export async function updateWorkType(req, res) {
+    try {
+        const workTypeId = parseWorkTypeId(req, res);
+        if (workTypeId === null) return;
+
+        const workType = await workTypeService.updateWorkType(workTypeId, req.body || {}, req.user.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Work type updated successfully',
+            data: workType,
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
+
+/**
+ * @route   DELETE /api/work-types/:id
+ * @desc    ปิดใช้งานประเภทภาระงาน (ภาระงานเดิมยังคงประเภทไว้)
+ * @access  Protected (Academic Officer only)
+ */
+export async function deactivateWorkType(req, res) {
+    try {
+        const workTypeId = parseWorkTypeId(req, res);
+        if (workTypeId === null) return;
+
+        const workType = await workTypeService.deactivateWorkType(workTypeId, req.user.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Work type deactivated successfully',
+            data: workType,
+        });
+    } catch (error) {
+        handleError(res, error);
+    }
+}
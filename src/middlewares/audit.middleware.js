@@ -0,0 +1,99 @@
+/**
+ * Audit Middleware
+ * บันทึก audit_events ให้ route ที่เปลี่ยนข้อมูล (POST/PUT/PATCH/DELETE)
+ *
+ * ใช้งาน:
+ * router.put('/:id', authMiddleware, authorizeRoles(...), auditAction('term.update', { param: 'id' }), controller.method)
+ * router.post('/', authMiddleware, auditAction('term.create'), controller.method)   // id มาจาก response data.id
+ *
+ * หมายเหตุ:
+ * - ต้องใช้หลัง authMiddleware (ต้องมี req.user) และหลัง middleware ตรวจสิทธิ์
+ * - บันทึกเฉพาะ response ที่สำเร็จ (status < 400) หลังส่ง response แล้ว
+ * - entity ที่มี loader ใน audit.service จะโหลด snapshot ก่อน/หลังจากฐานข้อมูล
+ *   entity อื่นหรือ snapshot: 'response' ใช้ response data เป็น "after"
+ */
+
+import { hasEntityLoader, loadEntitySnapshot, recordAuditEvent } from '../services/audit.service.js';
+import { toAuditSnapshot, diffSnapshots } from '../utils/audit.js';
+
+/**
+ * สร้าง middleware บันทึก audit event
+ * @param {string} action - ชื่อ action เช่น 'term.update', 'workload.approve'
+ * @param {Object} options
+ * @param {string} options.entityType - ประเภท entity (default = prefix ของ action)
+ * @param {string} options.param - ชื่อ route param ของ entity id
+ * @param {Function} options.resolveId - (req) => id ใช้แทน param (เช่น key ผสม)
+ * @param {string} options.snapshot - 'entity' (default ถ้ามี loader) | 'response'
+ * @param {Function} options.skip - (req) => true ถ้าไม่ต้องบันทึก (เช่น preview / dry-run)
+ * @returns {Function} Express middleware
+ */
+export function auditAction(action, {
+    entityType = action.split('.')[0],
+    param,
+    resolveId,
+    snapshot,
+    skip,
+} = {}) {
+    const getId = resolveId || ((req) => (param ? req.params[param] : null));
+    const useLoader = snapshot !== 'response' && hasEntityLoader(entityType);
+
+    return async (req, res, next) => {
+        if (skip && skip(req)) return next();
+
+        const entityId = getId(req) ?? null;
+        let before = null;
+
+        if (useLoader && entityId !== null) {
+            try {
+                before = await loadEntitySnapshot(entityType, entityId);
+            } catch (error) {
+                console.error('[Audit] Failed to load snapshot:', { action, entityId, error: error.message });
+            }
+        }
+
+        let responseBody;
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            responseBody = body;
+            return originalJson(body);
+        };
+
+        res.on('finish', () => {
+            if (res.statusCode >= 400) return;
+
+            recordAfterResponse({ req, res, action, entityType, entityId, before, useLoader, responseBody })
+                .catch((error) => {
+                    console.error('[Audit] Failed to build audit event:', { action, error: error.message });
+                });
+        });
+
+        next();
+    };
+}
+
+async function recordAfterResponse({ req, res, action, entityType, entityId, before, useLoader, responseBody }) {
+    const responseData = responseBody?.data ?? null;
+    const id = entityId ?? responseData?.id ?? null;
+
+    let after;
+    if (useLoader && id !== null) {
+        after = await loadEntitySnapshot(entityType, id);
+    } else {
+        after = req.method === 'DELETE' ? null : toAuditSnapshot(responseData);
+    }
+
+    await recordAuditEvent({
+        actorId: req.user?.id ?? null,
+        actorRole: (req.user?.roles || []).join(', '),
+        action,
+        entityType,
+        entityId: id,
+        before,
+        after,
+        changes: diffSnapshots(before, after),
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        statusCode: res.statusCode,
+    });
+}
@@ -1,12 +1,15 @@
 import jwt from 'jsonwebtoken';
 import config from '../config/env.js';
+import { resolveUserAccess } from '../services/roleResolver.service.js';
 
 /**
  * Authentication Middleware
  * Verifies JWT token from Authorization header
- * Attaches decoded user data to req.user
+ * Attaches user id + current roles + faculty to req.user
+ * (roles/คณะมาจากฐานข้อมูลผ่าน roleResolver ไม่ใช่จาก JWT เพื่อให้สิทธิ์ที่เปลี่ยนมีผลทันที)
  */
-export const authMiddleware = (req, res, next) => {
+export const authMiddleware = async (req, res, next) => {
+    let decoded;
     try {
         console.log('[Auth Middleware] 🔍 Checking request:', req.method, req.url);
 
@@ -36,18 +39,7 @@ export const authMiddleware = (req, res, next) => {
         }
 
         // Verify token
-        const decoded = jwt.verify(token, config.jwt.secret);
-
-        // Attach user data to request
-        // req.user = { id, roles }
-        req.user = {
-            id: decoded.sub,
-            roles: decoded.roles || [],
-        };
-
-        console.log('[Auth] ✅ Token verified for user:', decoded.sub, 'roles:', decoded.roles);
-
-        next();
+        decoded = jwt.verify(token, config.jwt.secret);
     } catch (error) {
         console.error('[Auth] ❌ Token verification failed:', error.message);
 
@@ -70,6 +62,38 @@ export const authMiddleware = (req, res, next) => {
             message: 'Authentication failed',
         });
     }
+
+    let access;
+    try {
+        access = await resolveUserAccess(decoded.sub);
+    } catch (error) {
+        console.error('[Auth] ❌ Role resolution failed:', error.message);
+        return res.status(503).json({
+            success: false,
+            message: 'Unable to verify user roles. Please try again later.',
+            code: 'ROLE_RESOLUTION_FAILED',
+        });
+    }
+
+    // ผู้ใช้ถูกลบออกจากฐานข้อมูลหลังออก token
+    if (!access.facultyId) {
+        return res.status(401).json({
+            success: false,
+            message: 'User not found',
+        });
+    }
+
+    // Attach user data to request
+    // req.user = { id, roles, facultyId } — facultyId ใช้จำกัดข้อมูลให้เห็นเฉพาะคณะของตัวเอง
+    req.user = {
+        id: decoded.sub,
+        roles: access.roles,
+        facultyId: access.facultyId,
+    };
+
+    console.log('[Auth] ✅ Token verified for user:', decoded.sub, 'roles:', access.roles, 'faculty:', access.facultyId);
+
+    next();
 };
 
 export default authMiddleware;
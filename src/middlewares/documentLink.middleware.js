@@ -0,0 +1,72 @@
+/**
+ * Document Link Middleware
+ * ยืนยันตัวตนด้วยลิงก์ดาวน์โหลดที่ลงลายเซ็น (?uid=&expires=&sig=) แทน Bearer header
+ *
+ * ใช้งาน:
+ * router.get('/:id/documents/:documentId/file', authenticateDocumentLink, scopeToFaculty('term_subject'), authorizeTermSubject(ACTIONS.VIEW), ...)
+ *
+ * หมายเหตุ:
+ * - ไม่มี query ของลิงก์ → ใช้ authMiddleware ตามปกติ
+ * - ลิงก์ถูกต้อง → ตั้ง req.user เป็นผู้ใช้ที่ขอลิงก์ (roles/คณะปัจจุบันจากฐานข้อมูล)
+ *   middleware ถัดไปจึงตรวจสิทธิ์เหมือนผู้ใช้คนนั้นเรียกเอง
+ */
+
+import config from '../config/env.js';
+import { authMiddleware } from './auth.middleware.js';
+import { resolveUserAccess } from '../services/roleResolver.service.js';
+import { verifyDocumentLink, DOCUMENT_LINK_STATES } from '../utils/documentLink.js';
+
+export async function authenticateDocumentLink(req, res, next) {
+    const { state, userId } = verifyDocumentLink({
+        termSubjectId: Number(req.params.id),
+        documentId: Number(req.params.documentId),
+        query: req.query,
+    }, config.documentLinks.secret);
+
+    if (state === DOCUMENT_LINK_STATES.MISSING) {
+        return authMiddleware(req, res, next);
+    }
+
+    if (state === DOCUMENT_LINK_STATES.INVALID) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid document link',
+            code: 'INVALID_DOCUMENT_LINK',
+        });
+    }
+
+    if (state === DOCUMENT_LINK_STATES.EXPIRED) {
+        return res.status(401).json({
+            success: false,
+            message: 'Document link expired',
+            code: 'DOCUMENT_LINK_EXPIRED',
+        });
+    }
+
+    let access;
+    try {
+        access = await resolveUserAccess(userId);
+    } catch (error) {
+        console.error('[Document Link] ❌ Role resolution failed:', error.message);
+        return res.status(503).json({
+            success: false,
+            message: 'Unable to verify user roles. Please try again later.',
+            code: 'ROLE_RESOLUTION_FAILED',
+        });
+    }
+
+    if (!access.facultyId) {
+        return res.status(401).json({
+            success: false,
+            message: 'User not found',
+        });
+    }
+
+    req.user = {
+        id: userId,
+        roles: access.roles,
+        facultyId: access.facultyId,
+    };
+
+    next();
+}
@@ -0,0 +1,113 @@
+/**
+ * Resource Policy Middleware
+ * โหลด term_subject จาก request แล้วตรวจสิทธิ์ด้วย utils/policy.js
+ *
+ * ใช้งาน:
+ * router.get('/:id/documents', authMiddleware, authorizeTermSubject(ACTIONS.VIEW), controller.method)
+ * router.post('/', authorizeTermSubject(ACTIONS.UPLOAD, { resolveId: req => req.body.term_subject_id }), ...)
+ * router.get('/:workId/effort', authorizeTermSubject(ACTIONS.VIEW, { param: 'workId', loadResource: loadWorkTermSubjectResource }), ...)
+ *
+ * หมายเหตุ:
+ * - ต้องใช้หลัง authMiddleware (ต้องมี req.user)
+ * - ผ่านแล้วจะตั้ง req.termSubject ให้ controller ใช้ต่อได้
+ */
+
+import { pool } from '../config/db.js';
+import * as termSubjectRepo from '../repositories/termSubject.repository.js';
+import * as workRepo from '../repositories/work.repository.js';
+import { authorize } from '../utils/policy.js';
+
+/**
+ * โหลด term_subject พร้อม user_id ของอาจารย์ในวิชา
+ * @param {number} termSubjectId - ID ของ term_subject
+ * @returns {Promise<Object|null>} term_subject + lecturerIds
+ */
+export async function loadTermSubjectResource(termSubjectId) {
+    const termSubject = await termSubjectRepo.findTermSubjectById(pool, termSubjectId);
+    if (!termSubject) return null;
+
+    const professors = await termSubjectRepo.findProfessorsByTermSubject(pool, termSubjectId);
+    return { ...termSubject, lecturerIds: professors.map(p => p.user_id) };
+}
+
+/**
+ * โหลด term_subject ของ work_details (สำหรับ route ที่รับ workId)
+ * @param {number} workId - ID ของ work_details
+ * @returns {Promise<Object|null>} term_subject + lecturerIds
+ */
+export async function loadWorkTermSubjectResource(workId) {
+    const work = await workRepo.findWorkById(pool, workId);
+    if (!work) return null;
+
+    return loadTermSubjectResource(work.term_subject_id);
+}
+
+/**
+ * สร้าง middleware ตรวจสิทธิ์ระดับ term_subject
+ * @param {string} action - หนึ่งใน ACTIONS
+ * @param {Object} options
+ * @param {string} options.param - ชื่อ route param ของ term_subject id (default 'id')
+ * @param {Function} options.resolveId - (req) => id ใช้แทน param (เช่นจาก body)
+ * @param {Function} options.loadResource - (id) => resource (default loadTermSubjectResource)
+ * @returns {Function} Express middleware
+ */
+export function authorizeTermSubject(action, {
+    param = 'id',
+    resolveId = (req) => req.params[param],
+    loadResource = loadTermSubjectResource,
+} = {}) {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required',
+            });
+        }
+
+        const termSubjectId = Number(resolveId(req));
+        if (!Number.isInteger(termSubjectId) || termSubjectId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid term subject ID',
+                code: 'INVALID_TERM_SUBJECT_ID',
+            });
+        }
+
+        try {
+            const resource = await loadResource(termSubjectId);
+            if (!resource) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Term subject not found',
+                    code: 'TERM_SUBJECT_NOT_FOUND',
+                });
+            }
+
+            const denied = authorize(req.user, action, resource);
+            if (denied) {
+                console.log('[Policy Middleware] ❌ Access denied:', {
+                    action,
+                    termSubjectId,
+                    userId: req.user.id,
+                    code: denied.code,
+                });
+
+                return res.status(denied.statusCode).json({
+                    success: false,
+                    message: denied.message,
+                    code: denied.code,
+                });
+            }
+
+            req.termSubject = resource;
+            next();
+        } catch (error) {
+            console.error('[Policy Middleware] Error:', error.message);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                code: 'INTERNAL_SERVER_ERROR',
+            });
+        }
+    };
+}
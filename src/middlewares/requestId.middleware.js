@@ -0,0 +1,17 @@
+/**
+ * Request ID Middleware
+ * กำหนด req.id ให้ทุก request (ใช้ X-Request-Id ที่ส่งมาถ้ารูปแบบถูกต้อง ไม่งั้นสร้าง UUID ใหม่)
+ * และส่งกลับใน response header เพื่อใช้ตามรอยกับ audit_events / log
+ */
+
+import { randomUUID } from 'crypto';
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/;
+
+export function requestIdMiddleware(req, res, next) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    res.setHeader(REQUEST_ID_HEADER, req.id);
+    next();
+}
@@ -57,13 +57,5 @@ export function authorizeRoles(...allowedRoles) {
     };
 }
 
-/**
- * Constants สำหรับ roles ในระบบ
- * ใช้เพื่อป้องกัน typo และทำให้ refactor ง่าย
- */
-export const ROLES = {
-    ACADEMIC_OFFICER: 'Academic Officer',
-    PROGRAM_CHAIR: 'Program Chair',
-    PROFESSOR: 'Professor',
-    STUDENT: 'Student',
-};
+// roles อยู่ใน constants/roles.js — export ต่อให้ routes import พร้อม authorizeRoles ได้
+export { ROLES, WORKLOAD_APPROVER_ROLES } from '../constants/roles.js';
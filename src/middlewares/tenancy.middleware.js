@@ -0,0 +1,73 @@
+/**
+ * Tenancy Middleware
+ * จำกัดให้ผู้ใช้เข้าถึงได้เฉพาะข้อมูลของคณะตัวเอง (req.user.facultyId)
+ *
+ * ใช้งาน:
+ * router.get('/:id', scopeToFaculty('term'), controller.method)
+ * router.put('/lecturers/:assignmentId', scopeToFaculty('lecturer_assignment', { param: 'assignmentId' }), ...)
+ * router.get('/summary', scopeToFaculty('term', { resolveId: req => req.query.termId }), ...)
+ *
+ * หมายเหตุ:
+ * - ต้องใช้หลัง authMiddleware (ต้องมี req.user)
+ * - entity ของคณะอื่นตอบ 404 เหมือนไม่มีอยู่ (ไม่บอกว่ามี id นี้ในระบบ)
+ * - id ไม่ถูกต้อง/ไม่มี/ไม่พบ entity → ส่งต่อให้ controller ตอบตามเดิม
+ * - route ที่เป็นรายการ/สร้างใหม่ กรองด้วย req.user.facultyId ใน service/repository แทน
+ */
+
+import { pool } from '../config/db.js';
+import { findFacultyIdOf } from '../repositories/tenancy.repository.js';
+
+/**
+ * สร้าง middleware ตรวจว่า entity อยู่ในคณะของผู้ใช้
+ * @param {string} entityType - 'term' | 'subject' | 'program' | 'user' | 'term_subject' | 'lecturer_assignment' | 'work' | 'submission'
+ * @param {Object} options
+ * @param {string} options.param - ชื่อ route param ของ entity id (default 'id')
+ * @param {Function} options.resolveId - (req) => id ใช้แทน param (เช่นจาก query/body)
+ * @returns {Function} Express middleware
+ */
+export function scopeToFaculty(entityType, {
+    param = 'id',
+    resolveId = (req) => req.params[param],
+} = {}) {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required',
+            });
+        }
+
+        const entityId = Number(resolveId(req));
+        if (!Number.isInteger(entityId) || entityId <= 0) {
+            return next();
+        }
+
+        try {
+            const facultyId = await findFacultyIdOf(pool, entityType, entityId);
+
+            if (facultyId !== null && facultyId !== req.user.facultyId) {
+                console.log('[Tenancy Middleware] ❌ Cross-faculty access:', {
+                    entityType,
+                    entityId,
+                    userId: req.user.id,
+                    userFacultyId: req.user.facultyId,
+                });
+
+                return res.status(404).json({
+                    success: false,
+                    message: 'Resource not found',
+                    code: 'NOT_FOUND',
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error('[Tenancy Middleware] Error:', error.message);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                code: 'INTERNAL_SERVER_ERROR',
+            });
+        }
+    };
+}
@@ -2,48 +2,108 @@
  * Upload Middleware
  * 
  * จัดการ file upload ด้วย multer
- * ใช้ memoryStorage เพื่อให้ได้ document_type ก่อนเขียนไฟล์
- * ไฟล์จะถูกเก็บที่ /uploads/term-subjects/{term_subject_id}/{document_type}/
  * 
  * หน้าที่:
- * - รับไฟล์เข้า memory ก่อน
- * - Controller จะเขียนไฟล์จริงหลังจากรู้ document_type แล้ว
+ * - เอกสาร: stream ไฟล์ตรงเข้า storage driver (local/s3) ไม่พักทั้งไฟล์ใน memory
+ *   key = term-subjects/{term_subject_id}/{timestamp}-{uuid}{ext} → req.file.key, req.file.size
+ *   ระหว่าง stream ตรวจชนิดไฟล์จาก magic bytes → req.file.format (service ตรวจกับประเภทเอกสารต่อ)
+ * - ไฟล์นำเข้า CSV/XLSX: พักใน memory (ไฟล์เล็ก ต้อง parse ทั้งไฟล์อยู่แล้ว)
  * - จำกัดประเภทและขนาดไฟล์
  */
 
 import multer from 'multer';
+import { pipeline } from 'stream';
+import { getStorage, buildDocumentKey } from '../services/storage.service.js';
+import { createFileInspector, detectFileFormat } from '../utils/fileSignature.js';
 
-// ใช้ memory storage เพื่อให้ได้ document_type ก่อน
+// memory storage สำหรับไฟล์นำเข้าข้อมูล
 const storage = multer.memoryStorage();
 
+/**
+ * multer storage engine ที่ส่ง stream ไฟล์เข้า storage driver
+ * ใช้ req.params.id (term subject) เป็นส่วนหนึ่งของ key
+ */
+const documentStorage = {
+    _handleFile(req, file, cb) {
+        const key = buildDocumentKey(req.params.id, file.originalname);
+        const inspector = createFileInspector();
+
+        // error จาก stream ต้นทางจะ destroy inspector → put ล้มเหลวตาม
+        pipeline(file.stream, inspector, () => {});
+
+        getStorage()
+            .put(key, inspector, { contentType: file.mimetype })
+            .then(({ size }) => cb(null, { key, size, format: detectFileFormat(inspector.result()) }), cb);
+    },
+
+    // multer เรียกเมื่อ request ล้มเหลวหลังเก็บไฟล์แล้ว (เช่นเกินขนาด)
+    _removeFile(req, file, cb) {
+        getStorage()
+            .remove(file.key)
+            .then(() => cb(null), cb);
+    },
+};
+
+/**
+ * สร้าง file filter จากรายการ mimetype ที่อนุญาต
+ * @param {Array<string>} allowedMimeTypes
+ * @param {string} errorMessage
+ */
+function createFileFilter(allowedMimeTypes, errorMessage) {
+    return (req, file, cb) => {
+        if (allowedMimeTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            const error = new Error(errorMessage);
+            error.statusCode = 400;
+            cb(error, false);
+        }
+    };
+}
+
 // กำหนด file filter (ควบคุมประเภทไฟล์ที่อนุญาต)
-const fileFilter = (req, file, cb) => {
-    // อนุญาตเฉพาะไฟล์ document types
-    const allowedMimeTypes = [
+// คัดกรองจาก mimetype ที่ client ส่งมาเท่านั้น — ชนิดจริงตรวจจากเนื้อหาใน service (utils/fileSignature.js)
+const fileFilter = createFileFilter(
+    [
         'application/pdf',
-        'application/msword',
         'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ],
+    'Invalid file type. Only PDF, Word (DOCX) and Excel (XLSX) files are allowed.'
+);
+
+// file filter สำหรับนำเข้าข้อมูล (CSV / XLSX)
+// browser บางตัวส่ง CSV มาเป็น application/vnd.ms-excel หรือ text/plain
+const spreadsheetFileFilter = createFileFilter(
+    [
+        'text/csv',
+        'application/csv',
+        'text/plain',
         'application/vnd.ms-excel',
         'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        'image/jpeg',
-        'image/png',
-    ];
-    
-    if (allowedMimeTypes.includes(file.mimetype)) {
-        cb(null, true);
-    } else {
-        cb(new Error('Invalid file type. Only PDF, Word, Excel, and images are allowed.'), false);
-    }
-};
+    ],
+    'Invalid file type. Only CSV and XLSX files are allowed.'
+);
 
 // สร้าง multer instance
 const upload = multer({
-    storage: storage,
+    storage: documentStorage,
     fileFilter: fileFilter,
     limits: {
         fileSize: 50 * 1024 * 1024, // จำกัดขนาด 50 MB
     }
 });
 
-// Export middleware สำหรับ single file upload
+const spreadsheetUpload = multer({
+    storage: storage,
+    fileFilter: spreadsheetFileFilter,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // จำกัดขนาด 5 MB
+    }
+});
+
+// Export middleware สำหรับ single file upload (ต้องมี req.params.id และผ่านการตรวจสิทธิ์แล้ว)
 export const uploadSingleFile = upload.single('file');
+
+// Export middleware สำหรับไฟล์นำเข้า CSV/XLSX
+export const uploadSpreadsheetFile = spreadsheetUpload.single('file');
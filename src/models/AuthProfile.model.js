@@ -19,6 +19,8 @@ export class AuthProfile {
         this.department = data.department || '';
         this.faculty = data.faculty || ''; // มีแค่ student
         this.organization = data.organization || ''; // มีแค่ employee
+        // มีแค่ local provider — processLoginUser ใช้เฉพาะเมื่อ AUTH_PROVIDER=local
+        this.grantedRoles = Array.isArray(data.granted_roles) ? data.granted_roles : [];
     }
 
     /**
@@ -19,6 +19,10 @@ export class User {
         this.userType = data.user_type || null;
         this.department = data.department || null;
         this.faculty = data.faculty || null;
+        this.facultyId = data.faculty_id || null;
+        this.program = data.program || null;
+        this.entryYear = data.entry_year || null;
+        this.programId = data.program_id || null;
         this.isActive = data.is_active !== undefined ? data.is_active : true;
         this.createdAt = data.created_at || null;
         this.updatedAt = data.updated_at || null;
@@ -49,6 +53,10 @@ export class User {
             user_type: userData.userType,
             department: userData.department,
             faculty: userData.faculty,
+            faculty_id: userData.facultyId,
+            program: userData.program,
+            entry_year: userData.entryYear,
+            program_id: userData.programId,
             is_active: true,
         });
     }
@@ -68,6 +76,10 @@ export class User {
             user_type: this.userType || null,
             department: this.department || null,
             faculty: this.faculty || null,
+            faculty_id: this.facultyId,
+            program: this.program || null,
+            entry_year: this.entryYear || null,
+            program_id: this.programId,
             is_active: this.isActive,
         };
     }
@@ -112,6 +124,10 @@ export class User {
             userType: this.userType,
             department: this.department,
             faculty: this.faculty,
+            facultyId: this.facultyId,
+            program: this.program,
+            entryYear: this.entryYear,
+            programId: this.programId,
             isActive: this.isActive,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt,
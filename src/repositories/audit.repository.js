@@ -0,0 +1,100 @@
+/**
+ * Audit Repository
+ * Pure SQL สำหรับ audit_events
+ */
+
+/**
+ * บันทึก audit event
+ * @param {Object} client - Database client
+ * @param {Object} event - { actorId, actorRole, action, entityType, entityId, before, after, changes, requestId, method, path, statusCode }
+ * @returns {Promise<Object>} audit_events row
+ */
+export async function insertAuditEvent(client, event) {
+    const sql = `
+        INSERT INTO audit_events (
+            actor_id,
+            actor_role,
+            action,
+            entity_type,
+            entity_id,
+            before_data,
+            after_data,
+            changes,
+            request_id,
+            method,
+            path,
+            status_code,
+            created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+        RETURNING *
+    `;
+
+    const values = [
+        event.actorId ?? null,
+        event.actorRole || null,
+        event.action,
+        event.entityType,
+        event.entityId === undefined || event.entityId === null ? null : String(event.entityId),
+        event.before === undefined ? null : JSON.stringify(event.before),
+        event.after === undefined ? null : JSON.stringify(event.after),
+        JSON.stringify(event.changes || {}),
+        event.requestId || null,
+        event.method,
+        event.path,
+        event.statusCode,
+    ];
+
+    const result = await client.query(sql, values);
+    return result.rows[0];
+}
+
+/**
+ * ค้นหา audit events (ใหม่สุดก่อน)
+ * @param {Object} client - Database client
+ * @param {Object} filters - { facultyId, actorId, action, entityType, entityId, requestId, from, to, limit, offset }
+ * @returns {Promise<{ rows: Array, total: number }>}
+ */
+export async function findAuditEvents(client, filters) {
+    const conditions = [];
+    const values = [];
+    const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replaceAll('?', `$${values.length}`));
+    };
+
+    // เห็นเฉพาะ event ที่ผู้กระทำอยู่ในคณะเดียวกัน
+    if (filters.facultyId) addCondition('u.faculty_id = ?', filters.facultyId);
+    if (filters.actorId) addCondition('ae.actor_id = ?', filters.actorId);
+    // action = "term.delete" หรือ prefix "term" (ทุก action ของ term)
+    if (filters.action) addCondition("(ae.action = ? OR ae.action LIKE ? || '.%')", filters.action);
+    if (filters.entityType) addCondition('ae.entity_type = ?', filters.entityType);
+    if (filters.entityId) addCondition('ae.entity_id = ?', filters.entityId);
+    if (filters.requestId) addCondition('ae.request_id = ?', filters.requestId);
+    if (filters.from) addCondition('ae.created_at >= ?::timestamp', filters.from);
+    if (filters.to) addCondition('ae.created_at <= ?::timestamp', filters.to);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await client.query(
+        `SELECT COUNT(*) AS total FROM audit_events ae LEFT JOIN users u ON ae.actor_id = u.id ${where}`,
+        values
+    );
+
+    const sql = `
+        SELECT
+            ae.*,
+            CONCAT(u.first_name_th, ' ', u.last_name_th) AS actor_name
+        FROM audit_events ae
+        LEFT JOIN users u ON ae.actor_id = u.id
+        ${where}
+        ORDER BY ae.created_at DESC, ae.id DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `;
+
+    const result = await client.query(sql, [...values, filters.limit, filters.offset]);
+
+    return {
+        rows: result.rows,
+        total: parseInt(countResult.rows[0].total, 10),
+    };
+}
@@ -0,0 +1,67 @@
+/**
+ * Calendar Repository
+ * Pure SQL สำหรับ token ของ iCalendar feed
+ */
+
+/**
+ * ดึง token ของผู้ใช้
+ *
+ * @param {Object} client - Database client
+ * @param {number} userId - ID ของผู้ใช้
+ * @returns {Promise<Object|null>} calendar_tokens row
+ */
+export async function findCalendarTokenByUser(client, userId) {
+    const query = `
+        SELECT *
+        FROM calendar_tokens
+        WHERE user_id = $1
+    `;
+
+    const result = await client.query(query, [userId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * สร้างหรือแทนที่ token ของผู้ใช้ (token เดิมจะใช้ไม่ได้ทันที)
+ *
+ * @param {Object} client - Database client
+ * @param {number} userId - ID ของผู้ใช้
+ * @param {string} token - token ใหม่
+ * @returns {Promise<Object>} calendar_tokens row
+ */
+export async function upsertCalendarToken(client, userId, token) {
+    const query = `
+        INSERT INTO calendar_tokens (user_id, token, created_at)
+        VALUES ($1, $2, NOW())
+        ON CONFLICT (user_id)
+        DO UPDATE SET token = EXCLUDED.token,
+                      created_at = NOW(),
+                      last_used_at = NULL
+        RETURNING *
+    `;
+
+    const result = await client.query(query, [userId, token]);
+    return result.rows[0];
+}
+
+/**
+ * หา user จาก token และบันทึกเวลาที่ใช้งานล่าสุด
+ *
+ * @param {Object} client - Database client
+ * @param {string} token - token จาก URL
+ * @returns {Promise<Object|null>} user row (id, username, user_type, entry_year)
+ */
+export async function touchCalendarToken(client, token) {
+    const query = `
+        UPDATE calendar_tokens ct
+        SET last_used_at = NOW()
+        FROM users u
+        WHERE ct.token = $1
+          AND u.id = ct.user_id
+          AND u.is_active = true
+        RETURNING u.id, u.username, u.user_type, u.entry_year, u.faculty_id
+    `;
+
+    const result = await client.query(query, [token]);
+    return result.rows[0] || null;
+}
@@ -20,9 +20,12 @@ export async function getSummaryStats(client, termId) {
             -- 1 รายวิชาทั้งหมด: นับจำนวน term_subjects
             COUNT(ts.id) AS total_subjects,
 
-            -- 2 เค้าโครงรายวิชา: นับวิชาที่มี outline_status = true
+            -- 2 เค้าโครงรายวิชา: นับวิชาที่ส่ง outline แล้วอย่างน้อย 1 รอบ
             COUNT(CASE
-                WHEN ts.outline_status = true THEN 1
+                WHEN EXISTS (
+                    SELECT 1 FROM document_submissions ds
+                    WHERE ds.term_subject_id = ts.id AND ds.document_type = 'outline'
+                ) THEN 1
             END) AS outline_submitted_count,
 
             -- 3 ภาระงาน: นับวิชาที่มี workload_status = true
@@ -30,9 +33,12 @@ export async function getSummaryStats(client, termId) {
                 WHEN ts.workload_status = true THEN 1
             END) AS workload_filled_count,
 
-            -- 4 รายงานผล: นับวิชาที่มี report_status = true
+            -- 4 รายงานผล: นับวิชาที่ส่ง report แล้วอย่างน้อย 1 รอบ
             COUNT(CASE
-                WHEN ts.report_status = true THEN 1
+                WHEN EXISTS (
+                    SELECT 1 FROM document_submissions ds
+                    WHERE ds.term_subject_id = ts.id AND ds.document_type = 'report'
+                ) THEN 1
             END) AS report_submitted_count
 
         FROM term_subjects ts
@@ -99,6 +105,38 @@ export async function getAverageWorkloadByYear(client, termId) {
     return yearData;
 }
 
+/**
+ * ดึงค่าเฉลี่ยภาระงานแยกตามชั้นปีและประเภทภาระงาน (work_types.code)
+ * @param {Object} client - Database client
+ * @param {number} termId - ID ของ term
+ * @returns {Promise<Array>} Array ของ {key: yearLevel, category, hours}
+ */
+export async function getAverageWorkloadByYearAndCategory(client, termId) {
+    const query = `
+        SELECT
+            ssy.student_year AS year_level,
+            wt.code AS category,
+            ROUND(AVG(wd.hours_per_week)::numeric, 1) AS avg_hours
+        FROM term_subjects ts
+        INNER JOIN subjects s ON ts.subject_id = s.id
+        INNER JOIN subjects_student_years ssy_link ON s.id = ssy_link.subject_id
+        INNER JOIN student_years ssy ON ssy_link.student_year_id = ssy.id
+        INNER JOIN work_details wd ON ts.id = wd.term_subject_id
+        LEFT JOIN work_types wt ON wd.work_type_id = wt.id
+        WHERE ts.term_id = $1
+        GROUP BY ssy.student_year, wt.code
+        ORDER BY ssy.student_year ASC, wt.code ASC
+    `;
+
+    const result = await client.query(query, [termId]);
+
+    return result.rows.map(row => ({
+        key: row.year_level,
+        category: row.category,
+        hours: parseFloat(row.avg_hours) || 0
+    }));
+}
+
 /**
  * ดึงข้อมูล Workload Chart แยกตามสัปดาห์
  * สามารถ filter ตาม year_levels ได้
@@ -106,20 +144,19 @@ export async function getAverageWorkloadByYear(client, termId) {
  * @param {Object} client - Database client
  * @param {number} termId - ID ของ term
  * @param {Array<number>} yearLevels - Array ของ year levels ที่ต้องการดู เช่น [1, 2] หรือ [1,2,3,4]
+ * @param {number} weekCount - จำนวนสัปดาห์ของเทอม (จาก buildTermCalendar)
+ * @param {number|null} programId - กรองเฉพาะรายวิชาของหลักสูตรนี้ (null = ทุกหลักสูตร)
  * @returns {Promise<Array>} Array ของ {week, totalHours}
  */
-export async function getWorkloadChartData(client, termId, yearLevels = [1, 2, 3, 4]) {
-    // สร้าง placeholder สำหรับ year_levels
-    const placeholders = yearLevels.map((_, idx) => `$${idx + 2}`).join(',');
+export async function getWorkloadChartData(client, termId, yearLevels = [1, 2, 3, 4], weekCount = 15, programId = null) {
+    // สร้าง placeholder สำหรับ year_levels ($1 = termId, $2 = weekCount, program_id ต่อท้าย)
+    const placeholders = yearLevels.map((_, idx) => `$${idx + 3}`).join(',');
+    const programParam = `$${yearLevels.length + 3}`;
 
     const query = `
-        WITH RECURSIVE weeks AS (
-            -- สร้างตารางสัปดาห์ 1-15
-            SELECT 1 AS week_number
-            UNION ALL
-            SELECT week_number + 1
-            FROM weeks
-            WHERE week_number < 15
+        WITH weeks AS (
+            -- สร้างตารางสัปดาห์ 1..weekCount ตามปฏิทินของเทอม
+            SELECT generate_series(1, $2::int) AS week_number
         ),
         filtered_workloads AS (
             -- ดึงข้อมูล work_details ที่ filter แล้ว
@@ -136,6 +173,7 @@ export async function getWorkloadChartData(client, termId, yearLevels = [1, 2, 3
             INNER JOIN student_years ssy ON ssy_link.student_year_id = ssy.id
             WHERE ts.term_id = $1
               AND ssy.student_year IN (${placeholders})
+              AND (${programParam}::int IS NULL OR s.program_id = ${programParam}::int)
         )
         SELECT
             w.week_number,
@@ -154,7 +192,7 @@ export async function getWorkloadChartData(client, termId, yearLevels = [1, 2, 3
         ORDER BY w.week_number ASC
     `;
 
-    const params = [termId, ...yearLevels];
+    const params = [termId, weekCount, ...yearLevels, programId];
     const result = await client.query(query, params);
 
     return result.rows.map(row => ({
@@ -163,15 +201,76 @@ export async function getWorkloadChartData(client, termId, yearLevels = [1, 2, 3
     }));
 }
 
+/**
+ * ดึงชั่วโมงภาระงานรายสัปดาห์แยกตามประเภทภาระงาน (work_types.code)
+ * ใช้เงื่อนไขสัปดาห์เดียวกับ getWorkloadChartData
+ *
+ * @param {Object} client - Database client
+ * @param {number} termId - ID ของ term
+ * @param {Array<number>} yearLevels - Array ของ year levels
+ * @param {number} weekCount - จำนวนสัปดาห์ของเทอม
+ * @param {number|null} programId - กรองเฉพาะรายวิชาของหลักสูตรนี้ (null = ทุกหลักสูตร)
+ * @returns {Promise<Array>} Array ของ {key: week, category, hours} (เฉพาะสัปดาห์ที่มีชั่วโมง)
+ */
+export async function getWorkloadChartCategoryData(client, termId, yearLevels = [1, 2, 3, 4], weekCount = 15, programId = null) {
+    const placeholders = yearLevels.map((_, idx) => `$${idx + 3}`).join(',');
+    const programParam = `$${yearLevels.length + 3}`;
+
+    const query = `
+        WITH weeks AS (
+            SELECT generate_series(1, $2::int) AS week_number
+        ),
+        filtered_workloads AS (
+            SELECT
+                wd.hours_per_week,
+                wd.start_date,
+                wd.end_date,
+                t.term_start_date,
+                wt.code AS category
+            FROM work_details wd
+            INNER JOIN term_subjects ts ON wd.term_subject_id = ts.id
+            INNER JOIN terms t ON ts.term_id = t.id
+            INNER JOIN subjects s ON ts.subject_id = s.id
+            INNER JOIN subjects_student_years ssy_link ON s.id = ssy_link.subject_id
+            INNER JOIN student_years ssy ON ssy_link.student_year_id = ssy.id
+            LEFT JOIN work_types wt ON wd.work_type_id = wt.id
+            WHERE ts.term_id = $1
+              AND ssy.student_year IN (${placeholders})
+              AND (${programParam}::int IS NULL OR s.program_id = ${programParam}::int)
+        )
+        SELECT
+            w.week_number,
+            fw.category,
+            SUM(fw.hours_per_week) AS total_hours
+        FROM weeks w
+        INNER JOIN filtered_workloads fw
+            ON fw.start_date <= (fw.term_start_date + ((w.week_number) * INTERVAL '7 days'))
+           AND fw.end_date >= (fw.term_start_date + ((w.week_number - 1) * INTERVAL '7 days'))
+        GROUP BY w.week_number, fw.category
+        ORDER BY w.week_number ASC
+    `;
+
+    const params = [termId, weekCount, ...yearLevels, programId];
+    const result = await client.query(query, params);
+
+    return result.rows.map(row => ({
+        key: row.week_number,
+        category: row.category,
+        hours: parseFloat(row.total_hours) || 0
+    }));
+}
+
 /**
  * ดึงข้อมูล Active Term (Hybrid approach)
  * 1. หา term ที่ถูก set is_active = true
  * 2. fallback: หา term ที่วันปัจจุบันอยู่ในช่วง term_start_date ถึง term_end_date
  * 3. fallback: เอา term ล่าสุด
+ * (ทุกขั้นเลือกเฉพาะ term ของคณะที่ระบุ)
  * @param {Object} client - Database client
+ * @param {number} facultyId - คณะของผู้เรียก
  * @returns {Promise<Object|null>} ข้อมูล term หรือ null ถ้าไม่มี
  */
-export async function getActiveTerm(client) {
+export async function getActiveTerm(client, facultyId) {
     // 1 หา term ที่ถูก set active
     const activeQuery = `
         SELECT
@@ -182,11 +281,12 @@ export async function getActiveTerm(client) {
             term_end_date
         FROM terms
         WHERE is_active = true
+          AND faculty_id = $1
         ORDER BY academic_year DESC, academic_sector DESC
         LIMIT 1
     `;
 
-    const activeResult = await client.query(activeQuery);
+    const activeResult = await client.query(activeQuery, [facultyId]);
     if (activeResult.rows[0]) {
         return activeResult.rows[0];
     }
@@ -201,11 +301,12 @@ export async function getActiveTerm(client) {
             term_end_date
         FROM terms
         WHERE CURRENT_DATE BETWEEN term_start_date AND term_end_date
+          AND faculty_id = $1
         ORDER BY academic_year DESC, academic_sector DESC
         LIMIT 1
     `;
 
-    const dateResult = await client.query(dateQuery);
+    const dateResult = await client.query(dateQuery, [facultyId]);
     if (dateResult.rows[0]) {
         return dateResult.rows[0];
     }
@@ -219,11 +320,12 @@ export async function getActiveTerm(client) {
             term_start_date,
             term_end_date
         FROM terms
+        WHERE faculty_id = $1
         ORDER BY academic_year DESC, academic_sector DESC
         LIMIT 1
     `;
 
-    const fallbackResult = await client.query(fallbackQuery);
+    const fallbackResult = await client.query(fallbackQuery, [facultyId]);
     return fallbackResult.rows[0] || null;
 }
 
@@ -234,9 +336,12 @@ export async function getActiveTerm(client) {
  *
  * @param {Object} client - Database client
  * @param {number} termId - Term ID
+ * @param {number} weekCount - จำนวนสัปดาห์ของเทอม (จาก buildTermCalendar)
+ * @param {Array<number>|null} yearLevels - กรองเฉพาะรายวิชาของชั้นปีเหล่านี้ (null = ทุกรายวิชา)
+ * @param {number|null} programId - กรองเฉพาะรายวิชาของหลักสูตรนี้ (null = ทุกหลักสูตร)
  * @returns {Promise<Array>} List of subjects with workload data
  */
-export async function getStudentSubjectsWithWorkload(client, termId) {
+export async function getStudentSubjectsWithWorkload(client, termId, weekCount = 15, yearLevels = null, programId = null) {
     // Simple approach: fetch subjects first, then fetch works and calculate weekly_hours in JS
     // This avoids complex SQL and is more maintainable
 
@@ -262,12 +367,23 @@ export async function getStudentSubjectsWithWorkload(client, termId) {
         LEFT JOIN subjects_student_years ssy ON ssy.subject_id = s.id
         LEFT JOIN student_years sy ON sy.id = ssy.student_year_id
         WHERE ts.term_id = $1 AND ts.is_active = true
+          AND (
+              $2::int[] IS NULL
+              OR EXISTS (
+                  SELECT 1
+                  FROM subjects_student_years fssy
+                  INNER JOIN student_years fsy ON fsy.id = fssy.student_year_id
+                  WHERE fssy.subject_id = s.id
+                    AND fsy.student_year = ANY($2::int[])
+              )
+          )
+          AND ($3::int IS NULL OR s.program_id = $3::int)
         GROUP BY ts.id, s.id, t.term_start_date
         ORDER BY COALESCE(s.code_eng, s.code_th) ASC
     `;
 
     console.log('[getStudentSubjectsWithWorkload] Executing subjects query...');
-    const subjectsResult = await client.query(subjectsQuery, [termId]);
+    const subjectsResult = await client.query(subjectsQuery, [termId, yearLevels, programId]);
     const subjects = subjectsResult.rows;
     console.log('[getStudentSubjectsWithWorkload] Got', subjects.length, 'subjects');
 
@@ -298,7 +414,7 @@ export async function getStudentSubjectsWithWorkload(client, termId) {
 
     // Calculate weekly hours for each subject
     const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
-    const WEEKS = 15;
+    const WEEKS = weekCount;
 
     const result = subjects.map(subject => {
         const termStartDate = new Date(subject.term_start_date);
@@ -343,7 +459,9 @@ export async function getStudentSubjectsWithWorkload(client, termId) {
 export default {
     getSummaryStats,
     getAverageWorkloadByYear,
+    getAverageWorkloadByYearAndCategory,
     getWorkloadChartData,
+    getWorkloadChartCategoryData,
     getActiveTerm,
     getStudentSubjectsWithWorkload
 };
@@ -0,0 +1,54 @@
+/**
+ * Document Quarantine Repository
+ * Pure SQL สำหรับ document_quarantine
+ */
+
+/**
+ * บันทึกไฟล์อัปโหลดที่ตรวจพบไวรัส
+ * @param {Object} client - Database client
+ * @param {Object} data - { termSubjectId, documentType, filePath, originalName, uploadedBy, scanner, signature }
+ * @returns {Promise<Object>}
+ */
+export async function insertQuarantinedDocument(client, {
+    termSubjectId,
+    documentType,
+    filePath,
+    originalName,
+    uploadedBy,
+    scanner,
+    signature,
+}) {
+    const sql = `
+        INSERT INTO document_quarantine (
+            term_subject_id, document_type, file_path, original_name, uploaded_by, scanner, signature
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+    `;
+    const result = await client.query(sql, [
+        termSubjectId,
+        documentType,
+        filePath,
+        originalName,
+        uploadedBy,
+        scanner,
+        signature,
+    ]);
+    return result.rows[0];
+}
+
+/**
+ * ดึง storage key ของไฟล์ที่ถูกกักของ term subject (ใช้ลบไฟล์เมื่อลบ term subject)
+ * @param {Object} client - Database client
+ * @param {number} termSubjectId
+ * @returns {Promise<Array<string>>}
+ */
+export async function findQuarantinedFileKeysByTermSubject(client, termSubjectId) {
+    const sql = `
+        SELECT file_path
+        FROM document_quarantine
+        WHERE term_subject_id = $1
+    `;
+    const result = await client.query(sql, [termSubjectId]);
+    return result.rows.map(row => row.file_path).filter(Boolean);
+}
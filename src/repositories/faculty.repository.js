@@ -0,0 +1,38 @@
+/**
+ * Faculty Repository
+ * Pure SQL สำหรับ faculties (คณะที่ใช้งานระบบ)
+ */
+
+import { pool } from '../config/db.js';
+
+/**
+ * ดึงคณะที่เปิดใช้งานทั้งหมด
+ * @param {Object} client - Database client
+ * @returns {Promise<Array>} [{ id, code, name_th, name_en, is_active }]
+ */
+export async function findActiveFaculties(client = pool) {
+    const sql = `
+        SELECT id, code, name_th, name_en, is_active
+        FROM faculties
+        WHERE is_active = true
+        ORDER BY id ASC
+    `;
+    const result = await client.query(sql);
+    return result.rows;
+}
+
+/**
+ * หาคณะจาก ID
+ * @param {Object} client - Database client
+ * @param {number} facultyId
+ * @returns {Promise<Object|null>}
+ */
+export async function findFacultyById(client, facultyId) {
+    const sql = `
+        SELECT id, code, name_th, name_en, is_active
+        FROM faculties
+        WHERE id = $1
+    `;
+    const result = await client.query(sql, [facultyId]);
+    return result.rows[0] || null;
+}
@@ -0,0 +1,174 @@
+/**
+ * Instructor Directory Repository
+ * Pure SQL สำหรับ instructor_directory และ instructor_directory_refreshes
+ */
+
+/**
+ * ดึงข้อมูลอาจารย์จาก email
+ * @param {Object} client - Database client
+ * @param {string} email
+ * @returns {Promise<Object|null>}
+ */
+export async function findInstructorByEmail(client, email) {
+    const sql = `
+        SELECT *
+        FROM instructor_directory
+        WHERE email = $1
+    `;
+    const result = await client.query(sql, [email.toLowerCase()]);
+    return result.rows[0] || null;
+}
+
+/**
+ * ดึงรายชื่ออาจารย์ของคณะ
+ * @param {Object} client - Database client
+ * @param {string} facultyNameTh
+ * @returns {Promise<Array>}
+ */
+export async function findInstructorsByFaculty(client, facultyNameTh) {
+    const sql = `
+        SELECT *
+        FROM instructor_directory
+        WHERE faculty_name_th = $1
+        ORDER BY first_name_th ASC, last_name_th ASC
+    `;
+    const result = await client.query(sql, [facultyNameTh]);
+    return result.rows;
+}
+
+/**
+ * ดึงเวลาที่ refresh รายชื่อทั้งคณะสำเร็จล่าสุด
+ * @param {Object} client - Database client
+ * @param {string} facultyNameTh
+ * @returns {Promise<Object|null>} { faculty_name_th, instructor_count, refreshed_at }
+ */
+export async function findDirectoryRefresh(client, facultyNameTh) {
+    const sql = `
+        SELECT *
+        FROM instructor_directory_refreshes
+        WHERE faculty_name_th = $1
+    `;
+    const result = await client.query(sql, [facultyNameTh]);
+    return result.rows[0] || null;
+}
+
+/**
+ * บันทึกอาจารย์จากรายชื่อทั้งคณะ (เขียนทับทุก field)
+ * @param {Object} client - Database client
+ * @param {string} facultyNameTh - คณะที่ใช้ค้น
+ * @param {Object} instructor - { tu_id, first_name_th, last_name_th, first_name_en, last_name_en, email, department, faculty }
+ * @returns {Promise<void>}
+ */
+export async function upsertInstructor(client, facultyNameTh, instructor) {
+    const sql = `
+        INSERT INTO instructor_directory (
+            email,
+            tu_id,
+            first_name_th,
+            last_name_th,
+            first_name_en,
+            last_name_en,
+            department,
+            faculty,
+            faculty_name_th,
+            fetched_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+        ON CONFLICT (email) DO UPDATE SET
+            tu_id = EXCLUDED.tu_id,
+            first_name_th = EXCLUDED.first_name_th,
+            last_name_th = EXCLUDED.last_name_th,
+            first_name_en = EXCLUDED.first_name_en,
+            last_name_en = EXCLUDED.last_name_en,
+            department = EXCLUDED.department,
+            faculty = EXCLUDED.faculty,
+            faculty_name_th = EXCLUDED.faculty_name_th,
+            fetched_at = NOW()
+    `;
+
+    await client.query(sql, [
+        instructor.email.toLowerCase(),
+        instructor.tu_id || null,
+        instructor.first_name_th || null,
+        instructor.last_name_th || null,
+        instructor.first_name_en || null,
+        instructor.last_name_en || null,
+        instructor.department || null,
+        instructor.faculty || facultyNameTh,
+        facultyNameTh,
+    ]);
+}
+
+/**
+ * บันทึกข้อมูลอาจารย์จากการค้นด้วย email
+ * ไม่เปลี่ยน tu_id/department/faculty_name_th ของแถวที่มีอยู่แล้ว (API นี้ไม่ส่งมา)
+ * @param {Object} client - Database client
+ * @param {Object} profile - { firstNameTh, lastNameTh, firstNameEn, lastNameEn, facultyNameTh, email }
+ * @returns {Promise<void>}
+ */
+export async function upsertInstructorProfile(client, profile) {
+    const sql = `
+        INSERT INTO instructor_directory (
+            email,
+            first_name_th,
+            last_name_th,
+            first_name_en,
+            last_name_en,
+            faculty,
+            faculty_name_th,
+            fetched_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $6, NOW())
+        ON CONFLICT (email) DO UPDATE SET
+            first_name_th = EXCLUDED.first_name_th,
+            last_name_th = EXCLUDED.last_name_th,
+            first_name_en = EXCLUDED.first_name_en,
+            last_name_en = EXCLUDED.last_name_en,
+            faculty = EXCLUDED.faculty,
+            fetched_at = NOW()
+    `;
+
+    await client.query(sql, [
+        profile.email.toLowerCase(),
+        profile.firstNameTh || null,
+        profile.lastNameTh || null,
+        profile.firstNameEn || null,
+        profile.lastNameEn || null,
+        profile.facultyNameTh || '',
+    ]);
+}
+
+/**
+ * ลบอาจารย์ของคณะที่ไม่อยู่ในรายชื่อล่าสุด
+ * @param {Object} client - Database client
+ * @param {string} facultyNameTh
+ * @param {Array<string>} emails - email ในรายชื่อล่าสุด
+ * @returns {Promise<number>} จำนวนแถวที่ลบ
+ */
+export async function deleteFacultyInstructorsExcept(client, facultyNameTh, emails) {
+    const sql = `
+        DELETE FROM instructor_directory
+        WHERE faculty_name_th = $1
+          AND email <> ALL($2::text[])
+    `;
+    const result = await client.query(sql, [facultyNameTh, emails.map(email => email.toLowerCase())]);
+    return result.rowCount;
+}
+
+/**
+ * บันทึกเวลาที่ refresh รายชื่อทั้งคณะสำเร็จ
+ * @param {Object} client - Database client
+ * @param {string} facultyNameTh
+ * @param {number} instructorCount
+ * @returns {Promise<Object>} instructor_directory_refreshes row
+ */
+export async function upsertDirectoryRefresh(client, facultyNameTh, instructorCount) {
+    const sql = `
+        INSERT INTO instructor_directory_refreshes (faculty_name_th, instructor_count, refreshed_at)
+        VALUES ($1, $2, NOW())
+        ON CONFLICT (faculty_name_th) DO UPDATE SET
+            instructor_count = EXCLUDED.instructor_count,
+            refreshed_at = NOW()
+        RETURNING *
+    `;
+    const result = await client.query(sql, [facultyNameTh, instructorCount]);
+    return result.rows[0];
+}
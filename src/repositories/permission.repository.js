@@ -1,5 +1,9 @@
 import { pool } from '../config/db.js';
 
+/**
+ * สร้างหรืออัปเดต user ในคณะ userData.faculty_id
+ * @returns {Promise<Object|null>} user row หรือ null ถ้ามี user นี้อยู่แล้วในคณะอื่น
+ */
 export async function upsertUser(client, userData) {
     const findSql = `
         SELECT *
@@ -23,7 +27,7 @@ export async function upsertUser(client, userData) {
                 department = $7,
                 faculty = $8,
                 is_active = true
-            WHERE id = $9
+            WHERE id = $9 AND faculty_id = $10
             RETURNING *
         `;
         const updateValues = [
@@ -36,9 +40,10 @@ export async function upsertUser(client, userData) {
             userData.department,
             userData.faculty,
             existing.id,
+            userData.faculty_id,
         ];
         const updated = await client.query(updateSql, updateValues);
-        return updated.rows[0];
+        return updated.rows[0] || null;
     }
 
     const insertSql = `
@@ -52,8 +57,9 @@ export async function upsertUser(client, userData) {
             user_type,
             department,
             faculty,
+            faculty_id,
             is_active
-        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,true)
+        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,true)
         RETURNING *
     `;
     const insertValues = [
@@ -66,6 +72,7 @@ export async function upsertUser(client, userData) {
         userData.user_type,
         userData.department,
         userData.faculty,
+        userData.faculty_id,
     ];
 
     const inserted = await client.query(insertSql, insertValues);
@@ -119,7 +126,7 @@ export async function removeRole(client, userId, roleId) {
     return result.rows[0] || null;
 }
 
-export async function getUsersGroupedByRole(client = pool) {
+export async function getUsersGroupedByRole(client = pool, facultyId) {
     const sql = `
         SELECT
             u.id,
@@ -137,12 +144,13 @@ export async function getUsersGroupedByRole(client = pool) {
         JOIN user_roles ur ON ur.user_id = u.id
         JOIN roles r ON r.id = ur.role_id
         WHERE u.is_active = true
+          AND u.faculty_id = $1
           AND ur.is_active = true
           AND r.role_name IN ('Academic Officer', 'Professor', 'Program Chair')
         ORDER BY r.role_name, u.first_name_th, u.last_name_th, u.first_name_en, u.last_name_en
     `;
 
-    const result = await client.query(sql);
+    const result = await client.query(sql, [facultyId]);
 
     const grouped = {
         academic_officer: [],
@@ -0,0 +1,49 @@
+/**
+ * Program Repository
+ * Pure SQL สำหรับ programs (หลักสูตร/สาขาวิชา)
+ */
+
+import { pool } from '../config/db.js';
+
+/**
+ * หาหลักสูตรจากชื่อสาขาวิชา (department ของ TU API)
+ * ชื่อเดียวกันมีได้หลายปีหลักสูตร → เลือกปีล่าสุดที่ไม่เกินปีที่เข้าศึกษา ถ้าไม่มีใช้ปีล่าสุด
+ *
+ * @param {number} facultyId - คณะของผู้ใช้
+ * @param {string} name - ชื่อสาขาวิชา
+ * @param {number|null} entryYear - ปีที่เข้าศึกษา (พ.ศ.) null สำหรับบุคลากร
+ * @param {Object} client - Database client
+ * @returns {Promise<Object|null>} { id, name_th, program_year }
+ */
+export async function findProgramByName(facultyId, name, entryYear = null, client = pool) {
+    const sql = `
+        SELECT id, name_th, program_year
+        FROM programs
+        WHERE faculty_id = $1
+          AND regexp_replace(trim(name_th), '\\s+', ' ', 'g') = regexp_replace(trim($2), '\\s+', ' ', 'g')
+        ORDER BY (program_year <= $3::int) DESC NULLS LAST, program_year DESC
+        LIMIT 1
+    `;
+    const result = await client.query(sql, [facultyId, name, entryYear]);
+    return result.rows[0] || null;
+}
+
+/**
+ * หลักสูตรทั้งหมดของผู้ใช้ (users.program_id และหลักสูตรชื่อเดียวกันทุกปีหลักสูตรในคณะเดียวกัน)
+ * @param {number} userId
+ * @param {Object} client - Database client
+ * @returns {Promise<Array<number>>} programs.id
+ */
+export async function findUserProgramIds(userId, client = pool) {
+    const sql = `
+        SELECT p.id
+        FROM users u
+        JOIN programs up ON up.id = u.program_id
+        JOIN programs p ON p.faculty_id = up.faculty_id
+            AND (p.id = up.id OR p.name_th = up.name_th)
+        WHERE u.id = $1
+        ORDER BY p.id
+    `;
+    const result = await client.query(sql, [userId]);
+    return result.rows.map(row => row.id);
+}
@@ -0,0 +1,107 @@
+/**
+ * Refresh Token Repository
+ * Pure SQL สำหรับ refresh_tokens
+ */
+
+/**
+ * บันทึก refresh token ใหม่
+ * @param {Object} client - Database client
+ * @param {Object} data - { userId, tokenHash, familyId, expiresAt, userAgent, ipAddress }
+ * @returns {Promise<Object>} refresh_tokens row
+ */
+export async function insertRefreshToken(client, data) {
+    const sql = `
+        INSERT INTO refresh_tokens (
+            user_id,
+            token_hash,
+            family_id,
+            expires_at,
+            user_agent,
+            ip_address,
+            created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
+        RETURNING *
+    `;
+
+    const result = await client.query(sql, [
+        data.userId,
+        data.tokenHash,
+        data.familyId,
+        data.expiresAt,
+        data.userAgent || null,
+        data.ipAddress || null,
+    ]);
+    return result.rows[0];
+}
+
+/**
+ * ค้นหา refresh token จาก hash
+ * @param {Object} client - Database client
+ * @param {string} tokenHash - SHA-256 hex
+ * @param {Object} options - { forUpdate } ล็อก row ระหว่าง rotate
+ * @returns {Promise<Object|null>}
+ */
+export async function findRefreshTokenByHash(client, tokenHash, { forUpdate = false } = {}) {
+    const sql = `
+        SELECT *
+        FROM refresh_tokens
+        WHERE token_hash = $1
+        ${forUpdate ? 'FOR UPDATE' : ''}
+    `;
+    const result = await client.query(sql, [tokenHash]);
+    return result.rows[0] || null;
+}
+
+/**
+ * ยกเลิก token เดิมหลังออก token ใหม่แทน
+ * @param {Object} client - Database client
+ * @param {number} tokenId - id ของ token เดิม
+ * @param {number} replacedById - id ของ token ใหม่
+ * @returns {Promise<void>}
+ */
+export async function markRefreshTokenRotated(client, tokenId, replacedById) {
+    const sql = `
+        UPDATE refresh_tokens
+        SET revoked_at = NOW(),
+            revoked_reason = 'rotated',
+            replaced_by = $2
+        WHERE id = $1
+    `;
+    await client.query(sql, [tokenId, replacedById]);
+}
+
+/**
+ * ยกเลิก token ที่ยังใช้ได้ทั้งหมดใน family (ทั้ง session)
+ * @param {Object} client - Database client
+ * @param {string} familyId
+ * @param {string} reason - REVOKE_REASONS
+ * @returns {Promise<number>} จำนวน token ที่ถูกยกเลิก
+ */
+export async function revokeRefreshTokenFamily(client, familyId, reason) {
+    const sql = `
+        UPDATE refresh_tokens
+        SET revoked_at = NOW(),
+            revoked_reason = $2
+        WHERE family_id = $1 AND revoked_at IS NULL
+    `;
+    const result = await client.query(sql, [familyId, reason]);
+    return result.rowCount;
+}
+
+/**
+ * ยกเลิก token ที่ยังใช้ได้ทั้งหมดของผู้ใช้ (ทุก session)
+ * @param {Object} client - Database client
+ * @param {Array<number>} userIds
+ * @param {string} reason - REVOKE_REASONS
+ * @returns {Promise<number>} จำนวน token ที่ถูกยกเลิก
+ */
+export async function revokeUserRefreshTokens(client, userIds, reason) {
+    const sql = `
+        UPDATE refresh_tokens
+        SET revoked_at = NOW(),
+            revoked_reason = $2
+        WHERE user_id = ANY($1::int[]) AND revoked_at IS NULL
+    `;
+    const result = await client.query(sql, [userIds, reason]);
+    return result.rowCount;
+}
@@ -9,7 +9,7 @@ import { query } from '../config/db.js';
 /**
  * สร้าง subject ใหม่ในฐานข้อมูล
  * @param {Object} client - Database client (สำหรับ transaction)
- * @param {Object} subjectData - ข้อมูล subject
+ * @param {Object} subjectData - ข้อมูล subject (รวม faculty_id ของคณะเจ้าของวิชา)
  * @returns {Promise<Object>} subject ที่สร้างสำเร็จ (พร้อม id)
  */
 export async function insertSubject(client, subjectData) {
@@ -24,9 +24,10 @@ export async function insertSubject(client, subjectData) {
             outline,
             count_workload,
             is_active,
+            faculty_id,
             created_at,
             updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
         RETURNING *
     `;
 
@@ -40,6 +41,7 @@ export async function insertSubject(client, subjectData) {
         subjectData.outline || null,
         subjectData.count_workload ?? true,
         subjectData.is_active ?? true,
+        subjectData.faculty_id,
     ];
 
     const result = await client.query(sql, values);
@@ -100,11 +102,12 @@ export async function findStudentYearsBySubjectId(subjectId) {
 }
 
 /**
- * ดึงข้อมูล subject ทั้งหมด พร้อม student_years
+ * ดึงข้อมูล subject ทั้งหมดของคณะ พร้อม student_years
+ * @param {number} facultyId - คณะของผู้เรียก
  * @param {Object} filters - Filter options (program_id, student_year_id, is_active)
  * @returns {Promise<Array>} Array ของ subjects
  */
-export async function findAllSubjects(filters = {}) {
+export async function findAllSubjects(facultyId, filters = {}) {
     let sql = `
         SELECT 
             s.*,
@@ -122,11 +125,11 @@ export async function findAllSubjects(filters = {}) {
         LEFT JOIN programs p ON s.program_id = p.id
         LEFT JOIN subject_student_years ssy ON s.id = ssy.subject_id
         LEFT JOIN student_years sy ON ssy.student_year_id = sy.id
-        WHERE 1=1
+        WHERE s.faculty_id = $1
     `;
 
-    const values = [];
-    let paramCount = 1;
+    const values = [facultyId];
+    let paramCount = 2;
 
     if (filters.program_id) {
         sql += ` AND s.program_id = $${paramCount}`;
@@ -256,13 +259,14 @@ export async function deactivateSubject(id) {
 }
 
 /**
- * ตรวจสอบว่า program มีอยู่จริงหรือไม่
+ * ตรวจสอบว่า program มีอยู่จริงในคณะหรือไม่
  * @param {number} programId - Program ID
+ * @param {number} facultyId - คณะของผู้เรียก
  * @returns {Promise<boolean>}
  */
-export async function checkProgramExists(programId) {
-    const sql = 'SELECT 1 FROM programs WHERE id = $1 LIMIT 1';
-    const result = await query(sql, [programId]);
+export async function checkProgramExists(programId, facultyId) {
+    const sql = 'SELECT 1 FROM programs WHERE id = $1 AND faculty_id = $2 LIMIT 1';
+    const result = await query(sql, [programId, facultyId]);
     return result.rows.length > 0;
 }
 
@@ -295,17 +299,18 @@ export async function findExistingStudentYearIds(studentYearIds) {
 }
 
 /**
- * ตรวจสอบว่ามี subject ที่มี code_th นี้อยู่แล้วหรือไม่
+ * ตรวจสอบว่ามี subject ที่มี code_th นี้อยู่แล้วในคณะหรือไม่ (คณะอื่นใช้รหัสซ้ำได้)
  * @param {string} codeTh - รหัสวิชาภาษาไทย
+ * @param {number} facultyId - คณะของผู้เรียก
  * @param {number|null} excludeId - ID ที่จะไม่นับรวม (สำหรับ update)
  * @returns {Promise<boolean>}
  */
-export async function checkSubjectCodeExists(codeTh, excludeId = null) {
-    let sql = 'SELECT 1 FROM subjects WHERE code_th = $1';
-    const values = [codeTh];
+export async function checkSubjectCodeExists(codeTh, facultyId, excludeId = null) {
+    let sql = 'SELECT 1 FROM subjects WHERE code_th = $1 AND faculty_id = $2';
+    const values = [codeTh, facultyId];
 
     if (excludeId) {
-        sql += ' AND id != $2';
+        sql += ' AND id != $3';
         values.push(excludeId);
     }
 
@@ -316,22 +321,24 @@ export async function checkSubjectCodeExists(codeTh, excludeId = null) {
 }
 
 /**
- * Find subjects by multiple IDs
+ * Find a faculty's subjects by multiple IDs
+ * (subjects of other faculties are not returned — callers treat them as not found)
  * @param {Array<number>} subjectIds - Array of subject IDs
+ * @param {number} facultyId - Faculty the subjects must belong to
  * @returns {Promise<Array>} Array of existing subjects
  */
-export async function findSubjectsByIds(subjectIds) {
+export async function findSubjectsByIds(subjectIds, facultyId) {
     if (!subjectIds || subjectIds.length === 0) {
         return [];
     }
 
-    const placeholders = subjectIds.map((_, index) => `$${index + 1}`).join(', ');
+    const placeholders = subjectIds.map((_, index) => `$${index + 2}`).join(', ');
     const sql = `
         SELECT id, code_th, code_eng, name_th, name_eng, is_active
         FROM subjects
-        WHERE id IN (${placeholders})
+        WHERE faculty_id = $1 AND id IN (${placeholders})
     `;
 
-    const result = await query(sql, subjectIds);
+    const result = await query(sql, [facultyId, ...subjectIds]);
     return result.rows;
 }
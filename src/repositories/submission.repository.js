@@ -1,8 +1,41 @@
 /**
  * Submission Repository
  * Data access layer for submission workflow
+ * document_submissions เป็นแหล่งข้อมูลเดียวของเอกสาร (1 แถว = 1 รอบการส่ง)
  */
 
+/**
+ * URL ของไฟล์ในรอบนั้น: ไฟล์ที่อัปโหลดเข้าระบบ (file_path) ดาวน์โหลดผ่าน API,
+ * รอบที่ส่งเป็นลิงก์ภายนอกใช้ file_url เดิม
+ */
+const FILE_URL_SQL = `COALESCE(ds.file_url, '/api/term-subjects/' || ds.term_subject_id || '/documents/' || ds.id || '/file')`;
+
+/**
+ * URL ของ preview ในหน้าตรวจ (เฉพาะไฟล์ที่อัปโหลดเข้าระบบ)
+ */
+const PREVIEW_URL_SQL = `CASE WHEN ds.file_path IS NOT NULL THEN '/api/term-subjects/' || ds.term_subject_id || '/documents/' || ds.id || '/preview' END`;
+
+/**
+ * columns ของเอกสารที่ส่งกลับ (uploaded_by/uploaded_at คงชื่อเดิมของ term_subject_documents)
+ */
+const DOCUMENT_COLUMNS_SQL = `
+    ds.id,
+    ds.term_subject_id,
+    ds.document_type,
+    ds.round_number,
+    ds.status,
+    ds.file_path,
+    ${FILE_URL_SQL} AS file_url,
+    ds.original_name,
+    ds.submitted_by AS uploaded_by,
+    ds.submitted_at AS uploaded_at,
+    ds.preview_status,
+    ds.page_count,
+    ds.thumbnail_path,
+    ds.preview_pdf_path,
+    ${PREVIEW_URL_SQL} AS preview_url
+`;
+
 /**
  * ดึงรายวิชาของ instructor พร้อมสถานะล่าสุดของ outline/report
  */
@@ -120,16 +153,33 @@ export async function userExists(client, userId) {
 }
 
 /**
- * สร้าง submission ใหม่
+ * ล็อก term subject ระหว่างสร้างรอบใหม่ (กันเลขรอบซ้ำเมื่อส่งพร้อมกัน)
+ * @returns {Promise<boolean>} false ถ้าไม่พบ term subject
+ */
+export async function lockTermSubject(client, termSubjectId) {
+    const sql = `
+        SELECT id
+        FROM term_subjects
+        WHERE id = $1
+        FOR UPDATE
+    `;
+
+    const result = await client.query(sql, [termSubjectId]);
+    return result.rowCount > 0;
+}
+
+/**
+ * สร้าง submission ใหม่ (รอบถัดไป)
+ * ไฟล์ที่อัปโหลดเข้าระบบส่ง filePath (พร้อม previewStatus เริ่มต้น), ลิงก์ภายนอกส่ง fileUrl
  */
 export async function createSubmission(
     client,
-    { termSubjectId, documentType, fileUrl, originalName, submittedBy }
+    { termSubjectId, documentType, fileUrl = null, filePath = null, originalName, submittedBy, previewStatus = 'pending' }
 ) {
     const roundNumber = await getNextRoundNumber(client, termSubjectId, documentType);
 
     const sql = `
-        INSERT INTO document_submissions (
+        INSERT INTO document_submissions AS ds (
             term_subject_id,
             document_type,
             file_url,
@@ -137,26 +187,81 @@ export async function createSubmission(
             round_number,
             status,
             submitted_at,
-            submitted_by
-        ) VALUES ($1, $2, $3, $4, $5, 'pending', NOW(), $6)
+            submitted_by,
+            file_path,
+            preview_status
+        ) VALUES ($1, $2, $3, $4, $5, 'pending', NOW(), $6, $7::text, CASE WHEN $7::text IS NOT NULL THEN $8::text END)
         RETURNING
             id,
             term_subject_id,
             document_type,
-            file_url,
+            ${FILE_URL_SQL} AS file_url,
+            file_path,
             original_name,
             round_number,
             status,
             submitted_at,
-            submitted_by
+            submitted_by,
+            preview_status
     `;
 
-    const values = [termSubjectId, documentType, fileUrl, originalName, roundNumber, submittedBy];
+    const values = [termSubjectId, documentType, fileUrl, originalName, roundNumber, submittedBy, filePath, previewStatus];
     const result = await client.query(sql, values);
 
     return result.rows[0];
 }
 
+/**
+ * ดึงเอกสารทุกรอบของ term subject (ใหม่สุดก่อน)
+ */
+export async function findDocumentsByTermSubject(client, termSubjectId) {
+    const sql = `
+        SELECT
+            ${DOCUMENT_COLUMNS_SQL},
+            CONCAT(u.first_name_th, ' ', u.last_name_th) AS uploader_name
+        FROM document_submissions ds
+        LEFT JOIN users u ON ds.submitted_by = u.id
+        WHERE ds.term_subject_id = $1
+        ORDER BY ds.submitted_at DESC, ds.id DESC
+    `;
+
+    const result = await client.query(sql, [termSubjectId]);
+    return result.rows;
+}
+
+/**
+ * ดึงรอบล่าสุดของเอกสารแต่ละประเภท
+ */
+export async function findLatestDocumentByType(client, termSubjectId, documentType) {
+    const sql = `
+        SELECT ${DOCUMENT_COLUMNS_SQL}
+        FROM document_submissions ds
+        WHERE ds.term_subject_id = $1
+          AND ds.document_type = $2
+        ORDER BY ds.round_number DESC, ds.submitted_at DESC
+        LIMIT 1
+    `;
+
+    const result = await client.query(sql, [termSubjectId, documentType]);
+    return result.rows[0] || null;
+}
+
+/**
+ * ดึงเอกสาร (submission) โดยผูกกับ term subject
+ */
+export async function findDocumentById(client, termSubjectId, submissionId) {
+    const sql = `
+        SELECT ${DOCUMENT_COLUMNS_SQL}
+        FROM document_submissions ds
+        WHERE ds.id = $1
+          AND ds.term_subject_id = $2
+        LIMIT 1
+    `;
+
+    const result = await client.query(sql, [submissionId, termSubjectId]);
+    return result.rows[0] || null;
+}
+
 /**
  * รีวิว submission (update status + insert review)
  */
@@ -282,7 +387,10 @@ export async function getSubmissionEmailDetails(client, submissionId) {
             s.code_eng,
             s.name_th,
             s.name_eng,
-            ds.document_type
+            ds.document_type,
+            ds.term_subject_id,
+            ds.submitted_by,
+            ds.file_path
         FROM document_submissions ds
         JOIN users u         ON u.id = ds.submitted_by
         JOIN term_subjects ts ON ts.id = ds.term_subject_id
@@ -317,7 +425,9 @@ export async function getSubmissionHistory(client, termSubjectId, documentType)
             ds.id AS submission_id,
             'submitted' AS event_type,
             ds.submitted_at AS event_time,
-            ds.file_url,
+            ${FILE_URL_SQL} AS file_url,
+            ${PREVIEW_URL_SQL} AS preview_url,
+            ds.page_count,
             ds.original_name,
             ds.status,
             NULL::text AS action,
@@ -343,7 +453,9 @@ export async function getSubmissionHistory(client, termSubjectId, documentType)
             ds.id AS submission_id,
             'reviewed' AS event_type,
             sr.reviewed_at AS event_time,
-            ds.file_url,
+            ${FILE_URL_SQL} AS file_url,
+            ${PREVIEW_URL_SQL} AS preview_url,
+            ds.page_count,
             ds.original_name,
             ds.status,
             sr.action::text AS action,
@@ -373,6 +485,8 @@ export async function getSubmissionHistory(client, termSubjectId, documentType)
         event_type: row.event_type,
         event_time: row.event_time,
         file_url: row.file_url,
+        preview_url: row.preview_url || null,
+        page_count: row.page_count ?? null,
         original_name: row.original_name,
         status: row.status,
         action: row.action || null,
@@ -382,3 +496,79 @@ export async function getSubmissionHistory(client, termSubjectId, documentType)
         actor_name: row.actor_name || null,
     }));
 }
+
+/**
+ * ดึง submission ตาม ID
+ */
+export async function findSubmissionById(client, submissionId) {
+    const sql = `
+        SELECT
+            ds.id, ds.term_subject_id, ds.document_type, ds.round_number,
+            ${FILE_URL_SQL} AS file_url, ds.file_path, ds.original_name,
+            ds.status, ds.submitted_by, ds.submitted_at
+        FROM document_submissions ds
+        WHERE ds.id = $1
+    `;
+
+    const result = await client.query(sql, [submissionId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * ดึง storage key ของไฟล์ทุกรอบของ term subject (ต้นฉบับ, thumbnail, preview PDF)
+ * ใช้ลบไฟล์ใน storage เมื่อลบ term subject (row ถูกลบตาม ON DELETE CASCADE แต่ไฟล์ไม่ถูกลบ)
+ * @returns {Promise<Array<string>>}
+ */
+export async function findStoredFileKeysByTermSubject(client, termSubjectId) {
+    const sql = `
+        SELECT ds.file_path, ds.thumbnail_path, ds.preview_pdf_path
+        FROM document_submissions ds
+        WHERE ds.term_subject_id = $1
+    `;
+
+    const result = await client.query(sql, [termSubjectId]);
+    return result.rows
+        .flatMap(row => [row.file_path, row.thumbnail_path, row.preview_pdf_path])
+        .filter(Boolean);
+}
+
+/**
+ * ดึงไฟล์ที่รอสร้าง preview (เก่าสุดก่อน)
+ */
+export async function findPendingPreviews(client, limit = 500) {
+    const sql = `
+        SELECT ds.id
+        FROM document_submissions ds
+        WHERE ds.preview_status = 'pending'
+        ORDER BY ds.id ASC
+        LIMIT $1
+    `;
+
+    const result = await client.query(sql, [limit]);
+    return result.rows.map(row => row.id);
+}
+
+/**
+ * บันทึกผลการสร้าง preview
+ * @param {Object} preview - { status, pageCount, thumbnailPath, previewPdfPath }
+ */
+export async function updateDocumentPreview(client, submissionId, {
+    status,
+    pageCount = null,
+    thumbnailPath = null,
+    previewPdfPath = null,
+}) {
+    const sql = `
+        UPDATE document_submissions
+        SET preview_status = $2,
+            page_count = $3,
+            thumbnail_path = $4,
+            preview_pdf_path = $5,
+            preview_generated_at = NOW()
+        WHERE id = $1
+        RETURNING id, preview_status, page_count, thumbnail_path, preview_pdf_path
+    `;
+
+    const result = await client.query(sql, [submissionId, status, pageCount, thumbnailPath, previewPdfPath]);
+    return result.rows[0] || null;
+}
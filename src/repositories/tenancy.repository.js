@@ -0,0 +1,69 @@
+/**
+ * Tenancy Repository
+ * หาคณะเจ้าของ entity (ใช้โดย scopeToFaculty middleware)
+ * entity ที่อยู่ใต้ term (term_subject, งาน, เอกสาร) อ้างอิงคณะผ่าน terms.faculty_id
+ */
+
+import { pool } from '../config/db.js';
+
+/**
+ * entity_type → SQL ที่คืน faculty_id ของ entity ($1 = id)
+ */
+const FACULTY_LOOKUPS = {
+    term: 'SELECT faculty_id FROM terms WHERE id = $1',
+    subject: 'SELECT faculty_id FROM subjects WHERE id = $1',
+    program: 'SELECT faculty_id FROM programs WHERE id = $1',
+    user: 'SELECT faculty_id FROM users WHERE id = $1',
+    term_subject: `
+        SELECT t.faculty_id
+        FROM term_subjects ts
+        JOIN terms t ON t.id = ts.term_id
+        WHERE ts.id = $1
+    `,
+    lecturer_assignment: `
+        SELECT t.faculty_id
+        FROM term_subjects_professor tsp
+        JOIN term_subjects ts ON ts.id = tsp.term_subject_id
+        JOIN terms t ON t.id = ts.term_id
+        WHERE tsp.id = $1
+    `,
+    work: `
+        SELECT t.faculty_id
+        FROM work_details wd
+        JOIN term_subjects ts ON ts.id = wd.term_subject_id
+        JOIN terms t ON t.id = ts.term_id
+        WHERE wd.id = $1
+    `,
+    submission: `
+        SELECT t.faculty_id
+        FROM document_submissions ds
+        JOIN term_subjects ts ON ts.id = ds.term_subject_id
+        JOIN terms t ON t.id = ts.term_id
+        WHERE ds.id = $1
+    `,
+};
+
+/**
+ * @param {string} entityType
+ * @returns {boolean} true ถ้ารู้จัก entity type นี้
+ */
+export function isScopedEntity(entityType) {
+    return Boolean(FACULTY_LOOKUPS[entityType]);
+}
+
+/**
+ * ดึง faculty_id ของ entity
+ * @param {Object} client - Database client
+ * @param {string} entityType - key ของ FACULTY_LOOKUPS เช่น 'term', 'work'
+ * @param {number} entityId
+ * @returns {Promise<number|null>} null ถ้าไม่พบ entity
+ */
+export async function findFacultyIdOf(client = pool, entityType, entityId) {
+    const sql = FACULTY_LOOKUPS[entityType];
+    if (!sql) {
+        throw new Error(`Unknown tenancy entity type: ${entityType}`);
+    }
+
+    const result = await client.query(sql, [entityId]);
+    return result.rows[0]?.faculty_id ?? null;
+}
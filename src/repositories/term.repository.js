@@ -7,35 +7,37 @@
 import { pool } from '../config/db.js';
 
 /**
- * Get distinct academic years from terms table
+ * Get distinct academic years of a faculty's terms
  */
-export async function getDistinctAcademicYears(client = pool) {
+export async function getDistinctAcademicYears(client = pool, facultyId) {
     const sql = `
         SELECT DISTINCT academic_year
         FROM terms
+        WHERE faculty_id = $1
         ORDER BY academic_year DESC
     `;
-    const result = await client.query(sql);
+    const result = await client.query(sql, [facultyId]);
     return result.rows.map(row => row.academic_year);
 }
 
 /**
- * Get distinct academic sectors from terms table
+ * Get distinct academic sectors of a faculty's terms
  */
-export async function getDistinctAcademicSectors(client = pool) {
+export async function getDistinctAcademicSectors(client = pool, facultyId) {
     const sql = `
         SELECT DISTINCT academic_sector
         FROM terms
+        WHERE faculty_id = $1
         ORDER BY academic_sector ASC
     `;
-    const result = await client.query(sql);
+    const result = await client.query(sql, [facultyId]);
     return result.rows.map(row => row.academic_sector);
 }
 
 /**
- * Insert new academic term
+ * Insert new academic term owned by a faculty
  */
-export async function insertTerm(client, termData, userId) {
+export async function insertTerm(client, termData, userId, facultyId) {
     const sql = `
         INSERT INTO terms (
             academic_year,
@@ -46,9 +48,12 @@ export async function insertTerm(client, termData, userId) {
             midterm_end_date,
             final_start_date,
             final_end_date,
+            week_count,
+            break_weeks,
+            faculty_id,
             created_at,
             created_by
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), $9)
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), $12)
         RETURNING *
     `;
 
@@ -61,6 +66,9 @@ export async function insertTerm(client, termData, userId) {
         termData.midterm_end_date || null,
         termData.final_start_date || null,
         termData.final_end_date || null,
+        termData.week_count || null,
+        termData.break_weeks || [],
+        facultyId,
         userId
     ];
 
@@ -69,15 +77,15 @@ export async function insertTerm(client, termData, userId) {
 }
 
 /**
- * Find all terms with optional filters
+ * Find all terms of a faculty with optional filters
  */
-export async function findAllTerms(client = pool, filters = {}) {
+export async function findAllTerms(client = pool, facultyId, filters = {}) {
     let sql = `
         SELECT * FROM terms
-        WHERE 1=1
+        WHERE faculty_id = $1
     `;
-    const values = [];
-    let paramCount = 1;
+    const values = [facultyId];
+    let paramCount = 2;
 
     // Filter by academic year
     if (filters.academic_year) {
@@ -124,9 +132,11 @@ export async function updateTerm(client, termId, updateData, userId) {
             midterm_end_date = $6,
             final_start_date = $7,
             final_end_date = $8,
+            week_count = $9,
+            break_weeks = $10,
             updated_at = NOW(),
-            updated_by = $9
-        WHERE id = $10
+            updated_by = $11
+        WHERE id = $12
         RETURNING *
     `;
 
@@ -139,6 +149,8 @@ export async function updateTerm(client, termId, updateData, userId) {
         updateData.midterm_end_date || null,
         updateData.final_start_date || null,
         updateData.final_end_date || null,
+        updateData.week_count || null,
+        updateData.break_weeks || [],
         userId,
         termId
     ];
@@ -157,24 +169,24 @@ export async function deleteTerm(client, termId) {
 }
 
 /**
- * Find term by academic year and sector
+ * Find a faculty's term by academic year and sector
  */
-export async function findTermByYearAndSector(client, academicYear, academicSector) {
+export async function findTermByYearAndSector(client, academicYear, academicSector, facultyId) {
     const sql = `
         SELECT * FROM terms
-        WHERE academic_year = $1 AND academic_sector = $2
+        WHERE academic_year = $1 AND academic_sector = $2 AND faculty_id = $3
     `;
-    const result = await client.query(sql, [academicYear, academicSector]);
+    const result = await client.query(sql, [academicYear, academicSector, facultyId]);
     return result.rows[0];
 }
 
 /**
- * Find terms by filters (for service layer)
+ * Find a faculty's terms by filters (for service layer)
  */
-export async function findTermsByFilters(client, filters) {
-    let sql = 'SELECT * FROM terms WHERE 1=1';
-    const values = [];
-    let paramCount = 1;
+export async function findTermsByFilters(client, facultyId, filters) {
+    let sql = 'SELECT * FROM terms WHERE faculty_id = $1';
+    const values = [facultyId];
+    let paramCount = 2;
 
     if (filters.academic_year) {
         sql += ` AND academic_year = $${paramCount}`;
@@ -195,11 +207,11 @@ export async function findTermsByFilters(client, filters) {
 }
 
 /**
- * Count total terms
+ * Count total terms of a faculty
  */
-export async function countTerms(client) {
-    const sql = 'SELECT COUNT(*) FROM terms';
-    const result = await client.query(sql);
+export async function countTerms(client, facultyId) {
+    const sql = 'SELECT COUNT(*) FROM terms WHERE faculty_id = $1';
+    const result = await client.query(sql, [facultyId]);
     return parseInt(result.rows[0].count, 10);
 }
 
@@ -221,9 +233,9 @@ export async function findTermWithStats(client = pool, termId) {
 }
 
 /**
- * Find active (ongoing) terms
+ * Find a faculty's active (ongoing) terms
  */
-export async function findActiveTerms(client = pool) {
+export async function findActiveTerms(client = pool, facultyId) {
     const sql = `
         SELECT
             t.*,
@@ -231,20 +243,21 @@ export async function findActiveTerms(client = pool) {
         FROM terms t
         LEFT JOIN term_subjects ts ON t.id = ts.term_id AND ts.is_active = true
         WHERE t.term_end_date >= CURRENT_DATE
+          AND t.faculty_id = $1
         GROUP BY t.id
         ORDER BY t.academic_year DESC, t.academic_sector DESC
     `;
-    const result = await client.query(sql);
+    const result = await client.query(sql, [facultyId]);
     return result.rows;
 }
 
 /**
- * Find current active term (automatic by date)
+ * Find a faculty's current active term (automatic by date)
  * Logic: 
  * 1. หาภาคการศึกษาที่วันที่ปัจจุบันอยู่ระหว่าง start_date ถึง end_date
  * 2. ถ้าไม่มี ให้เอาภาคการศึกษาที่ใหม่สุด (เรียงตาม academic_year, semester DESC)
  */
-export async function findCurrentTerm(client = pool) {
+export async function findCurrentTerm(client = pool, facultyId) {
     const sql = `
         WITH current_term AS (
             -- หาเทอมที่วันที่ปัจจุบันอยู่ในช่วง
@@ -255,6 +268,7 @@ export async function findCurrentTerm(client = pool) {
             FROM terms t
             LEFT JOIN term_subjects ts ON t.id = ts.term_id AND ts.is_active = true
             WHERE CURRENT_DATE BETWEEN t.term_start_date AND t.term_end_date
+              AND t.faculty_id = $1
             GROUP BY t.id
         ),
         latest_term AS (
@@ -265,6 +279,7 @@ export async function findCurrentTerm(client = pool) {
                 2 as priority
             FROM terms t
             LEFT JOIN term_subjects ts ON t.id = ts.term_id AND ts.is_active = true
+            WHERE t.faculty_id = $1
             GROUP BY t.id
             ORDER BY t.academic_year DESC, t.academic_sector DESC
             LIMIT 1
@@ -275,14 +290,14 @@ export async function findCurrentTerm(client = pool) {
         ORDER BY priority
         LIMIT 1
     `;
-    const result = await client.query(sql);
+    const result = await client.query(sql, [facultyId]);
     return result.rows[0] || null;
 }
 
 /**
- * Find ended terms
+ * Find a faculty's ended terms
  */
-export async function findEndedTerms(client = pool) {
+export async function findEndedTerms(client = pool, facultyId) {
     const sql = `
         SELECT
             t.*,
@@ -290,9 +305,10 @@ export async function findEndedTerms(client = pool) {
         FROM terms t
         LEFT JOIN term_subjects ts ON t.id = ts.term_id AND ts.is_active = true
         WHERE t.term_end_date < CURRENT_DATE
+          AND t.faculty_id = $1
         GROUP BY t.id
         ORDER BY t.academic_year DESC, t.academic_sector DESC
     `;
-    const result = await client.query(sql);
+    const result = await client.query(sql, [facultyId]);
     return result.rows;
 }
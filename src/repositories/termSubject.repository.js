@@ -73,8 +73,9 @@ export async function findTermSubjectsByTermId(client, termId) {
 
 /**
  * Find term subject by ID
+ * @param {Object} options - { forUpdate } ล็อก row ของ term_subjects จนจบ transaction
  */
-export async function findTermSubjectById(client, termSubjectId) {
+export async function findTermSubjectById(client, termSubjectId, { forUpdate = false } = {}) {
     const sql = `
         SELECT 
             ts.*,
@@ -82,10 +83,12 @@ export async function findTermSubjectById(client, termSubjectId) {
             s.code_eng,
             s.name_th,
             s.name_eng,
-            s.credit
+            s.credit,
+            s.program_id
         FROM term_subjects ts
         JOIN subjects s ON ts.subject_id = s.id
         WHERE ts.id = $1
+        ${forUpdate ? 'FOR UPDATE OF ts' : ''}
     `;
     const result = await client.query(sql, [termSubjectId]);
     return result.rows[0];
@@ -779,127 +782,29 @@ export async function findSubjectsByProfessorId(client, userId) {
 
 /**
  * Update workload submission status
- * Used when professor submits, academic officer approves/rejects
+ * Used when professor submits, approvers in the chain endorse/approve/reject
  * 
  * @param {Object} client - Database client
  * @param {number} termSubjectId - Term Subject ID
- * @param {string} status - Status: 'pending', 'submitted', 'approved'
+ * @param {string} status - Status: 'pending', 'submitted', 'endorsed', 'approved'
  * @param {number} userId - User ID making the change
+ * @param {number|null} stage - Approval stage awaiting action (null when not in review)
  * @returns {Promise<Object>} - Updated term subject
  */
-export async function updateWorkloadStatus(client, termSubjectId, status, userId) {
+export async function updateWorkloadStatus(client, termSubjectId, status, userId, stage = null) {
     const sql = `
         UPDATE term_subjects
         SET workload_approved = $1,
+            workload_approval_stage = $2,
             updated_at = NOW(),
-            updated_by = $2
-        WHERE id = $3
-        RETURNING *
-    `;
-
-    const result = await client.query(sql, [status, userId, termSubjectId]);
-    return result.rows[0];
-}
-/**
- * ==========================================
- * Document Upload Operations
- * ==========================================
- */
-
-/**
- * บันทึก metadata ของไฟล์ที่อัปโหลด
- * 
- * @param {Object} client - Database client
- * @param {number} termSubjectId - ID ของ term subject
- * @param {string} documentType - ประเภทเอกสาร: 'outline', 'workload', 'report'
- * @param {string} filePath - path ของไฟล์ที่เก็บ
- * @param {string} originalName - ชื่อไฟล์ต้นฉบับ
- * @param {number} userId - ID ของผู้อัปโหลด
- * @returns {Promise<Object>} - Document record
- */
-export async function saveDocumentMetadata(client, termSubjectId, documentType, filePath, originalName, userId) {
-    const sql = `
-        INSERT INTO term_subject_documents (
-            term_subject_id,
-            document_type,
-            file_path,
-            original_name,
-            uploaded_by,
-            uploaded_at
-        ) VALUES ($1, $2, $3, $4, $5, NOW())
+            updated_by = $3
+        WHERE id = $4
         RETURNING *
     `;
 
-    const values = [termSubjectId, documentType, filePath, originalName, userId];
-    const result = await client.query(sql, values);
+    const result = await client.query(sql, [status, stage, userId, termSubjectId]);
     return result.rows[0];
 }
-
-/**
- * ดึงข้อมูลเอกสารทั้งหมดของ term subject
- * 
- * @param {Object} client - Database client
- * @param {number} termSubjectId - ID ของ term subject
- * @returns {Promise<Array>} - รายการเอกสาร
- */
-export async function findDocumentsByTermSubject(client, termSubjectId) {
-    const sql = `
-        SELECT
-            d.*,
-            CONCAT(u.first_name_th, ' ', u.last_name_th) as uploader_name
-        FROM term_subject_documents d
-        LEFT JOIN users u ON d.uploaded_by = u.id
-        WHERE d.term_subject_id = $1
-        ORDER BY d.uploaded_at DESC
-    `;
-
-    const result = await client.query(sql, [termSubjectId]);
-    return result.rows;
-}
-
-/**
- * ดึงเอกสารล่าสุดของแต่ละประเภท
- * 
- * @param {Object} client - Database client
- * @param {number} termSubjectId - ID ของ term subject
- * @param {string} documentType - ประเภทเอกสาร
- * @returns {Promise<Object|null>} - เอกสารล่าสุด หรือ null
- */
-export async function findLatestDocumentByType(client, termSubjectId, documentType) {
-    const sql = `
-        SELECT *
-        FROM term_subject_documents
-        WHERE term_subject_id = $1 
-          AND document_type = $2
-        ORDER BY uploaded_at DESC
-        LIMIT 1
-    `;
-
-    const result = await client.query(sql, [termSubjectId, documentType]);
-    return result.rows[0] || null;
-}
-
-/**
- * ดึงเอกสารตาม document id โดยผูกกับ term subject
- * 
- * @param {Object} client - Database client
- * @param {number} termSubjectId - ID ของ term subject
- * @param {number} documentId - ID ของเอกสาร
- * @returns {Promise<Object|null>} - เอกสาร หรือ null
- */
-export async function findDocumentById(client, termSubjectId, documentId) {
-    const sql = `
-        SELECT *
-        FROM term_subject_documents
-        WHERE id = $1
-          AND term_subject_id = $2
-        LIMIT 1
-    `;
-
-    const result = await client.query(sql, [documentId, termSubjectId]);
-    return result.rows[0] || null;
-}
-
 /**
  * ==========================================
  * Lecturer Assignment Operations
@@ -1008,3 +913,57 @@ export async function deleteLecturerAssignment(client, assignmentId) {
     const result = await client.query(sql, [assignmentId]);
     return result.rows[0];
 }
+
+/**
+ * Insert a lecturer assignment with responsible flag and notes (used by term clone)
+ */
+export async function insertLecturerAssignment(client, termSubjectId, data, createdBy) {
+    const sql = `
+        INSERT INTO term_subjects_professor (
+            term_subject_id,
+            user_id,
+            is_responsible,
+            notes,
+            created_at,
+            created_by
+        ) VALUES ($1, $2, $3, $4, NOW(), $5)
+        RETURNING *
+    `;
+    const result = await client.query(sql, [
+        termSubjectId,
+        data.user_id,
+        data.is_responsible ?? false,
+        data.notes ?? null,
+        createdBy,
+    ]);
+    return result.rows[0];
+}
+
+/**
+ * Find all lecturer assignments of active subjects in a term
+ */
+export async function findLecturerAssignmentsByTermId(client, termId) {
+    const sql = `
+        SELECT tsp.*
+        FROM term_subjects_professor tsp
+        JOIN term_subjects ts ON tsp.term_subject_id = ts.id
+        WHERE ts.term_id = $1
+          AND ts.is_active = true
+        ORDER BY tsp.term_subject_id, tsp.id
+    `;
+    const result = await client.query(sql, [termId]);
+    return result.rows;
+}
+
+/**
+ * Find subject IDs already in a term (including inactive ones)
+ */
+export async function findSubjectIdsByTermId(client, termId) {
+    const sql = `
+        SELECT subject_id
+        FROM term_subjects
+        WHERE term_id = $1
+    `;
+    const result = await client.query(sql, [termId]);
+    return result.rows.map(row => row.subject_id);
+}
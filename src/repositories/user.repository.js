@@ -46,8 +46,12 @@ export async function create(user, client = pool) {
             user_type,
             department,
             faculty,
+            faculty_id,
+            program,
+            entry_year,
+            program_id,
             is_active
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
         RETURNING *
     `;
 
@@ -61,6 +65,10 @@ export async function create(user, client = pool) {
         insertData.user_type,
         insertData.department,
         insertData.faculty,
+        insertData.faculty_id,
+        insertData.program,
+        insertData.entry_year,
+        insertData.program_id,
         insertData.is_active,
     ];
 
@@ -68,6 +76,61 @@ export async function create(user, client = pool) {
     return User.fromDatabase(result.rows[0]);
 }
 
+/**
+ * อัปเดตสาขา ปีที่เข้าศึกษา และหลักสูตรของผู้ใช้ (บุคลากรมีเฉพาะหลักสูตร)
+ * @param {number} userId
+ * @param {Object} profile - { program, entryYear, programId }
+ * @param {Object} client - Database client (สำหรับ transaction)
+ * @returns {Promise<User>}
+ */
+export async function updateProgramProfile(userId, profile, client = pool) {
+    const sql = `
+        UPDATE users
+        SET program = $1,
+            entry_year = $2,
+            program_id = $3
+        WHERE id = $4
+        RETURNING *
+    `;
+    const result = await client.query(sql, [
+        profile.program || null,
+        profile.entryYear || null,
+        profile.programId || null,
+        userId,
+    ]);
+    return User.fromDatabase(result.rows[0]);
+}
+
+/**
+ * ย้าย user ไปคณะใหม่ (ชื่อคณะจาก TU API เปลี่ยน)
+ * @param {number} userId
+ * @param {Object} faculty - { id, name }
+ * @param {Object} client - Database client (สำหรับ transaction)
+ * @returns {Promise<User>}
+ */
+export async function updateFaculty(userId, faculty, client = pool) {
+    const sql = `
+        UPDATE users
+        SET faculty_id = $1,
+            faculty = $2
+        WHERE id = $3
+        RETURNING *
+    `;
+    const result = await client.query(sql, [faculty.id, faculty.name, userId]);
+    return User.fromDatabase(result.rows[0]);
+}
+
+/**
+ * ดึง faculty_id ของ user
+ * @param {number} userId
+ * @returns {Promise<number|null>} - null ถ้าไม่พบ user
+ */
+export async function findFacultyId(userId) {
+    const sql = 'SELECT faculty_id FROM users WHERE id = $1';
+    const result = await pool.query(sql, [userId]);
+    return result.rows[0]?.faculty_id ?? null;
+}
+
 /**
  * หา user จาก ID
  * @param {number} userId
@@ -96,11 +159,12 @@ export async function existsByEmail(email) {
 }
 
 /**
- * ดึงรายชื่อ users ตาม role name
+ * ดึงรายชื่อ users ตาม role name ภายในคณะ
  * @param {string} roleName - ชื่อ role เช่น 'Professor', 'Academic Officer'
+ * @param {number} facultyId - คณะของผู้เรียก
  * @returns {Promise<Array>} - Array ของ user objects
  */
-export async function findUsersByRole(roleName) {
+export async function findUsersByRole(roleName, facultyId) {
     const sql = `
         SELECT 
             u.id,
@@ -118,11 +182,12 @@ export async function findUsersByRole(roleName) {
         JOIN user_roles ur ON u.id = ur.user_id
         JOIN roles r ON ur.role_id = r.id
         WHERE r.role_name = $1
+          AND u.faculty_id = $2
           AND ur.is_active = true
           AND u.is_active = true
         ORDER BY u.first_name_en, u.last_name_en
     `;
 
-    const result = await pool.query(sql, [roleName]);
+    const result = await pool.query(sql, [roleName, facultyId]);
     return result.rows;
 }
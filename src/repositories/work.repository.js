@@ -15,7 +15,7 @@
  * 
  * @param {object} client - PostgreSQL client (จาก connection pool)
  * @param {number} termSubjectId - ID ของ term_subject
- * @param {object} workData - ข้อมูล workload {work_title, description, start_date, end_date, hours_per_week}
+ * @param {object} workData - ข้อมูล workload {work_title, description, start_date, end_date, hours_per_week, work_type_id}
  * @param {number} userId - ID ของผู้สร้าง (academic officer)
  * 
  * @returns {object} workload ที่สร้าง (พร้อม id, created_at, etc.)
@@ -30,9 +30,10 @@ export async function insertWork(client, termSubjectId, workData, userId) {
             start_date,
             end_date,
             hours_per_week,
+            work_type_id,
             created_by,
             created_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
         RETURNING *
     `;
 
@@ -43,6 +44,7 @@ export async function insertWork(client, termSubjectId, workData, userId) {
         workData.start_date,
         workData.end_date,
         workData.hours_per_week,
+        workData.work_type_id ?? null,
         userId,
     ];
 
@@ -61,20 +63,24 @@ export async function insertWork(client, termSubjectId, workData, userId) {
 export async function findWorkByTermSubjectId(client, termSubjectId) {
     const sql = `
         SELECT 
-            id,
-            term_subject_id,
-            work_title,
-            description,
-            start_date,
-            end_date,
-            hours_per_week,
-            created_at,
-            created_by,
-            updated_at,
-            updated_by
-        FROM work_details
-        WHERE term_subject_id = $1
-        ORDER BY created_at DESC
+            w.id,
+            w.term_subject_id,
+            w.work_title,
+            w.description,
+            w.start_date,
+            w.end_date,
+            w.hours_per_week,
+            w.work_type_id,
+            wt.code AS work_type_code,
+            wt.name_th AS work_type_name_th,
+            w.created_at,
+            w.created_by,
+            w.updated_at,
+            w.updated_by
+        FROM work_details w
+        LEFT JOIN work_types wt ON w.work_type_id = wt.id
+        WHERE w.term_subject_id = $1
+        ORDER BY w.created_at DESC
     `;
 
     const result = await client.query(sql, [termSubjectId]);
@@ -99,6 +105,7 @@ export async function findWorkById(client, workId) {
             start_date,
             end_date,
             hours_per_week,
+            work_type_id,
             created_at,
             created_by,
             updated_at,
@@ -123,7 +130,7 @@ export async function findWorkById(client, workId) {
  */
 export async function updateWork(client, workId, updateData, userId) {
     // สร้าง SET clause แบบ dynamic
-    const allowedFields = ['work_title', 'description', 'start_date', 'end_date', 'hours_per_week'];
+    const allowedFields = ['work_title', 'description', 'start_date', 'end_date', 'hours_per_week', 'work_type_id'];
     const updates = [];
     const values = [];
     let paramCount = 1;
@@ -212,6 +219,9 @@ export async function findWorkWithDetails(client, workId) {
             w.start_date,
             w.end_date,
             w.hours_per_week,
+            w.work_type_id,
+            wt.code AS work_type_code,
+            wt.name_th AS work_type_name_th,
             w.created_at,
             w.created_by,
             w.updated_at,
@@ -225,6 +235,7 @@ export async function findWorkWithDetails(client, workId) {
             CONCAT(uu.first_name_th, ' ', uu.last_name_th) AS updated_by_name
         FROM work_details w
         LEFT JOIN term_subjects ts ON w.term_subject_id = ts.id
+        LEFT JOIN work_types wt ON w.work_type_id = wt.id
         LEFT JOIN users cu ON w.created_by = cu.id
         LEFT JOIN users uu ON w.updated_by = uu.id
         WHERE w.id = $1
@@ -252,6 +263,7 @@ export async function findWorksByTermId(client, termId) {
             w.start_date,
             w.end_date,
             w.hours_per_week,
+            w.work_type_id,
             w.created_at,
             w.created_by,
             w.updated_at,
@@ -268,3 +280,55 @@ export async function findWorksByTermId(client, termId) {
     const result = await client.query(sql, [termId]);
     return result.rows;
 }
+
+/**
+ * ดึง workload ทั้งหมดของ term สำหรับ export
+ * รวมรหัส/ชื่อวิชา, ชั้นปี และอาจารย์ผู้รับผิดชอบ
+ * 
+ * @param {object} client - PostgreSQL client
+ * @param {number} termId - ID ของ term
+ * 
+ * @returns {array} array ของ workload rows
+ */
+export async function findWorksForExport(client, termId) {
+    const sql = `
+        SELECT
+            w.id,
+            w.term_subject_id,
+            s.code_th,
+            s.code_eng,
+            s.name_th,
+            s.name_eng,
+            COALESCE(
+                (
+                    SELECT string_agg(sy.student_year::text, ',' ORDER BY sy.student_year)
+                    FROM subjects_student_years ssy
+                    JOIN student_years sy ON sy.id = ssy.student_year_id
+                    WHERE ssy.subject_id = s.id
+                ),
+                ''
+            ) AS year_levels,
+            (
+                SELECT TRIM(CONCAT(u.first_name_th, ' ', u.last_name_th))
+                FROM term_subjects_professor tsp
+                JOIN users u ON u.id = tsp.user_id
+                WHERE tsp.term_subject_id = ts.id
+                  AND tsp.is_responsible = true
+                LIMIT 1
+            ) AS responsible_lecturer,
+            w.work_title,
+            w.description,
+            w.start_date,
+            w.end_date,
+            w.hours_per_week,
+            w.work_type_id
+        FROM work_details w
+        INNER JOIN term_subjects ts ON w.term_subject_id = ts.id
+        INNER JOIN subjects s ON ts.subject_id = s.id
+        WHERE ts.term_id = $1
+        ORDER BY COALESCE(s.code_eng, s.code_th) ASC, w.start_date ASC, w.id ASC
+    `;
+
+    const result = await client.query(sql, [termId]);
+    return result.rows;
+}
@@ -0,0 +1,65 @@
+/**
+ * Work Change Log Repository
+ * Pure SQL สำหรับประวัติการสร้าง/แก้ไข/ลบภาระงาน (work_change_logs)
+ */
+
+/**
+ * บันทึกการเปลี่ยนแปลงภาระงาน
+ * @param {Object} client - Database client (สำหรับ transaction)
+ * @param {Object} data - { workId, termSubjectId, actorId, actorRole, action, changes }
+ * @returns {Promise<Object>} work_change_logs row
+ */
+export async function insertWorkChangeLog(client, data) {
+    const sql = `
+        INSERT INTO work_change_logs (
+            work_id,
+            term_subject_id,
+            actor_id,
+            actor_role,
+            action,
+            changes,
+            changed_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
+        RETURNING *
+    `;
+
+    const values = [
+        data.workId,
+        data.termSubjectId,
+        data.actorId,
+        data.actorRole || null,
+        data.action,
+        JSON.stringify(data.changes || {}),
+    ];
+
+    const result = await client.query(sql, values);
+    return result.rows[0];
+}
+
+/**
+ * ดึงประวัติการเปลี่ยนแปลงภาระงานของ term_subject (ใหม่สุดก่อน)
+ * @param {Object} client - Database client
+ * @param {number} termSubjectId - ID ของ term_subject
+ * @returns {Promise<Array>} work_change_logs rows พร้อมชื่อผู้แก้ไข
+ */
+export async function findWorkChangeLogsByTermSubject(client, termSubjectId) {
+    const sql = `
+        SELECT
+            wcl.id,
+            wcl.work_id,
+            wcl.term_subject_id,
+            wcl.actor_id,
+            wcl.actor_role,
+            wcl.action,
+            wcl.changes,
+            wcl.changed_at,
+            CONCAT(u.first_name_th, ' ', u.last_name_th) AS actor_name
+        FROM work_change_logs wcl
+        LEFT JOIN users u ON wcl.actor_id = u.id
+        WHERE wcl.term_subject_id = $1
+        ORDER BY wcl.changed_at DESC, wcl.id DESC
+    `;
+
+    const result = await client.query(sql, [termSubjectId]);
+    return result.rows;
+}
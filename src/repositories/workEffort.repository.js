@@ -0,0 +1,89 @@
+/**
+ * Work Effort Repository
+ * Pure SQL สำหรับชั่วโมงจริงที่นักศึกษารายงาน (work_efforts)
+ */
+
+/**
+ * บันทึกชั่วโมงจริงของนักศึกษา (รายงานซ้ำในสัปดาห์เดิมจะแทนที่ค่าเดิม)
+ *
+ * @param {Object} client - Database client
+ * @param {number} workId - ID ของ work_details
+ * @param {number} studentId - ID ของนักศึกษา
+ * @param {Object} data - { week, hours }
+ * @returns {Promise<Object>} work_efforts row
+ */
+export async function upsertWorkEffort(client, workId, studentId, data) {
+    const query = `
+        INSERT INTO work_efforts (work_id, student_id, week, hours, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, NOW(), NOW())
+        ON CONFLICT (work_id, student_id, week)
+        DO UPDATE SET hours = EXCLUDED.hours,
+                      updated_at = NOW()
+        RETURNING *
+    `;
+
+    const result = await client.query(query, [workId, studentId, data.week, data.hours]);
+    return result.rows[0];
+}
+
+/**
+ * ดึงชั่วโมงที่รายงานของหลาย work (ไม่คืน student_id เพื่อไม่ระบุตัวตน)
+ *
+ * @param {Object} client - Database client
+ * @param {Array<number>} workIds - ID ของ work_details
+ * @returns {Promise<Array>} [{ work_id, week, hours }]
+ */
+export async function findEffortHoursByWorkIds(client, workIds) {
+    if (workIds.length === 0) return [];
+
+    const query = `
+        SELECT work_id, week, hours::float AS hours
+        FROM work_efforts
+        WHERE work_id = ANY($1::int[])
+        ORDER BY work_id ASC, week ASC
+    `;
+
+    const result = await client.query(query, [workIds]);
+    return result.rows;
+}
+
+/**
+ * นับจำนวนนักศึกษา (ไม่ซ้ำ) ที่รายงานชั่วโมงของแต่ละ work
+ *
+ * @param {Object} client - Database client
+ * @param {Array<number>} workIds - ID ของ work_details
+ * @returns {Promise<Map<number, number>>} work_id → จำนวนนักศึกษา
+ */
+export async function countEffortStudentsByWorkIds(client, workIds) {
+    if (workIds.length === 0) return new Map();
+
+    const query = `
+        SELECT work_id, COUNT(DISTINCT student_id)::int AS student_count
+        FROM work_efforts
+        WHERE work_id = ANY($1::int[])
+        GROUP BY work_id
+    `;
+
+    const result = await client.query(query, [workIds]);
+    return new Map(result.rows.map(row => [row.work_id, row.student_count]));
+}
+
+/**
+ * ดึงชั้นปีของรายวิชา (subjects_student_years)
+ *
+ * @param {Object} client - Database client
+ * @param {number} subjectId - ID ของ subjects
+ * @returns {Promise<Array<number>>} เช่น [1, 2]
+ */
+export async function findSubjectYearLevels(client, subjectId) {
+    const query = `
+        SELECT DISTINCT sy.student_year
+        FROM subjects_student_years ssy
+        INNER JOIN student_years sy ON sy.id = ssy.student_year_id
+        WHERE ssy.subject_id = $1
+        ORDER BY sy.student_year ASC
+    `;
+
+    const result = await client.query(query, [subjectId]);
+    return result.rows.map(row => Number(row.student_year));
+}
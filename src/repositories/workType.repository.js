@@ -0,0 +1,122 @@
+/**
+ * Work Type Repository
+ * Pure SQL สำหรับประเภทภาระงาน (work_types)
+ */
+
+/**
+ * ดึงประเภทภาระงาน
+ *
+ * @param {Object} client - Database client
+ * @param {Object} options - { includeInactive: boolean }
+ * @returns {Promise<Array>} work_types rows
+ */
+export async function findWorkTypes(client, { includeInactive = false } = {}) {
+    const query = `
+        SELECT *
+        FROM work_types
+        WHERE ($1::boolean OR is_active = true)
+        ORDER BY id ASC
+    `;
+
+    const result = await client.query(query, [includeInactive]);
+    return result.rows.map(toWorkType);
+}
+
+/**
+ * ดึงประเภทภาระงานตาม ID
+ *
+ * @param {Object} client - Database client
+ * @param {number} workTypeId - ID ของ work_type
+ * @returns {Promise<Object|null>}
+ */
+export async function findWorkTypeById(client, workTypeId) {
+    const query = `
+        SELECT *
+        FROM work_types
+        WHERE id = $1
+    `;
+
+    const result = await client.query(query, [workTypeId]);
+    return result.rows[0] ? toWorkType(result.rows[0]) : null;
+}
+
+/**
+ * สร้างประเภทภาระงาน
+ *
+ * @param {Object} client - Database client
+ * @param {Object} data - { code, name_th, name_en, default_hours_per_week, weight }
+ * @param {number} userId - ID ของผู้สร้าง
+ * @returns {Promise<Object>}
+ */
+export async function insertWorkType(client, data, userId) {
+    const query = `
+        INSERT INTO work_types (
+            code,
+            name_th,
+            name_en,
+            default_hours_per_week,
+            weight,
+            is_active,
+            created_at,
+            created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7)
+        RETURNING *
+    `;
+
+    const result = await client.query(query, [
+        data.code,
+        data.name_th,
+        data.name_en ?? null,
+        data.default_hours_per_week ?? null,
+        data.weight ?? null,
+        data.is_active ?? true,
+        userId,
+    ]);
+    return toWorkType(result.rows[0]);
+}
+
+/**
+ * แก้ไขประเภทภาระงาน (เฉพาะ fields ที่ส่งมา)
+ *
+ * @param {Object} client - Database client
+ * @param {number} workTypeId - ID ของ work_type
+ * @param {Object} data - fields ที่ต้องการแก้ไข
+ * @param {number} userId - ID ของผู้แก้ไข
+ * @returns {Promise<Object|null>}
+ */
+export async function updateWorkType(client, workTypeId, data, userId) {
+    const allowedFields = ['code', 'name_th', 'name_en', 'default_hours_per_week', 'weight', 'is_active'];
+    const updates = [];
+    const values = [];
+
+    for (const field of allowedFields) {
+        if (data[field] !== undefined) {
+            values.push(data[field]);
+            updates.push(`${field} = $${values.length}`);
+        }
+    }
+
+    values.push(userId);
+    updates.push('updated_at = NOW()', `updated_by = $${values.length}`);
+    values.push(workTypeId);
+
+    const query = `
+        UPDATE work_types
+        SET ${updates.join(', ')}
+        WHERE id = $${values.length}
+        RETURNING *
+    `;
+
+    const result = await client.query(query, values);
+    return result.rows[0] ? toWorkType(result.rows[0]) : null;
+}
+
+/**
+ * แปลง NUMERIC (string จาก pg) เป็น number
+ */
+function toWorkType(row) {
+    return {
+        ...row,
+        weight: row.weight === null ? null : Number(row.weight),
+    };
+}
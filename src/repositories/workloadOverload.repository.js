@@ -0,0 +1,67 @@
+/**
+ * Workload Overload Repository
+ * Pure SQL สำหรับดึง work_details ตามชั้นปี เพื่อใช้ตรวจสอบภาระงานเกินกำหนด
+ */
+
+/**
+ * ดึง work_details ทั้งหมดของ term แยกตามชั้นปี
+ * work หนึ่งรายการอาจได้หลายแถวถ้ารายวิชาเปิดให้หลายชั้นปี
+ *
+ * @param {Object} client - Database client
+ * @param {number} termId - ID ของ term
+ * @param {Array<number>} yearLevels - ชั้นปีที่ต้องการ เช่น [1, 2]
+ * @returns {Promise<Array>} rows ของ work พร้อมข้อมูลรายวิชาและชั้นปี
+ */
+export async function findWorksByYearLevels(client, termId, yearLevels) {
+    const placeholders = yearLevels.map((_, idx) => `$${idx + 2}`).join(',');
+
+    const query = `
+        SELECT
+            wd.id AS work_id,
+            wd.work_title,
+            wd.hours_per_week,
+            wd.start_date,
+            wd.end_date,
+            ts.id AS term_subject_id,
+            s.code_th,
+            s.code_eng,
+            s.name_th,
+            s.name_eng,
+            sy.student_year,
+            t.term_start_date
+        FROM work_details wd
+        INNER JOIN term_subjects ts ON wd.term_subject_id = ts.id
+        INNER JOIN terms t ON ts.term_id = t.id
+        INNER JOIN subjects s ON ts.subject_id = s.id
+        INNER JOIN subjects_student_years ssy ON s.id = ssy.subject_id
+        INNER JOIN student_years sy ON ssy.student_year_id = sy.id
+        WHERE ts.term_id = $1
+          AND ts.is_active = true
+          AND sy.student_year IN (${placeholders})
+        ORDER BY sy.student_year ASC, wd.start_date ASC, wd.id ASC
+    `;
+
+    const result = await client.query(query, [termId, ...yearLevels]);
+    return result.rows;
+}
+
+/**
+ * ดึงชั้นปีทั้งหมดของรายวิชาใน term_subject
+ *
+ * @param {Object} client - Database client
+ * @param {number} termSubjectId - ID ของ term_subject
+ * @returns {Promise<Array<number>>} รายการชั้นปี เช่น [1, 2]
+ */
+export async function findYearLevelsByTermSubject(client, termSubjectId) {
+    const query = `
+        SELECT DISTINCT sy.student_year
+        FROM term_subjects ts
+        INNER JOIN subjects_student_years ssy ON ts.subject_id = ssy.subject_id
+        INNER JOIN student_years sy ON ssy.student_year_id = sy.id
+        WHERE ts.id = $1
+        ORDER BY sy.student_year ASC
+    `;
+
+    const result = await client.query(query, [termSubjectId]);
+    return result.rows.map(row => Number(row.student_year));
+}
@@ -0,0 +1,143 @@
+/**
+ * Workload Review Repository
+ * Pure SQL สำหรับประวัติการส่ง/รับรอง/อนุมัติ/ตีกลับภาระงาน (workload_reviews)
+ */
+
+/**
+ * บันทึกหนึ่งขั้นของการอนุมัติภาระงาน
+ * @param {Object} client - Database client (สำหรับ transaction)
+ * @param {Object} data - { termSubjectId, actorId, actorRole, action, stage, fromStatus, toStatus, comment, reason }
+ * @returns {Promise<Object>} workload_reviews row
+ */
+export async function insertWorkloadReview(client, data) {
+    const sql = `
+        INSERT INTO workload_reviews (
+            term_subject_id,
+            actor_id,
+            actor_role,
+            action,
+            stage,
+            from_status,
+            to_status,
+            comment,
+            reason,
+            reviewed_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+        RETURNING *
+    `;
+
+    const values = [
+        data.termSubjectId,
+        data.actorId,
+        data.actorRole || null,
+        data.action,
+        data.stage ?? null,
+        data.fromStatus || null,
+        data.toStatus,
+        data.comment || null,
+        data.reason || null,
+    ];
+
+    const result = await client.query(sql, values);
+    return result.rows[0];
+}
+
+/**
+ * ดึงประวัติการอนุมัติภาระงานทั้งหมดของ term_subject (เรียงตามเวลา)
+ * @param {Object} client - Database client
+ * @param {number} termSubjectId - ID ของ term_subject
+ * @returns {Promise<Array>} workload_reviews rows พร้อมชื่อผู้ดำเนินการ
+ */
+export async function findWorkloadReviewsByTermSubject(client, termSubjectId) {
+    const sql = `
+        SELECT
+            wr.id,
+            wr.term_subject_id,
+            wr.action,
+            wr.stage,
+            wr.from_status,
+            wr.to_status,
+            wr.comment,
+            wr.reason,
+            wr.reviewed_at,
+            wr.actor_id,
+            wr.actor_role,
+            COALESCE(
+                NULLIF(TRIM(CONCAT(COALESCE(u.first_name_th, ''), ' ', COALESCE(u.last_name_th, ''))), ''),
+                NULLIF(TRIM(CONCAT(COALESCE(u.first_name_en, ''), ' ', COALESCE(u.last_name_en, ''))), ''),
+                u.email
+            ) AS actor_name
+        FROM workload_reviews wr
+        LEFT JOIN users u ON u.id = wr.actor_id
+        WHERE wr.term_subject_id = $1
+        ORDER BY wr.reviewed_at ASC, wr.id ASC
+    `;
+
+    const result = await client.query(sql, [termSubjectId]);
+    return result.rows;
+}
+
+/**
+ * ดึงรายการล่าสุดใน workload_reviews ของ term_subject
+ * @param {Object} client - Database client
+ * @param {number} termSubjectId - ID ของ term_subject
+ * @returns {Promise<Object|null>} workload_reviews row หรือ null
+ */
+export async function findLatestWorkloadReview(client, termSubjectId) {
+    const sql = `
+        SELECT
+            wr.action,
+            wr.reason,
+            wr.comment,
+            wr.reviewed_at,
+            wr.actor_role,
+            COALESCE(
+                NULLIF(TRIM(CONCAT(COALESCE(u.first_name_th, ''), ' ', COALESCE(u.last_name_th, ''))), ''),
+                NULLIF(TRIM(CONCAT(COALESCE(u.first_name_en, ''), ' ', COALESCE(u.last_name_en, ''))), ''),
+                u.email
+            ) AS actor_name
+        FROM workload_reviews wr
+        LEFT JOIN users u ON u.id = wr.actor_id
+        WHERE wr.term_subject_id = $1
+        ORDER BY wr.reviewed_at DESC, wr.id DESC
+        LIMIT 1
+    `;
+
+    const result = await client.query(sql, [termSubjectId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * ดึงข้อมูลสำหรับส่ง email แจ้งผลภาระงาน (อาจารย์ที่ส่งล่าสุด + รายวิชา)
+ * @param {Object} client - Database client
+ * @param {number} termSubjectId - ID ของ term_subject
+ * @returns {Promise<Object|undefined>} { email, instructor_name, subject_code, subject_name }
+ */
+export async function getWorkloadEmailDetails(client, termSubjectId) {
+    const sql = `
+        SELECT
+            u.email,
+            CONCAT(u.first_name_th, ' ', u.last_name_th) AS instructor_name,
+            s.code_th,
+            s.code_eng,
+            s.name_th,
+            s.name_eng
+        FROM workload_reviews wr
+        JOIN users u          ON u.id = wr.actor_id
+        JOIN term_subjects ts ON ts.id = wr.term_subject_id
+        JOIN subjects s       ON s.id = ts.subject_id
+        WHERE wr.term_subject_id = $1
+          AND wr.action = 'submitted'
+        ORDER BY wr.reviewed_at DESC, wr.id DESC
+        LIMIT 1
+    `;
+
+    const result = await client.query(sql, [termSubjectId]);
+    const row = result.rows[0];
+
+    if (row) {
+        row.subject_code = row.code_th || row.code_eng;
+        row.subject_name = row.name_th || row.name_eng;
+    }
+    return row;
+}
@@ -0,0 +1,23 @@
+/**
+ * Audit Routes
+ * ประวัติการเปลี่ยนแปลงข้อมูล (audit_events)
+ */
+
+import express from 'express';
+import * as auditController from '../controllers/audit.controller.js';
+import { authMiddleware } from '../middlewares/auth.middleware.js';
+import { authorizeRoles, ROLES } from '../middlewares/role.middleware.js';
+
+const router = express.Router();
+
+router.use(authMiddleware);
+router.use(authorizeRoles(ROLES.ACADEMIC_OFFICER));
+
+/**
+ * @route   GET /api/audit
+ * @desc    List audit events with filters (actor_id, action, entity_type, entity_id, request_id, from, to)
+ * @access  Protected (Academic Officer only)
+ */
+router.get('/', auditController.getAuditEvents);
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import * as authController from '../controllers/auth.controller.js';
+import { authMiddleware } from '../middlewares/auth.middleware.js';
 
 const router = express.Router();
 
@@ -33,4 +34,39 @@ const router = express.Router();
  */
 router.post('/login', authController.login);
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token
+ *
+ * Request body: { "refreshToken": "..." }
+ *
+ * Success response (200): { success, token, expiresIn, refreshToken, refreshExpiresAt }
+ * - refresh token เดิมใช้ไม่ได้อีก (rotation) ถ้าถูกส่งมาซ้ำจะยกเลิกทั้ง session
+ *
+ * Error responses:
+ * - 400: refreshToken missing
+ * - 401: INVALID_REFRESH_TOKEN | REFRESH_TOKEN_EXPIRED | REFRESH_TOKEN_REVOKED | REFRESH_TOKEN_REUSED
+ */
+router.post('/refresh', authController.refresh);
+
+/**
+ * POST /api/auth/logout
+ * Revoke the session of a refresh token
+ *
+ * Request body: { "refreshToken": "..." }
+ */
+router.post('/logout', authController.logout);
+
+/**
+ * GET /api/auth/me
+ * Current user profile and effective roles (from the database, not the JWT)
+ *
+ * Success response (200):
+ * {
+ *   "success": true,
+ *   "user": { id, username, firstNameTh, ..., roles: ["Professor", ...] }
+ * }
+ */
+router.get('/me', authMiddleware, authController.me);
+
 export default router;
@@ -0,0 +1,33 @@
+/**
+ * Calendar Routes
+ * iCalendar feed สำหรับ subscribe ใน Google/Apple Calendar
+ */
+
+import express from 'express';
+import * as calendarController from '../controllers/calendar.controller.js';
+import { authMiddleware } from '../middlewares/auth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/calendar/token
+ * @desc    Get (or create) the current user's calendar feed URL
+ * @access  Protected (All authenticated users)
+ */
+router.get('/token', authMiddleware, calendarController.getCalendarToken);
+
+/**
+ * @route   POST /api/calendar/token/rotate
+ * @desc    Replace the calendar feed token (old URL stops working)
+ * @access  Protected (All authenticated users)
+ */
+router.post('/token/rotate', authMiddleware, calendarController.rotateCalendarToken);
+
+/**
+ * @route   GET /api/calendar/:token.ics
+ * @desc    iCalendar feed of works (filtered by student year level) and exam ranges in the active term
+ * @access  Public (authenticated by token in URL)
+ */
+router.get('/:token.ics', calendarController.getCalendarFeed);
+
+export default router;
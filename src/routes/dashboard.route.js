@@ -7,13 +7,16 @@ import express from 'express';
 import * as dashboardController from '../controllers/dashboard.controller.js';
 import { authMiddleware } from '../middlewares/auth.middleware.js';
 import { authorizeRoles, ROLES } from '../middlewares/role.middleware.js';
+import { scopeToFaculty } from '../middlewares/tenancy.middleware.js';
 
 const router = express.Router();
 
 /**
  * All dashboard routes require authentication
+ * termId (query) ต้องเป็น term ของคณะผู้ใช้ — ไม่ระบุจะใช้ active term ของคณะ
  */
 router.use(authMiddleware);
+router.use(scopeToFaculty('term', { resolveId: (req) => req.query.termId }));
 
 /**
  * @route   GET /api/dashboard/summary
@@ -43,7 +46,8 @@ router.get(
  * @route   GET /api/dashboard/workload-chart
  * @desc    ดึงข้อมูลภาระงานแยกตามสัปดาห์สำหรับสร้าง chart
  * @query   termId (optional) - ID ของ term
- * @query   years (optional) - ระดับชั้นปีที่ต้องการดู เช่น "1,2" (default: "1,2,3,4")
+ * @query   years (optional) - ระดับชั้นปีที่ต้องการดู เช่น "1,2" (default: ชั้นปีของนักศึกษาที่ login, บุคลากร "1,2,3,4")
+ *          นักศึกษาเห็นเฉพาะรายวิชาในหลักสูตรของตัวเอง (users.program_id)
  * @access  Protected (Academic Officer only)
  */
 router.get(
@@ -67,6 +71,8 @@ router.get(
  * @route   GET /api/dashboard/student-subjects
  * @desc    ดึง term subjects พร้อม workload รวมต่อสัปดาห์ สำหรับ student dashboard
  * @query   termId (required) - ID ของ term
+ * @query   years (optional) - กรองรายวิชาตามชั้นปี เช่น "1,2" (default: ชั้นปีของนักศึกษาที่ login, บุคลากรเห็นทุกรายวิชา)
+ *          นักศึกษาเห็นเฉพาะรายวิชาในหลักสูตรของตัวเอง (users.program_id)
  * @access  Protected (Student, Academic Officer, Program Chair)
  */
 router.get(
@@ -75,4 +81,18 @@ router.get(
     dashboardController.getStudentSubjects
 );
 
+/**
+ * @route   GET /api/dashboard/overload
+ * @desc    ดึงสัปดาห์ที่ภาระงานรวมของชั้นปีเกินกำหนด พร้อมรายวิชา/งานที่เป็นต้นเหตุ
+ * @query   termId (optional) - ID ของ term (default: active term)
+ * @query   yearLevel (optional) - ชั้นปี 1-4 (default: ทุกชั้นปี)
+ * @query   threshold (optional) - ชั่วโมงต่อสัปดาห์สูงสุด (default: WORKLOAD_WEEKLY_HOUR_LIMIT)
+ * @access  Protected (Academic Officer, Program Chair)
+ */
+router.get(
+    '/overload',
+    authorizeRoles(ROLES.ACADEMIC_OFFICER, ROLES.PROGRAM_CHAIR),
+    dashboardController.getOverload
+);
+
 export default router;
@@ -10,6 +10,10 @@ import dashboardRoute from './dashboard.route.js';
 import permissionRoutes from './permission.routes.js';
 import submissionRoutes from './submission.routes.js';
 import reminderRoutes from './reminder.routes.js';
+import calendarRoute from './calendar.route.js';
+import workEffortRoute from './workEffort.route.js';
+import workTypeRoute from './workType.route.js';
+import auditRoute from './audit.route.js';
 
 const router = express.Router();
 
@@ -39,6 +43,12 @@ router.use('/term-subjects', termSubjectRoute);
 // My subjects route (protected - professor only)
 router.use('/my-subjects', mySubjectsRoute);
 
+// Work effort routes (protected - students log actual hours, staff view statistics)
+router.use('/works', workEffortRoute);
+
+// Work type routes (protected - managed by academic officer)
+router.use('/work-types', workTypeRoute);
+
 // Dashboard route (protected - academic officer only)
 router.use('/dashboard', dashboardRoute);
 
@@ -48,6 +58,12 @@ router.use('/permissions', permissionRoutes);
 // Document submission routes (protected)
 router.use('/submissions', submissionRoutes);
 
+// Audit log routes (protected - academic officer only)
+router.use('/audit', auditRoute);
+
+// Calendar feed routes (token endpoints protected, .ics feed authenticated by URL token)
+router.use('/calendar', calendarRoute);
+
 // Internal reminder route (protected by x-internal-key header)
 router.use('/internal/reminders', reminderRoutes);
 
@@ -2,6 +2,8 @@ import express from 'express';
 import * as permissionController from '../controllers/permission.controller.js';
 import { authMiddleware } from '../middlewares/auth.middleware.js';
 import { authorizeRoles, ROLES } from '../middlewares/role.middleware.js';
+import { auditAction } from '../middlewares/audit.middleware.js';
+import { scopeToFaculty } from '../middlewares/tenancy.middleware.js';
 
 const router = express.Router();
 
@@ -9,8 +11,13 @@ router.use(authMiddleware);
 router.use(authorizeRoles(ROLES.ACADEMIC_OFFICER));
 
 router.get('/instructors', permissionController.getInstructors);
-router.post('/users/bulk', permissionController.bulkCreateUsers);
-router.delete('/users/:userId/roles/:roleId', permissionController.removeUserRole);
+router.post('/users/bulk', auditAction('user.bulk_create'), permissionController.bulkCreateUsers);
+router.delete(
+    '/users/:userId/roles/:roleId',
+    scopeToFaculty('user', { param: 'userId' }),
+    auditAction('user_role.delete', { resolveId: (req) => `${req.params.userId}:${req.params.roleId}` }),
+    permissionController.removeUserRole
+);
 router.get('/users', permissionController.getUsersGroupedByRole);
 
 export default router;
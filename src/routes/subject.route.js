@@ -2,6 +2,8 @@ import express from 'express';
 import * as subjectController from '../controllers/subject.controller.js';
 import { authMiddleware } from '../middlewares/auth.middleware.js';
 import { authorizeRoles, ROLES } from '../middlewares/role.middleware.js';
+import { auditAction } from '../middlewares/audit.middleware.js';
+import { scopeToFaculty } from '../middlewares/tenancy.middleware.js';
 
 const router = express.Router();
 
@@ -15,6 +17,7 @@ const router = express.Router();
  * Role permissions:
  * - View (GET): Professor, Program Chair, Academic Officer
  * - Create/Update/Delete: Program Chair, Academic Officer only
+ * - ทุก route เห็นเฉพาะวิชาของคณะตัวเอง (:id ตรวจด้วย scopeToFaculty, รายการกรองใน service)
  */
 
 // Apply auth middleware ให้ทุก routes
@@ -40,6 +43,7 @@ router.get(
 router.get(
     '/:id',
     authorizeRoles(ROLES.PROFESSOR, ROLES.PROGRAM_CHAIR, ROLES.ACADEMIC_OFFICER, ROLES.STUDENT),
+    scopeToFaculty('subject'),
     subjectController.getSubjectById
 );
 
@@ -51,6 +55,7 @@ router.get(
 router.get(
     '/:id/student-years',
     authorizeRoles(ROLES.PROFESSOR, ROLES.PROGRAM_CHAIR, ROLES.ACADEMIC_OFFICER),
+    scopeToFaculty('subject'),
     subjectController.getSubjectStudentYears
 );
 
@@ -63,6 +68,7 @@ router.get(
 router.post(
     '/',
     authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    auditAction('subject.create'),
     subjectController.createSubject
 );
 
@@ -75,6 +81,8 @@ router.post(
 router.put(
     '/:id',
     authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    scopeToFaculty('subject'),
+    auditAction('subject.update', { param: 'id' }),
     subjectController.updateSubject
 );
 
@@ -86,6 +94,8 @@ router.put(
 router.delete(
     '/:id',
     authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    scopeToFaculty('subject'),
+    auditAction('subject.delete', { param: 'id' }),
     subjectController.deleteSubject
 );
 
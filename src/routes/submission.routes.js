@@ -7,6 +7,10 @@ import express from 'express';
 import * as submissionController from '../controllers/submission.controller.js';
 import { authMiddleware } from '../middlewares/auth.middleware.js';
 import { authorizeRoles, ROLES } from '../middlewares/role.middleware.js';
+import { authorizeTermSubject } from '../middlewares/policy.middleware.js';
+import { scopeToFaculty } from '../middlewares/tenancy.middleware.js';
+import { auditAction } from '../middlewares/audit.middleware.js';
+import { ACTIONS } from '../utils/policy.js';
 
 const router = express.Router();
 
@@ -15,23 +19,31 @@ router.use(authMiddleware);
 router.get(
     '/my-subjects/:termId',
     authorizeRoles(ROLES.PROFESSOR),
+    scopeToFaculty('term', { param: 'termId' }),
     submissionController.getMySubjectsWithStatus
 );
 
 router.post(
     '/',
     authorizeRoles(ROLES.PROFESSOR),
+    scopeToFaculty('term_subject', { resolveId: (req) => req.body?.term_subject_id }),
+    authorizeTermSubject(ACTIONS.UPLOAD, { resolveId: (req) => req.body?.term_subject_id }),
+    auditAction('submission.create'),
     submissionController.createSubmission
 );
 
 router.patch(
     '/:submissionId/review',
     authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    scopeToFaculty('submission', { param: 'submissionId' }),
+    auditAction('submission.review', { param: 'submissionId' }),
     submissionController.reviewSubmission
 );
 
 router.get(
     '/:termSubjectId/history/:documentType',
+    scopeToFaculty('term_subject', { param: 'termSubjectId' }),
+    authorizeTermSubject(ACTIONS.VIEW, { param: 'termSubjectId' }),
     submissionController.getSubmissionHistory
 );
 
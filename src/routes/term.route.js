@@ -6,13 +6,17 @@
 import express from 'express';
 import * as termController from '../controllers/term.controller.js';
 import * as termSubjectController from '../controllers/termSubject.controller.js';
+import * as workController from '../controllers/work.controller.js';
 import { authMiddleware } from '../middlewares/auth.middleware.js';
 import { authorizeRoles, ROLES } from '../middlewares/role.middleware.js';
+import { auditAction } from '../middlewares/audit.middleware.js';
+import { scopeToFaculty } from '../middlewares/tenancy.middleware.js';
 
 const router = express.Router();
 
 /**
  * All routes require authentication
+ * (route ที่มี :id ตรวจว่า term อยู่ในคณะของผู้ใช้ด้วย scopeToFaculty)
  */
 router.use(authMiddleware);
 
@@ -57,48 +61,106 @@ router.get('/ended', termController.getEndedTerms);
  * @desc    Get term by ID
  * @access  Protected (All authenticated users)
  */
-router.get('/:id', termController.getTermById);
+router.get('/:id', scopeToFaculty('term'), termController.getTermById);
 
 /**
  * @route   POST /api/terms
  * @desc    Create new academic term
  * @access  Protected (Academic staff only)
  */
-router.post('/', authorizeRoles(ROLES.ACADEMIC_OFFICER), termController.createTerm);
+router.post('/', authorizeRoles(ROLES.ACADEMIC_OFFICER), auditAction('term.create'), termController.createTerm);
 
 /**
  * @route   PUT /api/terms/:id
  * @desc    Update term
  * @access  Protected (Academic staff only)
  */
-router.put('/:id', authorizeRoles(ROLES.ACADEMIC_OFFICER), termController.updateTerm);
+router.put('/:id', authorizeRoles(ROLES.ACADEMIC_OFFICER), scopeToFaculty('term'), auditAction('term.update', { param: 'id' }), termController.updateTerm);
 
 /**
  * @route   DELETE /api/terms/:id
  * @desc    Delete term
  * @access  Protected (Academic staff only)
  */
-router.delete('/:id', authorizeRoles(ROLES.ACADEMIC_OFFICER), termController.deleteTerm);
+router.delete('/:id', authorizeRoles(ROLES.ACADEMIC_OFFICER), scopeToFaculty('term'), auditAction('term.delete', { param: 'id' }), termController.deleteTerm);
+
+/**
+ * @route   GET /api/terms/:id/calendar
+ * @desc    Get week calendar of a term (teaching/midterm/final/break weeks)
+ * @access  Protected (All authenticated users)
+ */
+router.get('/:id/calendar', scopeToFaculty('term'), termController.getTermCalendar);
 
 /**
  * @route   GET /api/terms/:id/subjects
  * @desc    Get all subjects in a term
  * @access  Protected (All authenticated users)
  */
-router.get('/:id/subjects', termController.getTermSubjects);
+router.get('/:id/subjects', scopeToFaculty('term'), termController.getTermSubjects);
 
 /**
  * @route   GET /api/terms/:id/subjects/status
  * @desc    ดึงข้อมูลสถานะรายวิชาในเทอม (แยกตาม role)
  * @access  Protected (All authenticated users)
  */
-router.get('/:id/subjects/status', termSubjectController.getCourseStatus);
+router.get('/:id/subjects/status', scopeToFaculty('term'), termSubjectController.getCourseStatus);
+
+/**
+ * @route   GET /api/terms/:id/works/export
+ * @desc    Export all works in a term as CSV or XLSX
+ * @query   format (optional) - "csv" (default) | "xlsx"
+ * @access  Protected (Academic Officer, Program Chair)
+ */
+router.get(
+    '/:id/works/export',
+    authorizeRoles(ROLES.ACADEMIC_OFFICER, ROLES.PROGRAM_CHAIR),
+    scopeToFaculty('term'),
+    workController.exportWorksByTerm
+);
+
+/**
+ * @route   GET /api/terms/:id/works/exam-overlaps
+ * @desc    List works whose date range overlaps the midterm or final exam period
+ * @access  Protected (Academic Officer, Program Chair)
+ */
+router.get(
+    '/:id/works/exam-overlaps',
+    authorizeRoles(ROLES.ACADEMIC_OFFICER, ROLES.PROGRAM_CHAIR),
+    scopeToFaculty('term'),
+    workController.getExamOverlapsByTerm
+);
 
 /**
  * @route   PUT /api/terms/:id/subjects
  * @desc    Update subjects in a term (replace all)
  * @access  Protected (Academic staff only)
  */
-router.put('/:id/subjects', authorizeRoles(ROLES.ACADEMIC_OFFICER), termController.updateTermSubjects);
+router.put(
+    '/:id/subjects',
+    authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    scopeToFaculty('term'),
+    auditAction('term.update_subjects', { param: 'id', snapshot: 'response' }),
+    termController.updateTermSubjects
+);
+
+/**
+ * @route   POST /api/terms/:id/clone-from/:sourceTermId
+ * @desc    Copy subjects, lecturer assignments and (optionally) works from a previous term
+ * @query   preview (optional) - "true" to list what would be created and conflicts without saving
+ * @query   include_works (optional) - "true" to copy works with dates shifted to the new term start
+ * @access  Protected (Academic staff only)
+ */
+router.post(
+    '/:id/clone-from/:sourceTermId',
+    authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    scopeToFaculty('term'),
+    scopeToFaculty('term', { param: 'sourceTermId' }),
+    auditAction('term.clone', {
+        param: 'id',
+        snapshot: 'response',
+        skip: (req) => [true, 'true', '1', 1].includes(req.query.preview ?? req.body?.preview),
+    }),
+    termController.cloneTermFrom
+);
 
 export default router;
@@ -6,30 +6,62 @@
 import express from 'express';
 import * as termSubjectController from '../controllers/termSubject.controller.js';
 import * as workController from '../controllers/work.controller.js';
+import * as workEffortController from '../controllers/workEffort.controller.js';
 import { authMiddleware } from '../middlewares/auth.middleware.js';
-import { authorizeRoles, ROLES } from '../middlewares/role.middleware.js';
-import { uploadSingleFile } from '../middlewares/upload.middleware.js';
+import { authorizeRoles, ROLES, WORKLOAD_APPROVER_ROLES } from '../middlewares/role.middleware.js';
+import { authorizeTermSubject } from '../middlewares/policy.middleware.js';
+import { auditAction } from '../middlewares/audit.middleware.js';
+import { scopeToFaculty } from '../middlewares/tenancy.middleware.js';
+import { authenticateDocumentLink } from '../middlewares/documentLink.middleware.js';
+import { ACTIONS } from '../utils/policy.js';
+import { uploadSingleFile, uploadSpreadsheetFile } from '../middlewares/upload.middleware.js';
 
 const router = express.Router();
 
 /**
- * Upload routes - ต้องอยู่ก่อน authMiddleware และ express.json()
- * เพราะ multer ต้อง parse multipart/form-data เอง
+ * Upload routes - multer parse multipart/form-data เอง
+ * ตรวจสิทธิ์ก่อน uploadSingleFile เพราะไฟล์ถูก stream เข้า storage ทันทีที่รับ
  */
 router.post(
     '/:id/upload',
-    uploadSingleFile,
     authMiddleware,
     authorizeRoles(ROLES.PROFESSOR),
+    scopeToFaculty('term_subject'),
+    authorizeTermSubject(ACTIONS.UPLOAD),
+    uploadSingleFile,
+    auditAction('document.upload'),
     termSubjectController.uploadDocument
 );
 
-router.get('/:id/documents', authMiddleware, termSubjectController.getDocuments);
-router.get('/:id/documents/latest', authMiddleware, termSubjectController.getLatestDocuments);
-router.get('/:id/documents/:documentId/file', authMiddleware, termSubjectController.downloadDocument);
+router.get('/:id/documents', authMiddleware, scopeToFaculty('term_subject'), authorizeTermSubject(ACTIONS.VIEW), termSubjectController.getDocuments);
+router.get('/:id/documents/latest', authMiddleware, scopeToFaculty('term_subject'), authorizeTermSubject(ACTIONS.VIEW), termSubjectController.getLatestDocuments);
+// file/preview เปิดได้ทั้งด้วย Bearer header และลิงก์ที่ลงลายเซ็น (?uid=&expires=&sig=) — ตรวจสิทธิ์เหมือนกัน
+router.get(
+    '/:id/documents/:documentId/file',
+    authenticateDocumentLink,
+    scopeToFaculty('term_subject'),
+    authorizeTermSubject(ACTIONS.VIEW),
+    termSubjectController.downloadDocument
+);
+router.get(
+    '/:id/documents/:documentId/preview',
+    authenticateDocumentLink,
+    scopeToFaculty('term_subject'),
+    authorizeTermSubject(ACTIONS.VIEW),
+    termSubjectController.previewDocument
+);
+router.post(
+    '/:id/documents/:documentId/link',
+    authMiddleware,
+    scopeToFaculty('term_subject'),
+    authorizeTermSubject(ACTIONS.VIEW),
+    termSubjectController.createDocumentLink
+);
 
 /**
  * All other routes require authentication
+ * (สิทธิ์ระดับวิชา เช่น เป็นอาจารย์ในวิชาหรือไม่ ตรวจด้วย authorizeTermSubject + utils/policy.js)
+ * (term_subject ต้องอยู่ในคณะของผู้ใช้ ตรวจด้วย scopeToFaculty ก่อนตรวจสิทธิ์ระดับวิชา)
  */
 router.use(authMiddleware);
 
@@ -42,49 +74,67 @@ router.use(authMiddleware);
  * @desc    Add subject to term
  * @access  Protected (Academic staff only)
  */
-router.post('/', authorizeRoles(ROLES.ACADEMIC_OFFICER), termSubjectController.addSubjectToTerm);
+router.post('/', authorizeRoles(ROLES.ACADEMIC_OFFICER), auditAction('term_subject.create'), termSubjectController.addSubjectToTerm);
 
 /**
  * @route   GET /api/term-subjects/term/:termId
  * @desc    Get all subjects in a term
  * @access  Protected (All authenticated users)
  */
-router.get('/term/:termId', termSubjectController.getTermSubjects);
+router.get('/term/:termId', scopeToFaculty('term', { param: 'termId' }), termSubjectController.getTermSubjects);
 
 /**
  * @route   GET /api/term-subjects/:id
  * @desc    Get term subject by ID
  * @access  Protected (All authenticated users)
  */
-router.get('/:id', termSubjectController.getTermSubjectById);
+router.get('/:id', scopeToFaculty('term_subject'), termSubjectController.getTermSubjectById);
 
 /**
  * @route   GET /api/term-subjects/:id/detail
- * @desc    ดึงข้อมูล term subject โดยละเอียด พร้อมเช็คสิทธิ์
+ * @desc    ดึงข้อมูล term subject โดยละเอียด
  * @access  Protected (Academic staff or assigned professor)
  */
-router.get('/:id/detail', termSubjectController.getTermSubjectDetail);
+router.get('/:id/detail', scopeToFaculty('term_subject'), authorizeTermSubject(ACTIONS.VIEW), termSubjectController.getTermSubjectDetail);
 
 /**
  * @route   POST /api/term-subjects/:id/assign-professor
  * @desc    มอบหมายอาจารย์ให้สอนวิชา
  * @access  Protected (Academic Officer only)
  */
-router.post('/:id/assign-professor', authorizeRoles(ROLES.ACADEMIC_OFFICER), termSubjectController.assignProfessor);
+router.post(
+    '/:id/assign-professor',
+    authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    scopeToFaculty('term_subject'),
+    auditAction('term_subject.assign_professor', { param: 'id', snapshot: 'response' }),
+    termSubjectController.assignProfessor
+);
 
 /**
  * @route   PUT /api/term-subjects/:id
  * @desc    Update term subject
  * @access  Protected (Academic staff only)
  */
-router.put('/:id', authorizeRoles(ROLES.ACADEMIC_OFFICER), termSubjectController.updateTermSubject);
+router.put(
+    '/:id',
+    authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    scopeToFaculty('term_subject'),
+    auditAction('term_subject.update', { param: 'id' }),
+    termSubjectController.updateTermSubject
+);
 
 /**
  * @route   DELETE /api/term-subjects/:id
  * @desc    Remove subject from term
  * @access  Protected (Academic staff only)
  */
-router.delete('/:id', authorizeRoles(ROLES.ACADEMIC_OFFICER), termSubjectController.removeSubjectFromTerm);
+router.delete(
+    '/:id',
+    authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    scopeToFaculty('term_subject'),
+    auditAction('term_subject.delete', { param: 'id' }),
+    termSubjectController.removeSubjectFromTerm
+);
 
 /**
  * Lecturer Assignment Operations
@@ -95,42 +145,66 @@ router.delete('/:id', authorizeRoles(ROLES.ACADEMIC_OFFICER), termSubjectControl
  * @desc    Get all lecturers for term subject
  * @access  Protected (All authenticated users)
  */
-router.get('/:id/lecturers', termSubjectController.getTermSubjectLecturers);
+router.get('/:id/lecturers', scopeToFaculty('term_subject'), termSubjectController.getTermSubjectLecturers);
 
 /**
  * @route   POST /api/term-subjects/:id/lecturers
  * @desc    Assign lecturer to term subject
  * @access  Protected (Academic staff only)
  */
-router.post('/:id/lecturers', authorizeRoles(ROLES.ACADEMIC_OFFICER), termSubjectController.assignLecturer);
+router.post(
+    '/:id/lecturers',
+    authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    scopeToFaculty('term_subject'),
+    auditAction('lecturer_assignment.create'),
+    termSubjectController.assignLecturer
+);
 
 /**
  * @route   GET /api/term-subjects/:id/lecturers/responsible
  * @desc    Get responsible lecturer for term subject
  * @access  Protected (All authenticated users)
  */
-router.get('/:id/lecturers/responsible', termSubjectController.getResponsibleLecturer);
+router.get('/:id/lecturers/responsible', scopeToFaculty('term_subject'), termSubjectController.getResponsibleLecturer);
 
 /**
  * @route   PUT /api/term-subjects/:id/lecturers/responsible
  * @desc    Change responsible lecturer
  * @access  Protected (Academic staff only)
  */
-router.put('/:id/lecturers/responsible', authorizeRoles(ROLES.ACADEMIC_OFFICER), termSubjectController.changeResponsibleLecturer);
+router.put(
+    '/:id/lecturers/responsible',
+    authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    scopeToFaculty('term_subject'),
+    auditAction('term_subject.change_responsible', { param: 'id', snapshot: 'response' }),
+    termSubjectController.changeResponsibleLecturer
+);
 
 /**
  * @route   PATCH /api/term-subjects/lecturers/:assignmentId
  * @desc    Update lecturer assignment notes
  * @access  Protected (Academic staff only)
  */
-router.patch('/lecturers/:assignmentId', authorizeRoles(ROLES.ACADEMIC_OFFICER), termSubjectController.updateLecturerNotes);
+router.patch(
+    '/lecturers/:assignmentId',
+    authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    scopeToFaculty('lecturer_assignment', { param: 'assignmentId' }),
+    auditAction('lecturer_assignment.update', { param: 'assignmentId' }),
+    termSubjectController.updateLecturerNotes
+);
 
 /**
  * @route   DELETE /api/term-subjects/lecturers/:assignmentId
  * @desc    Remove lecturer from term subject
  * @access  Protected (Academic staff only)
  */
-router.delete('/lecturers/:assignmentId', authorizeRoles(ROLES.ACADEMIC_OFFICER), termSubjectController.removeLecturer);
+router.delete(
+    '/lecturers/:assignmentId',
+    authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    scopeToFaculty('lecturer_assignment', { param: 'assignmentId' }),
+    auditAction('lecturer_assignment.delete', { param: 'assignmentId' }),
+    termSubjectController.removeLecturer
+);
 
 /**
  * ==========================================
@@ -143,21 +217,54 @@ router.delete('/lecturers/:assignmentId', authorizeRoles(ROLES.ACADEMIC_OFFICER)
  * @desc    Submit workload for approval (Professor only)
  * @access  Protected (Professor)
  */
-router.post('/:termSubjectId/submit-workload', authorizeRoles(ROLES.PROFESSOR), termSubjectController.submitWorkload);
+router.post(
+    '/:termSubjectId/submit-workload',
+    authorizeRoles(ROLES.PROFESSOR),
+    scopeToFaculty('term_subject', { param: 'termSubjectId' }),
+    authorizeTermSubject(ACTIONS.SUBMIT_WORKLOAD, { param: 'termSubjectId' }),
+    auditAction('workload.submit', { entityType: 'term_subject', param: 'termSubjectId' }),
+    termSubjectController.submitWorkload
+);
 
 /**
  * @route   POST /api/term-subjects/:termSubjectId/approve-workload
- * @desc    Approve workload submission (Academic Officer only)
- * @access  Protected (Academic Officer)
+ * @desc    Approve the current step of a workload submission
+ *          (WORKLOAD_APPROVAL_CHAIN เช่น Program Chair รับรอง → Academic Officer อนุมัติ)
+ * @access  Protected (Program Chair, Academic Officer - service ตรวจว่าตรงกับขั้นที่กำลังรอ)
  */
-router.post('/:termSubjectId/approve-workload', authorizeRoles(ROLES.ACADEMIC_OFFICER), termSubjectController.approveWorkload);
+router.post(
+    '/:termSubjectId/approve-workload',
+    authorizeRoles(...WORKLOAD_APPROVER_ROLES),
+    scopeToFaculty('term_subject', { param: 'termSubjectId' }),
+    auditAction('workload.approve', { entityType: 'term_subject', param: 'termSubjectId' }),
+    termSubjectController.approveWorkload
+);
 
 /**
  * @route   POST /api/term-subjects/:termSubjectId/reject-workload
- * @desc    Reject workload submission (Academic Officer only)
- * @access  Protected (Academic Officer)
+ * @desc    Reject workload submission at any step (ส่งกลับให้อาจารย์พร้อมเหตุผล)
+ * @body    { reason } - เหตุผลที่ตีกลับ (required)
+ * @access  Protected (Program Chair, Academic Officer - service ตรวจว่าตรงกับขั้นที่กำลังรอ)
  */
-router.post('/:termSubjectId/reject-workload', authorizeRoles(ROLES.ACADEMIC_OFFICER), termSubjectController.rejectWorkload);
+router.post(
+    '/:termSubjectId/reject-workload',
+    authorizeRoles(...WORKLOAD_APPROVER_ROLES),
+    scopeToFaculty('term_subject', { param: 'termSubjectId' }),
+    auditAction('workload.reject', { entityType: 'term_subject', param: 'termSubjectId' }),
+    termSubjectController.rejectWorkload
+);
+
+/**
+ * @route   GET /api/term-subjects/:termSubjectId/workload-history
+ * @desc    ดึงประวัติการส่ง/รับรอง/อนุมัติ/ตีกลับภาระงาน พร้อมเหตุผล
+ * @access  Protected (Academic staff or assigned professor)
+ */
+router.get(
+    '/:termSubjectId/workload-history',
+    scopeToFaculty('term_subject', { param: 'termSubjectId' }),
+    authorizeTermSubject(ACTIONS.VIEW, { param: 'termSubjectId' }),
+    termSubjectController.getWorkloadHistory
+);
 
 /**
  * ==========================================
@@ -165,13 +272,14 @@ router.post('/:termSubjectId/reject-workload', authorizeRoles(ROLES.ACADEMIC_OFF
  * ==========================================
  * 
  * เพิ่มรายละเอียดภาระงาน (work_details) โดย Academic Officer
+ * หรืออาจารย์ที่ได้รับมอบหมายในวิชา (เฉพาะตอน workload_approved = 'pending' — service ตรวจสิทธิ์ระดับวิชา)
  * ใช้สำหรับการกำหนดรายละเอียดภาระงานให้กับแต่ละ term_subject
  */
 
 /**
  * @route   POST /api/term-subjects/:termSubjectId/works
- * @desc    สร้างรายละเอียดภาระงานใหม่ (Academic Officer only)
- * @access  Protected (Academic Officer)
+ * @desc    สร้างรายละเอียดภาระงานใหม่
+ * @access  Protected (Academic Officer, assigned lecturer while pending)
  * 
  * Body:
  * {
@@ -185,10 +293,35 @@ router.post('/:termSubjectId/reject-workload', authorizeRoles(ROLES.ACADEMIC_OFF
 router.post(
     '/:termSubjectId/works',
     authMiddleware,
-    authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    authorizeRoles(ROLES.ACADEMIC_OFFICER, ROLES.PROFESSOR),
+    scopeToFaculty('term_subject', { param: 'termSubjectId' }),
+    authorizeTermSubject(ACTIONS.EDIT_WORKS, { param: 'termSubjectId' }),
+    auditAction('work.create'),
     workController.createWork
 );
 
+/**
+ * @route   POST /api/term-subjects/:termSubjectId/works/import
+ * @desc    นำเข้ารายละเอียดภาระงานจากไฟล์ CSV/XLSX (Academic Officer only)
+ * @access  Protected (Academic Officer)
+ * 
+ * Form data: file (.csv/.xlsx), mode ("dry-run" | "commit")
+ */
+router.post(
+    '/:termSubjectId/works/import',
+    authMiddleware,
+    authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    scopeToFaculty('term_subject', { param: 'termSubjectId' }),
+    uploadSpreadsheetFile,
+    auditAction('work.import', {
+        entityType: 'term_subject',
+        param: 'termSubjectId',
+        snapshot: 'response',
+        skip: (req) => String(req.query.mode || req.body?.mode || 'dry-run').toLowerCase() !== 'commit',
+    }),
+    workController.importWorks
+);
+
 /**
  * @route   GET /api/term-subjects/:termSubjectId/works
  * @desc    ดึงรายละเอียดภาระงานของ term_subject
@@ -203,30 +336,64 @@ router.post(
 router.get(
     '/:termSubjectId/works',
     authMiddleware,
+    scopeToFaculty('term_subject', { param: 'termSubjectId' }),
     workController.getWorkByTermSubject
 );
 
+/**
+ * @route   GET /api/term-subjects/:termSubjectId/works/effort
+ * @desc    สถิติชั่วโมงจริงที่นักศึกษารายงาน (count, median, p90) ของทุกภาระงาน เทียบกับชั่วโมงที่วางแผน
+ * @access  Protected (Academic Officer, Program Chair, or assigned lecturer)
+ */
+router.get(
+    '/:termSubjectId/works/effort',
+    authMiddleware,
+    authorizeRoles(ROLES.ACADEMIC_OFFICER, ROLES.PROGRAM_CHAIR, ROLES.PROFESSOR),
+    scopeToFaculty('term_subject', { param: 'termSubjectId' }),
+    authorizeTermSubject(ACTIONS.VIEW, { param: 'termSubjectId' }),
+    workEffortController.getTermSubjectEffortSummary
+);
+
+/**
+ * @route   GET /api/term-subjects/:termSubjectId/works/changes
+ * @desc    ประวัติการสร้าง/แก้ไข/ลบภาระงาน (ใคร เปลี่ยนอะไร เมื่อไร)
+ * @access  Protected (Academic staff or assigned lecturer)
+ */
+router.get(
+    '/:termSubjectId/works/changes',
+    authMiddleware,
+    scopeToFaculty('term_subject', { param: 'termSubjectId' }),
+    authorizeTermSubject(ACTIONS.VIEW, { param: 'termSubjectId' }),
+    workController.getWorkChanges
+);
+
 /**
  * @route   PUT /api/term-subjects/:termSubjectId/works/:workId
- * @desc    อัพเดทรายละเอียดภาระงาน (Academic Officer only)
- * @access  Protected (Academic Officer)
+ * @desc    อัพเดทรายละเอียดภาระงาน
+ * @access  Protected (Academic Officer, assigned lecturer while pending)
  */
 router.put(
     '/:termSubjectId/works/:workId',
     authMiddleware,
-    authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    authorizeRoles(ROLES.ACADEMIC_OFFICER, ROLES.PROFESSOR),
+    scopeToFaculty('term_subject', { param: 'termSubjectId' }),
+    authorizeTermSubject(ACTIONS.EDIT_WORKS, { param: 'termSubjectId' }),
+    auditAction('work.update', { param: 'workId' }),
     workController.updateWork
 );
 
 /**
  * @route   DELETE /api/term-subjects/:termSubjectId/works/:workId
- * @desc    ลบรายละเอียดภาระงาน (Academic Officer only)
- * @access  Protected (Academic Officer)
+ * @desc    ลบรายละเอียดภาระงาน
+ * @access  Protected (Academic Officer, assigned lecturer while pending)
  */
 router.delete(
     '/:termSubjectId/works/:workId',
     authMiddleware,
-    authorizeRoles(ROLES.ACADEMIC_OFFICER),
+    authorizeRoles(ROLES.ACADEMIC_OFFICER, ROLES.PROFESSOR),
+    scopeToFaculty('term_subject', { param: 'termSubjectId' }),
+    authorizeTermSubject(ACTIONS.EDIT_WORKS, { param: 'termSubjectId' }),
+    auditAction('work.delete', { param: 'workId' }),
     workController.deleteWork
 );
 
@@ -0,0 +1,47 @@
+/**
+ * Work Effort Routes
+ * ชั่วโมงจริงที่นักศึกษารายงานต่อภาระงาน
+ */
+
+import express from 'express';
+import * as workEffortController from '../controllers/workEffort.controller.js';
+import { authMiddleware } from '../middlewares/auth.middleware.js';
+import { authorizeRoles, ROLES } from '../middlewares/role.middleware.js';
+import { scopeToFaculty } from '../middlewares/tenancy.middleware.js';
+import { authorizeTermSubject, loadWorkTermSubjectResource } from '../middlewares/policy.middleware.js';
+import { ACTIONS } from '../utils/policy.js';
+
+const router = express.Router();
+
+/**
+ * All routes require authentication
+ */
+router.use(authMiddleware);
+
+/**
+ * @route   POST /api/works/:workId/effort
+ * @desc    Log actual hours spent on a work item in a given week
+ *          (term ต้องเปิดใช้งาน และรายวิชาต้องเป็นของชั้นปีนักศึกษา - ตรวจใน service)
+ * @access  Protected (Student only)
+ */
+router.post(
+    '/:workId/effort',
+    authorizeRoles(ROLES.STUDENT),
+    scopeToFaculty('work', { param: 'workId' }),
+    workEffortController.logEffort
+);
+
+/**
+ * @route   GET /api/works/:workId/effort
+ * @desc    Anonymous actual-hours statistics (count, median, p90) next to planned hours
+ * @access  Protected (Academic Officer, Program Chair, or lecturer assigned to the work's subject)
+ */
+router.get(
+    '/:workId/effort',
+    authorizeRoles(ROLES.ACADEMIC_OFFICER, ROLES.PROGRAM_CHAIR, ROLES.PROFESSOR),
+    scopeToFaculty('work', { param: 'workId' }),
+    authorizeTermSubject(ACTIONS.VIEW, { param: 'workId', loadResource: loadWorkTermSubjectResource }),
+    workEffortController.getWorkEffortStats
+);
+
+export default router;
@@ -0,0 +1,47 @@
+/**
+ * Work Type Routes
+ * ประเภทภาระงาน (assignment, exam, project, reading, ...)
+ */
+
+import express from 'express';
+import * as workTypeController from '../controllers/workType.controller.js';
+import { authMiddleware } from '../middlewares/auth.middleware.js';
+import { authorizeRoles, ROLES } from '../middlewares/role.middleware.js';
+
+const router = express.Router();
+
+/**
+ * All routes require authentication
+ */
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/work-types
+ * @desc    Get work types
+ * @query   include_inactive (optional) - "true" to include deactivated types
+ * @access  Protected (All authenticated users)
+ */
+router.get('/', workTypeController.getWorkTypes);
+
+/**
+ * @route   POST /api/work-types
+ * @desc    Create work type
+ * @access  Protected (Academic Officer only)
+ */
+router.post('/', authorizeRoles(ROLES.ACADEMIC_OFFICER), workTypeController.createWorkType);
+
+/**
+ * @route   PUT /api/work-types/:id
+ * @desc    Update work type
+ * @access  Protected (Academic Officer only)
+ */
+router.put('/:id', authorizeRoles(ROLES.ACADEMIC_OFFICER), workTypeController.updateWorkType);
+
+/**
+ * @route   DELETE /api/work-types/:id
+ * @desc    Deactivate work type (existing works keep their type)
+ * @access  Protected (Academic Officer only)
+ */
+router.delete('/:id', authorizeRoles(ROLES.ACADEMIC_OFFICER), workTypeController.deactivateWorkType);
+
+export default router;
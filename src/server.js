@@ -1,6 +1,8 @@
 import app from './app.js';
 import config from './config/env.js';
 import { testConnection } from './config/db.js';
+import { startInstructorDirectoryRefresh } from './services/instructorDirectory.service.js';
+import { resumePendingPreviews } from './services/documentPreview.service.js';
 
 /**
  * Server bootstrap
@@ -25,6 +27,13 @@ async function startServer() {
         console.log(`❤️  Health Check: http://localhost:${PORT}/api/health`);
         console.log(`📚 Subjects API: http://localhost:${PORT}/api/subjects`);
     });
+
+    // refresh cache รายชื่ออาจารย์จาก TU API เป็นระยะ
+    // + สร้าง preview เอกสารที่ค้างอยู่ (ไฟล์เก่า / ค้างจาก restart)
+    if (dbConnected) {
+        startInstructorDirectoryRefresh();
+        resumePendingPreviews();
+    }
 }
 
 startServer().catch((error) => {
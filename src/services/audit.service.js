@@ -0,0 +1,91 @@
+/**
+ * Audit Service
+ * บันทึกและค้นหา audit_events
+ * - โหลด snapshot ของ entity ก่อน/หลัง action (ใช้โดย auditAction middleware)
+ * - การบันทึกล้มเหลวต้องไม่ทำให้ request หลักล้มเหลว (log อย่างเดียว)
+ */
+
+import { pool } from '../config/db.js';
+import * as auditRepository from '../repositories/audit.repository.js';
+import * as termRepository from '../repositories/term.repository.js';
+import * as termSubjectRepository from '../repositories/termSubject.repository.js';
+import * as workRepository from '../repositories/work.repository.js';
+import * as submissionRepository from '../repositories/submission.repository.js';
+import { findSubjectById } from '../repositories/subject.repository.js';
+import { toAuditSnapshot, parseAuditFilters } from '../utils/audit.js';
+
+/**
+ * entity_type → ฟังก์ชันโหลด row ปัจจุบันของ entity
+ * entity ที่ไม่มีในนี้จะใช้ response data เป็น snapshot "after" แทน
+ */
+const ENTITY_LOADERS = {
+    term: (id) => termRepository.findTermById(pool, id),
+    term_subject: (id) => termSubjectRepository.findTermSubjectById(pool, id),
+    lecturer_assignment: (id) => termSubjectRepository.findLecturerAssignmentById(pool, id),
+    work: (id) => workRepository.findWorkById(pool, id),
+    subject: (id) => findSubjectById(id),
+    submission: (id) => submissionRepository.findSubmissionById(pool, id),
+};
+
+/**
+ * @param {string} entityType
+ * @returns {boolean} true ถ้าโหลด snapshot จากฐานข้อมูลได้
+ */
+export function hasEntityLoader(entityType) {
+    return Boolean(ENTITY_LOADERS[entityType]);
+}
+
+/**
+ * โหลด snapshot ของ entity
+ * @param {string} entityType - เช่น 'term', 'work'
+ * @param {number|string} entityId
+ * @returns {Promise<Object|null>} snapshot หรือ null ถ้าไม่พบ/ไม่มี loader
+ */
+export async function loadEntitySnapshot(entityType, entityId) {
+    const loader = ENTITY_LOADERS[entityType];
+    const id = Number(entityId);
+    if (!loader || !Number.isInteger(id) || id <= 0) return null;
+
+    return toAuditSnapshot(await loader(id));
+}
+
+/**
+ * บันทึก audit event (ไม่ throw)
+ * @param {Object} event - ดู auditRepository.insertAuditEvent
+ * @returns {Promise<Object|null>}
+ */
+export async function recordAuditEvent(event) {
+    try {
+        return await auditRepository.insertAuditEvent(pool, event);
+    } catch (error) {
+        console.error('[Audit Service] Failed to record audit event:', {
+            action: event.action,
+            entityId: event.entityId,
+            requestId: event.requestId,
+            error: error.message,
+        });
+        return null;
+    }
+}
+
+/**
+ * ค้นหา audit events สำหรับ GET /api/audit
+ * @param {Object} query - req.query
+ * @param {number} facultyId - คณะของผู้เรียก
+ * @returns {Promise<Object>} { events, pagination: { page, limit, total, totalPages } }
+ * @throws {ValidationError} ถ้า filter ไม่ถูกต้อง
+ */
+export async function listAuditEvents(query, facultyId) {
+    const filters = parseAuditFilters(query);
+    const { rows, total } = await auditRepository.findAuditEvents(pool, { ...filters, facultyId });
+
+    return {
+        events: rows,
+        pagination: {
+            page: filters.page,
+            limit: filters.limit,
+            total,
+            totalPages: Math.ceil(total / filters.limit),
+        },
+    };
+}
@@ -0,0 +1,41 @@
+/**
+ * Auth Provider Service
+ * เลือกผู้ให้บริการยืนยันตัวตน/ข้อมูลอาจารย์ตาม config.auth.provider
+ *
+ * provider ต้องมี:
+ * - verifyCredentials(username, password) → response รูปแบบ TU Auth API ({ status, type, username, ... })
+ * - fetchInstructorByEmail(email) → { firstNameTh, lastNameTh, firstNameEn, lastNameEn, facultyNameTh, email } | null
+ * - fetchInstructors(facultyNameTh) → อาจารย์ของคณะ [{ tu_id, first_name_th, ..., email, department, faculty }]
+ */
+
+import config from '../config/env.js';
+import * as tuAuthService from './tuAuth.service.js';
+import * as instructorApiService from './instructorApi.service.js';
+import { fetchInstructorsFromTuApi } from './tuApi.service.js';
+import * as localAuthProvider from './localAuthProvider.service.js';
+
+const PROVIDERS = {
+    tu: {
+        verifyCredentials: tuAuthService.verifyCredentials,
+        fetchInstructorByEmail: instructorApiService.fetchInstructorByEmail,
+        fetchInstructors: fetchInstructorsFromTuApi,
+    },
+    local: {
+        verifyCredentials: localAuthProvider.verifyCredentials,
+        fetchInstructorByEmail: localAuthProvider.fetchInstructorByEmail,
+        fetchInstructors: localAuthProvider.fetchInstructors,
+    },
+};
+
+/**
+ * @param {string} name - 'tu' | 'local' (default config.auth.provider)
+ * @returns {Object} provider
+ * @throws {Error} ถ้าไม่รู้จัก provider
+ */
+export function getAuthProvider(name = config.auth.provider) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown auth provider: ${name}`);
+    }
+    return provider;
+}
@@ -0,0 +1,161 @@
+/**
+ * Auth Session Service
+ * ออก access token (JWT อายุสั้น) คู่กับ refresh token ที่เก็บฝั่ง server
+ * - refresh: rotate token ใน family เดิม และออก JWT ใหม่ด้วย roles ปัจจุบันจากฐานข้อมูล
+ * - ใช้ token ที่ถูก rotate ไปแล้วซ้ำ → ยกเลิกทั้ง family
+ * - logout / role เปลี่ยน → ยกเลิก refresh token (JWT เดิมใช้ได้จนหมดอายุเท่านั้น)
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { pool } from '../config/db.js';
+import config from '../config/env.js';
+import * as refreshTokenRepository from '../repositories/refreshToken.repository.js';
+import { getUserRoles } from '../repositories/userRole.repository.js';
+import { BusinessError } from '../utils/termValidation.js';
+import {
+    REFRESH_TOKEN_STATES,
+    REVOKE_REASONS,
+    generateRefreshToken,
+    hashRefreshToken,
+    isWellFormedRefreshToken,
+    computeRefreshExpiry,
+    getRefreshTokenState,
+} from '../utils/authToken.js';
+
+const REFRESH_ERRORS = {
+    [REFRESH_TOKEN_STATES.MISSING]: ['Invalid refresh token', 'INVALID_REFRESH_TOKEN'],
+    [REFRESH_TOKEN_STATES.EXPIRED]: ['Refresh token expired', 'REFRESH_TOKEN_EXPIRED'],
+    [REFRESH_TOKEN_STATES.REVOKED]: ['Refresh token has been revoked', 'REFRESH_TOKEN_REVOKED'],
+    [REFRESH_TOKEN_STATES.REUSED]: ['Refresh token has already been used', 'REFRESH_TOKEN_REUSED'],
+};
+
+function refreshError(state) {
+    const [message, code] = REFRESH_ERRORS[state] || REFRESH_ERRORS[REFRESH_TOKEN_STATES.MISSING];
+    return new BusinessError(message, code, 401);
+}
+
+/**
+ * JWT payload มีเฉพาะ sub (user id) และ roles (array)
+ */
+function signAccessToken(userId, roles) {
+    const token = jwt.sign({ sub: userId, roles }, config.jwt.secret, { expiresIn: config.jwt.expiresIn });
+    const { iat, exp } = jwt.decode(token);
+    return { token, expiresIn: exp - iat };
+}
+
+async function issueRefreshToken(client, userId, familyId, meta) {
+    const refreshToken = generateRefreshToken();
+    const row = await refreshTokenRepository.insertRefreshToken(client, {
+        userId,
+        tokenHash: hashRefreshToken(refreshToken),
+        familyId,
+        expiresAt: computeRefreshExpiry(config.jwt.refreshExpiresInDays),
+        userAgent: meta.userAgent,
+        ipAddress: meta.ipAddress,
+    });
+    return { refreshToken, row };
+}
+
+function toSession(accessToken, refreshToken, row) {
+    return {
+        token: accessToken.token,
+        expiresIn: accessToken.expiresIn,
+        refreshToken,
+        refreshExpiresAt: row.expires_at,
+    };
+}
+
+/**
+ * เริ่ม session ใหม่หลัง login สำเร็จ
+ * @param {number} userId
+ * @param {Array<string>} roles - ชื่อ role ของผู้ใช้
+ * @param {Object} meta - { userAgent, ipAddress }
+ * @returns {Promise<Object>} { token, expiresIn, refreshToken, refreshExpiresAt }
+ */
+export async function createSession(userId, roles, meta = {}) {
+    const { refreshToken, row } = await issueRefreshToken(pool, userId, crypto.randomUUID(), meta);
+    return toSession(signAccessToken(userId, roles), refreshToken, row);
+}
+
+/**
+ * ต่ออายุ session ด้วย refresh token (rotate)
+ * @param {string} refreshToken
+ * @param {Object} meta - { userAgent, ipAddress }
+ * @returns {Promise<Object>} { token, expiresIn, refreshToken, refreshExpiresAt }
+ * @throws {BusinessError} 401 ถ้า token ไม่ถูกต้อง หมดอายุ ถูกยกเลิก หรือถูกใช้ซ้ำ
+ */
+export async function refreshSession(refreshToken, meta = {}) {
+    if (!isWellFormedRefreshToken(refreshToken)) {
+        throw refreshError(REFRESH_TOKEN_STATES.MISSING);
+    }
+
+    const client = await pool.connect();
+    let state;
+    let session = null;
+
+    try {
+        await client.query('BEGIN');
+
+        const current = await refreshTokenRepository.findRefreshTokenByHash(
+            client,
+            hashRefreshToken(refreshToken),
+            { forUpdate: true }
+        );
+        state = getRefreshTokenState(current);
+
+        if (state === REFRESH_TOKEN_STATES.REUSED) {
+            console.warn('[Auth Session] ⚠️ Refresh token reuse detected:', {
+                userId: current.user_id,
+                familyId: current.family_id,
+            });
+            await refreshTokenRepository.revokeRefreshTokenFamily(client, current.family_id, REVOKE_REASONS.REUSE_DETECTED);
+        }
+
+        if (state === REFRESH_TOKEN_STATES.ACTIVE) {
+            const roles = (await getUserRoles(current.user_id)).map(role => role.name);
+            const next = await issueRefreshToken(client, current.user_id, current.family_id, meta);
+            await refreshTokenRepository.markRefreshTokenRotated(client, current.id, next.row.id);
+            session = toSession(signAccessToken(current.user_id, roles), next.refreshToken, next.row);
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    if (!session) {
+        throw refreshError(state);
+    }
+    return session;
+}
+
+/**
+ * logout: ยกเลิก refresh token ทั้ง family ของ session นี้
+ * @param {string} refreshToken
+ * @returns {Promise<boolean>} true ถ้ามี session ถูกยกเลิก
+ */
+export async function revokeSession(refreshToken) {
+    if (!isWellFormedRefreshToken(refreshToken)) return false;
+
+    const current = await refreshTokenRepository.findRefreshTokenByHash(pool, hashRefreshToken(refreshToken));
+    if (!current) return false;
+
+    const revoked = await refreshTokenRepository.revokeRefreshTokenFamily(pool, current.family_id, REVOKE_REASONS.LOGOUT);
+    return revoked > 0;
+}
+
+/**
+ * ยกเลิกทุก session ของผู้ใช้ (เช่น role เปลี่ยน) — ใช้ใน transaction ของผู้เรียก
+ * @param {Object} client - Database client
+ * @param {Array<number>} userIds
+ * @param {string} reason - REVOKE_REASONS (default ROLE_CHANGED)
+ * @returns {Promise<number>} จำนวน token ที่ถูกยกเลิก
+ */
+export async function revokeUserSessions(client, userIds, reason = REVOKE_REASONS.ROLE_CHANGED) {
+    if (userIds.length === 0) return 0;
+    return refreshTokenRepository.revokeUserRefreshTokens(client, userIds, reason);
+}
@@ -0,0 +1,168 @@
+/**
+ * Calendar Service
+ * iCalendar feed ของภาระงานใน term ที่ active ให้นักศึกษา subscribe ได้
+ * - ยืนยันตัวตนด้วย token ต่อผู้ใช้ใน URL (ปฏิทินภายนอกส่ง JWT ไม่ได้)
+ * - นักศึกษาเห็นเฉพาะภาระงานของชั้นปีตัวเอง ผู้ใช้อื่นเห็นทุกชั้นปี
+ */
+
+import crypto from 'crypto';
+import { pool } from '../config/db.js';
+import * as calendarRepository from '../repositories/calendar.repository.js';
+import * as dashboardRepository from '../repositories/dashboard.repository.js';
+import * as overloadRepository from '../repositories/workloadOverload.repository.js';
+import { findTermById } from '../repositories/term.repository.js';
+import { BusinessError } from '../utils/termValidation.js';
+import { buildIcalCalendar } from '../utils/ical.js';
+import { resolveStudentYearLevel } from '../utils/studentCohort.js';
+
+const ALL_YEAR_LEVELS = [1, 2, 3, 4];
+const TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+const UID_DOMAIN = 'student-workload';
+
+function generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function toFeedInfo(row) {
+    return {
+        token: row.token,
+        path: `/api/calendar/${row.token}.ics`,
+        created_at: row.created_at,
+        last_used_at: row.last_used_at,
+    };
+}
+
+/**
+ * ดึง token ของผู้ใช้ (สร้างใหม่ถ้ายังไม่มี)
+ * @param {number} userId - ID ของผู้ใช้
+ * @returns {Promise<Object>} { token, path, created_at, last_used_at }
+ */
+export async function getCalendarToken(userId) {
+    const client = await pool.connect();
+    try {
+        const existing = await calendarRepository.findCalendarTokenByUser(client, userId);
+        if (existing) {
+            return toFeedInfo(existing);
+        }
+
+        const created = await calendarRepository.upsertCalendarToken(client, userId, generateToken());
+        return toFeedInfo(created);
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * สร้าง token ใหม่ (URL เดิมจะใช้ไม่ได้)
+ * @param {number} userId - ID ของผู้ใช้
+ * @returns {Promise<Object>} { token, path, created_at, last_used_at }
+ */
+export async function rotateCalendarToken(userId) {
+    const client = await pool.connect();
+    try {
+        const row = await calendarRepository.upsertCalendarToken(client, userId, generateToken());
+        return toFeedInfo(row);
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * สร้าง events ของ term: ช่วงสอบกลางภาค/ปลายภาค และวันเริ่ม/กำหนดส่งของแต่ละภาระงาน
+ */
+function buildTermEvents(term, works) {
+    const termName = `${term.academic_sector}/${term.academic_year}`;
+    const events = [];
+
+    if (term.midterm_start_date) {
+        events.push({
+            uid: `term-${term.id}-midterm@${UID_DOMAIN}`,
+            summary: `สอบกลางภาค ${termName}`,
+            startDate: term.midterm_start_date,
+            endDate: term.midterm_end_date,
+        });
+    }
+
+    if (term.final_start_date) {
+        events.push({
+            uid: `term-${term.id}-final@${UID_DOMAIN}`,
+            summary: `สอบปลายภาค ${termName}`,
+            startDate: term.final_start_date,
+            endDate: term.final_end_date,
+        });
+    }
+
+    for (const work of works) {
+        const subjectCode = work.code_eng || work.code_th || '';
+        const subjectName = work.name_th || work.name_eng || '';
+        const description = `${subjectCode} ${subjectName} (${Number(work.hours_per_week)} ชั่วโมง/สัปดาห์)`.trim();
+
+        events.push(
+            {
+                uid: `work-${work.work_id}-start@${UID_DOMAIN}`,
+                summary: `เริ่ม: ${subjectCode} ${work.work_title}`,
+                description,
+                startDate: work.start_date,
+            },
+            {
+                uid: `work-${work.work_id}-end@${UID_DOMAIN}`,
+                summary: `กำหนดส่ง: ${subjectCode} ${work.work_title}`,
+                description,
+                startDate: work.end_date,
+            }
+        );
+    }
+
+    return events;
+}
+
+/**
+ * สร้าง iCalendar feed จาก token
+ * @param {string} token - token จาก URL
+ * @returns {Promise<string>} เนื้อหาไฟล์ .ics
+ * @throws {BusinessError} ถ้า token ไม่ถูกต้อง
+ */
+export async function getCalendarFeed(token) {
+    if (!TOKEN_PATTERN.test(String(token || ''))) {
+        throw new BusinessError('Calendar not found', 'CALENDAR_NOT_FOUND', 404);
+    }
+
+    const client = await pool.connect();
+    try {
+        const user = await calendarRepository.touchCalendarToken(client, token);
+        if (!user) {
+            throw new BusinessError('Calendar not found', 'CALENDAR_NOT_FOUND', 404);
+        }
+
+        const activeTerm = await dashboardRepository.getActiveTerm(client, user.faculty_id);
+        if (!activeTerm) {
+            // ไม่มี term ที่ active → คืนปฏิทินว่าง ไม่ให้ client ยกเลิกการ subscribe
+            return buildIcalCalendar({ name: 'ภาระงานนักศึกษา', events: [] });
+        }
+
+        const term = await findTermById(client, activeTerm.id);
+
+        let yearLevels = ALL_YEAR_LEVELS;
+        if (user.user_type === 'student') {
+            const yearLevel = resolveStudentYearLevel(
+                { entryYear: user.entry_year, username: user.username },
+                term.academic_year
+            );
+            if (yearLevel) {
+                yearLevels = [yearLevel];
+            }
+        }
+
+        const rows = await overloadRepository.findWorksByYearLevels(client, term.id, yearLevels);
+
+        // work ของรายวิชาที่เปิดหลายชั้นปีจะซ้ำกัน
+        const works = [...new Map(rows.map(row => [row.work_id, row])).values()];
+
+        return buildIcalCalendar({
+            name: `ภาระงานนักศึกษา ${term.academic_sector}/${term.academic_year}`,
+            events: buildTermEvents(term, works),
+        });
+    } finally {
+        client.release();
+    }
+}
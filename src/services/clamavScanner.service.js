@@ -0,0 +1,109 @@
+/**
+ * ClamAV Scanner
+ * ส่งไฟล์ให้ clamd ตรวจไวรัสผ่านคำสั่ง INSTREAM (unix socket หรือ TCP)
+ *
+ * โปรโตคอล: "zINSTREAM\0" → [ความยาว 4 byte big-endian + ข้อมูล]... → 4 byte ศูนย์
+ * clamd ตอบ "stream: OK", "stream: <signature> FOUND" หรือ "<ข้อความ> ERROR"
+ */
+
+import net from 'net';
+import { once } from 'events';
+
+function scanError(message) {
+    const error = new Error(message);
+    error.code = 'SCAN_FAILED';
+    return error;
+}
+
+/**
+ * @param {string} reply - คำตอบของ clamd (ตัด \0 แล้ว)
+ * @returns {{ clean: boolean, signature: string|null }}
+ * @throws {Error} code SCAN_FAILED ถ้า clamd ตรวจไม่สำเร็จ (เช่นไฟล์เกิน StreamMaxLength)
+ */
+export function parseClamAvReply(reply) {
+    const text = reply.trim();
+
+    if (text === 'stream: OK') {
+        return { clean: true, signature: null };
+    }
+
+    const found = text.match(/^stream: (.+) FOUND$/);
+    if (found) {
+        return { clean: false, signature: found[1] };
+    }
+
+    throw scanError(`ClamAV could not scan the file: ${text || 'empty reply'}`);
+}
+
+async function sendStream(socket, stream) {
+    socket.write('zINSTREAM\0');
+
+    for await (const chunk of stream) {
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length);
+        if (!socket.write(Buffer.concat([size, chunk]))) {
+            await once(socket, 'drain');
+        }
+    }
+
+    socket.write(Buffer.alloc(4));
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.socketPath - unix socket ของ clamd (ถ้ามี ใช้แทน host/port)
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {number} options.timeoutMs - เวลารอ clamd สูงสุด (ไม่มีข้อมูลเข้า/ออก)
+ * @returns {Object} scanner { name, requiresContent, scan }
+ */
+export function createClamAvScanner({ socketPath, host = '127.0.0.1', port = 3310, timeoutMs = 30000 }) {
+    /**
+     * @param {ReadableStream} stream - เนื้อหาไฟล์
+     * @returns {Promise<{ clean: boolean, signature: string|null }>}
+     * @throws {Error} code SCAN_FAILED
+     */
+    function scan(stream) {
+        return new Promise((resolve, reject) => {
+            const socket = socketPath
+                ? net.createConnection({ path: socketPath })
+                : net.createConnection({ host, port });
+            const replyChunks = [];
+            let settled = false;
+
+            const finish = (error, result) => {
+                if (settled) return;
+                settled = true;
+                socket.destroy();
+                stream.destroy();
+                if (error) reject(error);
+                else resolve(result);
+            };
+
+            const finishWithReply = () => {
+                try {
+                    finish(null, parseClamAvReply(Buffer.concat(replyChunks).toString('utf8').replace(/\0/g, '')));
+                } catch (error) {
+                    finish(error);
+                }
+            };
+
+            socket.setTimeout(timeoutMs, () => finish(scanError(`ClamAV did not answer within ${timeoutMs} ms`)));
+            socket.on('error', (error) => finish(scanError(`ClamAV connection failed: ${error.message}`)));
+            socket.on('data', (chunk) => {
+                replyChunks.push(chunk);
+                // คำตอบจบด้วย \0 (คำสั่งขึ้นต้นด้วย z)
+                if (chunk.includes(0)) finishWithReply();
+            });
+            socket.on('end', finishWithReply);
+            socket.on('connect', () => {
+                sendStream(socket, stream).catch((error) => {
+                    // clamd ปิดการเชื่อมต่อกลางทาง (เช่นไฟล์เกินขนาด) — รอคำตอบที่ส่งมาก่อนปิด
+                    if (!socket.destroyed) finish(scanError(`ClamAV scan aborted: ${error.message}`));
+                });
+            });
+        });
+    }
+
+    return { name: 'clamav', requiresContent: true, scan };
+}
@@ -9,6 +9,14 @@
 import { pool } from '../config/db.js';
 import * as dashboardRepository from '../repositories/dashboard.repository.js';
 import { findTermWithStats } from '../repositories/term.repository.js';
+import * as userRepository from '../repositories/user.repository.js';
+import { ROLES } from '../constants/roles.js';
+import { buildTermCalendar } from '../utils/termCalendar.js';
+import { resolveStudentYearLevel } from '../utils/studentCohort.js';
+import { groupHoursByCategory } from '../utils/workType.js';
+
+const ALL_YEAR_LEVELS = [1, 2, 3, 4];
+const STAFF_ROLES = [ROLES.ACADEMIC_OFFICER, ROLES.PROGRAM_CHAIR, ROLES.PROFESSOR];
 
 export function parseOptionalPositiveInt(value, fieldName) {
     if (value === undefined || value === null || value === '') return null;
@@ -22,7 +30,7 @@ export function parseOptionalPositiveInt(value, fieldName) {
 }
 
 export function parseYearLevels(value) {
-    if (!value) return [1, 2, 3, 4];
+    if (!value) return ALL_YEAR_LEVELS;
     const parsed = String(value)
         .split(',')
         .map((item) => Number(item.trim()))
@@ -35,18 +43,45 @@ export function parseYearLevels(value) {
     return parsed;
 }
 
+/**
+ * หาชั้นปีและหลักสูตรที่ dashboard ควรแสดงให้ผู้ใช้
+ * - นักศึกษา (ไม่มี role บุคลากร): ชั้นปีของตัวเองใน term นั้น และเฉพาะรายวิชาในหลักสูตรของตัวเอง (users.program_id)
+ * - บุคลากร หรือนักศึกษาที่หาชั้นปี/หลักสูตรไม่ได้: ชั้นปีตาม query parameter ที่ส่งมา ไม่กรองหลักสูตร
+ *
+ * @param {Object|null} user - req.user { id, roles }
+ * @param {number|string} academicYear - ปีการศึกษาของ term
+ * @param {Array<number>|null} requestedYearLevels - ชั้นปีจาก query (null = ไม่ได้ระบุ)
+ * @returns {Promise<Object>} { yearLevels: Array<number>|null, programId: number|null }
+ */
+export async function resolveUserCohort(user, academicYear, requestedYearLevels = null) {
+    const roles = user?.roles || [];
+    const isStudentOnly = roles.includes(ROLES.STUDENT) && !roles.some(role => STAFF_ROLES.includes(role));
+
+    if (isStudentOnly) {
+        const student = await userRepository.findById(user.id);
+        const yearLevel = resolveStudentYearLevel(student, academicYear);
+        return {
+            yearLevels: yearLevel ? [yearLevel] : requestedYearLevels,
+            programId: student?.programId || null,
+        };
+    }
+
+    return { yearLevels: requestedYearLevels, programId: null };
+}
+
 /**
  * ดึงข้อมูล Summary Statistics
- * @param {number} termId - ID ของ term (optional, ถ้าไม่ระบุจะใช้ active term)
+ * @param {number} termId - ID ของ term (optional, ถ้าไม่ระบุจะใช้ active term ของคณะ)
+ * @param {number} facultyId - คณะของผู้เรียก (ใช้หา active term)
  * @returns {Promise<Object>} สถิติรวม
  */
-export async function getSummaryStatistics(termId = null) {
+export async function getSummaryStatistics(termId = null, facultyId = null) {
     const client = await pool.connect();
     try {
         let targetTermId = termId;
 
         if (!targetTermId) {
-            const activeTerm = await dashboardRepository.getActiveTerm(client);
+            const activeTerm = await dashboardRepository.getActiveTerm(client, facultyId);
             if (!activeTerm) {
                 throw new Error('ไม่พบ term ที่เปิดใช้งาน กรุณาเปิดใช้งาน term ก่อน');
             }
@@ -95,15 +130,16 @@ export async function getSummaryStatistics(termId = null) {
 /**
  * ดึงค่าเฉลี่ยภาระงานแยกตามปี
  * @param {number} termId - ID ของ term (optional)
+ * @param {number} facultyId - คณะของผู้เรียก (ใช้หา active term)
  * @returns {Promise<Object>} ข้อมูลค่าเฉลี่ยแยกตามปี
  */
-export async function getAverageWorkload(termId = null) {
+export async function getAverageWorkload(termId = null, facultyId = null) {
     const client = await pool.connect();
     try {
         let targetTermId = termId;
 
         if (!targetTermId) {
-            const activeTerm = await dashboardRepository.getActiveTerm(client);
+            const activeTerm = await dashboardRepository.getActiveTerm(client, facultyId);
             if (!activeTerm) {
                 throw new Error('ไม่พบ term ที่เปิดใช้งาน');
             }
@@ -116,10 +152,15 @@ export async function getAverageWorkload(termId = null) {
         }
 
         const yearData = await dashboardRepository.getAverageWorkloadByYear(client, targetTermId);
+        const categoryRows = await dashboardRepository.getAverageWorkloadByYearAndCategory(client, targetTermId);
+        const categoriesByYear = groupHoursByCategory(categoryRows);
 
         return {
             termId: targetTermId,
-            averageByYear: yearData
+            averageByYear: yearData.map(row => ({
+                ...row,
+                categories: categoriesByYear.get(row.yearLevel) || {}
+            }))
         };
     } finally {
         client.release();
@@ -129,31 +170,28 @@ export async function getAverageWorkload(termId = null) {
 /**
  * ดึงข้อมูล Workload Chart
  * @param {number} termId - ID ของ term (optional)
- * @param {Array<number>} yearLevels - ระดับชั้นปีที่ต้องการดู (default [1,2,3,4])
+ * @param {Array<number>|null} yearLevels - ระดับชั้นปีที่ต้องการดู (null = ชั้นปีของนักศึกษา หรือ [1,2,3,4])
+ * @param {Object|null} user - req.user สำหรับหาชั้นปี/หลักสูตรของนักศึกษาและ active term ของคณะ
  * @returns {Promise<Object>} ข้อมูล chart
  */
-export async function getWorkloadChart(termId = null, yearLevels = [1, 2, 3, 4]) {
-    if (!Array.isArray(yearLevels) || yearLevels.length === 0) {
+export async function getWorkloadChart(termId = null, yearLevels = null, user = null) {
+    if (yearLevels !== null && (!Array.isArray(yearLevels) || yearLevels.length === 0)) {
         throw new Error('yearLevels ต้องเป็น array และมีค่าอย่างน้อย 1 ตัว');
     }
 
-    const validYears = yearLevels.filter(y => Number.isInteger(y) && y >= 1 && y <= 4);
-    if (validYears.length === 0) {
-        throw new Error('yearLevels ต้องมีค่าระหว่าง 1-4 เท่านั้น');
-    }
-
     const client = await pool.connect();
     try {
         let targetTermId = termId;
         let termInfo = null;
 
         if (!targetTermId) {
-            const activeTerm = await dashboardRepository.getActiveTerm(client);
+            const activeTerm = await dashboardRepository.getActiveTerm(client, user?.facultyId);
             if (!activeTerm) {
                 throw new Error('ไม่พบ term ที่เปิดใช้งาน');
             }
             targetTermId = activeTerm.id;
-            termInfo = activeTerm;
+            // ดึงข้อมูลเต็มเพื่อใช้สร้างปฏิทิน (midterm/final/week_count/break_weeks)
+            termInfo = await findTermWithStats(client, activeTerm.id);
         } else {
             const term = await findTermWithStats(pool, targetTermId);
             if (!term) {
@@ -162,14 +200,44 @@ export async function getWorkloadChart(termId = null, yearLevels = [1, 2, 3, 4])
             termInfo = term;
         }
 
-        const chartData = await dashboardRepository.getWorkloadChartData(client, targetTermId, validYears);
+        const cohort = await resolveUserCohort(user, termInfo.academic_year, yearLevels);
+        const targetYears = cohort.yearLevels || ALL_YEAR_LEVELS;
+        const validYears = targetYears.filter(y => Number.isInteger(y) && y >= 1 && y <= 4);
+        if (validYears.length === 0) {
+            throw new Error('yearLevels ต้องมีค่าระหว่าง 1-4 เท่านั้น');
+        }
+
+        const calendar = buildTermCalendar(termInfo);
+        const chartData = await dashboardRepository.getWorkloadChartData(
+            client,
+            targetTermId,
+            validYears,
+            calendar.weekCount,
+            cohort.programId
+        );
+        const categoryRows = await dashboardRepository.getWorkloadChartCategoryData(
+            client,
+            targetTermId,
+            validYears,
+            calendar.weekCount,
+            cohort.programId
+        );
+        const categoriesByWeek = groupHoursByCategory(categoryRows);
 
         return {
             termId: targetTermId,
             semester: termInfo.academic_sector,
             termYear: termInfo.academic_year,
             yearLevels: validYears,
-            chartData: chartData
+            programId: cohort.programId,
+            weekCount: calendar.weekCount,
+            chartData: chartData.map((row, index) => ({
+                ...row,
+                startDate: calendar.weeks[index]?.startDate || null,
+                endDate: calendar.weeks[index]?.endDate || null,
+                weekType: calendar.weeks[index]?.type || null,
+                categories: categoriesByWeek.get(row.week) || {}
+            }))
         };
     } finally {
         client.release();
@@ -177,13 +245,14 @@ export async function getWorkloadChart(termId = null, yearLevels = [1, 2, 3, 4])
 }
 
 /**
- * ดึงข้อมูล Active Term
+ * ดึงข้อมูล Active Term ของคณะ
+ * @param {number} facultyId - คณะของผู้เรียก
  * @returns {Promise<Object|null>} ข้อมูล active term
  */
-export async function getActiveTermInfo() {
+export async function getActiveTermInfo(facultyId) {
     const client = await pool.connect();
     try {
-        return await dashboardRepository.getActiveTerm(client);
+        return await dashboardRepository.getActiveTerm(client, facultyId);
     } finally {
         client.release();
     }
@@ -194,9 +263,11 @@ export async function getActiveTermInfo() {
  * No N+1 — single query returns all data
  *
  * @param {number} termId - Term ID
+ * @param {Object|null} user - req.user สำหรับหาชั้นปี/หลักสูตรของนักศึกษา (optional)
+ * @param {Array<number>|null} yearLevels - ชั้นปีจาก query (null = ชั้นปีของนักศึกษา หรือทุกรายวิชา)
  * @returns {Promise<Array>} Array of subjects with workload data
  */
-export async function getStudentSubjects(termId) {
+export async function getStudentSubjects(termId, user = null, yearLevels = null) {
     console.log('[getStudentSubjects] Input termId:', termId, 'type:', typeof termId);
 
     const parsed = parseOptionalPositiveInt(termId, 'termId');
@@ -210,8 +281,23 @@ export async function getStudentSubjects(termId) {
 
     const client = await pool.connect();
     try {
-        console.log('[getStudentSubjects] Calling getStudentSubjectsWithWorkload with termId:', parsed);
-        const result = await dashboardRepository.getStudentSubjectsWithWorkload(client, parsed);
+        const term = await findTermWithStats(client, parsed);
+        if (!term) {
+            const err = new Error(`ไม่พบ term ที่มี ID = ${parsed}`);
+            err.statusCode = 404;
+            throw err;
+        }
+        const { weekCount } = buildTermCalendar(term);
+        const cohort = await resolveUserCohort(user, term.academic_year, yearLevels);
+
+        console.log('[getStudentSubjects] Calling getStudentSubjectsWithWorkload with termId:', parsed, 'cohort:', cohort);
+        const result = await dashboardRepository.getStudentSubjectsWithWorkload(
+            client,
+            parsed,
+            weekCount,
+            cohort.yearLevels,
+            cohort.programId
+        );
         console.log('[getStudentSubjects] Success. Got', result.length, 'subjects');
         return result;
     } catch (error) {
@@ -227,5 +313,6 @@ export default {
     getAverageWorkload,
     getWorkloadChart,
     getActiveTermInfo,
-    getStudentSubjects
+    getStudentSubjects,
+    resolveUserCohort
 };
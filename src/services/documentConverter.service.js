@@ -0,0 +1,102 @@
+/**
+ * Document Converter
+ * เรียกโปรแกรมในเครื่อง server เพื่อทำ preview เอกสาร
+ * - pdfinfo / pdftoppm (poppler-utils): นับจำนวนหน้า, render หน้าแรกเป็น PNG
+ * - soffice (LibreOffice, headless): แปลง DOCX เป็น PDF
+ *
+ * ไม่มีโปรแกรมในเครื่อง → throw error.code = 'CONVERTER_UNAVAILABLE'
+ */
+
+import { execFile } from 'child_process';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import config from '../config/env.js';
+
+function runTool(command, args, { timeoutMs = config.preview.timeoutMs } = {}) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout: timeoutMs, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+            if (!error) {
+                resolve(stdout);
+                return;
+            }
+
+            if (error.code === 'ENOENT') {
+                const unavailable = new Error(`${command} is not installed on this server`);
+                unavailable.code = 'CONVERTER_UNAVAILABLE';
+                reject(unavailable);
+                return;
+            }
+
+            const reason = error.killed ? `timed out after ${timeoutMs} ms` : (stderr || error.message).trim();
+            reject(new Error(`${path.basename(command)} failed: ${reason}`));
+        });
+    });
+}
+
+/**
+ * @param {string} output - stdout ของ pdfinfo
+ * @returns {number|null} จำนวนหน้า
+ */
+export function parsePdfInfoPages(output) {
+    const match = output.match(/^Pages:\s+(\d+)\s*$/m);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * @param {string} pdfPath
+ * @returns {Promise<number|null>}
+ */
+export async function countPdfPages(pdfPath) {
+    const output = await runTool(config.preview.pdfinfoPath, [pdfPath]);
+    return parsePdfInfoPages(output);
+}
+
+/**
+ * render หน้าแรกเป็น PNG ขนาดกว้าง config.preview.thumbnailWidth
+ * @param {string} pdfPath
+ * @param {string} outputDir
+ * @returns {Promise<string>} path ของไฟล์ PNG
+ */
+export async function renderFirstPage(pdfPath, outputDir) {
+    const outputPrefix = path.join(outputDir, 'thumbnail');
+    await runTool(config.preview.pdftoppmPath, [
+        '-png',
+        '-f', '1',
+        '-l', '1',
+        '-singlefile',
+        '-scale-to-x', String(config.preview.thumbnailWidth),
+        '-scale-to-y', '-1',
+        pdfPath,
+        outputPrefix,
+    ]);
+    return `${outputPrefix}.png`;
+}
+
+/**
+ * แปลง DOCX เป็น PDF ด้วย LibreOffice
+ * @param {string} sourcePath
+ * @param {string} outputDir
+ * @returns {Promise<string>} path ของไฟล์ PDF
+ */
+export async function convertToPdf(sourcePath, outputDir) {
+    // profile แยกต่อการแปลง — กัน LibreOffice ค้างเมื่อ profile ถูกล็อกโดย process อื่น
+    const profileUrl = pathToFileURL(path.join(outputDir, 'lo-profile')).href;
+
+    await runTool(config.preview.sofficePath, [
+        `-env:UserInstallation=${profileUrl}`,
+        '--headless',
+        '--convert-to', 'pdf',
+        '--outdir', outputDir,
+        sourcePath,
+    ]);
+
+    return path.join(outputDir, `${path.parse(sourcePath).name}.pdf`);
+}
+
+/**
+ * @param {Error} error
+ * @returns {boolean} true ถ้า error มาจากไม่มีโปรแกรมแปลงในเครื่อง
+ */
+export function isConverterUnavailable(error) {
+    return error?.code === 'CONVERTER_UNAVAILABLE';
+}
@@ -0,0 +1,53 @@
+/**
+ * Document Link Service
+ * สร้าง URL ดาวน์โหลดเอกสารที่ลงลายเซ็นด้วย config.documentLinks (ใช้ทั้ง API และอีเมล)
+ */
+
+import config from '../config/env.js';
+import { signDocumentLink, buildDocumentLinkPath } from '../utils/documentLink.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * @param {Object} options
+ * @param {number} options.termSubjectId
+ * @param {number} options.documentId - document_submissions.id
+ * @param {number} options.userId - ผู้ใช้ที่ลิงก์ทำงานแทน (ตรวจสิทธิ์ซ้ำตอนเปิดลิงก์)
+ * @param {number} options.ttlMinutes - อายุลิงก์ (default config.documentLinks.ttlMinutes)
+ * @param {string} options.baseUrl - origin ของ API ถ้าไม่ได้ตั้ง API_PUBLIC_URL ('' = path อย่างเดียว)
+ * @param {Date} now
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+export function createSignedDocumentUrl({
+    termSubjectId,
+    documentId,
+    userId,
+    ttlMinutes = config.documentLinks.ttlMinutes,
+    baseUrl = '',
+}, now = new Date()) {
+    const expiresAt = new Date(now.getTime() + ttlMinutes * MINUTE_MS);
+    const params = signDocumentLink({ termSubjectId, documentId, userId, expiresAt }, config.documentLinks.secret);
+    const origin = config.documentLinks.publicBaseUrl || baseUrl;
+
+    return {
+        url: `${origin}${buildDocumentLinkPath(termSubjectId, documentId, params)}`,
+        expiresAt,
+    };
+}
+
+/**
+ * ลิงก์สำหรับใส่ในอีเมล (ต้องตั้ง API_PUBLIC_URL เพราะไม่มี request ให้อ้างอิง origin)
+ * @returns {string|null} null ถ้าไม่ได้ตั้ง API_PUBLIC_URL
+ */
+export function createEmailDocumentUrl({ termSubjectId, documentId, userId }, now = new Date()) {
+    if (!config.documentLinks.publicBaseUrl) {
+        return null;
+    }
+
+    return createSignedDocumentUrl({
+        termSubjectId,
+        documentId,
+        userId,
+        ttlMinutes: config.documentLinks.emailTtlHours * 60,
+    }, now).url;
+}
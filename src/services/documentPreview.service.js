@@ -0,0 +1,176 @@
+/**
+ * Document Preview Service
+ * สร้าง preview ของไฟล์ที่อัปโหลด (ภาพหน้าแรก + จำนวนหน้า, DOCX แปลงเป็น PDF) เก็บคู่กับไฟล์ใน storage
+ * แล้วบันทึกผลลง document_submissions (preview_status, page_count, thumbnail_path, preview_pdf_path)
+ *
+ * - ทำทีละไฟล์ใน background (โปรแกรมแปลงใช้ CPU/memory มาก) ไม่ block การอัปโหลด
+ * - ไฟล์ที่ค้าง pending (เช่น server restart ระหว่างทำ) ทำต่อด้วย resumePendingPreviews ตอนเริ่ม server
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { pool } from '../config/db.js';
+import config from '../config/env.js';
+import * as submissionRepo from '../repositories/submission.repository.js';
+import { getStorage } from './storage.service.js';
+import {
+    countPdfPages,
+    renderFirstPage,
+    convertToPdf,
+    isConverterUnavailable,
+} from './documentConverter.service.js';
+
+export const PREVIEW_STATUSES = {
+    PENDING: 'pending',
+    READY: 'ready',
+    UNAVAILABLE: 'unavailable',
+    FAILED: 'failed',
+};
+
+const CONVERTIBLE_EXTENSIONS = ['.docx'];
+
+let queue = Promise.resolve();
+
+/**
+ * storage key ของไฟล์ preview (อยู่คู่กับไฟล์ต้นฉบับ)
+ * @param {string} filePath - storage key ของไฟล์ต้นฉบับ
+ */
+export function buildPreviewKeys(filePath) {
+    return {
+        thumbnail: `${filePath}.thumb.png`,
+        pdf: `${filePath}.preview.pdf`,
+    };
+}
+
+/**
+ * preview_status เริ่มต้นของไฟล์ที่อัปโหลดใหม่
+ * ปิด preview (PREVIEW_ENABLED=false) → unavailable เพื่อไม่ให้ค้าง pending และ resumePendingPreviews ไม่หยิบมาทำ
+ * @returns {string}
+ */
+export function initialPreviewStatus() {
+    return config.preview.enabled ? PREVIEW_STATUSES.PENDING : PREVIEW_STATUSES.UNAVAILABLE;
+}
+
+async function saveToStorage(localPath, key, contentType) {
+    await getStorage().put(key, fs.createReadStream(localPath), { contentType });
+}
+
+/**
+ * สร้าง preview จากไฟล์ใน storage
+ * @param {Object} document - { file_path, original_name }
+ * @returns {Promise<Object>} { status, pageCount, thumbnailPath, previewPdfPath }
+ */
+async function buildPreview(document) {
+    const extension = path.extname(document.original_name || document.file_path).toLowerCase();
+    const isPdf = extension === '.pdf';
+
+    if (!isPdf && !CONVERTIBLE_EXTENSIONS.includes(extension)) {
+        return { status: PREVIEW_STATUSES.UNAVAILABLE };
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'preview-'));
+    const keys = buildPreviewKeys(document.file_path);
+
+    try {
+        const sourcePath = path.join(workDir, `source${extension}`);
+        const { stream } = await getStorage().get(document.file_path);
+        await pipeline(stream, fs.createWriteStream(sourcePath));
+
+        let pdfPath = sourcePath;
+        let previewPdfPath = null;
+
+        if (!isPdf) {
+            pdfPath = await convertToPdf(sourcePath, workDir);
+            // LibreOffice จบด้วย exit code 0 แม้แปลงไม่สำเร็จ
+            await fs.promises.access(pdfPath).catch(() => {
+                throw new Error(`Could not convert ${document.original_name} to PDF`);
+            });
+            await saveToStorage(pdfPath, keys.pdf, 'application/pdf');
+            previewPdfPath = keys.pdf;
+        }
+
+        const pageCount = await countPdfPages(pdfPath);
+        const thumbnailFile = await renderFirstPage(pdfPath, workDir);
+        await saveToStorage(thumbnailFile, keys.thumbnail, 'image/png');
+
+        return {
+            status: PREVIEW_STATUSES.READY,
+            pageCount,
+            thumbnailPath: keys.thumbnail,
+            previewPdfPath,
+        };
+    } catch (error) {
+        if (isConverterUnavailable(error)) {
+            console.warn('[Preview] ⚠️', error.message);
+            return { status: PREVIEW_STATUSES.UNAVAILABLE };
+        }
+
+        console.error(`[Preview] ❌ Failed for ${document.file_path}:`, error.message);
+        return { status: PREVIEW_STATUSES.FAILED };
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * สร้าง preview ของ submission และบันทึกผล (ไม่ throw)
+ * @param {number} submissionId
+ * @returns {Promise<Object|null>} ผลที่บันทึก หรือ null ถ้าไม่ต้องทำ
+ */
+export async function generateDocumentPreview(submissionId) {
+    try {
+        const document = await submissionRepo.findSubmissionById(pool, submissionId);
+        if (!document?.file_path) {
+            return null;
+        }
+
+        const preview = await buildPreview(document);
+        const saved = await submissionRepo.updateDocumentPreview(pool, submissionId, preview);
+
+        console.log(`[Preview] ${preview.status === PREVIEW_STATUSES.READY ? '✅' : 'ℹ️'} submission ${submissionId}: ${preview.status}`);
+        return saved;
+    } catch (error) {
+        console.error(`[Preview] ❌ Could not record preview for submission ${submissionId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * เข้าคิวสร้าง preview (ทำทีละไฟล์) — เรียกหลัง COMMIT ของการอัปโหลด ไม่ต้อง await
+ * @param {number} submissionId
+ * @returns {Promise<Object|null>}
+ */
+export function scheduleDocumentPreview(submissionId) {
+    if (!config.preview.enabled) {
+        return Promise.resolve(null);
+    }
+
+    const job = queue.then(() => generateDocumentPreview(submissionId));
+    queue = job;
+    return job;
+}
+
+/**
+ * เข้าคิวไฟล์ที่ยังค้าง pending (ไฟล์ก่อน migration หรือที่ค้างจาก restart)
+ * @returns {Promise<number>} จำนวนไฟล์ที่เข้าคิว
+ */
+export async function resumePendingPreviews() {
+    if (!config.preview.enabled) {
+        return 0;
+    }
+
+    try {
+        const pendingIds = await submissionRepo.findPendingPreviews(pool);
+        pendingIds.forEach(id => scheduleDocumentPreview(id));
+
+        if (pendingIds.length > 0) {
+            console.log(`[Preview] Resuming ${pendingIds.length} pending preview(s)`);
+        }
+        return pendingIds.length;
+    } catch (error) {
+        console.error('[Preview] ❌ Could not load pending previews:', error.message);
+        return 0;
+    }
+}
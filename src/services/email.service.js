@@ -61,9 +61,10 @@ async function renderTemplate(filename, variables) {
  * @param {string|null} data.note
  * @param {string|null} data.reason
  * @param {string}      data.subjectName
+ * @param {string|null} data.documentUrl     - ลิงก์ดูเอกสารที่ลงลายเซ็น (ไม่มี = ไม่แสดงปุ่ม)
  * @returns {Promise<{success: boolean}>}
  */
-export async function sendReviewNotification({ to, instructorName, documentType, action, note, reason, subjectName, subjectCode }) {
+export async function sendReviewNotification({ to, instructorName, documentType, action, note, reason, subjectName, subjectCode, documentUrl = null }) {
     const isApproved = action === 'approved';
     const templateFile = isApproved ? 'reviewApproved.html' : 'reviewRejected.html';
 
@@ -93,6 +94,13 @@ export async function sendReviewNotification({ to, instructorName, documentType,
            </div>`
         : '';
 
+    const documentLinkSection = documentUrl
+        ? `<p style="margin:16px 0;text-align:center;">
+             <a href="${documentUrl}" style="display:inline-block;background:#050C9C;color:#ffffff;text-decoration:none;padding:12px 28px;border-radius:8px;font-size:14px;font-weight:600;">ดูเอกสารที่ส่ง</a>
+           </p>
+           <p style="margin:0;color:#9ca3af;font-size:12px;text-align:center;">ลิงก์นี้ใช้ได้ชั่วคราว หากหมดอายุกรุณาเข้าสู่ระบบเพื่อดูเอกสาร</p>`
+        : '';
+
     let status = 'sent';
     let errorMessage = null;
 
@@ -112,6 +120,7 @@ export async function sendReviewNotification({ to, instructorName, documentType,
             subjectName,
             noteSection,
             reasonSection,
+            documentLinkSection,
         });
 
         await transport.sendMail({
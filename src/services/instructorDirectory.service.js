@@ -0,0 +1,258 @@
+/**
+ * Instructor Directory Service
+ * cache ข้อมูลอาจารย์จาก auth provider (TU Instructor API) ลงฐานข้อมูล
+ * - อ่านจาก cache ก่อนถ้ายังไม่หมดอายุ (config.instructorDirectory.ttlMinutes)
+ * - เรียก API ผ่าน circuit breaker: ช้าเกิน callTimeoutMs หรือล้มเหลวติดกัน → ใช้ cache เดิมทันที
+ * - background job refresh รายชื่อทุกคณะที่เปิดใช้งาน (startInstructorDirectoryRefresh)
+ */
+
+import { pool } from '../config/db.js';
+import config from '../config/env.js';
+import * as directoryRepo from '../repositories/instructorDirectory.repository.js';
+import * as facultyRepo from '../repositories/faculty.repository.js';
+import { getAuthProvider } from './authProvider.service.js';
+import { createCircuitBreaker } from '../utils/circuitBreaker.js';
+
+const breaker = createCircuitBreaker({
+    name: 'Instructor API',
+    failureThreshold: config.instructorDirectory.failureThreshold,
+    resetTimeoutMs: config.instructorDirectory.resetTimeoutSeconds * 1000,
+    callTimeoutMs: config.instructorDirectory.callTimeoutMs,
+});
+
+/**
+ * facultyNameTh → promise ของการ refresh ที่กำลังทำอยู่ (ไม่เรียก API ซ้ำพร้อมกัน)
+ */
+const refreshesInFlight = new Map();
+
+let refreshTimer = null;
+
+function ageSecondsOf(timestamp) {
+    return Math.max(0, Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000));
+}
+
+function isFresh(timestamp) {
+    return ageSecondsOf(timestamp) < config.instructorDirectory.ttlMinutes * 60;
+}
+
+function toInstructorProfile(row) {
+    return {
+        firstNameTh: row.first_name_th || '',
+        lastNameTh: row.last_name_th || '',
+        firstNameEn: row.first_name_en || '',
+        lastNameEn: row.last_name_en || '',
+        facultyNameTh: row.faculty || '',
+        email: row.email,
+    };
+}
+
+function toInstructorListItem(row) {
+    return {
+        tu_id: row.tu_id || '',
+        first_name_th: row.first_name_th || '',
+        last_name_th: row.last_name_th || '',
+        first_name_en: row.first_name_en || '',
+        last_name_en: row.last_name_en || '',
+        email: row.email,
+        department: row.department || '',
+        faculty: row.faculty || '',
+    };
+}
+
+function buildCacheInfo(refreshedAt, source, stale) {
+    return {
+        source,
+        stale,
+        refreshedAt,
+        ageSeconds: refreshedAt ? ageSecondsOf(refreshedAt) : null,
+        circuit: breaker.getState().state,
+    };
+}
+
+/**
+ * ข้อมูลอาจารย์จาก email (ใช้ตอน login ของพนักงาน)
+ * cache ยังไม่หมดอายุ → ไม่เรียก API, API ใช้งานไม่ได้ → ใช้ cache แม้หมดอายุแล้ว
+ *
+ * @param {string} email
+ * @returns {Promise<Object|null>} { firstNameTh, lastNameTh, firstNameEn, lastNameEn, facultyNameTh, email } | null
+ * @throws {Error} ถ้า API ใช้งานไม่ได้และไม่มี cache
+ */
+export async function lookupInstructorByEmail(email) {
+    const cached = await directoryRepo.findInstructorByEmail(pool, email);
+
+    if (cached && isFresh(cached.fetched_at)) {
+        return toInstructorProfile(cached);
+    }
+
+    let profile;
+    try {
+        profile = await breaker.execute(() => getAuthProvider().fetchInstructorByEmail(email));
+    } catch (error) {
+        if (cached) {
+            console.warn(`[Instructor Directory] ⚠️ Instructor API ใช้งานไม่ได้ ใช้ข้อมูล cache ของ ${email}: ${error.message}`);
+            return toInstructorProfile(cached);
+        }
+        throw error;
+    }
+
+    if (profile?.email) {
+        try {
+            await directoryRepo.upsertInstructorProfile(pool, profile);
+        } catch (error) {
+            console.error('[Instructor Directory] Failed to cache instructor profile:', error.message);
+        }
+    }
+
+    return profile;
+}
+
+/**
+ * ดึงรายชื่อทั้งคณะจาก API แล้วแทนที่ cache ของคณะ
+ * @param {string} facultyNameTh
+ * @returns {Promise<Object>} instructor_directory_refreshes row
+ */
+async function refreshFaculty(facultyNameTh) {
+    const instructors = await breaker.execute(() => getAuthProvider().fetchInstructors(facultyNameTh));
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        for (const instructor of instructors) {
+            await directoryRepo.upsertInstructor(client, facultyNameTh, instructor);
+        }
+        await directoryRepo.deleteFacultyInstructorsExcept(
+            client,
+            facultyNameTh,
+            instructors.map(instructor => instructor.email)
+        );
+        const refresh = await directoryRepo.upsertDirectoryRefresh(client, facultyNameTh, instructors.length);
+
+        await client.query('COMMIT');
+        return refresh;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * refresh รายชื่อของคณะ (รวม request พร้อมกันเป็นครั้งเดียว)
+ * @param {string} facultyNameTh
+ * @returns {Promise<Object>} instructor_directory_refreshes row
+ */
+export function refreshFacultyInstructors(facultyNameTh) {
+    if (refreshesInFlight.has(facultyNameTh)) {
+        return refreshesInFlight.get(facultyNameTh);
+    }
+
+    const promise = refreshFaculty(facultyNameTh).finally(() => {
+        refreshesInFlight.delete(facultyNameTh);
+    });
+    refreshesInFlight.set(facultyNameTh, promise);
+    return promise;
+}
+
+/**
+ * รายชื่ออาจารย์ของคณะ (หน้า permission)
+ * cache ยังไม่หมดอายุ → ไม่เรียก API, API ใช้งานไม่ได้ → ใช้ cache แม้หมดอายุแล้ว (stale = true)
+ *
+ * @param {string} facultyNameTh
+ * @returns {Promise<Object>} { instructors, cache: { source, stale, refreshedAt, ageSeconds, circuit } }
+ * @throws {Error} ถ้า API ใช้งานไม่ได้และยังไม่เคย cache คณะนี้
+ */
+export async function getFacultyInstructors(facultyNameTh) {
+    const lastRefresh = await directoryRepo.findDirectoryRefresh(pool, facultyNameTh);
+
+    if (lastRefresh && isFresh(lastRefresh.refreshed_at)) {
+        const rows = await directoryRepo.findInstructorsByFaculty(pool, facultyNameTh);
+        return {
+            instructors: rows.map(toInstructorListItem),
+            cache: buildCacheInfo(lastRefresh.refreshed_at, 'cache', false),
+        };
+    }
+
+    let refresh;
+    try {
+        refresh = await refreshFacultyInstructors(facultyNameTh);
+    } catch (error) {
+        if (!lastRefresh) throw error;
+
+        console.warn(`[Instructor Directory] ⚠️ Instructor API ใช้งานไม่ได้ ใช้รายชื่อ cache ของ ${facultyNameTh}: ${error.message}`);
+        const rows = await directoryRepo.findInstructorsByFaculty(pool, facultyNameTh);
+        return {
+            instructors: rows.map(toInstructorListItem),
+            cache: buildCacheInfo(lastRefresh.refreshed_at, 'cache', true),
+        };
+    }
+
+    const rows = await directoryRepo.findInstructorsByFaculty(pool, facultyNameTh);
+    return {
+        instructors: rows.map(toInstructorListItem),
+        cache: buildCacheInfo(refresh.refreshed_at, 'api', false),
+    };
+}
+
+/**
+ * refresh รายชื่ออาจารย์ของทุกคณะที่เปิดใช้งาน (background job)
+ * ไม่ throw — คณะที่ล้มเหลวจะใช้ cache เดิมต่อไป
+ * @returns {Promise<{refreshed: number, failed: number}>}
+ */
+export async function refreshAllFaculties() {
+    let refreshed = 0;
+    let failed = 0;
+
+    let faculties = [];
+    try {
+        faculties = await facultyRepo.findActiveFaculties();
+    } catch (error) {
+        console.error('[Instructor Directory] Failed to load faculties:', error.message);
+        return { refreshed, failed };
+    }
+
+    for (const faculty of faculties) {
+        try {
+            await refreshFacultyInstructors(faculty.name_th);
+            refreshed++;
+        } catch (error) {
+            failed++;
+            console.warn(`[Instructor Directory] ⚠️ Refresh ${faculty.name_th} ไม่สำเร็จ: ${error.message}`);
+        }
+    }
+
+    console.log(`[Instructor Directory] 🔄 Refresh เสร็จ: สำเร็จ ${refreshed} คณะ, ล้มเหลว ${failed} คณะ`);
+    return { refreshed, failed };
+}
+
+/**
+ * เริ่ม background refresh ทุก config.instructorDirectory.refreshIntervalMinutes (0 = ปิด)
+ * timer ไม่กัน process ไม่ให้จบ
+ */
+export function startInstructorDirectoryRefresh() {
+    const intervalMinutes = config.instructorDirectory.refreshIntervalMinutes;
+    if (!intervalMinutes || refreshTimer) return;
+
+    refreshTimer = setInterval(refreshAllFaculties, intervalMinutes * 60 * 1000);
+    refreshTimer.unref();
+
+    refreshAllFaculties();
+}
+
+/**
+ * หยุด background refresh
+ */
+export function stopInstructorDirectoryRefresh() {
+    if (refreshTimer) {
+        clearInterval(refreshTimer);
+        refreshTimer = null;
+    }
+}
+
+/**
+ * รีเซ็ต circuit breaker (ใช้ใน test)
+ */
+export function resetInstructorCircuit() {
+    breaker.reset();
+}
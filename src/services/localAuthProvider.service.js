@@ -0,0 +1,134 @@
+/**
+ * Local Auth Provider
+ * ใช้แทน TU Auth API / Instructor API ตอน dev, demo และ test (AUTH_PROVIDER=local)
+ * - ผู้ใช้มาจากไฟล์ fixtures (default: fixtures/local-auth-users.json)
+ * - คืนค่าในรูปแบบเดียวกับ TU API เพื่อให้ flow login → processLoginUser → JWT เหมือนของจริง
+ *
+ * ❌ ห้ามใช้ใน production (config/env.js ไม่ยอมให้ start)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/env.js';
+
+const DEFAULT_USERS_FILE = fileURLToPath(new URL('../../fixtures/local-auth-users.json', import.meta.url));
+
+let cachedUsers = null;
+
+function getUsersFile() {
+    return config.auth.localUsersFile
+        ? path.resolve(process.cwd(), config.auth.localUsersFile)
+        : DEFAULT_USERS_FILE;
+}
+
+/**
+ * โหลดผู้ใช้จากไฟล์ fixtures (อ่านครั้งเดียวต่อ process)
+ * @returns {Array<Object>}
+ */
+export function loadLocalUsers() {
+    if (!cachedUsers) {
+        const file = getUsersFile();
+        const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        cachedUsers = Array.isArray(parsed) ? parsed : parsed.users || [];
+        console.log(`[Local Auth] 📂 Loaded ${cachedUsers.length} user(s) from ${file}`);
+    }
+    return cachedUsers;
+}
+
+/**
+ * ล้าง cache ของไฟล์ fixtures (ใช้ใน test)
+ */
+export function resetLocalUsers() {
+    cachedUsers = null;
+}
+
+function toTuAuthResponse(user) {
+    const response = {
+        status: true,
+        message: 'Success',
+        type: user.type,
+        username: user.username,
+        displayname_th: user.displayname_th || '',
+        displayname_en: user.displayname_en || '',
+        email: user.email,
+        department: user.department || '',
+        granted_roles: user.roles || [],
+    };
+
+    if (user.type === 'student') {
+        return { ...response, faculty: user.faculty || '', tu_status: 'ปกติ', statusid: '10' };
+    }
+
+    return { ...response, organization: user.organization || '', StatusWork: '1', StatusEmp: 'ปฏิบัติงาน' };
+}
+
+function splitDisplayName(displayName = '') {
+    const [firstName = '', ...rest] = displayName.trim().split(/\s+/);
+    return { firstName, lastName: rest.join(' ') };
+}
+
+/**
+ * ตรวจสอบ username/password กับไฟล์ fixtures
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<Object>} response รูปแบบเดียวกับ TU Auth API (status false ถ้าไม่ถูกต้อง)
+ */
+export async function verifyCredentials(username, password) {
+    const user = loadLocalUsers().find(item => item.username === String(username).trim());
+
+    if (!user || user.password !== password) {
+        console.log(`[Local Auth] ❌ Invalid credentials for user: ${username}`);
+        return { status: false, message: 'Invalid username or password' };
+    }
+
+    console.log(`[Local Auth] ✅ Verified user: ${username} (${user.type})`);
+    return toTuAuthResponse(user);
+}
+
+/**
+ * ข้อมูลอาจารย์จาก email (รูปแบบเดียวกับ instructorApi.service.fetchInstructorByEmail)
+ * @param {string} email
+ * @returns {Promise<Object|null>}
+ */
+export async function fetchInstructorByEmail(email) {
+    const normalized = String(email || '').toLowerCase().trim();
+    const user = loadLocalUsers().find(item => item.type === 'employee' && item.email.toLowerCase() === normalized);
+    if (!user) return null;
+
+    const thaiName = splitDisplayName(user.displayname_th);
+    const englishName = splitDisplayName(user.displayname_en);
+
+    return {
+        firstNameTh: thaiName.firstName,
+        lastNameTh: thaiName.lastName,
+        firstNameEn: englishName.firstName,
+        lastNameEn: englishName.lastName,
+        facultyNameTh: user.faculty || '',
+        email: user.email,
+    };
+}
+
+/**
+ * รายชื่ออาจารย์ของคณะ (รูปแบบเดียวกับ tuApi.service.fetchInstructorsFromTuApi)
+ * @param {string} facultyNameTh - ชื่อคณะภาษาไทย
+ * @returns {Promise<Array<Object>>}
+ */
+export async function fetchInstructors(facultyNameTh) {
+    return loadLocalUsers()
+        .filter(user => user.type === 'employee' && user.faculty === facultyNameTh)
+        .map((user) => {
+            const thaiName = splitDisplayName(user.displayname_th);
+            const englishName = splitDisplayName(user.displayname_en);
+            return {
+                tu_id: user.username,
+                first_name_th: thaiName.firstName,
+                last_name_th: thaiName.lastName,
+                first_name_en: englishName.firstName,
+                last_name_en: englishName.lastName,
+                email: user.email.toLowerCase(),
+                department: user.department || '',
+                faculty: user.faculty || '',
+            };
+        });
+}
@@ -0,0 +1,86 @@
+/**
+ * Local Storage Driver
+ * เก็บไฟล์บนดิสก์ของ server ใต้ root (default: uploads/)
+ * ใช้สำหรับ dev/test หรือ host ที่มี disk ถาวร — host แบบ ephemeral ควรใช้ s3
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+function notFoundError(key) {
+    const error = new Error(`Stored file not found: ${key}`);
+    error.code = 'STORAGE_NOT_FOUND';
+    return error;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.root - โฟลเดอร์เก็บไฟล์ (relative จาก process.cwd() ได้)
+ * @returns {Object} storage driver { name, put, get, remove }
+ */
+export function createLocalStorage({ root }) {
+    const rootDir = path.resolve(root);
+
+    // กัน key ที่พาออกนอก root (เช่น ../../etc/passwd)
+    function resolveKey(key) {
+        const absolutePath = path.resolve(rootDir, key);
+        if (!absolutePath.startsWith(rootDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return absolutePath;
+    }
+
+    /**
+     * เขียน stream ลงไฟล์ (เขียนไฟล์ชั่วคราวก่อนแล้ว rename เพื่อไม่ให้เห็นไฟล์ที่เขียนไม่ครบ)
+     * @returns {Promise<{ key: string, size: number }>}
+     */
+    async function put(key, stream) {
+        const absolutePath = resolveKey(key);
+        const partialPath = `${absolutePath}.part`;
+
+        await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+
+        try {
+            await pipeline(stream, fs.createWriteStream(partialPath));
+            await fs.promises.rename(partialPath, absolutePath);
+        } catch (error) {
+            await fs.promises.rm(partialPath, { force: true });
+            throw error;
+        }
+
+        const stat = await fs.promises.stat(absolutePath);
+        return { key, size: stat.size };
+    }
+
+    /**
+     * @returns {Promise<{ stream: ReadableStream, size: number, contentType: null }>}
+     * @throws {Error} code STORAGE_NOT_FOUND
+     */
+    async function get(key) {
+        const absolutePath = resolveKey(key);
+
+        let stat;
+        try {
+            stat = await fs.promises.stat(absolutePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') throw notFoundError(key);
+            throw error;
+        }
+
+        return {
+            stream: fs.createReadStream(absolutePath),
+            size: stat.size,
+            contentType: null,
+        };
+    }
+
+    /**
+     * ลบไฟล์ (ไม่ error ถ้าไม่มีไฟล์)
+     */
+    async function remove(key) {
+        await fs.promises.rm(resolveKey(key), { force: true });
+    }
+
+    return { name: 'local', put, get, remove };
+}
@@ -1,11 +1,16 @@
+import config from '../config/env.js';
 import { User } from '../models/user.model.js';
 import { AuthProfile } from '../models/AuthProfile.model.js';
 import * as userRepository from '../repositories/user.repository.js';
 import * as roleRepository from '../repositories/role.repository.js';
 import * as userRoleRepository from '../repositories/userRole.repository.js';
-import * as instructorApiService from './instructorApi.service.js';
+import * as facultyRepository from '../repositories/faculty.repository.js';
+import * as programRepository from '../repositories/program.repository.js';
+import { lookupInstructorByEmail } from './instructorDirectory.service.js';
+import { invalidateUserRoles } from './roleResolver.service.js';
 import { parseThaiName, parseEnglishName } from '../utils/nameParser.js';
-import { isAllowedFaculty, getAllowedFacultyName } from '../utils/facultyChecker.js';
+import { findAllowedFaculty, getAllowedFacultyNames } from '../utils/facultyChecker.js';
+import { deriveEntryYear } from '../utils/studentCohort.js';
 
 /**
  * Login Post-Process Service
@@ -20,11 +25,12 @@ import { isAllowedFaculty, getAllowedFacultyName } from '../utils/facultyChecker
  * ประมวลผลหลังจาก user login สำเร็จ
  * 
  * Flow:
- * 1. ตรวจสอบสิทธิ์การเข้าถึงตามคณะ
- * 2. กำหนดประเภทผู้ใช้ (Student/Professor)
- * 3. ดึงข้อมูลเพิ่มเติมถ้าจำเป็น (employee เท่านั้น)
- * 4. Sync ข้อมูล user เข้า database
- * 5. กำหนด role
+ * 1. กำหนดประเภทผู้ใช้ (Student/Professor)
+ * 2. ดึงข้อมูลเพิ่มเติมถ้าจำเป็น (employee เท่านั้น)
+ * 3. ตรวจสอบสิทธิ์การเข้าถึงตามคณะ (ต้องตรงกับ faculties ที่เปิดใช้งาน)
+ * 4. หาหลักสูตร (programs) จากสาขาวิชา
+ * 5. Sync ข้อมูล user เข้า database (ผูกกับคณะและหลักสูตรที่ตรงกัน)
+ * 6. กำหนด role
  * 
  * @param {Object} tuAuthResponse - TU Auth API response
  * @returns {Promise<Object>} - { user: User, role: string, faculty: string }
@@ -60,23 +66,36 @@ export async function processLoginUser(tuAuthResponse) {
     }
 
     // 3. ตรวจสอบสิทธิ์การเข้าถึงตามคณะ
-    if (!isAllowedFaculty(facultyNameTh)) {
+    const faculties = await facultyRepository.findActiveFaculties();
+    const faculty = findAllowedFaculty(facultyNameTh, faculties);
+    if (!faculty) {
         console.log(`[Login Post-Process] ❌ ไม่อนุญาตให้เข้าใช้งาน - คณะ: ${facultyNameTh}`);
         throw new Error(
-            `ไม่อนุญาตให้เข้าใช้งาน อนุญาตเฉพาะ${getAllowedFacultyName()}เท่านั้น คณะของคุณ: ${facultyNameTh}`
+            `ไม่อนุญาตให้เข้าใช้งาน อนุญาตเฉพาะ${getAllowedFacultyNames(faculties)}เท่านั้น คณะของคุณ: ${facultyNameTh}`
         );
     }
 
-    console.log(`[Login Post-Process] ✅ ตรวจสอบคณะผ่าน: ${facultyNameTh}`);
+    console.log(`[Login Post-Process] ✅ ตรวจสอบคณะผ่าน: ${facultyNameTh} (faculty ID: ${faculty.id})`);
+    userData.facultyId = faculty.id;
 
-    // 4. Sync user เข้า database
+    // 4. หาหลักสูตรจากสาขาวิชา
+    userData.programId = await resolveProgramId(faculty.id, userData);
+
+    // 5. Sync user เข้า database
     const user = await syncUserToDatabase(userData);
 
-    // 5. กำหนด role เริ่มต้น (Student หรือ Professor)
+    // 6. กำหนด role เริ่มต้น (Student หรือ Professor)
     const primaryRoleName = authProfile.isStudent() ? 'Student' : 'Professor';
     await assignUserRole(user.id, primaryRoleName);
 
-    // 6. ดึง roles ทั้งหมดของ user
+    // role เพิ่มเติมจาก fixtures ของ local provider (dev/demo เช่น Academic Officer)
+    // provider อื่นไม่เชื่อ granted_roles ใน response — role เพิ่มเติมกำหนดผ่านการจัดการ role ในระบบเท่านั้น
+    const grantedRoles = config.auth.provider === 'local' ? authProfile.grantedRoles : [];
+    for (const roleName of grantedRoles) {
+        await assignUserRole(user.id, roleName);
+    }
+
+    // 7. ดึง roles ทั้งหมดของ user
     const userRoles = await getUserRoles(user.id);
     const roleNames = userRoles.map(r => r.name);
 
@@ -111,6 +130,9 @@ async function processStudent(authProfile) {
         userType: authProfile.type,
         department: authProfile.department,
         faculty: authProfile.faculty,
+        // สาขาและรุ่น ใช้กรอง dashboard ให้เห็นเฉพาะรายวิชาของชั้นปีตัวเอง
+        program: authProfile.department || null,
+        entryYear: deriveEntryYear(authProfile.username),
     };
 }
 
@@ -126,11 +148,11 @@ async function processEmployee(authProfile) {
     const thaiName = parseThaiName(authProfile.displayNameTh);
     const englishName = parseEnglishName(authProfile.displayNameEn);
 
-    // ดึงข้อมูลอาจารย์จาก TU API (best effort)
-    // ถ้า API ล้มเหลว/ไม่พบข้อมูล จะ fallback เป็นข้อมูลจาก TU Auth
+    // ดึงข้อมูลอาจารย์จาก instructor directory (cache ของ TU API, best effort)
+    // ถ้า API ล้มเหลวและไม่มี cache/ไม่พบข้อมูล จะ fallback เป็นข้อมูลจาก TU Auth
     let instructorData = null;
     try {
-        instructorData = await instructorApiService.fetchInstructorByEmail(authProfile.email);
+        instructorData = await lookupInstructorByEmail(authProfile.email);
     } catch (error) {
         console.warn(`[Login Post-Process] ⚠️ Instructor API ใช้งานไม่ได้ จะ fallback ไปใช้ TU Auth data: ${error.message}`);
     }
@@ -162,6 +184,27 @@ async function processEmployee(authProfile) {
     };
 }
 
+/**
+ * หาหลักสูตรของผู้ใช้จาก department ของ TU API (ไม่พบ → null, ไม่ block การ login)
+ * @param {number} facultyId
+ * @param {Object} userData - { department, entryYear }
+ * @returns {Promise<number|null>} programs.id
+ */
+async function resolveProgramId(facultyId, userData) {
+    if (!userData.department) {
+        return null;
+    }
+
+    const program = await programRepository.findProgramByName(facultyId, userData.department, userData.entryYear || null);
+
+    if (!program) {
+        console.log(`[Login Post-Process] ⚠️ ไม่พบหลักสูตรที่ตรงกับสาขา: ${userData.department}`);
+        return null;
+    }
+
+    return program.id;
+}
+
 /**
  * Sync user เข้า database (สร้างถ้ายังไม่มี, ถ้ามีแล้วใช้ของเดิม)
  * @param {Object} userData - User data object
@@ -175,7 +218,30 @@ async function syncUserToDatabase(userData) {
 
     if (existingUser) {
         console.log(`[Login Post-Process] ⏭️ User มีอยู่แล้ว: ${userData.email} (ID: ${existingUser.id})`);
-        return existingUser;
+
+        // ย้ายคณะ (หรือ user ที่ถูกเพิ่มผ่านหน้า permission ด้วยคณะอื่น) → ผูกกับคณะที่ตรวจผ่านตอน login
+        let user = existingUser;
+        if (existingUser.facultyId !== userData.facultyId) {
+            console.log(`[Login Post-Process] 🔄 อัปเดตคณะของ user: ${userData.email}`);
+            user = await userRepository.updateFaculty(existingUser.id, {
+                id: userData.facultyId,
+                name: userData.faculty,
+            });
+            invalidateUserRoles([existingUser.id]);
+        }
+
+        // ผู้ใช้ที่สร้างก่อนมีคอลัมน์ program/entry_year/program_id หรือย้ายสาขา → อัปเดตข้อมูลสาขา/รุ่น/หลักสูตร
+        const studentProfileChanged = userData.entryYear !== undefined && (
+            user.program !== (userData.program || null) ||
+            user.entryYear !== (userData.entryYear || null)
+        );
+        const programChanged = user.programId !== (userData.programId || null);
+        if (studentProfileChanged || programChanged) {
+            console.log(`[Login Post-Process] 🔄 อัปเดตสาขา/รุ่น/หลักสูตรของ user: ${userData.email}`);
+            return userRepository.updateProgramProfile(user.id, userData);
+        }
+
+        return user;
     }
 
     // สร้าง user ใหม่
@@ -189,6 +255,10 @@ async function syncUserToDatabase(userData) {
         userType: userData.userType,
         department: userData.department,
         faculty: userData.faculty,
+        facultyId: userData.facultyId,
+        program: userData.program,
+        entryYear: userData.entryYear,
+        programId: userData.programId,
     });
 
     const createdUser = await userRepository.create(user);
@@ -217,6 +287,7 @@ async function assignUserRole(userId, roleName) {
     const result = await userRoleRepository.assignRole(userId, role.id);
 
     if (result.inserted) {
+        invalidateUserRoles([userId]);
         console.log(`[Login Post-Process] ✅ กำหนด role "${roleName}" ให้ user ID: ${userId} สำเร็จ`);
     } else {
         console.log(`[Login Post-Process] ⏭️ User ID ${userId} มี role "${roleName}" อยู่แล้ว`);
@@ -1,7 +1,10 @@
 import { pool } from '../config/db.js';
 import * as permissionRepo from '../repositories/permission.repository.js';
 import * as roleRepo from '../repositories/role.repository.js';
-import { fetchInstructorsFromTuApi } from './tuApi.service.js';
+import * as facultyRepo from '../repositories/faculty.repository.js';
+import { getFacultyInstructors } from './instructorDirectory.service.js';
+import { revokeUserSessions } from './authSession.service.js';
+import { invalidateUserRoles } from './roleResolver.service.js';
 
 const ROLE_NAME_BY_KEY = {
     academic_officer: 'Academic Officer',
@@ -23,16 +26,31 @@ async function resolveRoleId(roleKey) {
     return role.id;
 }
 
-export async function getInstructors() {
-    return await fetchInstructorsFromTuApi();
+async function resolveFaculty(facultyId) {
+    const faculty = await facultyRepo.findFacultyById(pool, facultyId);
+    if (!faculty) {
+        throw new Error('ไม่พบคณะของผู้ใช้');
+    }
+
+    return faculty;
 }
 
-export async function bulkUpsertUsersWithRole(instructors, roleKey, assignedBy) {
+/**
+ * รายชื่ออาจารย์ของคณะจาก instructor directory
+ * @returns {Promise<Object>} { instructors, cache: { source, stale, refreshedAt, ageSeconds, circuit } }
+ */
+export async function getInstructors(facultyId) {
+    const faculty = await resolveFaculty(facultyId);
+    return await getFacultyInstructors(faculty.name_th);
+}
+
+export async function bulkUpsertUsersWithRole(instructors, roleKey, assignedBy, facultyId) {
     if (!Array.isArray(instructors) || instructors.length === 0) {
         throw new Error('กรุณาเลือกผู้ใช้อย่างน้อย 1 คน');
     }
 
     const roleId = await resolveRoleId(roleKey);
+    const faculty = await resolveFaculty(facultyId);
 
     const client = await pool.connect();
     try {
@@ -44,6 +62,7 @@ export async function bulkUpsertUsersWithRole(instructors, roleKey, assignedBy)
                 .map((item) => [String(item.tu_id), item])
         ).values());
 
+        const userIds = [];
         for (const instructor of deduped) {
             const userData = {
                 username: String(instructor.tu_id).trim(),
@@ -54,14 +73,25 @@ export async function bulkUpsertUsersWithRole(instructors, roleKey, assignedBy)
                 last_name_en: instructor.last_name_en || '',
                 user_type: 'employee',
                 department: instructor.department || '',
-                faculty: instructor.faculty || 'คณะวิทยาศาสตร์และเทคโนโลยี',
+                faculty: instructor.faculty || faculty.name_th,
+                faculty_id: faculty.id,
             };
 
             const user = await permissionRepo.upsertUser(client, userData);
+            if (!user) {
+                throw new Error(`ข้อมูลผู้ใช้ ${userData.username} ไม่ถูกต้อง: สังกัดคณะอื่น`);
+            }
             await permissionRepo.assignRole(client, user.id, roleId, assignedBy);
+            userIds.push(user.id);
         }
 
+        // roles เปลี่ยน → ยกเลิก refresh token เดิม
+        await revokeUserSessions(client, userIds);
+
         await client.query('COMMIT');
+
+        // ล้าง cache หลัง COMMIT เพื่อให้ authMiddleware เห็น roles ใหม่ใน request ถัดไป
+        invalidateUserRoles(userIds);
     } catch (error) {
         await client.query('ROLLBACK');
         throw error;
@@ -69,7 +99,7 @@ export async function bulkUpsertUsersWithRole(instructors, roleKey, assignedBy)
         client.release();
     }
 
-    return await getUsersGroupedByRole();
+    return await getUsersGroupedByRole(facultyId);
 }
 
 export async function deactivateUserRole(userId, roleId) {
@@ -77,8 +107,15 @@ export async function deactivateUserRole(userId, roleId) {
     try {
         await client.query('BEGIN');
         const removed = await permissionRepo.removeRole(client, userId, roleId);
+        if (removed) {
+            await revokeUserSessions(client, [removed.user_id]);
+        }
         await client.query('COMMIT');
 
+        if (removed) {
+            invalidateUserRoles([removed.user_id]);
+        }
+
         if (!removed) {
             throw new Error('ไม่พบสิทธิ์ที่ต้องการลบ');
         }
@@ -92,10 +129,10 @@ export async function deactivateUserRole(userId, roleId) {
     }
 }
 
-export async function getUsersGroupedByRole() {
+export async function getUsersGroupedByRole(facultyId) {
     const client = await pool.connect();
     try {
-        return await permissionRepo.getUsersGroupedByRole(client);
+        return await permissionRepo.getUsersGroupedByRole(client, facultyId);
     } finally {
         client.release();
     }
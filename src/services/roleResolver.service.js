@@ -0,0 +1,67 @@
+/**
+ * Role Resolver Service
+ * ดึง roles และคณะปัจจุบันของผู้ใช้จากฐานข้อมูล (แทน roles ใน JWT) พร้อม cache อายุสั้นในหน่วยความจำ
+ * - authMiddleware ใช้ทุก request เพื่อให้สิทธิ์ที่เพิ่ม/ลบมีผลทันที
+ * - ต้องเรียก invalidateUserRoles หลัง COMMIT ทุกครั้งที่ assignRole/removeRole
+ * - cache เป็นต่อ process (ถ้ารันหลาย instance สิทธิ์จะมีผลช้าสุดเท่ากับ TTL)
+ */
+
+import config from '../config/env.js';
+import { getUserRoles } from '../repositories/userRole.repository.js';
+import { findFacultyId } from '../repositories/user.repository.js';
+
+/**
+ * userId → { promise, expiresAt }
+ * เก็บ promise เพื่อให้ request พร้อมกันของผู้ใช้เดียวกัน query ฐานข้อมูลครั้งเดียว
+ */
+const cache = new Map();
+
+async function loadUserAccess(userId) {
+    const [roles, facultyId] = await Promise.all([getUserRoles(userId), findFacultyId(userId)]);
+    return { roles: roles.map(role => role.name), facultyId };
+}
+
+/**
+ * @param {number} userId
+ * @returns {Promise<Object>} { roles: ชื่อ role ที่ active, facultyId: คณะของผู้ใช้ (null ถ้าไม่พบผู้ใช้) }
+ */
+export async function resolveUserAccess(userId) {
+    const key = Number(userId);
+    const now = Date.now();
+    const cached = cache.get(key);
+
+    if (cached && cached.expiresAt > now) {
+        return cached.promise;
+    }
+
+    const entry = {
+        expiresAt: now + config.auth.roleCacheTtlSeconds * 1000,
+        promise: loadUserAccess(key),
+    };
+    cache.set(key, entry);
+
+    try {
+        return await entry.promise;
+    } catch (error) {
+        // ไม่ cache ความล้มเหลว
+        if (cache.get(key) === entry) cache.delete(key);
+        throw error;
+    }
+}
+
+/**
+ * ล้าง cache ของผู้ใช้ที่ roles หรือคณะเปลี่ยน
+ * @param {Array<number>} userIds
+ */
+export function invalidateUserRoles(userIds) {
+    for (const userId of userIds) {
+        cache.delete(Number(userId));
+    }
+}
+
+/**
+ * ล้าง cache ทั้งหมด
+ */
+export function clearRoleCache() {
+    cache.clear();
+}
@@ -0,0 +1,134 @@
+/**
+ * S3 Storage Driver
+ * เก็บไฟล์ใน S3-compatible object storage (AWS S3, MinIO, Cloudflare R2 ฯลฯ)
+ * ลงลายเซ็นด้วย AWS Signature V4 เอง (ไม่ต้องใช้ AWS SDK)
+ *
+ * S3 ต้องรู้ Content-Length ก่อน PUT จึงพักไฟล์ไว้ใน temp directory ระหว่างอัปโหลด
+ * (ใช้ disk แทน memory — request ขนาดใหญ่ไม่กิน RAM)
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { signRequest, encodeKeyPath, UNSIGNED_PAYLOAD } from '../utils/awsSigV4.js';
+
+function notFoundError(key) {
+    const error = new Error(`Stored file not found: ${key}`);
+    error.code = 'STORAGE_NOT_FOUND';
+    return error;
+}
+
+function requestError(method, key, status) {
+    return new Error(`S3 ${method} ${key} failed with status ${status}`);
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.endpoint - เช่น http://localhost:9000 (default: AWS ตาม region)
+ * @param {string} options.region
+ * @param {string} options.bucket
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {boolean} options.forcePathStyle - true = endpoint/bucket/key (MinIO), false = bucket.endpoint/key
+ * @returns {Object} storage driver { name, put, get, remove }
+ */
+export function createS3Storage({
+    endpoint,
+    region = 'us-east-1',
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle = true,
+}) {
+    const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    const credentials = { accessKeyId, secretAccessKey, region, service: 's3' };
+
+    function objectUrl(key) {
+        if (forcePathStyle) {
+            return `${baseUrl.origin}/${encodeURIComponent(bucket)}/${encodeKeyPath(key)}`;
+        }
+        return `${baseUrl.protocol}//${bucket}.${baseUrl.host}/${encodeKeyPath(key)}`;
+    }
+
+    function signedHeaders(method, key, headers = {}) {
+        return signRequest(
+            { method, url: objectUrl(key), headers, payloadHash: UNSIGNED_PAYLOAD },
+            credentials
+        );
+    }
+
+    /**
+     * อัปโหลด stream (พักลง temp file เพื่อรู้ขนาดก่อน PUT)
+     * @returns {Promise<{ key: string, size: number }>}
+     */
+    async function put(key, stream, { contentType = 'application/octet-stream' } = {}) {
+        const tempPath = path.join(os.tmpdir(), `upload-${crypto.randomUUID()}`);
+
+        try {
+            await pipeline(stream, fs.createWriteStream(tempPath));
+            const { size } = await fs.promises.stat(tempPath);
+
+            const response = await axios.put(objectUrl(key), fs.createReadStream(tempPath), {
+                headers: {
+                    ...signedHeaders('PUT', key, { 'content-type': contentType }),
+                    'content-length': size,
+                },
+                maxBodyLength: Infinity,
+                maxContentLength: Infinity,
+                validateStatus: () => true,
+            });
+
+            if (response.status < 200 || response.status >= 300) {
+                throw requestError('PUT', key, response.status);
+            }
+
+            return { key, size };
+        } finally {
+            await fs.promises.rm(tempPath, { force: true });
+        }
+    }
+
+    /**
+     * @returns {Promise<{ stream: ReadableStream, size: number|null, contentType: string|null }>}
+     * @throws {Error} code STORAGE_NOT_FOUND
+     */
+    async function get(key) {
+        const response = await axios.get(objectUrl(key), {
+            headers: signedHeaders('GET', key),
+            responseType: 'stream',
+            validateStatus: () => true,
+        });
+
+        if (response.status !== 200) {
+            response.data.resume();
+            if (response.status === 404) throw notFoundError(key);
+            throw requestError('GET', key, response.status);
+        }
+
+        const contentLength = response.headers['content-length'];
+        return {
+            stream: response.data,
+            size: contentLength ? Number(contentLength) : null,
+            contentType: response.headers['content-type'] || null,
+        };
+    }
+
+    /**
+     * ลบ object (ไม่ error ถ้าไม่มี object)
+     */
+    async function remove(key) {
+        const response = await axios.delete(objectUrl(key), {
+            headers: signedHeaders('DELETE', key),
+            validateStatus: () => true,
+        });
+
+        if (response.status >= 300 && response.status !== 404) {
+            throw requestError('DELETE', key, response.status);
+        }
+    }
+
+    return { name: 's3', put, get, remove };
+}
@@ -0,0 +1,67 @@
+/**
+ * Scanner Service
+ * ตรวจไวรัสไฟล์ที่อัปโหลดตาม config.scanner.driver
+ *
+ * scanner ต้องมี:
+ * - name
+ * - requiresContent: false = ไม่ต้องอ่านไฟล์จาก storage (เช่น none)
+ * - scan(stream) → { clean, signature } (throw error.code = 'SCAN_FAILED' ถ้าตรวจไม่สำเร็จ)
+ */
+
+import config from '../config/env.js';
+import { createClamAvScanner } from './clamavScanner.service.js';
+import { getStorage } from './storage.service.js';
+
+/**
+ * ไม่ตรวจ — สำหรับ dev/test ที่ไม่มี clamd
+ */
+function createNoopScanner() {
+    return {
+        name: 'none',
+        requiresContent: false,
+        scan: async () => ({ clean: true, signature: null }),
+    };
+}
+
+const SCANNERS = {
+    none: createNoopScanner,
+    clamav: () => createClamAvScanner(config.scanner.clamav),
+};
+
+const instances = new Map();
+
+/**
+ * @param {string} name - 'none' | 'clamav' (default config.scanner.driver)
+ * @returns {Object} scanner
+ * @throws {Error} ถ้าไม่รู้จัก scanner
+ */
+export function getScanner(name = config.scanner.driver) {
+    if (!instances.has(name)) {
+        const createScanner = SCANNERS[name];
+        if (!createScanner) {
+            throw new Error(`Unknown scanner: ${name}`);
+        }
+        instances.set(name, createScanner());
+    }
+    return instances.get(name);
+}
+
+/**
+ * ตรวจไฟล์ที่เก็บใน storage แล้ว
+ * @param {string} key - storage key
+ * @returns {Promise<{ clean: boolean, signature: string|null, scanner: string }>}
+ */
+export async function scanStoredFile(key) {
+    const scanner = getScanner();
+    const stream = scanner.requiresContent ? (await getStorage().get(key)).stream : null;
+    const result = await scanner.scan(stream);
+    return { ...result, scanner: scanner.name };
+}
+
+/**
+ * @param {Error} error
+ * @returns {boolean} true ถ้า error มาจาก scanner ตรวจไม่สำเร็จ
+ */
+export function isScanFailure(error) {
+    return error?.code === 'SCAN_FAILED';
+}
@@ -0,0 +1,60 @@
+/**
+ * Storage Service
+ * เลือกที่เก็บไฟล์เอกสารตาม config.storage.driver
+ *
+ * driver ต้องมี:
+ * - put(key, stream, { contentType }) → { key, size }
+ * - get(key) → { stream, size, contentType } (throw error.code = 'STORAGE_NOT_FOUND' ถ้าไม่พบ)
+ * - remove(key) → ลบไฟล์ (ไม่ error ถ้าไม่มี)
+ *
+ * key เป็น path แบบ relative เช่น term-subjects/12/1718000000000-<uuid>.pdf
+ * (เก็บใน document_submissions.file_path)
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import config from '../config/env.js';
+import { createLocalStorage } from './localStorage.service.js';
+import { createS3Storage } from './s3Storage.service.js';
+
+const DRIVERS = {
+    local: () => createLocalStorage({ root: config.storage.localRoot }),
+    s3: () => createS3Storage(config.storage.s3),
+};
+
+const instances = new Map();
+
+/**
+ * @param {string} name - 'local' | 's3' (default config.storage.driver)
+ * @returns {Object} storage driver
+ * @throws {Error} ถ้าไม่รู้จัก driver
+ */
+export function getStorage(name = config.storage.driver) {
+    if (!instances.has(name)) {
+        const createDriver = DRIVERS[name];
+        if (!createDriver) {
+            throw new Error(`Unknown storage driver: ${name}`);
+        }
+        instances.set(name, createDriver());
+    }
+    return instances.get(name);
+}
+
+/**
+ * สร้าง key ของไฟล์เอกสารใหม่ (ไม่ขึ้นกับ document_type เพราะ stream ไฟล์ก่อนอ่าน field อื่นครบ)
+ * @param {number|string} termSubjectId
+ * @param {string} originalName - ใช้เฉพาะนามสกุลไฟล์
+ * @returns {string}
+ */
+export function buildDocumentKey(termSubjectId, originalName = '') {
+    const ext = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, '');
+    return `term-subjects/${Number(termSubjectId)}/${Date.now()}-${crypto.randomUUID()}${ext}`;
+}
+
+/**
+ * @param {Error} error
+ * @returns {boolean} true ถ้า error มาจากการหาไฟล์ไม่พบ
+ */
+export function isStorageNotFound(error) {
+    return error?.code === 'STORAGE_NOT_FOUND';
+}
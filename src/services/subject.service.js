@@ -8,11 +8,12 @@ let _junctionTableExists = null;
  */
 
 /**
- * Create a new subject
+ * Create a new subject owned by a faculty
  * @param {Object} subjectData - Subject data
+ * @param {number} facultyId - Caller's faculty
  * @returns {Promise<Object>} Created subject
  */
-export async function createSubject(subjectData) {
+export async function createSubject(subjectData, facultyId) {
     const {
         code_th,
         code_eng,
@@ -26,8 +27,8 @@ export async function createSubject(subjectData) {
         is_active,
     } = subjectData;
 
-    // Validate FK: program must exist
-    const programOk = await programExists(program_id);
+    // Validate FK: program must exist in the caller's faculty
+    const programOk = await programExists(program_id, facultyId);
     if (!programOk) {
         const err = new Error(`ไม่พบหลักสูตรที่มี ID = ${program_id}`);
         err.statusCode = 404;
@@ -57,9 +58,10 @@ export async function createSubject(subjectData) {
             outline,
             count_workload,
             is_active,
+            faculty_id,
             created_at,
             updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
         RETURNING *
     `;
 
@@ -73,6 +75,7 @@ export async function createSubject(subjectData) {
         outline || null,
         count_workload !== undefined ? count_workload : true,
         is_active !== undefined ? is_active : true,
+        facultyId,
     ];
 
     const hasJunctionTable = await checkJunctionTableExists();
@@ -105,11 +108,12 @@ export async function createSubject(subjectData) {
 }
 
 /**
- * Get all subjects with JOIN
+ * Get all subjects of a faculty with JOIN
+ * @param {number} facultyId - Caller's faculty
  * @param {Object} filters - Filter options (program_id, student_year_id, is_active)
  * @returns {Promise<Array>} Array of subjects
  */
-export async function getAllSubjects(filters = {}) {
+export async function getAllSubjects(facultyId, filters = {}) {
     const hasJunctionTable = await checkJunctionTableExists();
 
     let sql;
@@ -133,7 +137,7 @@ export async function getAllSubjects(filters = {}) {
             LEFT JOIN programs p ON s.program_id = p.id
             LEFT JOIN subjects_student_years ssy ON s.id = ssy.subject_id
             LEFT JOIN student_years sy ON ssy.student_year_id = sy.id
-            WHERE 1=1
+            WHERE s.faculty_id = $1
         `;
     } else {
         // ไม่มี junction table - return subjects โดยไม่มี student_years
@@ -144,12 +148,12 @@ export async function getAllSubjects(filters = {}) {
                 '[]'::json as student_years
             FROM subjects s
             LEFT JOIN programs p ON s.program_id = p.id
-            WHERE 1=1
+            WHERE s.faculty_id = $1
         `;
     }
 
-    const values = [];
-    let paramCount = 1;
+    const values = [facultyId];
+    let paramCount = 2;
 
     // Apply filters
     if (filters.program_id) {
@@ -255,12 +259,13 @@ export async function getSubjectById(id) {
  * Update subject by ID
  * @param {number} id - Subject ID
  * @param {Object} updateData - Fields to update
+ * @param {number} facultyId - Caller's faculty (program must belong to it)
  * @returns {Promise<Object|null>} Updated subject or null if not found
  */
-export async function updateSubject(id, updateData) {
-    // Validate FK: program must exist if provided
+export async function updateSubject(id, updateData, facultyId) {
+    // Validate FK: program must exist in the caller's faculty if provided
     if (updateData.program_id) {
-        const programOk = await programExists(updateData.program_id);
+        const programOk = await programExists(updateData.program_id, facultyId);
         if (!programOk) {
             const err = new Error(`ไม่พบหลักสูตรที่มี ID = ${updateData.program_id}`);
             err.statusCode = 404;
@@ -384,13 +389,14 @@ async function checkJunctionTableExists() {
 }
 
 /**
- * Check if program exists
+ * Check if program exists in a faculty
  * @param {number} programId - Program ID
+ * @param {number} facultyId - Faculty the program must belong to
  * @returns {Promise<boolean>}
  */
-export async function programExists(programId) {
-    const sql = 'SELECT id FROM programs WHERE id = $1';
-    const result = await query(sql, [programId]);
+export async function programExists(programId, facultyId) {
+    const sql = 'SELECT id FROM programs WHERE id = $1 AND faculty_id = $2';
+    const result = await query(sql, [programId, facultyId]);
     return result.rows.length > 0;
 }
 
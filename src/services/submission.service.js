@@ -6,6 +6,7 @@
 import { pool } from '../config/db.js';
 import * as submissionRepository from '../repositories/submission.repository.js';
 import * as emailService from './email.service.js';
+import { createEmailDocumentUrl } from './documentLink.service.js';
 
 function parsePositiveInt(value) {
     const parsed = Number(value);
@@ -53,6 +54,37 @@ export async function getMySubjectsWithStatus(termId, instructorId) {
     }
 }
 
+/**
+ * สร้างรอบการส่งถัดไปและตั้งสถานะเอกสารใน term_subjects เป็นรอตรวจ
+ * ใช้ทั้งการอัปโหลดไฟล์ (filePath) และการส่งลิงก์ (fileUrl) — ต้องเรียกภายใน transaction
+ *
+ * @param {Object} client - Database client (อยู่ใน transaction)
+ * @param {Object} data - { termSubjectId, documentType, filePath, fileUrl, originalName, submittedBy }
+ * @returns {Promise<Object>} submission ที่สร้าง
+ */
+export async function recordSubmissionRound(client, data) {
+    // ล็อก term subject กันเลขรอบซ้ำเมื่อส่งพร้อมกัน
+    const hasTermSubject = await submissionRepository.lockTermSubject(client, data.termSubjectId);
+    if (!hasTermSubject) {
+        throw createHttpError('ไม่พบรายวิชาในภาคการศึกษา', 404);
+    }
+
+    const created = await submissionRepository.createSubmission(client, data);
+
+    await submissionRepository.markTermSubjectSubmissionPending(
+        client,
+        data.termSubjectId,
+        data.documentType
+    );
+
+    return created;
+}
+
+/**
+ * ส่งเอกสารเป็นลิงก์ (file_url)
+ * ไฟล์ที่อัปโหลดผ่าน POST /api/term-subjects/:id/upload สร้างรอบให้แล้ว
+ * ถ้า file_url ชี้ไปยังไฟล์ของรอบล่าสุด จะคืนรอบนั้นแทนการสร้างรอบซ้ำ
+ */
 export async function createSubmission(payload, submittedBy) {
     const termSubjectId = parsePositiveInt(payload?.term_subject_id);
     if (!termSubjectId) {
@@ -83,7 +115,7 @@ export async function createSubmission(payload, submittedBy) {
 
         await client.query('BEGIN');
 
-        const created = await submissionRepository.createSubmission(client, {
+        const created = await recordUnlessAlreadyUploaded(client, {
             termSubjectId,
             documentType,
             fileUrl,
@@ -91,12 +123,6 @@ export async function createSubmission(payload, submittedBy) {
             submittedBy: parsedSubmittedBy,
         });
 
-        await submissionRepository.markTermSubjectSubmissionPending(
-            client,
-            termSubjectId,
-            documentType
-        );
-
         await client.query('COMMIT');
         return created;
     } catch (error) {
@@ -107,6 +133,21 @@ export async function createSubmission(payload, submittedBy) {
     }
 }
 
+async function recordUnlessAlreadyUploaded(client, data) {
+    await submissionRepository.lockTermSubject(client, data.termSubjectId);
+
+    const latest = await submissionRepository.findLatestDocumentByType(
+        client,
+        data.termSubjectId,
+        data.documentType
+    );
+    if (latest?.file_path && [latest.file_path, latest.file_url].includes(data.fileUrl)) {
+        return latest;
+    }
+
+    return recordSubmissionRound(client, data);
+}
+
 export async function reviewSubmission(submissionId, payload, reviewerId) {
     const parsedSubmissionId = parsePositiveInt(submissionId);
     if (!parsedSubmissionId) {
@@ -133,6 +174,22 @@ export async function reviewSubmission(submissionId, payload, reviewerId) {
 
         await client.query('BEGIN');
 
+        // ตรวจได้เฉพาะรอบล่าสุด (สถานะใน term_subjects ต้องตรงกับรอบล่าสุดเสมอ)
+        const submission = await submissionRepository.findSubmissionById(client, parsedSubmissionId);
+        if (!submission) {
+            throw createHttpError('ไม่พบรายการส่งเอกสาร', 404);
+        }
+
+        await submissionRepository.lockTermSubject(client, submission.term_subject_id);
+        const latest = await submissionRepository.findLatestDocumentByType(
+            client,
+            submission.term_subject_id,
+            submission.document_type
+        );
+        if (latest && latest.id !== submission.id) {
+            throw createHttpError('ตรวจได้เฉพาะเอกสารรอบล่าสุด', 409);
+        }
+
         const reviewed = await submissionRepository.reviewSubmission(client, parsedSubmissionId, {
             action,
             note,
@@ -179,6 +236,14 @@ export async function reviewSubmission(submissionId, payload, reviewerId) {
                     reason: reason || null,
                     subjectCode: emailDetails.subject_code,
                     subjectName: emailDetails.subject_name,
+                    // ลิงก์ผูกกับผู้ส่งเอกสาร — เปิดได้ตราบที่ยังมีสิทธิ์ดูวิชานี้ (รอบที่ส่งเป็นลิงก์ภายนอกไม่มีไฟล์ให้เปิด)
+                    documentUrl: emailDetails.file_path
+                        ? createEmailDocumentUrl({
+                            termSubjectId: emailDetails.term_subject_id,
+                            documentId: parsedSubmissionId,
+                            userId: emailDetails.submitted_by,
+                        })
+                        : null,
                 }).catch(err => console.error('[Email] review notification failed:', err));
             }
         } catch (err) {
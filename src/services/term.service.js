@@ -8,6 +8,7 @@ import { pool } from '../config/db.js';
 import * as termRepo from '../repositories/term.repository.js';
 import * as termSubjectRepo from '../repositories/termSubject.repository.js';
 import * as subjectRepo from '../repositories/subject.repository.js';
+import * as workRepo from '../repositories/work.repository.js';
 import {
     validateTermData,
     normalizeTermData,
@@ -15,14 +16,18 @@ import {
     ValidationError,
     BusinessError,
 } from '../utils/termValidation.js';
+import { buildTermCalendar } from '../utils/termCalendar.js';
+import { buildClonePlan } from '../utils/termClone.js';
+import { logWorkChange } from './work.service.js';
 
 /**
- * Get filter options (academic years and sectors)
+ * Get filter options (academic years and sectors) of a faculty's terms
+ * @param {number} facultyId - Caller's faculty
  * @returns {Promise<Object>} Filter options
  */
-export async function getFilterOptions() {
-    const years = await termRepo.getDistinctAcademicYears();
-    const sectors = await termRepo.getDistinctAcademicSectors();
+export async function getFilterOptions(facultyId) {
+    const years = await termRepo.getDistinctAcademicYears(pool, facultyId);
+    const sectors = await termRepo.getDistinctAcademicSectors(pool, facultyId);
 
     return {
         academic_years: years,
@@ -34,9 +39,10 @@ export async function getFilterOptions() {
  * Create new academic term
  * @param {Object} termData - Term data from request
  * @param {Number} userId - ID of user creating the term
+ * @param {Number} facultyId - Faculty that owns the term (caller's faculty)
  * @returns {Promise<Object>} Created term with computed status
  */
-export async function createTerm(termData, userId) {
+export async function createTerm(termData, userId, facultyId) {
     console.log('[createTerm Service] Starting with userId:', userId);
 
     // Step 0: Validate user ID
@@ -63,7 +69,7 @@ export async function createTerm(termData, userId) {
         console.log('[createTerm Service] Validating subject IDs...');
         console.log('[createTerm Service] Subject IDs to validate:', JSON.stringify(subjectIds));
 
-        const existingSubjects = await subjectRepo.findSubjectsByIds(subjectIds);
+        const existingSubjects = await subjectRepo.findSubjectsByIds(subjectIds, facultyId);
         console.log('[createTerm Service] Found existing subjects:', existingSubjects.length);
         console.log('[createTerm Service] Existing subject IDs:', existingSubjects.map(s => s.id));
 
@@ -104,11 +110,12 @@ export async function createTerm(termData, userId) {
             );
         }
 
-        // Step 3: Check for duplicate term
+        // Step 3: Check for duplicate term (within the faculty)
         const existing = await termRepo.findTermByYearAndSector(
             client,
             normalized.academic_year,
-            normalized.academic_sector
+            normalized.academic_sector,
+            facultyId
         );
 
         if (existing) {
@@ -122,7 +129,7 @@ export async function createTerm(termData, userId) {
         // Step 4: Insert term and subjects within transaction
         await client.query('BEGIN');
 
-        const term = await termRepo.insertTerm(client, normalized, userId);
+        const term = await termRepo.insertTerm(client, normalized, userId, facultyId);
 
         // Step 5: Add subjects if provided
         if (subjectIds.length > 0) {
@@ -142,12 +149,13 @@ export async function createTerm(termData, userId) {
 }
 
 /**
- * Get all terms with optional filters
+ * Get all terms of a faculty with optional filters
+ * @param {number} facultyId - Caller's faculty
  * @param {Object} filters - Filter criteria (academic_year, academic_sector, status)
  * @returns {Promise<Array>} List of terms with computed status
  */
-export async function getAllTerms(filters = {}) {
-    const terms = await termRepo.findAllTerms(pool, filters);
+export async function getAllTerms(facultyId, filters = {}) {
+    const terms = await termRepo.findAllTerms(pool, facultyId, filters);
 
     // Add computed status to each term
     return terms.map(enrichTermWithStatus);
@@ -204,7 +212,12 @@ export async function updateTerm(termId, termData, userId) {
         }
 
         // Step 2: Validate and normalize data
-        const normalized = normalizeTermData(termData);
+        // week_count/break_weeks ไม่ได้ส่งมา → คงค่าเดิมไว้
+        const normalized = normalizeTermData({
+            week_count: existing.week_count,
+            break_weeks: existing.break_weeks,
+            ...termData,
+        });
         validateTermData(normalized);
 
         // Extract subject_ids if provided
@@ -218,7 +231,7 @@ export async function updateTerm(termId, termData, userId) {
 
         // Step 2.5: Validate subject IDs if provided
         if (subjectIds && Array.isArray(subjectIds) && subjectIds.length > 0) {
-            const existingSubjects = await subjectRepo.findSubjectsByIds(subjectIds);
+            const existingSubjects = await subjectRepo.findSubjectsByIds(subjectIds, existing.faculty_id);
             console.log('[updateTerm Service] Found existing subjects:', existingSubjects.length);
 
             if (existingSubjects.length !== subjectIds.length) {
@@ -249,7 +262,8 @@ export async function updateTerm(termId, termData, userId) {
             const duplicate = await termRepo.findTermByYearAndSector(
                 client,
                 normalized.academic_year,
-                normalized.academic_sector
+                normalized.academic_sector,
+                existing.faculty_id
             );
 
             if (duplicate && duplicate.id !== termId) {
@@ -317,20 +331,22 @@ export async function deleteTerm(termId) {
 }
 
 /**
- * Get active terms (ongoing)
+ * Get a faculty's active terms (ongoing)
+ * @param {number} facultyId - Caller's faculty
  * @returns {Promise<Array>} List of active terms
  */
-export async function getActiveTerms() {
-    const terms = await termRepo.findActiveTerms();
+export async function getActiveTerms(facultyId) {
+    const terms = await termRepo.findActiveTerms(pool, facultyId);
     return terms.map(enrichTermWithStatus);
 }
 
 /**
- * Get ended terms
+ * Get a faculty's ended terms
+ * @param {number} facultyId - Caller's faculty
  * @returns {Promise<Array>} List of ended terms
  */
-export async function getEndedTerms() {
-    const terms = await termRepo.findEndedTerms();
+export async function getEndedTerms(facultyId) {
+    const terms = await termRepo.findEndedTerms(pool, facultyId);
     return terms.map(enrichTermWithStatus);
 }
 
@@ -354,6 +370,28 @@ export async function getTermSubjects(termId) {
     }
 }
 
+/**
+ * Get week calendar of a term
+ * @param {number} termId - Term ID
+ * @returns {Promise<Object>} { term_id, week_count, weeks: [{ week, startDate, endDate, type }] }
+ */
+export async function getTermCalendar(termId) {
+    const term = await termRepo.findTermById(pool, termId);
+    if (!term) {
+        throw new BusinessError('Term not found', 'TERM_NOT_FOUND', 404);
+    }
+
+    const calendar = buildTermCalendar(term);
+
+    return {
+        term_id: term.id,
+        academic_year: term.academic_year,
+        academic_sector: term.academic_sector,
+        week_count: calendar.weekCount,
+        weeks: calendar.weeks,
+    };
+}
+
 /**
  * Update subjects in a term (replace all)
  * @param {number} termId - Term ID
@@ -370,6 +408,18 @@ export async function updateTermSubjects(termId, subjectIds, userId) {
             throw new BusinessError('Term not found', 'TERM_NOT_FOUND', 404);
         }
 
+        // Subjects must belong to the term's faculty
+        const existingSubjects = await subjectRepo.findSubjectsByIds(subjectIds, term.faculty_id);
+        if (existingSubjects.length !== new Set(subjectIds).size) {
+            const existingIds = existingSubjects.map(s => s.id);
+            const invalidIds = subjectIds.filter(id => !existingIds.includes(id));
+            throw new BusinessError(
+                `ไม่พบรายวิชาที่มี ID: ${invalidIds.join(', ')} ในระบบ (Subject IDs not found: ${invalidIds.join(', ')})`,
+                'INVALID_SUBJECT_IDS',
+                400
+            );
+        }
+
         await client.query('BEGIN');
 
         // Replace all subjects
@@ -387,6 +437,96 @@ export async function updateTermSubjects(termId, subjectIds, userId) {
     }
 }
 
+/**
+ * Clone subjects, lecturer assignments and (optionally) works from another term
+ * Subjects already in the target term are reported as conflicts and skipped
+ * @param {number} termId - Target term ID
+ * @param {number} sourceTermId - Source term ID
+ * @param {Object} options - { includeWorks, preview }
+ * @param {Object} user - User cloning (req.user); cloned works are logged as created by this user
+ * @returns {Promise<Object>} Clone plan (preview) or created counts with plan
+ */
+export async function cloneTermFrom(termId, sourceTermId, options = {}, user) {
+    const { includeWorks = false, preview = false } = options;
+
+    if (termId === sourceTermId) {
+        throw new BusinessError('Cannot clone a term into itself', 'SAME_TERM', 400);
+    }
+
+    const client = await pool.connect();
+    try {
+        const targetTerm = await termRepo.findTermById(client, termId);
+        if (!targetTerm) {
+            throw new BusinessError('Term not found', 'TERM_NOT_FOUND', 404);
+        }
+
+        // term ต้นทางต้องอยู่คณะเดียวกัน (คณะอื่นถือว่าไม่พบ)
+        const sourceTerm = await termRepo.findTermById(client, sourceTermId);
+        if (!sourceTerm || sourceTerm.faculty_id !== targetTerm.faculty_id) {
+            throw new BusinessError('Source term not found', 'SOURCE_TERM_NOT_FOUND', 404);
+        }
+
+        const plan = buildClonePlan({
+            sourceTerm,
+            targetTerm,
+            sourceSubjects: await termSubjectRepo.findTermSubjectsByTermId(client, sourceTermId),
+            targetSubjectIds: await termSubjectRepo.findSubjectIdsByTermId(client, termId),
+            lecturers: await termSubjectRepo.findLecturerAssignmentsByTermId(client, sourceTermId),
+            works: includeWorks ? await workRepo.findWorksByTermId(client, sourceTermId) : [],
+            includeWorks,
+        });
+
+        const summary = {
+            source_term_id: sourceTermId,
+            target_term_id: termId,
+            preview,
+            include_works: includeWorks,
+            shift_days: plan.shiftDays,
+            subjects: plan.subjects,
+            conflicts: plan.conflicts,
+            created: {
+                subjects: 0,
+                lecturers: 0,
+                works: 0,
+            },
+        };
+
+        if (preview) {
+            return summary;
+        }
+
+        await client.query('BEGIN');
+
+        for (const subject of plan.subjects) {
+            const termSubject = await termSubjectRepo.insertTermSubject(client, {
+                term_id: termId,
+                subject_id: subject.subject_id,
+            }, user.id);
+            subject.term_subject_id = termSubject.id;
+            summary.created.subjects++;
+
+            for (const lecturer of subject.lecturers) {
+                await termSubjectRepo.insertLecturerAssignment(client, termSubject.id, lecturer, user.id);
+                summary.created.lecturers++;
+            }
+
+            for (const work of subject.works) {
+                const created = await workRepo.insertWork(client, termSubject.id, work, user.id);
+                await logWorkChange(client, 'created', { after: created, user });
+                summary.created.works++;
+            }
+        }
+
+        await client.query('COMMIT');
+        return summary;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
 /**
  * Helper: Add computed status to term object
  * Does NOT mutate original object
@@ -4,12 +4,31 @@
  * Handles validation, transactions, and orchestration
  */
 
+import path from 'path';
 import { pool } from '../config/db.js';
+import config from '../config/env.js';
 import * as termSubjectRepo from '../repositories/termSubject.repository.js';
 import * as termRepo from '../repositories/term.repository.js';
+import * as workloadReviewRepo from '../repositories/workloadReview.repository.js';
+import * as submissionRepo from '../repositories/submission.repository.js';
+import * as programRepo from '../repositories/program.repository.js';
+import { findFacultyIdOf } from '../repositories/tenancy.repository.js';
 import { BusinessError } from '../utils/termValidation.js';
-import path from 'path';
-import fs from 'fs';
+import {
+    WORKLOAD_STATUS,
+    WORKLOAD_ACTIONS,
+    assertCanActOnStage,
+    getNextApprovalState,
+} from '../utils/workloadApproval.js';
+import { ROLES } from '../constants/roles.js';
+import * as emailService from './email.service.js';
+import { recordSubmissionRound } from './submission.service.js';
+import { getStorage, isStorageNotFound } from './storage.service.js';
+import { createSignedDocumentUrl } from './documentLink.service.js';
+import { scanStoredFile, isScanFailure } from './scanner.service.js';
+import { scheduleDocumentPreview, initialPreviewStatus, PREVIEW_STATUSES } from './documentPreview.service.js';
+import * as quarantineRepo from '../repositories/documentQuarantine.repository.js';
+import { checkUploadedDocument } from '../utils/fileSignature.js';
 
 function normalizeOriginalFileName(fileName) {
     if (!fileName || typeof fileName !== 'string') return fileName;
@@ -32,17 +51,23 @@ function normalizeOriginalFileName(fileName) {
 /**
  * Add subject to term
  */
-export async function addSubjectToTerm(termSubjectData, userId) {
+export async function addSubjectToTerm(termSubjectData, userId, facultyId) {
     const { term_id, subject_id } = termSubjectData;
 
     const client = await pool.connect();
     try {
-        // Validate term exists
+        // Validate term exists (term ของคณะอื่นถือว่าไม่พบ)
         const term = await termRepo.findTermById(client, term_id);
-        if (!term) {
+        if (!term || term.faculty_id !== facultyId) {
             throw new BusinessError('Term not found', 'TERM_NOT_FOUND', 404);
         }
 
+        // Validate subject belongs to the same faculty
+        const subjectFacultyId = await findFacultyIdOf(client, 'subject', subject_id);
+        if (subjectFacultyId !== facultyId) {
+            throw new BusinessError('Subject not found', 'SUBJECT_NOT_FOUND', 404);
+        }
+
         // Check for duplicate
         const existing = await termSubjectRepo.findTermSubjectByTermAndSubject(client, term_id, subject_id);
         if (existing) {
@@ -128,6 +153,7 @@ export async function updateTermSubject(termSubjectId, data, userId) {
 
 /**
  * Remove subject from term
+ * ลบไฟล์เอกสารของรายวิชา (ต้นฉบับ, preview, ไฟล์ที่ถูกกัก) ออกจาก storage หลัง COMMIT
  */
 export async function removeSubjectFromTerm(termSubjectId) {
     const client = await pool.connect();
@@ -139,10 +165,18 @@ export async function removeSubjectFromTerm(termSubjectId) {
 
         await client.query('BEGIN');
 
+        // เก็บ key ของไฟล์ก่อนลบ — cascade ลบ document_submissions/document_quarantine แต่ไม่ลบไฟล์ใน storage
+        const fileKeys = [
+            ...await submissionRepo.findStoredFileKeysByTermSubject(client, termSubjectId),
+            ...await quarantineRepo.findQuarantinedFileKeysByTermSubject(client, termSubjectId),
+        ];
+
         // Cascade delete will handle professor assignments
         await termSubjectRepo.deleteTermSubject(client, termSubjectId);
 
         await client.query('COMMIT');
+
+        await removeStoredFiles(fileKeys);
     } catch (error) {
         await client.query('ROLLBACK');
         throw error;
@@ -151,6 +185,20 @@ export async function removeSubjectFromTerm(termSubjectId) {
     }
 }
 
+/**
+ * ลบไฟล์ใน storage หลังลบข้อมูลแล้ว (ไม่ throw — ไฟล์ที่ลบไม่ได้เหลือเป็น orphan และถูก log ไว้)
+ * @param {Array<string>} keys - storage keys
+ */
+async function removeStoredFiles(keys) {
+    for (const key of keys) {
+        try {
+            await getStorage().remove(key);
+        } catch (error) {
+            console.error(`[removeSubjectFromTerm] Failed to remove stored file ${key}:`, error.message);
+        }
+    }
+}
+
 /**
  * ==========================================
  * Professor Assignment Operations
@@ -399,8 +447,8 @@ export async function getActiveTermSubjectsStatus(user) {
     const client = await pool.connect();
     try {
         console.log('[getActiveTermSubjectsStatus] 📞 Calling findCurrentTerm...');
-        // หาภาคการศึกษาปัจจุบันอัตโนมัติ (ตามวันที่หรือเทอมใหม่สุด)
-        const currentTerm = await termRepo.findCurrentTerm();
+        // หาภาคการศึกษาปัจจุบันของคณะอัตโนมัติ (ตามวันที่หรือเทอมใหม่สุด)
+        const currentTerm = await termRepo.findCurrentTerm(client, user.facultyId);
         console.log('[getActiveTermSubjectsStatus] 📅 Current term found:', currentTerm ? `ID ${currentTerm.id}` : 'NULL');
 
         if (!currentTerm) {
@@ -454,9 +502,14 @@ export async function assignProfessorToSubject(termSubjectId, professorId, creat
             throw new BusinessError('Term subject not found', 'TERM_SUBJECT_NOT_FOUND', 404);
         }
 
-        // ตรวจสอบว่า professor มีอยู่จริงใน users table
-        const professorCheckSql = 'SELECT id FROM users WHERE id = $1 AND is_active = true';
-        const professorCheck = await client.query(professorCheckSql, [professorId]);
+        // ตรวจสอบว่า professor มีอยู่จริงใน users table และอยู่คณะเดียวกับ term
+        const professorCheckSql = `
+            SELECT u.id
+            FROM users u
+            JOIN terms t ON t.faculty_id = u.faculty_id
+            WHERE u.id = $1 AND u.is_active = true AND t.id = $2
+        `;
+        const professorCheck = await client.query(professorCheckSql, [professorId, termSubject.term_id]);
         if (professorCheck.rows.length === 0) {
             throw new BusinessError('Professor not found or inactive', 'PROFESSOR_NOT_FOUND', 404);
         }
@@ -494,14 +547,13 @@ export async function assignProfessorToSubject(termSubjectId, professorId, creat
 }
 
 /**
- * ดึงข้อมูล term subject โดยละเอียด พร้อมเช็คสิทธิ์
- * Professor ดูได้เฉพาะวิชาที่ตัวเองสอน
+ * ดึงข้อมูล term subject โดยละเอียด
+ * (สิทธิ์ตรวจที่ route ด้วย authorizeTermSubject(ACTIONS.VIEW) — Professor ดูได้เฉพาะวิชาที่ตัวเองสอน)
  * 
  * @param {number} termSubjectId - Term Subject ID
- * @param {Object} user - ข้อมูล user จาก req.user
  * @returns {Promise<Object>} ข้อมูล term subject
  */
-export async function getTermSubjectDetail(termSubjectId, user) {
+export async function getTermSubjectDetail(termSubjectId) {
     const client = await pool.connect();
     try {
         const termSubject = await termSubjectRepo.findTermSubjectById(client, termSubjectId);
@@ -509,28 +561,21 @@ export async function getTermSubjectDetail(termSubjectId, user) {
             throw new BusinessError('Term subject not found', 'TERM_SUBJECT_NOT_FOUND', 404);
         }
 
-        // ตรวจสอบสิทธิ์
-        const userRoles = user.roles || [];
-        const isAcademicStaff = userRoles.includes('Academic Officer') || userRoles.includes('Program Chair');
-
-        // ถ้าไม่ใช่ academic staff ต้องเช็คว่าเป็นอาจารย์ที่สอนวิชานี้หรือไม่
-        if (!isAcademicStaff) {
-            const professors = await termSubjectRepo.findProfessorsByTermSubject(client, termSubjectId);
-            const isProfessorOfSubject = professors.some(p => p.user_id === user.id);
-
-            if (!isProfessorOfSubject) {
-                throw new BusinessError(
-                    'You do not have permission to view this subject',
-                    'PERMISSION_DENIED',
-                    403
-                );
-            }
-        }
-
         // ดึงข้อมูลอาจารย์ผู้สอน
         const professors = await termSubjectRepo.findProfessorsByTermSubject(client, termSubjectId);
         termSubject.professors = professors;
 
+        // เหตุผลที่ถูกตีกลับล่าสุด (ถ้ารายการล่าสุดใน workload_reviews เป็นการตีกลับ)
+        const latestReview = await workloadReviewRepo.findLatestWorkloadReview(client, termSubjectId);
+        termSubject.workload_rejection = latestReview?.action === WORKLOAD_ACTIONS.REJECTED
+            ? {
+                reason: latestReview.reason,
+                rejected_at: latestReview.reviewed_at,
+                rejected_by: latestReview.actor_name,
+                rejected_by_role: latestReview.actor_role,
+            }
+            : null;
+
         return termSubject;
     } finally {
         client.release();
@@ -565,39 +610,51 @@ export async function getMySubjects(userId) {
  * ==========================================
  */
 
+/**
+ * ลำดับขั้นการอนุมัติภาระงานจาก config (เช่น Program Chair → Academic Officer)
+ * config/env.js แปลงและตรวจสอบตอน start แล้ว (เฉพาะ WORKLOAD_APPROVER_ROLES)
+ */
+function getWorkloadApprovalChain() {
+    return config.workload.approvalChain;
+}
+
+/**
+ * ตรวจว่าผู้ใช้ดำเนินการขั้นที่กำลังรอได้ (Program Chair ต้องอยู่หลักสูตรเดียวกับรายวิชา)
+ */
+async function assertCanActOnWorkload(client, chain, termSubject, user) {
+    const programIds = user.roles.includes(ROLES.PROGRAM_CHAIR)
+        ? await programRepo.findUserProgramIds(user.id, client)
+        : [];
+    return assertCanActOnStage(chain, termSubject, user.roles, { programIds });
+}
+
 /**
  * Submit workload for approval (Professor only)
- * Changes status from 'pending' to 'submitted'
+ * Changes status from 'pending' to 'submitted' (waiting for the first approver in the chain)
  * 
  * @param {number} termSubjectId - Term Subject ID
  * @param {number} userId - Professor's user ID
+ * @param {string} comment - Optional comment for approvers
  * @returns {Promise<Object>} - Updated term subject
  */
-export async function submitWorkload(termSubjectId, userId) {
+export async function submitWorkload(termSubjectId, userId, comment = null) {
     console.log('[submitWorkload] 📤 Professor', userId, 'submitting workload for term subject', termSubjectId);
 
     const client = await pool.connect();
     try {
-        // Validate term subject exists
-        const termSubject = await termSubjectRepo.findTermSubjectById(client, termSubjectId);
+        await client.query('BEGIN');
+
+        // Validate term subject exists (ล็อก row กันคำขอพร้อมกันข้ามขั้น/อนุมัติซ้ำ)
+        const termSubject = await termSubjectRepo.findTermSubjectById(client, termSubjectId, { forUpdate: true });
         if (!termSubject) {
             throw new BusinessError('Term subject not found', 'TERM_SUBJECT_NOT_FOUND', 404);
         }
 
-        // Check if user is assigned as professor
-        const professors = await termSubjectRepo.findProfessorsByTermSubject(client, termSubjectId);
-        const isAssigned = professors.some(p => p.user_id === userId);
-
-        if (!isAssigned) {
-            throw new BusinessError(
-                'You are not assigned to this subject',
-                'NOT_ASSIGNED',
-                403
-            );
-        }
+        // (การเป็นอาจารย์ในวิชาตรวจที่ route ด้วย ACTIONS.SUBMIT_WORKLOAD)
 
         // Check current status - can only submit if pending
-        if (termSubject.workload_approved === 'submitted') {
+        if (termSubject.workload_approved === WORKLOAD_STATUS.SUBMITTED ||
+            termSubject.workload_approved === WORKLOAD_STATUS.ENDORSED) {
             throw new BusinessError(
                 'Workload already submitted and pending approval',
                 'ALREADY_SUBMITTED',
@@ -605,7 +662,7 @@ export async function submitWorkload(termSubjectId, userId) {
             );
         }
 
-        if (termSubject.workload_approved === 'approved') {
+        if (termSubject.workload_approved === WORKLOAD_STATUS.APPROVED) {
             throw new BusinessError(
                 'Workload already approved. Cannot resubmit.',
                 'ALREADY_APPROVED',
@@ -613,9 +670,24 @@ export async function submitWorkload(termSubjectId, userId) {
             );
         }
 
-        await client.query('BEGIN');
+        const updated = await termSubjectRepo.updateWorkloadStatus(
+            client,
+            termSubjectId,
+            WORKLOAD_STATUS.SUBMITTED,
+            userId,
+            0
+        );
 
-        const updated = await termSubjectRepo.updateWorkloadStatus(client, termSubjectId, 'submitted', userId);
+        await workloadReviewRepo.insertWorkloadReview(client, {
+            termSubjectId,
+            actorId: userId,
+            actorRole: ROLES.PROFESSOR,
+            action: WORKLOAD_ACTIONS.SUBMITTED,
+            stage: null,
+            fromStatus: termSubject.workload_approved,
+            toStatus: WORKLOAD_STATUS.SUBMITTED,
+            comment,
+        });
 
         await client.query('COMMIT');
 
@@ -631,48 +703,61 @@ export async function submitWorkload(termSubjectId, userId) {
 }
 
 /**
- * Approve workload submission (Academic Officer only)
- * Changes status from 'submitted' to 'approved'
+ * Approve the current step of a workload submission
+ * - ขั้นที่ยังไม่ใช่ขั้นสุดท้าย → 'endorsed' และรอขั้นถัดไป
+ * - ขั้นสุดท้าย → 'approved'
+ * ผู้อนุมัติต้องมี role ตรงกับขั้นที่กำลังรอใน approval chain (ขั้น Program Chair ต้องเป็นประธานหลักสูตรของรายวิชา)
  * 
  * @param {number} termSubjectId - Term Subject ID
- * @param {number} userId - Academic Officer's user ID
+ * @param {Object} user - { id, roles } จาก req.user
+ * @param {string} comment - Optional comment
  * @returns {Promise<Object>} - Updated term subject
  */
-export async function approveWorkload(termSubjectId, userId) {
-    console.log('[approveWorkload] ✅ Academic Officer', userId, 'approving workload for term subject', termSubjectId);
+export async function approveWorkload(termSubjectId, user, comment = null) {
+    console.log('[approveWorkload] ✅ User', user.id, 'approving workload for term subject', termSubjectId);
 
     const client = await pool.connect();
     try {
-        // Validate term subject exists
-        const termSubject = await termSubjectRepo.findTermSubjectById(client, termSubjectId);
+        await client.query('BEGIN');
+
+        // Validate term subject exists (ล็อก row กันคำขอพร้อมกันข้ามขั้น/อนุมัติซ้ำ)
+        const termSubject = await termSubjectRepo.findTermSubjectById(client, termSubjectId, { forUpdate: true });
         if (!termSubject) {
             throw new BusinessError('Term subject not found', 'TERM_SUBJECT_NOT_FOUND', 404);
         }
 
-        // Check current status - can only approve if submitted
-        if (termSubject.workload_approved === 'pending') {
-            throw new BusinessError(
-                'Cannot approve workload that has not been submitted',
-                'NOT_SUBMITTED',
-                400
-            );
-        }
+        // ตรวจสอบว่าอยู่ระหว่างอนุมัติ และผู้ใช้เป็นผู้อนุมัติของขั้นนี้
+        const chain = getWorkloadApprovalChain();
+        const { stage, role } = await assertCanActOnWorkload(client, chain, termSubject, user);
+        const next = getNextApprovalState(chain, stage);
 
-        if (termSubject.workload_approved === 'approved') {
-            throw new BusinessError(
-                'Workload already approved',
-                'ALREADY_APPROVED',
-                409
-            );
-        }
-
-        await client.query('BEGIN');
+        const updated = await termSubjectRepo.updateWorkloadStatus(
+            client,
+            termSubjectId,
+            next.status,
+            user.id,
+            next.stage
+        );
 
-        const updated = await termSubjectRepo.updateWorkloadStatus(client, termSubjectId, 'approved', userId);
+        await workloadReviewRepo.insertWorkloadReview(client, {
+            termSubjectId,
+            actorId: user.id,
+            actorRole: role,
+            action: next.action,
+            stage,
+            fromStatus: termSubject.workload_approved,
+            toStatus: next.status,
+            comment,
+        });
 
         await client.query('COMMIT');
 
-        console.log('[approveWorkload] ✅ Workload approved successfully');
+        // แจ้งอาจารย์เมื่ออนุมัติครบทุกขั้นแล้วเท่านั้น
+        if (next.action === WORKLOAD_ACTIONS.APPROVED) {
+            await notifyWorkloadReview(client, termSubjectId, 'approved', { note: comment });
+        }
+
+        console.log('[approveWorkload] ✅ Workload', next.action, 'at stage', stage, `(${role})`);
         return updated;
     } catch (error) {
         await client.query('ROLLBACK');
@@ -684,53 +769,56 @@ export async function approveWorkload(termSubjectId, userId) {
 }
 
 /**
- * Reject workload submission (Academic Officer only)
- * Changes status from 'submitted' back to 'pending'
+ * Reject workload submission at the current step
+ * ตีกลับให้อาจารย์แก้ไข: status กลับเป็น 'pending' และบันทึกเหตุผลไว้ใน workload_reviews
  * 
  * @param {number} termSubjectId - Term Subject ID
- * @param {number} userId - Academic Officer's user ID
- * @param {string} reason - Optional rejection reason
+ * @param {Object} user - { id, roles } จาก req.user
+ * @param {string} reason - Rejection reason (required, validated by the controller)
  * @returns {Promise<Object>} - Updated term subject
  */
-export async function rejectWorkload(termSubjectId, userId, reason = null) {
-    console.log('[rejectWorkload] ❌ Academic Officer', userId, 'rejecting workload for term subject', termSubjectId);
-    if (reason) {
-        console.log('[rejectWorkload] 📝 Rejection reason:', reason);
-    }
+export async function rejectWorkload(termSubjectId, user, reason) {
+    console.log('[rejectWorkload] ❌ User', user.id, 'rejecting workload for term subject', termSubjectId);
 
     const client = await pool.connect();
     try {
-        // Validate term subject exists
-        const termSubject = await termSubjectRepo.findTermSubjectById(client, termSubjectId);
+        await client.query('BEGIN');
+
+        // Validate term subject exists (ล็อก row กันคำขอพร้อมกันข้ามขั้น/อนุมัติซ้ำ)
+        const termSubject = await termSubjectRepo.findTermSubjectById(client, termSubjectId, { forUpdate: true });
         if (!termSubject) {
             throw new BusinessError('Term subject not found', 'TERM_SUBJECT_NOT_FOUND', 404);
         }
 
-        // Check current status - can only reject if submitted
-        if (termSubject.workload_approved === 'pending') {
-            throw new BusinessError(
-                'Cannot reject workload that has not been submitted',
-                'NOT_SUBMITTED',
-                400
-            );
-        }
-
-        if (termSubject.workload_approved === 'approved') {
-            throw new BusinessError(
-                'Cannot reject workload that has already been approved',
-                'ALREADY_APPROVED',
-                400
-            );
-        }
-
-        await client.query('BEGIN');
+        // ตีกลับได้ทุกขั้น แต่ต้องเป็นผู้อนุมัติของขั้นที่กำลังรอ
+        const chain = getWorkloadApprovalChain();
+        const { stage, role } = await assertCanActOnWorkload(client, chain, termSubject, user);
 
         // Reset status to pending
-        const updated = await termSubjectRepo.updateWorkloadStatus(client, termSubjectId, 'pending', userId);
+        const updated = await termSubjectRepo.updateWorkloadStatus(
+            client,
+            termSubjectId,
+            WORKLOAD_STATUS.PENDING,
+            user.id,
+            null
+        );
+
+        await workloadReviewRepo.insertWorkloadReview(client, {
+            termSubjectId,
+            actorId: user.id,
+            actorRole: role,
+            action: WORKLOAD_ACTIONS.REJECTED,
+            stage,
+            fromStatus: termSubject.workload_approved,
+            toStatus: WORKLOAD_STATUS.PENDING,
+            reason,
+        });
 
         await client.query('COMMIT');
 
-        console.log('[rejectWorkload] ✅ Workload rejected, status reset to pending');
+        await notifyWorkloadReview(client, termSubjectId, 'rejected', { reason });
+
+        console.log('[rejectWorkload] ✅ Workload rejected at stage', stage, `(${role}), status reset to pending`);
         return updated;
     } catch (error) {
         await client.query('ROLLBACK');
@@ -741,6 +829,53 @@ export async function rejectWorkload(termSubjectId, userId, reason = null) {
     }
 }
 
+/**
+ * Get workload review timeline (submit/endorse/approve/reject)
+ * Academic staff ดูได้ทุกวิชา, อาจารย์ดูได้เฉพาะวิชาที่ตนสอน (ตรวจที่ route ด้วย ACTIONS.VIEW)
+ * 
+ * @param {number} termSubjectId - Term Subject ID
+ * @returns {Promise<Array>} - workload_reviews rows
+ */
+export async function getWorkloadHistory(termSubjectId) {
+    const client = await pool.connect();
+    try {
+        const termSubject = await termSubjectRepo.findTermSubjectById(client, termSubjectId);
+        if (!termSubject) {
+            throw new BusinessError('Term subject not found', 'TERM_SUBJECT_NOT_FOUND', 404);
+        }
+
+        return await workloadReviewRepo.findWorkloadReviewsByTermSubject(client, termSubjectId);
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * ส่ง email แจ้งผลการพิจารณาภาระงานถึงอาจารย์ที่ส่งล่าสุด
+ * เรียกหลัง COMMIT เท่านั้น — ไม่ throw, ไม่ block response (เหมือน reviewSubmission)
+ */
+async function notifyWorkloadReview(client, termSubjectId, action, { note = null, reason = null } = {}) {
+    try {
+        const emailDetails = await workloadReviewRepo.getWorkloadEmailDetails(client, termSubjectId);
+
+        if (emailDetails?.email) {
+            // ไม่ await — fire-and-forget
+            emailService.sendReviewNotification({
+                to: emailDetails.email,
+                instructorName: emailDetails.instructor_name,
+                documentType: 'ภาระงาน',
+                action,
+                note: note || null,
+                reason: reason || null,
+                subjectCode: emailDetails.subject_code,
+                subjectName: emailDetails.subject_name,
+            }).catch(err => console.error('[Email] workload review notification failed:', err));
+        }
+    } catch (err) {
+        console.error('[Email] Failed to fetch email details for workload', termSubjectId, ':', err.message);
+    }
+}
+
 /**
  * ==========================================
  * Document Upload Operations
@@ -753,16 +888,20 @@ export async function rejectWorkload(termSubjectId, userId, reason = null) {
  * หน้าที่:
  * 1. Validate term subject exists
  * 2. Verify professor authorization (เฉพาะอาจารย์ที่ assigned เท่านั้น)
- * 3. บันทึก file metadata ลง database
+ * 3. ตรวจชนิดไฟล์ตามประเภทเอกสาร และตรวจไวรัส (พบ = กักไฟล์ไว้, ตอบ 422 พร้อมเหตุผล)
+ * 4. สร้าง submission รอบถัดไปที่ชี้ไปยังไฟล์ (รอเจ้าหน้าที่ตรวจ)
+ * 5. เข้าคิวสร้าง preview (ภาพหน้าแรก, จำนวนหน้า, DOCX → PDF)
  * 
  * @param {number} termSubjectId - ID ของ term subject
- * @param {string} documentType - ประเภทเอกสาร: 'outline', 'workload', 'report'
- * @param {Object} file - ข้อมูลไฟล์จาก multer
+ * @param {string} documentType - ประเภทเอกสาร: 'outline', 'report'
+ * @param {Object} file - ข้อมูลไฟล์จาก multer (เก็บใน storage แล้ว: key, size, format, originalname, mimetype)
  * @param {number} userId - ID ของผู้อัปโหลด
- * @returns {Promise<Object>} - Document record พร้อม metadata
+ * @returns {Promise<Object>} - submission ที่สร้าง (id, round_number, status, file_url, ...)
  */
 export async function uploadDocument(termSubjectId, documentType, file, userId) {
     const client = await pool.connect();
+    const originalName = normalizeOriginalFileName(file.originalname);
+    let quarantined = false;
 
     try {
         // 1. ตรวจสอบว่า term subject มีอยู่จริง
@@ -771,17 +910,7 @@ export async function uploadDocument(termSubjectId, documentType, file, userId)
             throw new BusinessError('Term subject not found', 'TERM_SUBJECT_NOT_FOUND', 404);
         }
 
-        // 2. ตรวจสอบว่า user เป็น professor ที่ assigned หรือไม่
-        const professors = await termSubjectRepo.findProfessorsByTermSubject(client, termSubjectId);
-        const isAssigned = professors.some(prof => prof.user_id === userId);
-
-        if (!isAssigned) {
-            throw new BusinessError(
-                'You are not authorized to upload documents for this subject',
-                'UNAUTHORIZED_UPLOAD',
-                403
-            );
-        }
+        // 2. การเป็นอาจารย์ในวิชาตรวจที่ route ด้วย ACTIONS.UPLOAD
 
         // 3. Validate document type
         const validTypes = ['outline', 'report'];
@@ -793,59 +922,69 @@ export async function uploadDocument(termSubjectId, documentType, file, userId)
             );
         }
 
-        // 4. เขียนไฟล์ลง disk (หลังจากรู้ document_type แล้ว)
-        const originalName = normalizeOriginalFileName(file.originalname);
-        const timestamp = Date.now();
-        const ext = path.extname(originalName);
-        const filename = `${documentType}-${timestamp}${ext}`;
-
-        // สร้าง path: uploads/term-subjects/{id}/{document_type}/
-        const uploadDir = path.join(process.cwd(), 'uploads', 'term-subjects', String(termSubjectId), documentType);
-
-        // สร้างโฟลเดอร์ถ้ายังไม่มี
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
+        // 4. ตรวจชนิดไฟล์จากเนื้อหา (magic bytes) ไม่เชื่อ mimetype/นามสกุลที่ client ส่งมา
+        const rejection = checkUploadedDocument({
+            documentType,
+            format: file.format,
+            mimetype: file.mimetype,
+            originalName,
+        });
+        if (rejection) {
+            throw new BusinessError(rejection.message, rejection.code, 422);
         }
 
-        const filePath = path.join(uploadDir, filename);
-
-        // เขียนไฟล์จาก buffer (memory) ลง disk
-        fs.writeFileSync(filePath, file.buffer);
+        // 5. ตรวจไวรัส — พบแล้วกักไฟล์ไว้ใน document_quarantine (ไม่ลบ) และแจ้งเหตุผลผู้อัปโหลด
+        const scan = await scanUploadedFile(file.key);
+        if (!scan.clean) {
+            await quarantineRepo.insertQuarantinedDocument(client, {
+                termSubjectId,
+                documentType,
+                filePath: file.key,
+                originalName,
+                uploadedBy: userId,
+                scanner: scan.scanner,
+                signature: scan.signature,
+            });
+            quarantined = true;
+
+            console.warn(`[uploadDocument] ☣️ Quarantined ${file.key} for term_subject_id=${termSubjectId}: ${scan.signature}`);
+            throw new BusinessError(
+                `The file was rejected because the virus scanner detected "${scan.signature}". Please check your computer and upload a clean copy.`,
+                'DOCUMENT_INFECTED',
+                422
+            );
+        }
 
         await client.query('BEGIN');
 
-        // 5. บันทึก metadata ลง database
-        // เก็บแค่ relative path จาก project root
-        const relativePath = filePath.replace(process.cwd() + '/', '');
-
-        const document = await termSubjectRepo.saveDocumentMetadata(
-            client,
+        // 6. สร้าง submission รอบใหม่ + ตั้งสถานะเอกสารใน term_subjects เป็นรอตรวจ
+        // ไฟล์ถูก stream เข้า storage แล้วโดย upload middleware — เก็บแค่ storage key
+        const submission = await recordSubmissionRound(client, {
             termSubjectId,
             documentType,
-            relativePath,
+            filePath: file.key,
             originalName,
-            userId
-        );
-
-        // 6. อัปเดตสถานะเอกสารใน term_subjects table
-        const statusField = documentType === 'outline' ? 'outline_status' : 'report_status';
-        await termSubjectRepo.updateTermSubject(
-            client,
-            termSubjectId,
-            { [statusField]: true },
-            userId
-        );
+            submittedBy: userId,
+            previewStatus: initialPreviewStatus(),
+        });
 
         await client.query('COMMIT');
 
-        console.log(`[uploadDocument] ✅ Document uploaded: ${documentType} for term_subject_id=${termSubjectId}`);
-        console.log(`[uploadDocument] 📁 File saved to: ${relativePath}`);
-        console.log(`[uploadDocument] 🔄 Updated ${statusField} to true`);
-        return document;
+        // 7. สร้างภาพหน้าแรก/จำนวนหน้าใน background — ไม่ await, ไม่ block response
+        scheduleDocumentPreview(submission.id);
+
+        console.log(`[uploadDocument] ✅ Document uploaded: ${documentType} round ${submission.round_number} for term_subject_id=${termSubjectId}`);
+        console.log(`[uploadDocument] 📁 Stored as: ${file.key} (${file.size} bytes, ${getStorage().name})`);
+        return submission;
 
     } catch (error) {
         await client.query('ROLLBACK');
         console.error('[uploadDocument] ❌ Error:', error.message);
+
+        // ไม่เก็บไฟล์ที่ไม่มี submission อ้างถึง (ยกเว้นไฟล์ที่ถูกกักไว้)
+        if (!quarantined) {
+            await discardUploadedFile(file);
+        }
         throw error;
     } finally {
         client.release();
@@ -853,7 +992,37 @@ export async function uploadDocument(termSubjectId, documentType, file, userId)
 }
 
 /**
- * ดึงรายการเอกสารทั้งหมดของ term subject
+ * ตรวจไวรัสไฟล์ใน storage (scanner ตรวจไม่สำเร็จ = ไม่รับไฟล์)
+ * @throws {BusinessError} SCAN_UNAVAILABLE
+ */
+async function scanUploadedFile(key) {
+    try {
+        return await scanStoredFile(key);
+    } catch (error) {
+        if (isScanFailure(error)) {
+            console.error('[uploadDocument] ❌ Virus scan failed:', error.message);
+            throw new BusinessError('The file could not be checked for viruses. Please try again later.', 'SCAN_UNAVAILABLE', 503);
+        }
+        throw error;
+    }
+}
+
+/**
+ * ลบไฟล์ที่ upload middleware เก็บไว้แล้ว เมื่อ request ไม่ผ่าน (ไม่ throw)
+ * @param {Object} file - req.file
+ */
+export async function discardUploadedFile(file) {
+    if (!file?.key) return;
+
+    try {
+        await getStorage().remove(file.key);
+    } catch (error) {
+        console.error(`[uploadDocument] Failed to remove stored file ${file.key}:`, error.message);
+    }
+}
+
+/**
+ * ดึงรายการเอกสารทั้งหมดของ term subject (ทุกรอบการส่ง)
  * 
  * @param {number} termSubjectId - ID ของ term subject
  * @returns {Promise<Array>} - รายการเอกสาร
@@ -867,7 +1036,7 @@ export async function getDocuments(termSubjectId) {
             throw new BusinessError('Term subject not found', 'TERM_SUBJECT_NOT_FOUND', 404);
         }
 
-        const documents = await termSubjectRepo.findDocumentsByTermSubject(client, termSubjectId);
+        const documents = await submissionRepo.findDocumentsByTermSubject(client, termSubjectId);
         return documents;
 
     } finally {
@@ -876,8 +1045,8 @@ export async function getDocuments(termSubjectId) {
 }
 
 /**
- * ดึงเอกสารล่าสุดของแต่ละประเภท
- * ใช้สำหรับแสดงว่ามีเอกสารอะไรอัปโหลดแล้วบ้าง
+ * ดึงเอกสารรอบล่าสุดของแต่ละประเภท
+ * ใช้สำหรับแสดงว่ามีเอกสารอะไรส่งแล้วบ้าง และสถานะการตรวจของรอบนั้น
  * 
  * @param {number} termSubjectId - ID ของ term subject
  * @returns {Promise<Object>} - Object ที่มี key เป็น document type
@@ -891,10 +1060,9 @@ export async function getLatestDocuments(termSubjectId) {
             throw new BusinessError('Term subject not found', 'TERM_SUBJECT_NOT_FOUND', 404);
         }
 
-        // ดึงเอกสารล่าสุดของแต่ละประเภท (เฉพาะเอกสารที่อัปโหลด)
         const [outline, report] = await Promise.all([
-            termSubjectRepo.findLatestDocumentByType(client, termSubjectId, 'outline'),
-            termSubjectRepo.findLatestDocumentByType(client, termSubjectId, 'report')
+            submissionRepo.findLatestDocumentByType(client, termSubjectId, 'outline'),
+            submissionRepo.findLatestDocumentByType(client, termSubjectId, 'report')
         ]);
 
         return {
@@ -908,36 +1076,126 @@ export async function getLatestDocuments(termSubjectId) {
 }
 
 /**
- * ดึงไฟล์เอกสารสำหรับดู/ดาวน์โหลด พร้อมตรวจสอบสิทธิ์
+ * หาเอกสารที่มีไฟล์เก็บใน storage (รอบที่ส่งเป็นลิงก์ภายนอกไม่มีไฟล์)
+ * @throws {BusinessError} DOCUMENT_NOT_FOUND | DOCUMENT_FILE_NOT_FOUND
+ */
+async function findStoredDocument(client, termSubjectId, documentId) {
+    const document = await submissionRepo.findDocumentById(client, termSubjectId, documentId);
+    if (!document) {
+        throw new BusinessError('Document not found', 'DOCUMENT_NOT_FOUND', 404);
+    }
+
+    if (!document.file_path) {
+        throw new BusinessError('Document has no stored file', 'DOCUMENT_FILE_NOT_FOUND', 404);
+    }
+
+    return document;
+}
+
+/**
+ * ดึงไฟล์เอกสารสำหรับดู/ดาวน์โหลด (สิทธิ์ตรวจที่ route ด้วย ACTIONS.VIEW)
  * 
  * @param {number} termSubjectId - ID ของ term subject
- * @param {number} documentId - ID ของเอกสาร
- * @param {Object} user - req.user
- * @returns {Promise<{document: Object, absolutePath: string}>}
+ * @param {number} documentId - ID ของเอกสาร (submission id)
+ * @returns {Promise<{document: Object, file: { stream, size, contentType }}>}
  */
-export async function getDocumentFile(termSubjectId, documentId, user) {
+export async function getDocumentFile(termSubjectId, documentId) {
     const client = await pool.connect();
 
     try {
-        // ตรวจสอบสิทธิ์การเข้าถึง term subject
-        await getTermSubjectDetail(termSubjectId, user);
+        const document = await findStoredDocument(client, termSubjectId, documentId);
 
-        const document = await termSubjectRepo.findDocumentById(client, termSubjectId, documentId);
-        if (!document) {
-            throw new BusinessError('Document not found', 'DOCUMENT_NOT_FOUND', 404);
+        try {
+            const file = await getStorage().get(document.file_path);
+            return { document, file };
+        } catch (error) {
+            if (isStorageNotFound(error)) {
+                throw new BusinessError('Document file not found on server', 'DOCUMENT_FILE_NOT_FOUND', 404);
+            }
+            throw error;
         }
+    } finally {
+        client.release();
+    }
+}
 
-        const absolutePath = path.join(process.cwd(), document.file_path);
-        if (!fs.existsSync(absolutePath)) {
-            throw new BusinessError('Document file not found on server', 'DOCUMENT_FILE_NOT_FOUND', 404);
+/**
+ * ดึง preview ของเอกสารสำหรับแสดงในหน้าตรวจ (สิทธิ์ตรวจที่ route ด้วย ACTIONS.VIEW)
+ * - variant 'pdf': PDF สำหรับเปิดในเบราว์เซอร์ (ไฟล์ต้นฉบับถ้าเป็น PDF, ไฟล์ที่แปลงถ้าเป็น DOCX)
+ * - variant 'thumbnail': ภาพหน้าแรก (PNG)
+ *
+ * @param {number} termSubjectId - ID ของ term subject
+ * @param {number} documentId - ID ของเอกสาร (submission id)
+ * @param {string} variant - 'pdf' | 'thumbnail'
+ * @returns {Promise<{document: Object, file: { stream, size, contentType }}>}
+ */
+export async function getDocumentPreview(termSubjectId, documentId, variant = 'pdf') {
+    if (!['pdf', 'thumbnail'].includes(variant)) {
+        throw new BusinessError('Invalid preview variant. Must be one of: pdf, thumbnail', 'INVALID_PREVIEW_VARIANT', 400);
+    }
+
+    const client = await pool.connect();
+
+    try {
+        const document = await findStoredDocument(client, termSubjectId, documentId);
+        const isPdf = path.extname(document.original_name || document.file_path).toLowerCase() === '.pdf';
+
+        // PDF ต้นฉบับเปิดในเบราว์เซอร์ได้เลย ไม่ต้องรอ preview
+        let key = null;
+        let contentType = 'application/pdf';
+        if (variant === 'pdf') {
+            key = isPdf ? document.file_path : document.preview_pdf_path;
+        } else {
+            key = document.thumbnail_path;
+            contentType = 'image/png';
         }
 
-        return {
-            document,
-            absolutePath,
-        };
+        if (!key) {
+            if (document.preview_status === PREVIEW_STATUSES.PENDING) {
+                throw new BusinessError('Preview is still being generated. Please try again shortly.', 'PREVIEW_PENDING', 409);
+            }
+            throw new BusinessError('Preview is not available for this document', 'PREVIEW_UNAVAILABLE', 404);
+        }
+
+        try {
+            const file = await getStorage().get(key);
+            return { document, file: { ...file, contentType } };
+        } catch (error) {
+            if (isStorageNotFound(error)) {
+                throw new BusinessError('Preview file not found on server', 'PREVIEW_UNAVAILABLE', 404);
+            }
+            throw error;
+        }
     } finally {
         client.release();
     }
 }
 
+/**
+ * สร้างลิงก์ดาวน์โหลดเอกสารที่ลงลายเซ็นและหมดอายุ (เปิดในแท็บใหม่ได้โดยไม่ต้องมี Bearer header)
+ * สิทธิ์ตรวจที่ route ด้วย ACTIONS.VIEW — ตอนเปิดลิงก์จะตรวจสิทธิ์ของ userId ซ้ำ
+ *
+ * @param {number} termSubjectId - ID ของ term subject
+ * @param {number} documentId - ID ของเอกสาร (submission id)
+ * @param {number} userId - ผู้ขอลิงก์
+ * @param {string} baseUrl - origin ของ API (ใช้เมื่อไม่ได้ตั้ง API_PUBLIC_URL)
+ * @returns {Promise<{url: string, expires_at: Date}>}
+ */
+export async function createDocumentLink(termSubjectId, documentId, userId, baseUrl) {
+    const client = await pool.connect();
+
+    try {
+        await findStoredDocument(client, termSubjectId, documentId);
+
+        const { url, expiresAt } = createSignedDocumentUrl({
+            termSubjectId,
+            documentId,
+            userId,
+            baseUrl,
+        });
+
+        return { url, expires_at: expiresAt };
+    } finally {
+        client.release();
+    }
+}
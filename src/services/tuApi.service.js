@@ -2,9 +2,12 @@ import axios from 'axios';
 import config from '../config/env.js';
 
 const DEFAULT_INSTRUCTORS_URL = 'https://restapi.tu.ac.th/api/v2/profile/Instructors/info/';
-const DEFAULT_FACULTY_TH = 'คณะวิทยาศาสตร์และเทคโนโลยี';
-
-export async function fetchInstructorsFromTuApi() {
+/**
+ * รายชื่ออาจารย์ของคณะจาก TU Instructor API
+ * @param {string} facultyNameTh - ชื่อคณะภาษาไทย (faculties.name_th)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function fetchInstructorsFromTuApi(facultyNameTh) {
     const endpoint = config.tuApi.instructorsInfoUrl || DEFAULT_INSTRUCTORS_URL;
     const apiKey = process.env.TU_API_KEY || config.tuApi.applicationKey;
 
@@ -14,7 +17,7 @@ export async function fetchInstructorsFromTuApi() {
 
     const response = await axios.get(endpoint, {
         params: {
-            Faculty_Name_Th: DEFAULT_FACULTY_TH,
+            Faculty_Name_Th: facultyNameTh,
         },
         headers: {
             'Content-Type': 'application/json',
@@ -37,6 +40,6 @@ export async function fetchInstructorsFromTuApi() {
         last_name_en: item.Last_Name_En || '',
         email: (item.Email || '').toLowerCase(),
         department: item.Department || item.Department_Name_Th || '',
-        faculty: item.Faculty_Name_Th || DEFAULT_FACULTY_TH,
+        faculty: item.Faculty_Name_Th || facultyNameTh,
     })).filter((item) => item.tu_id && item.email);
 }
@@ -7,13 +7,14 @@
 import * as userRepo from '../repositories/user.repository.js';
 
 /**
- * Get all users with "Professor" role
+ * Get all users with "Professor" role in a faculty
+ * @param {number} facultyId - Caller's faculty
  * @returns {Promise<Array>} - Array of professor users
  */
-export async function getProfessors() {
+export async function getProfessors(facultyId) {
     console.log('[User Service] 📚 Fetching all professors...');
 
-    const professors = await userRepo.findUsersByRole('Professor');
+    const professors = await userRepo.findUsersByRole('Professor', facultyId);
 
     console.log('[User Service] ✅ Found', professors.length, 'professors');
 
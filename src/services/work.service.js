@@ -14,7 +14,27 @@
 import { pool } from '../config/db.js';
 import * as workRepository from '../repositories/work.repository.js';
 import * as termSubjectRepository from '../repositories/termSubject.repository.js';
-import { validateCreateWorkInput, validateUpdateWorkInput, WorkValidationError } from '../utils/workValidation.js';
+import * as termRepository from '../repositories/term.repository.js';
+import * as workTypeRepository from '../repositories/workType.repository.js';
+import * as workChangeLogRepository from '../repositories/workChangeLog.repository.js';
+import {
+    validateCreateWorkInput,
+    validateUpdateWorkInput,
+    applyWorkTypeDefaults,
+    WorkValidationError,
+} from '../utils/workValidation.js';
+import { checkWorkOverload } from './workloadOverload.service.js';
+import { buildImportReport } from '../utils/workImport.js';
+import { toExportRecord } from '../utils/workExport.js';
+import { readSpreadsheetRows } from '../utils/spreadsheet.js';
+import {
+    collectTermRangeErrors,
+    validateWorkWithinTerm,
+    findExamOverlaps,
+    buildExamOverlapReport,
+} from '../utils/workTermDates.js';
+import { toDateOnly } from '../utils/termCalendar.js';
+import { resolveEditorRole, diffWorkChanges } from '../utils/workEditAccess.js';
 
 /**
  * Custom BusinessError class
@@ -29,29 +49,72 @@ export class BusinessError extends Error {
     }
 }
 
+/**
+ * ดึง workload ที่อยู่ใน term_subject ที่ระบุ
+ * @throws {BusinessError} WORKLOAD_NOT_FOUND ถ้าไม่พบ หรือเป็นของวิชาอื่น
+ */
+async function findWorkInTermSubject(client, termSubjectId, workId) {
+    const work = await workRepository.findWorkById(client, workId);
+
+    if (!work || work.term_subject_id !== termSubjectId) {
+        throw new BusinessError(
+            'Workload not found',
+            'WORKLOAD_NOT_FOUND',
+            404
+        );
+    }
+
+    return work;
+}
+
+/**
+ * บันทึกประวัติการเปลี่ยนแปลงภาระงาน (ภายใน transaction เดียวกับการแก้ไข)
+ * ใช้ร่วมกับการนำเข้าไฟล์และการ clone term ด้วย
+ *
+ * @param {Object} client - Database client (ใน transaction)
+ * @param {string} action - created | updated | deleted
+ * @param {Object} data - { before, after, user } (user = req.user)
+ */
+export async function logWorkChange(client, action, { before = null, after = null, user }) {
+    const work = after || before;
+
+    await workChangeLogRepository.insertWorkChangeLog(client, {
+        workId: work.id,
+        termSubjectId: work.term_subject_id,
+        actorId: user.id,
+        actorRole: resolveEditorRole(user),
+        action,
+        changes: diffWorkChanges(before, after),
+    });
+}
+
 /**
  * สร้าง workload ใหม่
  * 
  * Flow:
- * 1. ตรวจสอบ input validation
+ * 1. ตรวจสอบ input validation (เติม hours_per_week จากค่าเริ่มต้นของประเภทภาระงานถ้าไม่ระบุ)
  * 2. ตรวจสอบ term_subject มีอยู่และ is_active = true
- * 3. ตรวจสอบไม่มี workload เดิมแล้ว
- * 4. บันทึกลงฐานข้อมูล
+ *    (สิทธิ์แก้ไขตรวจที่ route ด้วย authorizeTermSubject(ACTIONS.EDIT_WORKS))
+ * 3. ตรวจสอบวันที่อยู่ในช่วงของเทอม
+ * 4. บันทึกลงฐานข้อมูล พร้อมประวัติการเปลี่ยนแปลง
+ * 5. ตรวจสอบช่วงสอบและภาระงานรวมของชั้นปีเกินกำหนดหรือไม่ (warning เท่านั้น)
  * 
  * @param {number} termSubjectId - ID ของ term_subject
- * @param {object} workData - ข้อมูล {work_title, description, start_date, end_date, hours_per_week}
- * @param {number} userId - ID ของผู้สร้าง (academic officer)
+ * @param {object} workData - ข้อมูล {work_title, description, start_date, end_date, hours_per_week, work_type_id}
+ * @param {object} user - ผู้สร้าง (req.user: Academic Officer หรืออาจารย์ในวิชา)
  * 
- * @returns {object} workload ที่สร้าง
+ * @returns {object} { work, warnings } workload ที่สร้าง และรายการ warnings (ทับช่วงสอบ / overload)
  * @throws {WorkValidationError} ถ้า input ไม่ถูกต้อง
  * @throws {BusinessError} ถ้าเกิดข้อผิดพลาดด้านธุรกิจ
  */
-export async function createWork(termSubjectId, workData, userId) {
-    // 1. ตรวจสอบ input validation
-    validateCreateWorkInput(workData);
-
+export async function createWork(termSubjectId, workData, user) {
     const client = await pool.connect();
     try {
+        // 1. ตรวจสอบ input validation
+        const workTypes = await workTypeRepository.findWorkTypes(client);
+        const input = applyWorkTypeDefaults(workData, workTypes);
+        validateCreateWorkInput(input, { workTypes });
+
         // 2. ตรวจสอบ term_subject มีอยู่
         const termSubject = await termSubjectRepository.findTermSubjectById(client, termSubjectId);
 
@@ -72,20 +135,31 @@ export async function createWork(termSubjectId, workData, userId) {
             );
         }
 
-        // 3. บันทึกลงฐานข้อมูล ด้วย transaction
+        // 3. ตรวจสอบวันที่อยู่ในช่วงของเทอม
+        const term = await termRepository.findTermById(client, termSubject.term_id);
+        validateWorkWithinTerm(input, term);
+
+        // 4. บันทึกลงฐานข้อมูล ด้วย transaction
         // (ลบการเช็ค duplicate เพราะต้องการให้มีหลาย workload ได้)
         await client.query('BEGIN');
 
         const newWork = await workRepository.insertWork(
             client,
             termSubjectId,
-            workData,
-            userId
+            input,
+            user.id
         );
+        await logWorkChange(client, 'created', { after: newWork, user });
 
         await client.query('COMMIT');
 
-        return newWork;
+        // 5. ตรวจสอบช่วงสอบและ overload หลัง commit — ไม่ทำให้การสร้างล้มเหลว
+        const warnings = [
+            ...findExamOverlaps(newWork, term),
+            ...await checkWorkOverload(client, newWork),
+        ];
+
+        return { work: newWork, warnings };
     } catch (error) {
         await client.query('ROLLBACK');
         
@@ -106,6 +180,130 @@ export async function createWork(termSubjectId, workData, userId) {
     }
 }
 
+/**
+ * นำเข้า workload หลายรายการจากไฟล์ CSV/XLSX
+ * 
+ * Flow:
+ * 1. อ่านไฟล์และตรวจสอบทุกแถวด้วย validateCreateWorkInput
+ * 2. ตรวจสอบ term_subject มีอยู่และ is_active = true
+ * 3. dry-run: คืนรายงานผลรายแถว ไม่บันทึก
+ * 4. commit: ถ้ามีแถวผิดแม้แต่แถวเดียว → ไม่บันทึกเลย, ถ้าผ่านทั้งหมด → insert ใน transaction เดียว
+ *    พร้อมประวัติการเปลี่ยนแปลง (created) ของทุกแถว
+ * 
+ * @param {number} termSubjectId - ID ของ term_subject
+ * @param {object} file - ไฟล์จาก multer ({ buffer, originalname, mimetype })
+ * @param {object} user - ผู้นำเข้า (req.user)
+ * @param {object} options - { dryRun: boolean }
+ * 
+ * @returns {object} { dryRun, total, valid, invalid, rows, works, warnings }
+ * @throws {WorkValidationError} ถ้าไฟล์ไม่ถูกต้อง หรือมีแถวผิดใน commit mode
+ * @throws {BusinessError} ถ้าเกิดข้อผิดพลาดด้านธุรกิจ
+ */
+export async function importWorks(termSubjectId, file, user, { dryRun = true } = {}) {
+    // 1. อ่านไฟล์และตรวจสอบทุกแถว
+    let rows;
+    try {
+        rows = await readSpreadsheetRows(file);
+    } catch (error) {
+        console.error('[Work Service] Error reading import file:', error);
+        throw new BusinessError(
+            'Unable to read import file',
+            'IMPORT_FILE_UNREADABLE',
+            400
+        );
+    }
+
+    const client = await pool.connect();
+    try {
+        const workTypes = await workTypeRepository.findWorkTypes(client);
+        const report = buildImportReport(rows, { workTypes });
+
+        // 2. ตรวจสอบ term_subject
+        const termSubject = await termSubjectRepository.findTermSubjectById(client, termSubjectId);
+
+        if (!termSubject) {
+            throw new BusinessError(
+                'Term subject not found',
+                'TERM_SUBJECT_NOT_FOUND',
+                404
+            );
+        }
+
+        if (!termSubject.is_active) {
+            throw new BusinessError(
+                'Term subject is not active',
+                'TERM_SUBJECT_NOT_ACTIVE',
+                400
+            );
+        }
+
+        // ตรวจสอบวันที่ของแต่ละแถวเทียบกับเทอม
+        const term = await termRepository.findTermById(client, termSubject.term_id);
+        for (const item of report.rows) {
+            const rangeErrors = collectTermRangeErrors(item.data, term);
+            if (rangeErrors.length > 0) {
+                item.valid = false;
+                item.errors = [...item.errors, ...rangeErrors];
+            }
+        }
+        report.valid = report.rows.filter(item => item.valid).length;
+        report.invalid = report.total - report.valid;
+
+        // 3. dry-run
+        if (dryRun) {
+            return { dryRun: true, ...report, works: [], warnings: [] };
+        }
+
+        // 4. commit — all or nothing
+        if (report.invalid > 0) {
+            const error = new WorkValidationError(
+                `Import contains ${report.invalid} invalid row(s)`,
+                'IMPORT_INVALID_ROWS',
+                400
+            );
+            error.details = report.rows.filter(item => !item.valid);
+            throw error;
+        }
+
+        await client.query('BEGIN');
+
+        const works = [];
+        for (const item of report.rows) {
+            const work = await workRepository.insertWork(client, termSubjectId, item.data, user.id);
+            await logWorkChange(client, 'created', { after: work, user });
+            works.push(work);
+        }
+
+        await client.query('COMMIT');
+
+        // ตรวจสอบช่วงสอบและ overload หลัง commit — รวม overload warning ที่ซ้ำกัน (ชั้นปี + สัปดาห์เดียวกัน)
+        const examWarnings = works.flatMap(work => findExamOverlaps(work, term));
+        const warningMap = new Map();
+        for (const work of works) {
+            for (const warning of await checkWorkOverload(client, work)) {
+                warningMap.set(`${warning.yearLevel}-${warning.week}`, warning);
+            }
+        }
+
+        return { dryRun: false, ...report, works, warnings: [...examWarnings, ...warningMap.values()] };
+    } catch (error) {
+        await client.query('ROLLBACK');
+
+        if (error instanceof BusinessError || error instanceof WorkValidationError) {
+            throw error;
+        }
+
+        console.error('[Work Service] Error importing works:', error);
+        throw new BusinessError(
+            'Failed to import workloads',
+            'INTERNAL_SERVER_ERROR',
+            500
+        );
+    } finally {
+        client.release();
+    }
+}
+
 /**
  * ดึงข้อมูล workload
  * 
@@ -155,33 +353,32 @@ export async function getWorkByTermSubject(termSubjectId) {
  * 
  * Flow:
  * 1. ตรวจสอบ input validation
- * 2. ตรวจสอบ workload มีอยู่
- * 3. อัพเดทลงฐานข้อมูล
+ * 2. ตรวจสอบ workload มีอยู่ในวิชานี้ และวันที่ (หลังรวมกับค่าเดิม) อยู่ในช่วงของเทอม
+ * 3. อัพเดทลงฐานข้อมูล พร้อมประวัติการเปลี่ยนแปลง
+ * 4. ตรวจสอบช่วงสอบและภาระงานรวมของชั้นปีเกินกำหนดหรือไม่ (warning เท่านั้น)
  * 
+ * @param {number} termSubjectId - ID ของ term_subject ที่ workload สังกัด
  * @param {number} workId - ID ของ workload ที่ต้องแก้ไข
  * @param {object} updateData - ข้อมูลที่ต้องอัพเดท (partial object)
- * @param {number} userId - ID ของผู้แก้ไข
+ * @param {object} user - ผู้แก้ไข (req.user)
  * 
- * @returns {object} workload ที่อัพเดท
+ * @returns {object} { work, warnings } workload ที่อัพเดท และรายการ warnings (ทับช่วงสอบ / overload)
  * @throws {WorkValidationError} ถ้า input ไม่ถูกต้อง
  * @throws {BusinessError} ถ้า workload ไม่พบ
  */
-export async function updateWork(workId, updateData, userId) {
-    // 1. ตรวจสอบ input validation
-    validateUpdateWorkInput(updateData);
-
+export async function updateWork(termSubjectId, workId, updateData, user) {
     const client = await pool.connect();
     try {
-        // 2. ตรวจสอบ workload มีอยู่
-        const existingWork = await workRepository.findWorkById(client, workId);
+        // 1. ตรวจสอบ input validation
+        const workTypes = await workTypeRepository.findWorkTypes(client);
+        validateUpdateWorkInput(updateData, { workTypes });
 
-        if (!existingWork) {
-            throw new BusinessError(
-                'Workload not found',
-                'WORKLOAD_NOT_FOUND',
-                404
-            );
-        }
+        // 2. ตรวจสอบ workload มีอยู่ในวิชานี้
+        const existingWork = await findWorkInTermSubject(client, termSubjectId, workId);
+        const termSubject = await termSubjectRepository.findTermSubjectById(client, termSubjectId);
+
+        const term = await termRepository.findTermById(client, termSubject.term_id);
+        validateWorkWithinTerm({ ...existingWork, ...updateData }, term);
 
         // 3. อัพเดทลงฐานข้อมูล
         await client.query('BEGIN');
@@ -190,12 +387,19 @@ export async function updateWork(workId, updateData, userId) {
             client,
             workId,
             updateData,
-            userId
+            user.id
         );
+        await logWorkChange(client, 'updated', { before: existingWork, after: updatedWork, user });
 
         await client.query('COMMIT');
 
-        return updatedWork;
+        // 4. ตรวจสอบช่วงสอบและ overload หลัง commit — ไม่ทำให้การแก้ไขล้มเหลว
+        const warnings = [
+            ...findExamOverlaps(updatedWork, term),
+            ...await checkWorkOverload(client, updatedWork),
+        ];
+
+        return { work: updatedWork, warnings };
     } catch (error) {
         await client.query('ROLLBACK');
 
@@ -217,29 +421,24 @@ export async function updateWork(workId, updateData, userId) {
 /**
  * ลบ workload
  * 
+ * @param {number} termSubjectId - ID ของ term_subject ที่ workload สังกัด
  * @param {number} workId - ID ของ workload ที่ต้องลบ
+ * @param {object} user - ผู้ลบ (req.user)
  * 
  * @returns {boolean} true ถ้าลบสำเร็จ
  * @throws {BusinessError} ถ้า workload ไม่พบ
  */
-export async function deleteWork(workId) {
+export async function deleteWork(termSubjectId, workId, user) {
     const client = await pool.connect();
     try {
-        // ตรวจสอบ workload มีอยู่
-        const existingWork = await workRepository.findWorkById(client, workId);
-
-        if (!existingWork) {
-            throw new BusinessError(
-                'Workload not found',
-                'WORKLOAD_NOT_FOUND',
-                404
-            );
-        }
+        // ตรวจสอบ workload มีอยู่ในวิชานี้
+        const existingWork = await findWorkInTermSubject(client, termSubjectId, workId);
 
         // ลบ
         await client.query('BEGIN');
 
         const deleted = await workRepository.deleteWork(client, workId);
+        await logWorkChange(client, 'deleted', { before: existingWork, user });
 
         await client.query('COMMIT');
 
@@ -279,6 +478,87 @@ export async function getWorksByTerm(termId) {
     }
 }
 
+/**
+ * ดึง workload ทั้งหมดของ term สำหรับ export (CSV/XLSX)
+ * 
+ * @param {number} termId - ID ของ term
+ * 
+ * @returns {object} { term, records } records เรียงตามรหัสวิชาและวันเริ่ม
+ * @throws {BusinessError} ถ้า term ไม่พบ
+ */
+export async function getWorksForExport(termId) {
+    const client = await pool.connect();
+    try {
+        const term = await termRepository.findTermById(client, termId);
+
+        if (!term) {
+            throw new BusinessError(
+                'Term not found',
+                'TERM_NOT_FOUND',
+                404
+            );
+        }
+
+        const rows = await workRepository.findWorksForExport(client, termId);
+
+        return { term, records: rows.map(toExportRecord) };
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * รายงานภาระงานในเทอมที่ทับช่วงสอบกลางภาค/ปลายภาค
+ * 
+ * @param {number} termId - ID ของ term
+ * 
+ * @returns {object} { termId, midterm, final, total, works }
+ * @throws {BusinessError} ถ้า term ไม่พบ
+ */
+export async function getExamOverlapsByTerm(termId) {
+    const client = await pool.connect();
+    try {
+        const term = await termRepository.findTermById(client, termId);
+
+        if (!term) {
+            throw new BusinessError(
+                'Term not found',
+                'TERM_NOT_FOUND',
+                404
+            );
+        }
+
+        const works = await workRepository.findWorksForExport(client, termId);
+        const report = buildExamOverlapReport(works, term);
+
+        return {
+            termId,
+            midterm: { startDate: toDateOnly(term.midterm_start_date), endDate: toDateOnly(term.midterm_end_date) },
+            final: { startDate: toDateOnly(term.final_start_date), endDate: toDateOnly(term.final_end_date) },
+            total: report.length,
+            works: report,
+        };
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * ดึงประวัติการสร้าง/แก้ไข/ลบภาระงานของ term_subject
+ * 
+ * @param {number} termSubjectId - ID ของ term_subject (สิทธิ์ดูตรวจที่ route ด้วย ACTIONS.VIEW)
+ * 
+ * @returns {array} รายการ { work_id, actor_id, actor_name, actor_role, action, changes, changed_at }
+ */
+export async function getWorkChanges(termSubjectId) {
+    const client = await pool.connect();
+    try {
+        return await workChangeLogRepository.findWorkChangeLogsByTermSubject(client, termSubjectId);
+    } finally {
+        client.release();
+    }
+}
+
 /**
  * ตรวจสอบว่า term_subject มี workload หรือไม่
  * 
@@ -0,0 +1,125 @@
+/**
+ * Work Effort Service
+ * นักศึกษารายงานชั่วโมงจริงต่อภาระงานต่อสัปดาห์
+ * เจ้าหน้าที่/อาจารย์ดูสถิติรวม (count, median, p90) เทียบกับชั่วโมงที่วางแผนไว้
+ * (median/p90 แสดงเมื่อมีนักศึกษารายงานอย่างน้อย config.workload.effortMinGroupSize คน)
+ */
+
+import { pool } from '../config/db.js';
+import config from '../config/env.js';
+import * as workEffortRepository from '../repositories/workEffort.repository.js';
+import * as workRepository from '../repositories/work.repository.js';
+import * as termSubjectRepository from '../repositories/termSubject.repository.js';
+import * as userRepository from '../repositories/user.repository.js';
+import { findTermById } from '../repositories/term.repository.js';
+import { BusinessError } from '../utils/termValidation.js';
+import { buildTermCalendar } from '../utils/termCalendar.js';
+import { getWorkWeekIndexes } from '../utils/workloadOverload.js';
+import { resolveStudentYearLevel } from '../utils/studentCohort.js';
+import { validateEffortInput, assertCanLogEffort, buildEffortStats } from '../utils/workEffort.js';
+
+/**
+ * หาสัปดาห์ (1-based) ที่ work ครอบคลุมตามปฏิทินของ term
+ */
+function getWorkWeekNumbers(term, work) {
+    const { weekCount } = buildTermCalendar(term);
+    return getWorkWeekIndexes(term.term_start_date, work.start_date, work.end_date, weekCount)
+        .map(index => index + 1);
+}
+
+function effortStatsOptions(studentCounts, workId) {
+    return {
+        minGroupSize: config.workload.effortMinGroupSize,
+        studentCount: studentCounts.get(workId) || 0,
+    };
+}
+
+async function findWorkWithTerm(client, workId) {
+    const work = await workRepository.findWorkWithDetails(client, workId);
+    if (!work) {
+        throw new BusinessError('Workload not found', 'WORKLOAD_NOT_FOUND', 404);
+    }
+
+    const term = await findTermById(client, work.term_id);
+    return { work, term };
+}
+
+/**
+ * บันทึกชั่วโมงจริงของนักศึกษา
+ * @param {number} workId - ID ของ work_details
+ * @param {number} studentId - ID ของนักศึกษา
+ * @param {Object} data - { week, hours }
+ * @returns {Promise<Object>} work_efforts row
+ * @throws {WorkValidationError} ถ้า week/hours ไม่ถูกต้อง
+ * @throws {BusinessError} ถ้าไม่พบ work, term ไม่ได้เปิดใช้งาน หรือรายวิชาไม่ใช่ชั้นปีของนักศึกษา
+ */
+export async function logEffort(workId, studentId, data) {
+    const client = await pool.connect();
+    try {
+        const { work, term } = await findWorkWithTerm(client, workId);
+
+        const student = await userRepository.findById(studentId);
+        const subjectYearLevels = await workEffortRepository.findSubjectYearLevels(client, work.subject_id);
+        assertCanLogEffort(term, subjectYearLevels, resolveStudentYearLevel(student, term?.academic_year));
+
+        const effort = validateEffortInput(data, getWorkWeekNumbers(term, work));
+
+        return await workEffortRepository.upsertWorkEffort(client, workId, studentId, effort);
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * ดึงสถิติชั่วโมงจริงของ work แยกรายสัปดาห์
+ * @param {number} workId - ID ของ work_details
+ * @returns {Promise<Object>} { work_id, planned_hours_per_week, overall, weeks }
+ */
+export async function getWorkEffortStats(workId) {
+    const client = await pool.connect();
+    try {
+        const { work, term } = await findWorkWithTerm(client, workId);
+        const rows = await workEffortRepository.findEffortHoursByWorkIds(client, [workId]);
+        const studentCounts = await workEffortRepository.countEffortStudentsByWorkIds(client, [workId]);
+
+        return {
+            ...buildEffortStats(work, getWorkWeekNumbers(term, work), rows, effortStatsOptions(studentCounts, work.id)),
+            work_title: work.work_title,
+        };
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * ดึงสถิติชั่วโมงจริงของทุก work ใน term_subject (แสดงคู่กับชั่วโมงที่วางแผน)
+ * @param {number} termSubjectId - ID ของ term_subject
+ * @returns {Promise<Array>} [{ work_id, work_title, planned_hours_per_week, overall, weeks }]
+ */
+export async function getTermSubjectEffortSummary(termSubjectId) {
+    const client = await pool.connect();
+    try {
+        const termSubject = await termSubjectRepository.findTermSubjectById(client, termSubjectId);
+        if (!termSubject) {
+            throw new BusinessError('Term subject not found', 'TERM_SUBJECT_NOT_FOUND', 404);
+        }
+
+        const term = await findTermById(client, termSubject.term_id);
+        const works = await workRepository.findWorkByTermSubjectId(client, termSubjectId);
+        const workIds = works.map(work => work.id);
+        const rows = await workEffortRepository.findEffortHoursByWorkIds(client, workIds);
+        const studentCounts = await workEffortRepository.countEffortStudentsByWorkIds(client, workIds);
+
+        return works.map(work => ({
+            ...buildEffortStats(
+                work,
+                getWorkWeekNumbers(term, work),
+                rows.filter(row => row.work_id === work.id),
+                effortStatsOptions(studentCounts, work.id)
+            ),
+            work_title: work.work_title,
+        }));
+    } finally {
+        client.release();
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * Work Type Service
+ * จัดการประเภทภาระงาน (Academic Officer)
+ * - ลบแบบ soft delete (is_active = false) เพราะ work_details อ้างอิงอยู่
+ */
+
+import { pool } from '../config/db.js';
+import * as workTypeRepository from '../repositories/workType.repository.js';
+import { BusinessError } from '../utils/termValidation.js';
+import { validateWorkTypeInput } from '../utils/workType.js';
+
+function toDuplicateCodeError(error) {
+    // PostgreSQL unique constraint violation (work_types.code)
+    if (error.code === '23505') {
+        return new BusinessError('Work type code already exists', 'WORK_TYPE_CODE_EXISTS', 409);
+    }
+    return error;
+}
+
+/**
+ * ดึงประเภทภาระงานทั้งหมด
+ * @param {boolean} includeInactive - รวมประเภทที่ปิดใช้งานแล้ว
+ * @returns {Promise<Array>}
+ */
+export async function listWorkTypes(includeInactive = false) {
+    return workTypeRepository.findWorkTypes(pool, { includeInactive });
+}
+
+/**
+ * สร้างประเภทภาระงาน
+ * @param {Object} data - { code, name_th, name_en, default_hours_per_week, weight }
+ * @param {number} userId - ID ของผู้สร้าง
+ * @returns {Promise<Object>}
+ * @throws {WorkValidationError} ถ้าข้อมูลไม่ถูกต้อง
+ * @throws {BusinessError} ถ้ารหัสซ้ำ
+ */
+export async function createWorkType(data, userId) {
+    const workType = validateWorkTypeInput(data);
+
+    try {
+        return await workTypeRepository.insertWorkType(pool, workType, userId);
+    } catch (error) {
+        throw toDuplicateCodeError(error);
+    }
+}
+
+/**
+ * แก้ไขประเภทภาระงาน
+ * @param {number} workTypeId - ID ของ work_type
+ * @param {Object} data - fields ที่ต้องการแก้ไข
+ * @param {number} userId - ID ของผู้แก้ไข
+ * @returns {Promise<Object>}
+ */
+export async function updateWorkType(workTypeId, data, userId) {
+    const changes = validateWorkTypeInput(data, { partial: true });
+
+    try {
+        const updated = await workTypeRepository.updateWorkType(pool, workTypeId, changes, userId);
+        if (!updated) {
+            throw new BusinessError('Work type not found', 'WORK_TYPE_NOT_FOUND', 404);
+        }
+        return updated;
+    } catch (error) {
+        throw toDuplicateCodeError(error);
+    }
+}
+
+/**
+ * ปิดใช้งานประเภทภาระงาน (ภาระงานเดิมยังคงประเภทไว้)
+ * @param {number} workTypeId - ID ของ work_type
+ * @param {number} userId - ID ของผู้ดำเนินการ
+ * @returns {Promise<Object>}
+ */
+export async function deactivateWorkType(workTypeId, userId) {
+    const updated = await workTypeRepository.updateWorkType(pool, workTypeId, { is_active: false }, userId);
+    if (!updated) {
+        throw new BusinessError('Work type not found', 'WORK_TYPE_NOT_FOUND', 404);
+    }
+    return updated;
+}
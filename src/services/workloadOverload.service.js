@@ -0,0 +1,110 @@
+/**
+ * Workload Overload Service
+ * ตรวจสอบสัปดาห์ที่ภาระงานรวมของชั้นปีเกินกำหนด (threshold)
+ * - ใช้ใน Dashboard: GET /api/dashboard/overload
+ * - ใช้ใน work.service ตอนสร้าง/แก้ไข work เพื่อคืน warnings
+ */
+
+import { pool } from '../config/db.js';
+import config from '../config/env.js';
+import * as overloadRepository from '../repositories/workloadOverload.repository.js';
+import * as termSubjectRepository from '../repositories/termSubject.repository.js';
+import * as dashboardRepository from '../repositories/dashboard.repository.js';
+import { findTermById, findTermWithStats } from '../repositories/term.repository.js';
+import { detectOverloadWeeks, buildOverloadWarnings } from '../utils/workloadOverload.js';
+import { buildTermCalendar } from '../utils/termCalendar.js';
+
+const ALL_YEAR_LEVELS = [1, 2, 3, 4];
+
+/**
+ * ดึงรายงานสัปดาห์ที่ภาระงานเกินกำหนด
+ * @param {number|null} termId - ID ของ term (optional, ถ้าไม่ระบุจะใช้ active term)
+ * @param {number|null} yearLevel - ชั้นปี (optional, ถ้าไม่ระบุจะดูทุกชั้นปี)
+ * @param {number|null} threshold - ชั่วโมงต่อสัปดาห์สูงสุด (optional, default จาก config)
+ * @param {number|null} facultyId - คณะของผู้เรียก (ใช้หา active term)
+ * @returns {Promise<Object>} { termId, threshold, yearLevels: [...] }
+ */
+export async function getOverloadReport(termId = null, yearLevel = null, threshold = null, facultyId = null) {
+    if (yearLevel !== null && !ALL_YEAR_LEVELS.includes(yearLevel)) {
+        const error = new Error('yearLevel ต้องมีค่าระหว่าง 1-4 เท่านั้น');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const limit = threshold ?? config.workload.weeklyHourLimit;
+
+    const client = await pool.connect();
+    try {
+        let targetTermId = termId;
+
+        if (!targetTermId) {
+            const activeTerm = await dashboardRepository.getActiveTerm(client, facultyId);
+            if (!activeTerm) {
+                const error = new Error('ไม่พบ term ที่เปิดใช้งาน');
+                error.statusCode = 404;
+                throw error;
+            }
+            targetTermId = activeTerm.id;
+        }
+
+        const term = await findTermWithStats(client, targetTermId);
+        if (!term) {
+            const error = new Error(`ไม่พบ term ที่มี ID = ${targetTermId}`);
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const calendar = buildTermCalendar(term);
+        const yearLevels = yearLevel ? [yearLevel] : ALL_YEAR_LEVELS;
+        const works = await overloadRepository.findWorksByYearLevels(client, targetTermId, yearLevels);
+        const overloads = detectOverloadWeeks(works, { threshold: limit, weeks: calendar.weekCount });
+
+        return {
+            termId: targetTermId,
+            threshold: limit,
+            yearLevels: yearLevels.map(level => ({
+                yearLevel: level,
+                overloadedWeeks: (overloads.find(item => item.yearLevel === level)?.overloadedWeeks || [])
+                    .map(week => ({
+                        ...week,
+                        startDate: calendar.weeks[week.week - 1]?.startDate || null,
+                        endDate: calendar.weeks[week.week - 1]?.endDate || null,
+                        weekType: calendar.weeks[week.week - 1]?.type || null,
+                    })),
+            })),
+        };
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * ตรวจสอบว่า work ที่เพิ่งสร้าง/แก้ไข ทำให้ชั้นปีใดมีภาระงานเกินกำหนดหรือไม่
+ * ไม่ throw — ถ้าตรวจสอบไม่สำเร็จจะ log และคืน array ว่าง
+ *
+ * @param {Object} client - Database client
+ * @param {Object} work - work row (ต้องมี id, term_subject_id)
+ * @returns {Promise<Array<Object>>} warnings
+ */
+export async function checkWorkOverload(client, work) {
+    try {
+        const threshold = config.workload.weeklyHourLimit;
+
+        const termSubject = await termSubjectRepository.findTermSubjectById(client, work.term_subject_id);
+        if (!termSubject) return [];
+
+        const yearLevels = await overloadRepository.findYearLevelsByTermSubject(client, work.term_subject_id);
+        if (yearLevels.length === 0) return [];
+
+        const term = await findTermById(client, termSubject.term_id);
+        const { weekCount } = buildTermCalendar(term);
+
+        const works = await overloadRepository.findWorksByYearLevels(client, termSubject.term_id, yearLevels);
+        const overloads = detectOverloadWeeks(works, { threshold, weeks: weekCount });
+
+        return buildOverloadWarnings(overloads, work.id, threshold);
+    } catch (error) {
+        console.error('[Workload Overload] Error checking overload:', error);
+        return [];
+    }
+}
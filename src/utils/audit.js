@@ -0,0 +1,127 @@
+/**
+ * Audit Utility
+ * สร้าง diff ของ entity ก่อน/หลัง และตรวจสอบ filter ของ GET /api/audit
+ *
+ * Pure functions - ไม่มี side effects
+ */
+
+import { ValidationError } from './termValidation.js';
+
+/**
+ * fields ที่ไม่นำมาคิด diff (เปลี่ยนทุกครั้งที่บันทึก)
+ */
+export const AUDIT_IGNORED_FIELDS = ['created_at', 'updated_at', 'updated_by'];
+
+/**
+ * fields ที่ไม่เก็บลง snapshot เลย
+ */
+export const AUDIT_REDACTED_FIELDS = ['password', 'token', 'refresh_token', 'token_hash'];
+
+export const AUDIT_DEFAULT_LIMIT = 50;
+export const AUDIT_MAX_LIMIT = 200;
+
+function normalizeValue(value) {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value.toISOString();
+    }
+    if (value === undefined) return null;
+    return value;
+}
+
+/**
+ * ทำ snapshot ให้เก็บเป็น JSON ได้ (Date → ISO, ตัด fields ที่เป็นความลับ)
+ * @param {any} value - entity row / response data
+ * @returns {any} snapshot หรือ null
+ */
+export function toAuditSnapshot(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    const snapshot = {};
+    for (const [key, fieldValue] of Object.entries(value)) {
+        if (AUDIT_REDACTED_FIELDS.includes(key)) continue;
+        snapshot[key] = normalizeValue(fieldValue);
+    }
+    return JSON.parse(JSON.stringify(snapshot));
+}
+
+/**
+ * diff ระดับ field ของ snapshot ก่อน/หลัง (ไม่รวม AUDIT_IGNORED_FIELDS)
+ * @param {Object|null} before - snapshot ก่อน (null = สร้างใหม่)
+ * @param {Object|null} after - snapshot หลัง (null = ถูกลบ)
+ * @returns {Object} { [field]: { from, to } }
+ */
+export function diffSnapshots(before, after) {
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const from = isObject(before) ? before : {};
+    const to = isObject(after) ? after : {};
+    const changes = {};
+
+    const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+    for (const field of fields) {
+        if (AUDIT_IGNORED_FIELDS.includes(field)) continue;
+
+        const oldValue = from[field] ?? null;
+        const newValue = to[field] ?? null;
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes[field] = { from: oldValue, to: newValue };
+        }
+    }
+
+    return changes;
+}
+
+function parsePositiveInt(value, field) {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+        throw new ValidationError(`${field} must be a positive integer`, field);
+    }
+    return parsed;
+}
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * ตรวจสอบวันที่และคืนเป็น string สำหรับเทียบกับ created_at (TIMESTAMP)
+ * ถ้าเป็น YYYY-MM-DD และเป็นขอบบน (to) จะขยายเป็นสิ้นวัน
+ */
+function parseTimestamp(value, field, { endOfDay = false } = {}) {
+    const str = String(value).trim();
+    if (Number.isNaN(Date.parse(str))) {
+        throw new ValidationError(`${field} must be a valid date (YYYY-MM-DD or ISO 8601)`, field);
+    }
+    return endOfDay && DATE_ONLY_PATTERN.test(str) ? `${str} 23:59:59.999` : str;
+}
+
+/**
+ * ตรวจสอบ query ของ GET /api/audit
+ *
+ * @param {Object} query - req.query { actor_id, action, entity_type, entity_id, request_id, from, to, page, limit }
+ * @returns {Object} { actorId, action, entityType, entityId, requestId, from, to, limit, offset, page }
+ * @throws {ValidationError}
+ */
+export function parseAuditFilters(query = {}) {
+    const isSet = (value) => value !== undefined && value !== null && value !== '';
+    const filters = {};
+
+    if (isSet(query.actor_id)) filters.actorId = parsePositiveInt(query.actor_id, 'actor_id');
+    if (isSet(query.action)) filters.action = String(query.action).trim();
+    if (isSet(query.entity_type)) filters.entityType = String(query.entity_type).trim();
+    if (isSet(query.entity_id)) filters.entityId = String(query.entity_id).trim();
+    if (isSet(query.request_id)) filters.requestId = String(query.request_id).trim();
+    if (isSet(query.from)) filters.from = parseTimestamp(query.from, 'from');
+    if (isSet(query.to)) filters.to = parseTimestamp(query.to, 'to', { endOfDay: true });
+
+    if (filters.from && filters.to && Date.parse(filters.from) > Date.parse(filters.to)) {
+        throw new ValidationError('from must be before to', 'from');
+    }
+
+    const page = isSet(query.page) ? parsePositiveInt(query.page, 'page') : 1;
+    const limit = isSet(query.limit)
+        ? Math.min(parsePositiveInt(query.limit, 'limit'), AUDIT_MAX_LIMIT)
+        : AUDIT_DEFAULT_LIMIT;
+
+    return { ...filters, page, limit, offset: (page - 1) * limit };
+}
@@ -0,0 +1,83 @@
+/**
+ * Auth Token Utility
+ * สร้าง/hash refresh token และตรวจสถานะของ refresh_tokens row
+ */
+
+import crypto from 'crypto';
+
+/**
+ * refresh token = 48 random bytes ในรูป base64url (64 ตัวอักษร)
+ */
+export const REFRESH_TOKEN_PATTERN = /^[A-Za-z0-9_-]{64}$/;
+
+export const REFRESH_TOKEN_STATES = {
+    ACTIVE: 'active',
+    MISSING: 'missing',
+    EXPIRED: 'expired',
+    REVOKED: 'revoked',
+    REUSED: 'reused',
+};
+
+export const REVOKE_REASONS = {
+    ROTATED: 'rotated',
+    LOGOUT: 'logout',
+    REUSE_DETECTED: 'reuse_detected',
+    ROLE_CHANGED: 'role_changed',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @returns {string} refresh token ใหม่ (ส่งให้ client ครั้งเดียว ไม่เก็บลงฐานข้อมูล)
+ */
+export function generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * @param {string} token - refresh token
+ * @returns {string} SHA-256 hex สำหรับเก็บ/ค้นหาใน refresh_tokens.token_hash
+ */
+export function hashRefreshToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * @param {any} token
+ * @returns {boolean} true ถ้ารูปแบบถูกต้อง (ยังไม่ได้ตรวจกับฐานข้อมูล)
+ */
+export function isWellFormedRefreshToken(token) {
+    return typeof token === 'string' && REFRESH_TOKEN_PATTERN.test(token);
+}
+
+/**
+ * @param {number} days - อายุของ refresh token
+ * @param {Date} now
+ * @returns {Date} เวลาหมดอายุ
+ */
+export function computeRefreshExpiry(days, now = new Date()) {
+    return new Date(now.getTime() + days * DAY_MS);
+}
+
+/**
+ * ตรวจสถานะ refresh token
+ * - token ที่ถูก rotate ไปแล้วแต่ถูกส่งมาอีก = REUSED (ต้องยกเลิกทั้ง family)
+ * @param {Object|null} row - refresh_tokens row
+ * @param {Date} now
+ * @returns {string} หนึ่งใน REFRESH_TOKEN_STATES
+ */
+export function getRefreshTokenState(row, now = new Date()) {
+    if (!row) return REFRESH_TOKEN_STATES.MISSING;
+
+    if (row.revoked_at) {
+        return row.revoked_reason === REVOKE_REASONS.ROTATED
+            ? REFRESH_TOKEN_STATES.REUSED
+            : REFRESH_TOKEN_STATES.REVOKED;
+    }
+
+    if (new Date(row.expires_at).getTime() <= now.getTime()) {
+        return REFRESH_TOKEN_STATES.EXPIRED;
+    }
+
+    return REFRESH_TOKEN_STATES.ACTIVE;
+}
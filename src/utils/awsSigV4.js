@@ -0,0 +1,102 @@
+/**
+ * AWS Signature Version 4 (header-based) สำหรับ S3-compatible storage
+ * Pure functions — ไม่มี network
+ *
+ * อ้างอิง: https://docs.aws.amazon.com/AmazonS3/latest/API/sig-v4-header-based-auth.html
+ */
+
+import crypto from 'crypto';
+
+export const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+export const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+/**
+ * encode ตาม RFC 3986 (encodeURIComponent ไม่ encode !'()*)
+ * @param {string} value
+ * @returns {string}
+ */
+export function uriEncode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * encode object key ทีละ segment (คง "/" ไว้)
+ * @param {string} key
+ * @returns {string}
+ */
+export function encodeKeyPath(key) {
+    return key.split('/').map(uriEncode).join('/');
+}
+
+/**
+ * @param {Date} date
+ * @returns {{ amzDate: string, dateStamp: string }} เช่น 20130524T000000Z, 20130524
+ */
+function formatAmzDate(date) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    return { amzDate, dateStamp: amzDate.slice(0, 8) };
+}
+
+function canonicalQueryString(searchParams) {
+    return [...searchParams.entries()]
+        .map(([name, value]) => [uriEncode(name), uriEncode(value)])
+        .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : (a < b ? -1 : 1)))
+        .map(([name, value]) => `${name}=${value}`)
+        .join('&');
+}
+
+/**
+ * สร้าง headers ที่ลงลายเซ็นแล้ว
+ *
+ * @param {Object} request
+ * @param {string} request.method - GET | PUT | DELETE | HEAD
+ * @param {string} request.url - URL เต็ม (path ต้อง encode แล้ว)
+ * @param {Object} request.headers - headers ที่ต้องการลงลายเซ็นเพิ่ม (เช่น content-type)
+ * @param {string} request.payloadHash - sha256 hex ของ body หรือ UNSIGNED_PAYLOAD
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region, service }
+ * @param {Date} now
+ * @returns {Object} headers เดิม + host, x-amz-date, x-amz-content-sha256, authorization
+ */
+export function signRequest(
+    { method, url, headers = {}, payloadHash = EMPTY_PAYLOAD_HASH },
+    { accessKeyId, secretAccessKey, region, service = 's3' },
+    now = new Date()
+) {
+    const parsedUrl = new URL(url);
+    const { amzDate, dateStamp } = formatAmzDate(now);
+
+    const signedHeaders = {
+        ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+        host: parsedUrl.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate,
+    };
+
+    const headerNames = Object.keys(signedHeaders).sort();
+    const canonicalHeaders = headerNames.map(name => `${name}:${signedHeaders[name]}\n`).join('');
+    const signedHeaderList = headerNames.join(';');
+
+    const canonicalRequest = [
+        method,
+        parsedUrl.pathname,
+        canonicalQueryString(parsedUrl.searchParams),
+        canonicalHeaders,
+        signedHeaderList,
+        payloadHash,
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const dateKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+    const signingKey = hmac(hmac(hmac(dateKey, region), service), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+        ...signedHeaders,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderList}, Signature=${signature}`,
+    };
+}
@@ -0,0 +1,138 @@
+/**
+ * Circuit Breaker
+ * ป้องกันการเรียก external API ที่ช้า/ล่มซ้ำ ๆ
+ *
+ * state:
+ * - closed    : เรียกปกติ นับจำนวนครั้งที่ล้มเหลวติดกัน
+ * - open      : ล้มเหลวครบ failureThreshold → ปฏิเสธทันที (CircuitOpenError) จนครบ resetTimeoutMs
+ * - half_open : ครบเวลาแล้ว ปล่อยให้ลองเรียก 1 ครั้ง สำเร็จ → closed, ล้มเหลว → open ใหม่
+ *
+ * การเรียกที่นานเกิน callTimeoutMs นับเป็นความล้มเหลว (ไม่รอ response ที่ช้า)
+ */
+
+export const CIRCUIT_STATES = Object.freeze({
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open',
+});
+
+/**
+ * error เมื่อ circuit เปิดอยู่ (ไม่ได้เรียก API จริง)
+ */
+export class CircuitOpenError extends Error {
+    constructor(name) {
+        super(`${name} is temporarily unavailable (circuit open)`);
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+    }
+}
+
+/**
+ * error เมื่อการเรียกนานเกิน callTimeoutMs
+ */
+export class CircuitTimeoutError extends Error {
+    constructor(name, timeoutMs) {
+        super(`${name} did not respond within ${timeoutMs}ms`);
+        this.name = 'CircuitTimeoutError';
+        this.code = 'CIRCUIT_TIMEOUT';
+    }
+}
+
+function withTimeout(promise, timeoutMs, name) {
+    if (!timeoutMs) return promise;
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new CircuitTimeoutError(name, timeoutMs)), timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.name - ชื่อที่ใช้ใน error/log
+ * @param {number} options.failureThreshold - จำนวนครั้งที่ล้มเหลวติดกันก่อนเปิด circuit
+ * @param {number} options.resetTimeoutMs - เวลาที่เปิด circuit ก่อนลองใหม่
+ * @param {number} options.callTimeoutMs - เวลาสูงสุดต่อการเรียก (0 = ไม่จำกัด)
+ * @param {Function} options.now - () => ms (ใช้ใน test)
+ * @returns {Object} { execute, getState, reset }
+ */
+export function createCircuitBreaker({
+    name = 'External service',
+    failureThreshold = 3,
+    resetTimeoutMs = 60000,
+    callTimeoutMs = 0,
+    now = Date.now,
+} = {}) {
+    let state = CIRCUIT_STATES.CLOSED;
+    let failures = 0;
+    let openedAt = null;
+    let trialInFlight = false;
+
+    function open() {
+        state = CIRCUIT_STATES.OPEN;
+        openedAt = now();
+    }
+
+    function currentState() {
+        if (state === CIRCUIT_STATES.OPEN && now() - openedAt >= resetTimeoutMs) {
+            state = CIRCUIT_STATES.HALF_OPEN;
+        }
+        return state;
+    }
+
+    /**
+     * เรียก fn ผ่าน circuit
+     * @param {Function} fn - async () => result
+     * @returns {Promise<*>}
+     * @throws {CircuitOpenError|CircuitTimeoutError|Error}
+     */
+    async function execute(fn) {
+        const current = currentState();
+        const isTrial = current === CIRCUIT_STATES.HALF_OPEN;
+
+        // half_open ให้ลองได้ทีละ 1 ครั้ง ที่เหลือปฏิเสธเหมือน open
+        if (current === CIRCUIT_STATES.OPEN || (isTrial && trialInFlight)) {
+            throw new CircuitOpenError(name);
+        }
+
+        if (isTrial) trialInFlight = true;
+
+        try {
+            const result = await withTimeout(Promise.resolve().then(fn), callTimeoutMs, name);
+            state = CIRCUIT_STATES.CLOSED;
+            failures = 0;
+            openedAt = null;
+            return result;
+        } catch (error) {
+            failures += 1;
+            if (isTrial || failures >= failureThreshold) {
+                open();
+            }
+            throw error;
+        } finally {
+            if (isTrial) trialInFlight = false;
+        }
+    }
+
+    /**
+     * @returns {Object} { state, failures, openedAt }
+     */
+    function getState() {
+        return {
+            state: currentState(),
+            failures,
+            openedAt: openedAt === null ? null : new Date(openedAt),
+        };
+    }
+
+    function reset() {
+        state = CIRCUIT_STATES.CLOSED;
+        failures = 0;
+        openedAt = null;
+        trialInFlight = false;
+    }
+
+    return { execute, getState, reset };
+}
@@ -0,0 +1,114 @@
+/**
+ * CSV Utility
+ * อ่าน/เขียน CSV ตาม RFC 4180 (รองรับ quote, comma และขึ้นบรรทัดใหม่ในช่อง)
+ *
+ * Pure functions - ไม่มี side effects
+ */
+
+/**
+ * แปลงข้อความ CSV เป็น array ของแถว พร้อมเลขแถวตามที่โปรแกรม spreadsheet แสดง
+ * (นับแถวว่างด้วย แต่การขึ้นบรรทัดใหม่ภายในช่องที่มี quote ไม่นับเป็นแถวใหม่)
+ * @param {string} text - เนื้อหา CSV (ตัด BOM ให้อัตโนมัติ)
+ * @returns {Array<Object>} [{ number, cells }] (ข้ามแถวว่าง)
+ */
+export function parseCsvRecords(text) {
+    const input = String(text || '').replace(/^﻿/, '');
+    const records = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let rowNumber = 1;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            records.push({ number: rowNumber, cells: row });
+            row = [];
+            field = '';
+            rowNumber++;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        records.push({ number: rowNumber, cells: row });
+    }
+
+    return records.filter(record => record.cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * แปลงข้อความ CSV เป็น array ของแถว
+ * @param {string} text - เนื้อหา CSV (ตัด BOM ให้อัตโนมัติ)
+ * @returns {Array<Array<string>>} แถวทั้งหมด (ข้ามแถวว่าง)
+ */
+export function parseCsv(text) {
+    return parseCsvRecords(text).map(record => record.cells);
+}
+
+/**
+ * อักขระนำหน้าที่ Excel/Google Sheets ตีความเป็นสูตร
+ */
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * กัน CSV/formula injection: เติม ' หน้าข้อความที่ขึ้นต้นด้วยอักขระของสูตร
+ * ใช้กับข้อความเท่านั้น (ตัวเลขติดลบยังเป็นตัวเลข)
+ * @param {*} value
+ * @returns {*}
+ */
+export function neutralizeFormula(value) {
+    if (typeof value !== 'string' || !FORMULA_PREFIXES.includes(value.charAt(0))) return value;
+    return `'${value}`;
+}
+
+/**
+ * ตัด ' ที่ neutralizeFormula เติมไว้ออก (ใช้ตอน import ไฟล์ที่ export ออกไป)
+ * @param {string} value
+ * @returns {string}
+ */
+export function restoreFormulaText(value) {
+    return value.startsWith("'") && FORMULA_PREFIXES.includes(value.charAt(1)) ? value.slice(1) : value;
+}
+
+/**
+ * escape ค่าหนึ่งช่องสำหรับ CSV
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * แปลง array ของแถวเป็นข้อความ CSV (ขึ้นบรรทัดด้วย CRLF)
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+    return rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+}
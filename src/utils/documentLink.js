@@ -0,0 +1,95 @@
+/**
+ * Document Link Utility
+ * ลงลายเซ็น/ตรวจลิงก์ดาวน์โหลดเอกสารแบบมีวันหมดอายุ (ใช้แทน Bearer header)
+ *
+ * ลิงก์ผูกกับ term_subject + เอกสาร + ผู้ใช้ที่ขอลิงก์ — ตอนเปิดลิงก์ยังตรวจสิทธิ์ของผู้ใช้คนนั้นซ้ำ
+ * (ถูกถอดสิทธิ์แล้ว ลิงก์ที่ออกไปก่อนหน้าจะใช้ไม่ได้)
+ *
+ * Pure functions - ไม่มี side effects
+ */
+
+import crypto from 'crypto';
+
+export const DOCUMENT_LINK_STATES = {
+    VALID: 'valid',
+    MISSING: 'missing',
+    INVALID: 'invalid',
+    EXPIRED: 'expired',
+};
+
+const SIGNATURE_PATTERN = /^[a-f0-9]{64}$/;
+
+function computeSignature({ termSubjectId, documentId, userId, expires }, secret) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`document-link:${termSubjectId}:${documentId}:${userId}:${expires}`)
+        .digest('hex');
+}
+
+/**
+ * @param {Object} link
+ * @param {number} link.termSubjectId
+ * @param {number} link.documentId - document_submissions.id
+ * @param {number} link.userId - ผู้ใช้ที่ลิงก์ทำงานแทน
+ * @param {Date} link.expiresAt
+ * @param {string} secret
+ * @returns {Object} query params { uid, expires, sig } (expires = unix seconds)
+ */
+export function signDocumentLink({ termSubjectId, documentId, userId, expiresAt }, secret) {
+    const expires = Math.floor(expiresAt.getTime() / 1000);
+    return {
+        uid: String(userId),
+        expires: String(expires),
+        sig: computeSignature({ termSubjectId, documentId, userId, expires }, secret),
+    };
+}
+
+/**
+ * @param {number} termSubjectId
+ * @param {number} documentId
+ * @param {Object} params - ผลจาก signDocumentLink
+ * @returns {string} path ของ GET /api/term-subjects/:id/documents/:documentId/file พร้อม query
+ */
+export function buildDocumentLinkPath(termSubjectId, documentId, params) {
+    const query = new URLSearchParams(params).toString();
+    return `/api/term-subjects/${termSubjectId}/documents/${documentId}/file?${query}`;
+}
+
+/**
+ * ตรวจลิงก์ที่ลงลายเซ็น
+ * @param {Object} link
+ * @param {number} link.termSubjectId - จาก route param
+ * @param {number} link.documentId - จาก route param
+ * @param {Object} link.query - req.query { uid, expires, sig }
+ * @param {string} secret
+ * @param {Date} now
+ * @returns {{ state: string, userId: number|null }} state หนึ่งใน DOCUMENT_LINK_STATES
+ */
+export function verifyDocumentLink({ termSubjectId, documentId, query = {} }, secret, now = new Date()) {
+    const { uid, expires, sig } = query;
+    if (!uid && !expires && !sig) {
+        return { state: DOCUMENT_LINK_STATES.MISSING, userId: null };
+    }
+
+    const userId = Number(uid);
+    const expiresAt = Number(expires);
+    if (
+        !Number.isInteger(userId) || userId <= 0
+        || !Number.isInteger(expiresAt)
+        || typeof sig !== 'string' || !SIGNATURE_PATTERN.test(sig)
+    ) {
+        return { state: DOCUMENT_LINK_STATES.INVALID, userId: null };
+    }
+
+    const expected = computeSignature({ termSubjectId, documentId, userId, expires: expiresAt }, secret);
+    if (!crypto.timingSafeEqual(Buffer.from(sig, 'hex'), Buffer.from(expected, 'hex'))) {
+        return { state: DOCUMENT_LINK_STATES.INVALID, userId: null };
+    }
+
+    // ตรวจหลังลายเซ็น เพื่อไม่บอกว่าลิงก์ปลอมหมดอายุแล้ว
+    if (expiresAt * 1000 <= now.getTime()) {
+        return { state: DOCUMENT_LINK_STATES.EXPIRED, userId };
+    }
+
+    return { state: DOCUMENT_LINK_STATES.VALID, userId };
+}
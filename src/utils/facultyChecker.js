@@ -1,37 +1,50 @@
 /**
  * Faculty Checker Utility
  * ตรวจสอบสิทธิ์การเข้าใช้งานตามคณะ
+ * คณะที่อนุญาตมาจากตาราง faculties (is_active = true) — ส่งเข้ามาเป็น argument
  */
 
-// คณะที่อนุญาตให้เข้าใช้งานระบบ
-const ALLOWED_FACULTY = 'คณะวิทยาศาสตร์และเทคโนโลยี';
+// Normalize spaces เพื่อรองรับข้อมูลที่มีช่องว่าง/คำต่อท้ายแตกต่างกัน
+const normalize = (value) => value.replace(/\s+/g, ' ').trim();
 
 /**
- * ตรวจสอบว่าคณะนี้ได้รับอนุญาตให้เข้าใช้งานหรือไม่
- * 
+ * หาคณะที่ตรงกับชื่อคณะของผู้ใช้
+ * ผ่านได้ทั้งกรณีเท่ากันพอดี และกรณีมีคำต่อท้าย เช่น "มหาวิทยาลัยธรรมศาสตร์"
+ *
  * @param {string} facultyNameTh - ชื่อคณะภาษาไทย
- * @returns {boolean} - true หากอนุญาต, false หากไม่อนุญาต
+ * @param {Array<Object>} faculties - คณะที่อนุญาต [{ id, name_th }]
+ * @returns {Object|null} - faculty ที่ตรงกัน หรือ null หากไม่อนุญาต
  */
-export function isAllowedFaculty(facultyNameTh) {
+export function findAllowedFaculty(facultyNameTh, faculties) {
     if (!facultyNameTh || typeof facultyNameTh !== 'string') {
-        return false;
+        return null;
     }
 
-    // Normalize spaces เพื่อรองรับข้อมูลที่มีช่องว่าง/คำต่อท้ายแตกต่างกัน
-    const normalize = (value) => value.replace(/\s+/g, ' ').trim();
-
     const normalized = normalize(facultyNameTh);
-    const allowedNormalized = normalize(ALLOWED_FACULTY);
 
-    // ผ่านได้ทั้งกรณีเท่ากันพอดี และกรณีมีคำต่อท้าย เช่น "มหาวิทยาลัยธรรมศาสตร์"
-    return normalized === allowedNormalized || normalized.includes(allowedNormalized);
+    return faculties.find((faculty) => {
+        const allowedNormalized = normalize(faculty.name_th);
+        return normalized === allowedNormalized || normalized.includes(allowedNormalized);
+    }) || null;
+}
+
+/**
+ * ตรวจสอบว่าคณะนี้ได้รับอนุญาตให้เข้าใช้งานหรือไม่
+ *
+ * @param {string} facultyNameTh - ชื่อคณะภาษาไทย
+ * @param {Array<Object>} faculties - คณะที่อนุญาต [{ id, name_th }]
+ * @returns {boolean} - true หากอนุญาต, false หากไม่อนุญาต
+ */
+export function isAllowedFaculty(facultyNameTh, faculties) {
+    return findAllowedFaculty(facultyNameTh, faculties) !== null;
 }
 
 /**
- * ดึงชื่อคณะที่อนุญาตให้เข้าใช้งาน
- * 
- * @returns {string} - ชื่อคณะที่อนุญาต
+ * ดึงชื่อคณะที่อนุญาตให้เข้าใช้งาน (สำหรับข้อความแจ้งเตือน)
+ *
+ * @param {Array<Object>} faculties - คณะที่อนุญาต [{ id, name_th }]
+ * @returns {string} - ชื่อคณะคั่นด้วย ", "
  */
-export function getAllowedFacultyName() {
-    return ALLOWED_FACULTY;
+export function getAllowedFacultyNames(faculties) {
+    return faculties.map(faculty => faculty.name_th).join(', ');
 }
@@ -0,0 +1,188 @@
+/**
+ * File Signature Utility
+ * ตรวจชนิดไฟล์จากเนื้อหา (magic bytes) แทนการเชื่อ mimetype ที่ client ส่งมา
+ * และตรวจว่าเอกสารแต่ละประเภทอัปโหลดเป็นไฟล์ชนิดที่อนุญาต
+ *
+ * - detectFileFormat / checkUploadedDocument เป็น pure functions
+ * - createFileInspector เป็น Transform stream ที่ส่งข้อมูลผ่านไปตามเดิม แล้วเก็บสิ่งที่ต้องใช้ตรวจ
+ */
+
+import path from 'path';
+import { Transform } from 'stream';
+
+export const FILE_FORMATS = {
+    PDF: 'pdf',
+    DOCX: 'docx',
+    XLSX: 'xlsx',
+    OLE: 'ole',         // Word/Excel รุ่นเก่า (.doc/.xls)
+    ZIP: 'zip',         // ZIP ที่ไม่ใช่เอกสาร Office
+    PNG: 'png',
+    JPEG: 'jpeg',
+    EXECUTABLE: 'executable',
+    UNKNOWN: 'unknown',
+};
+
+const FORMAT_LABELS = {
+    [FILE_FORMATS.PDF]: 'PDF',
+    [FILE_FORMATS.DOCX]: 'Word (DOCX)',
+    [FILE_FORMATS.XLSX]: 'Excel (XLSX)',
+    [FILE_FORMATS.OLE]: 'legacy Word/Excel (DOC/XLS)',
+    [FILE_FORMATS.ZIP]: 'ZIP archive',
+    [FILE_FORMATS.PNG]: 'PNG image',
+    [FILE_FORMATS.JPEG]: 'JPEG image',
+    [FILE_FORMATS.EXECUTABLE]: 'executable program',
+    [FILE_FORMATS.UNKNOWN]: 'unrecognized file',
+};
+
+/**
+ * ชนิดไฟล์ที่อนุญาตต่อประเภทเอกสาร
+ */
+export const DOCUMENT_TYPE_FORMATS = {
+    outline: [FILE_FORMATS.PDF, FILE_FORMATS.DOCX],
+    report: [FILE_FORMATS.PDF, FILE_FORMATS.DOCX, FILE_FORMATS.XLSX],
+};
+
+/**
+ * mimetype และนามสกุลที่ตรงกับแต่ละชนิด (ใช้ตรวจว่าสิ่งที่ client บอกตรงกับเนื้อหา)
+ */
+const FORMAT_DECLARATIONS = {
+    [FILE_FORMATS.PDF]: {
+        mimeTypes: ['application/pdf'],
+        extensions: ['.pdf'],
+    },
+    [FILE_FORMATS.DOCX]: {
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        extensions: ['.docx'],
+    },
+    [FILE_FORMATS.XLSX]: {
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+        extensions: ['.xlsx'],
+    },
+};
+
+const SIGNATURES = [
+    { format: FILE_FORMATS.PDF, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },                          // %PDF-
+    { format: FILE_FORMATS.PNG, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { format: FILE_FORMATS.JPEG, bytes: [0xff, 0xd8, 0xff] },
+    { format: FILE_FORMATS.OLE, bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+    { format: FILE_FORMATS.ZIP, bytes: [0x50, 0x4b, 0x03, 0x04] },                                // PK\3\4
+    { format: FILE_FORMATS.EXECUTABLE, bytes: [0x4d, 0x5a] },                                      // MZ (Windows)
+    { format: FILE_FORMATS.EXECUTABLE, bytes: [0x7f, 0x45, 0x4c, 0x46] },                          // ELF
+    { format: FILE_FORMATS.EXECUTABLE, bytes: [0xcf, 0xfa, 0xed, 0xfe] },                          // Mach-O
+    { format: FILE_FORMATS.EXECUTABLE, bytes: [0x23, 0x21] },                                      // #! script
+];
+
+/**
+ * ชื่อ entry ใน ZIP ที่บอกว่าเป็นเอกสาร Office (ชื่อ entry ใน ZIP ไม่ถูกบีบอัด จึงค้นจาก byte ได้)
+ */
+const OFFICE_ZIP_MARKERS = {
+    [FILE_FORMATS.DOCX]: Buffer.from('word/document.xml'),
+    [FILE_FORMATS.XLSX]: Buffer.from('xl/workbook.xml'),
+};
+
+export const HEAD_LENGTH = 16;
+
+/**
+ * @param {Object} sample - ผลจาก createFileInspector().result()
+ * @param {Buffer} sample.head - byte แรกของไฟล์ (อย่างน้อย HEAD_LENGTH ถ้าไฟล์ยาวพอ)
+ * @param {Array<string>} sample.zipMarkers - ชนิดเอกสาร Office ที่พบชื่อ entry ในไฟล์
+ * @returns {string} หนึ่งใน FILE_FORMATS
+ */
+export function detectFileFormat({ head, zipMarkers = [] }) {
+    const match = SIGNATURES.find(({ bytes }) => (
+        head.length >= bytes.length && bytes.every((byte, index) => head[index] === byte)
+    ));
+
+    if (!match) return FILE_FORMATS.UNKNOWN;
+
+    if (match.format === FILE_FORMATS.ZIP) {
+        if (zipMarkers.includes(FILE_FORMATS.DOCX)) return FILE_FORMATS.DOCX;
+        if (zipMarkers.includes(FILE_FORMATS.XLSX)) return FILE_FORMATS.XLSX;
+    }
+
+    return match.format;
+}
+
+/**
+ * @param {string} format
+ * @returns {string} ชื่อชนิดไฟล์สำหรับข้อความแจ้งผู้ใช้
+ */
+export function describeFileFormat(format) {
+    return FORMAT_LABELS[format] || FORMAT_LABELS[FILE_FORMATS.UNKNOWN];
+}
+
+/**
+ * ตรวจไฟล์ที่อัปโหลดกับประเภทเอกสาร
+ *
+ * @param {Object} upload
+ * @param {string} upload.documentType - outline | report
+ * @param {string} upload.format - ชนิดที่ตรวจได้จากเนื้อหา
+ * @param {string} upload.mimetype - mimetype ที่ client ส่งมา
+ * @param {string} upload.originalName
+ * @returns {Object|null} null ถ้าผ่าน หรือ { code, message }
+ */
+export function checkUploadedDocument({ documentType, format, mimetype, originalName }) {
+    const allowed = DOCUMENT_TYPE_FORMATS[documentType] || [];
+    const labels = allowed.map(describeFileFormat);
+    const allowedLabel = labels.length > 1
+        ? `${labels.slice(0, -1).join(', ')} or ${labels.at(-1)}`
+        : labels.join('');
+
+    if (!allowed.includes(format)) {
+        return {
+            code: 'FILE_TYPE_NOT_ALLOWED',
+            message: `The uploaded file is ${withArticle(describeFileFormat(format))}; ${documentType} documents must be ${allowedLabel}`,
+        };
+    }
+
+    const { mimeTypes, extensions } = FORMAT_DECLARATIONS[format];
+    const extension = path.extname(originalName || '').toLowerCase();
+
+    if (!mimeTypes.includes(mimetype) || !extensions.includes(extension)) {
+        return {
+            code: 'FILE_TYPE_MISMATCH',
+            message: `The file content is ${describeFileFormat(format)} but it was uploaded as "${originalName}" (${mimetype}); rename it to ${extensions[0]} and upload again`,
+        };
+    }
+
+    return null;
+}
+
+function withArticle(label) {
+    return /^[aeiou]/i.test(label) ? `an ${label}` : `a ${label}`;
+}
+
+/**
+ * Transform stream ที่ส่งข้อมูลผ่านโดยไม่แก้ไข พร้อมเก็บ byte แรกของไฟล์
+ * และค้นชื่อ entry ของเอกสาร Office (ค้นข้ามขอบ chunk ได้)
+ *
+ * @returns {Transform} มี method result() → { head, zipMarkers }
+ */
+export function createFileInspector() {
+    const markerEntries = Object.entries(OFFICE_ZIP_MARKERS);
+    const overlap = Math.max(...markerEntries.map(([, marker]) => marker.length)) - 1;
+    const found = new Set();
+    let head = Buffer.alloc(0);
+    let tail = Buffer.alloc(0);
+
+    const inspector = new Transform({
+        transform(chunk, encoding, callback) {
+            if (head.length < HEAD_LENGTH) {
+                head = Buffer.concat([head, chunk.subarray(0, HEAD_LENGTH - head.length)]);
+            }
+
+            if (found.size < markerEntries.length) {
+                const window = Buffer.concat([tail, chunk]);
+                for (const [format, marker] of markerEntries) {
+                    if (!found.has(format) && window.includes(marker)) found.add(format);
+                }
+                tail = window.subarray(Math.max(0, window.length - overlap));
+            }
+
+            callback(null, chunk);
+        },
+    });
+
+    inspector.result = () => ({ head, zipMarkers: [...found] });
+    return inspector;
+}
@@ -0,0 +1,114 @@
+/**
+ * iCalendar Utility
+ * สร้างไฟล์ .ics (RFC 5545) สำหรับ subscribe ใน Google/Apple Calendar
+ * - ทุก event เป็นแบบทั้งวัน (VALUE=DATE)
+ * - DTEND เป็นวันถัดจากวันสุดท้าย (exclusive) ตามมาตรฐาน
+ *
+ * Pure functions - ไม่มี side effects
+ */
+
+import { toDateOnly } from './termCalendar.js';
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Escape ข้อความตาม RFC 5545 (backslash, semicolon, comma, newline)
+ */
+export function escapeIcalText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * ตัดบรรทัดที่ยาวเกิน 75 octets (UTF-8) แล้วขึ้นบรรทัดใหม่ด้วย space นำหน้า
+ * ไม่ตัดกลางตัวอักษร multi-byte (เช่น ภาษาไทย)
+ */
+export function foldIcalLine(line) {
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+
+    for (const char of line) {
+        const octets = Buffer.byteLength(char, 'utf8');
+        // บรรทัดต่อเนื่องมี space นำหน้า 1 octet
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+
+        current += char;
+        currentOctets += octets;
+    }
+    parts.push(current);
+
+    return parts.join(`${CRLF} `);
+}
+
+function formatIcalDate(value) {
+    return toDateOnly(value).replace(/-/g, '');
+}
+
+function nextDay(value) {
+    const time = Date.parse(`${toDateOnly(value)}T00:00:00Z`) + MS_PER_DAY;
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function formatIcalTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * สร้างเนื้อหาไฟล์ .ics
+ *
+ * @param {Object} params
+ * @param {string} params.name - ชื่อปฏิทิน (X-WR-CALNAME)
+ * @param {Array<Object>} params.events - [{ uid, summary, description, startDate, endDate }]
+ *        endDate เป็นวันสุดท้ายของ event (inclusive), ไม่ระบุ = วันเดียว
+ * @param {Date} params.generatedAt - เวลาที่สร้าง (DTSTAMP)
+ * @returns {string}
+ */
+export function buildIcalCalendar({ name, events, generatedAt = new Date() }) {
+    const stamp = formatIcalTimestamp(generatedAt);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Student Workload//Workload Calendar//TH',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcalText(name)}`,
+    ];
+
+    for (const event of events) {
+        if (!toDateOnly(event.startDate)) continue;
+
+        const lastDate = toDateOnly(event.endDate) || toDateOnly(event.startDate);
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${formatIcalDate(event.startDate)}`,
+            `DTEND;VALUE=DATE:${formatIcalDate(nextDay(lastDate))}`,
+            `SUMMARY:${escapeIcalText(event.summary)}`
+        );
+
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeIcalText(event.description)}`);
+        }
+
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldIcalLine).join(CRLF) + CRLF;
+}
@@ -0,0 +1,102 @@
+/**
+ * Authorization Policy
+ * กฎสิทธิ์ระดับ resource (term_subject) รวมไว้ที่เดียว — ใช้คู่กับ authorizeTermSubject middleware
+ *
+ * authorizeRoles ตรวจได้แค่ role ส่วนที่นี่ตรวจความสัมพันธ์ระหว่าง user กับวิชา
+ * (เป็นอาจารย์ในวิชาหรือไม่, สถานะภาระงาน)
+ *
+ * resource = term_subjects row + lecturerIds (user_id ของอาจารย์ใน term_subjects_professor)
+ *
+ * Pure functions - ไม่มี side effects
+ */
+
+import { ROLES } from '../constants/roles.js';
+
+export const ACTIONS = {
+    VIEW: 'view',                       // รายละเอียดวิชา, เอกสาร, ประวัติการส่ง/อนุมัติ
+    UPLOAD: 'upload',                   // อัปโหลด/ส่งเอกสาร
+    SUBMIT_WORKLOAD: 'submit-workload', // ส่งภาระงานเข้าสู่การอนุมัติ
+    EDIT_WORKS: 'edit-works',           // สร้าง/แก้ไข/ลบรายละเอียดภาระงาน (work_details)
+};
+
+/**
+ * สถานะภาระงานที่อาจารย์ยังแก้ไข work_details ได้ (ส่งแล้ว / ระหว่างรับรอง / อนุมัติแล้ว = ล็อก)
+ */
+export const WORK_EDITABLE_STATUSES = ['pending'];
+
+const ACADEMIC_STAFF_ROLES = [ROLES.ACADEMIC_OFFICER, ROLES.PROGRAM_CHAIR];
+
+function deny(message, code, statusCode = 403) {
+    return { message, code, statusCode };
+}
+
+const RULES = {
+    [ACTIONS.VIEW]: ({ isAcademicStaff, isAssigned }) => (
+        isAcademicStaff || isAssigned
+            ? null
+            : deny('You do not have permission to view this subject', 'PERMISSION_DENIED')
+    ),
+
+    [ACTIONS.UPLOAD]: ({ isAssigned }) => (
+        isAssigned
+            ? null
+            : deny('You are not authorized to upload documents for this subject', 'UNAUTHORIZED_UPLOAD')
+    ),
+
+    [ACTIONS.SUBMIT_WORKLOAD]: ({ isAssigned }) => (
+        isAssigned
+            ? null
+            : deny('You are not assigned to this subject', 'NOT_ASSIGNED')
+    ),
+
+    [ACTIONS.EDIT_WORKS]: ({ roles, isAssigned, resource }) => {
+        if (roles.includes(ROLES.ACADEMIC_OFFICER)) return null;
+
+        if (!isAssigned) {
+            return deny('Only lecturers assigned to this subject can edit its works', 'NOT_ASSIGNED_LECTURER');
+        }
+
+        const status = resource.workload_approved || 'pending';
+        if (!WORK_EDITABLE_STATUSES.includes(status)) {
+            return deny(`Works are locked while workload is ${status}`, 'WORKLOAD_LOCKED', 409);
+        }
+
+        return null;
+    },
+};
+
+/**
+ * ตรวจสิทธิ์และคืนเหตุผลถ้าไม่อนุญาต
+ *
+ * @param {Object} user - req.user { id, roles }
+ * @param {string} action - หนึ่งใน ACTIONS
+ * @param {Object} resource - term_subject + lecturerIds
+ * @returns {Object|null} null ถ้าอนุญาต หรือ { message, code, statusCode }
+ */
+export function authorize(user, action, resource) {
+    const rule = RULES[action];
+    if (!rule) {
+        throw new Error(`Unknown policy action: ${action}`);
+    }
+
+    const roles = user?.roles || [];
+    const lecturerIds = resource?.lecturerIds || [];
+
+    return rule({
+        user,
+        roles,
+        resource,
+        isAcademicStaff: roles.some(role => ACADEMIC_STAFF_ROLES.includes(role)),
+        isAssigned: Boolean(user) && lecturerIds.includes(user.id),
+    });
+}
+
+/**
+ * @param {Object} user - req.user
+ * @param {string} action - หนึ่งใน ACTIONS
+ * @param {Object} resource - term_subject + lecturerIds
+ * @returns {boolean}
+ */
+export function can(user, action, resource) {
+    return authorize(user, action, resource) === null;
+}
@@ -0,0 +1,106 @@
+/**
+ * Spreadsheet Utility
+ * - อ่านไฟล์ CSV/XLSX ที่อัปโหลด (multer memoryStorage) เป็น array ของแถว พร้อมเลขแถวในไฟล์
+ * - เขียน CSV/XLSX ลง stream สำหรับ export
+ */
+
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { parseCsvRecords, toCsv, neutralizeFormula } from './csv.js';
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * แปลงค่าใน cell ของ ExcelJS เป็น string
+ * - Date → YYYY-MM-DD (Excel เก็บวันที่เป็น UTC)
+ * - rich text / hyperlink / formula → ข้อความที่แสดง
+ */
+function cellToString(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return String(value.text);
+        if (value.result !== undefined) return cellToString(value.result);
+        return '';
+    }
+    return String(value);
+}
+
+/**
+ * ตรวจว่าไฟล์เป็น XLSX หรือไม่ (ดูจากนามสกุลก่อน เพราะ browser ส่ง mimetype ไม่สม่ำเสมอ)
+ */
+export function isXlsxFile(file) {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    if (ext === '.xlsx') return true;
+    if (ext === '.csv') return false;
+    return file.mimetype === XLSX_MIME_TYPE;
+}
+
+/**
+ * อ่านไฟล์ที่อัปโหลดเป็น array ของแถว (แถวแรกคือ header) ข้ามแถวว่าง
+ * number คือเลขแถวในไฟล์ (ใช้รายงาน error ให้ตรงกับที่ผู้ใช้เห็นแม้มีแถวว่างคั่น)
+ * @param {Object} file - ไฟล์จาก multer ({ buffer, originalname, mimetype })
+ * @returns {Promise<Array<Object>>} [{ number, cells }]
+ */
+export async function readSpreadsheetRows(file) {
+    if (!isXlsxFile(file)) {
+        return parseCsvRecords(file.buffer.toString('utf8'));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+        // row.values เริ่มที่ index 1 และอาจมีช่องว่าง (sparse) → ใช้ Array.from
+        const cells = Array.from(row.values.slice(1), cellToString);
+        if (cells.some(v => v.trim() !== '')) {
+            rows.push({ number: row.number, cells });
+        }
+    });
+
+    return rows;
+}
+
+/**
+ * เขียน records เป็น CSV ลง writable stream ทีละแถว
+ * ใส่ BOM เพื่อให้ Excel เปิดภาษาไทยได้ถูกต้อง และกันค่าที่จะถูกตีความเป็นสูตร (neutralizeFormula)
+ *
+ * @param {Object} stream - writable stream (เช่น Express res)
+ * @param {Array<Object>} columns - [{ key, header }]
+ * @param {Array<Object>} records
+ */
+export function writeCsvStream(stream, columns, records) {
+    stream.write('﻿');
+    stream.write(toCsv([columns.map(col => col.header)]));
+    for (const record of records) {
+        stream.write(toCsv([columns.map(col => neutralizeFormula(record[col.key]))]));
+    }
+    stream.end();
+}
+
+/**
+ * เขียน records เป็น XLSX ลง writable stream ด้วย streaming writer ของ ExcelJS
+ *
+ * @param {Object} stream - writable stream (เช่น Express res)
+ * @param {string} sheetName
+ * @param {Array<Object>} columns - [{ key, header, width }]
+ * @param {Array<Object>} records
+ * @returns {Promise<void>}
+ */
+export async function writeXlsxStream(stream, sheetName, columns, records) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns;
+
+    for (const record of records) {
+        sheet.addRow(record).commit();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+}
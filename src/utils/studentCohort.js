@@ -0,0 +1,72 @@
+/**
+ * Student Cohort Utility
+ * หารุ่น (ปีที่เข้าศึกษา) และชั้นปีของนักศึกษาจากรหัสนักศึกษา
+ * รหัสนักศึกษา มธ. ขึ้นต้นด้วยปีที่เข้าศึกษา (พ.ศ. 2 หลักท้าย) เช่น 6609611234 → เข้าปี 2566
+ *
+ * Pure functions - ไม่มี side effects
+ */
+
+export const MIN_YEAR_LEVEL = 1;
+export const MAX_YEAR_LEVEL = 4;
+
+const BUDDHIST_ERA_OFFSET = 543;
+
+/**
+ * หาปีที่เข้าศึกษา (พ.ศ.) จากรหัสนักศึกษา
+ * @param {string} studentId - รหัสนักศึกษา (username)
+ * @param {number|string} referenceYear - ปี พ.ศ. อ้างอิงสำหรับเติมหลักร้อย (default: ปีปัจจุบัน)
+ * @returns {number|null} เช่น 2566 หรือ null ถ้ารูปแบบรหัสไม่ถูกต้อง
+ */
+export function deriveEntryYear(studentId, referenceYear = new Date().getFullYear() + BUDDHIST_ERA_OFFSET) {
+    const match = /^(\d{2})\d{6,}$/.exec(String(studentId || '').trim());
+    const year = parseInt(referenceYear, 10);
+    if (!match || isNaN(year)) return null;
+
+    return Math.floor(year / 100) * 100 + parseInt(match[1], 10);
+}
+
+/**
+ * คำนวณชั้นปีจากปีที่เข้าศึกษาและปีการศึกษา
+ * @param {number|string} entryYear - ปีที่เข้าศึกษา (พ.ศ.)
+ * @param {number|string} academicYear - ปีการศึกษา (พ.ศ.) เช่น 2568
+ * @returns {number|null} ชั้นปี 1-4 หรือ null ถ้าคำนวณไม่ได้
+ */
+export function getYearLevel(entryYear, academicYear) {
+    const entry = parseInt(entryYear, 10);
+    const year = parseInt(academicYear, 10);
+    if (isNaN(entry) || isNaN(year)) return null;
+
+    const yearLevel = year - entry + 1;
+    if (yearLevel < MIN_YEAR_LEVEL) return null;
+
+    // นักศึกษาที่เรียนเกิน 4 ปี ยังคงเรียนวิชาชั้นปีสุดท้าย
+    return Math.min(yearLevel, MAX_YEAR_LEVEL);
+}
+
+/**
+ * คำนวณชั้นปีจากรหัสนักศึกษาและปีการศึกษา
+ * @param {string} studentId - รหัสนักศึกษา (username)
+ * @param {number|string} academicYear - ปีการศึกษา (พ.ศ.) เช่น 2568
+ * @returns {number|null} ชั้นปี 1-4 หรือ null ถ้าคำนวณไม่ได้
+ */
+export function deriveYearLevel(studentId, academicYear) {
+    return getYearLevel(deriveEntryYear(studentId, academicYear), academicYear);
+}
+
+/**
+ * หาชั้นปีของนักศึกษาใน term
+ * ใช้ entry_year ที่บันทึกตอน login ก่อน ถ้าไม่มี (ยังไม่ได้ login หลังเพิ่มคอลัมน์) คำนวณจาก username
+ *
+ * @param {Object} student - { entryYear, username }
+ * @param {number|string} academicYear - ปีการศึกษาของ term
+ * @returns {number|null}
+ */
+export function resolveStudentYearLevel(student, academicYear) {
+    if (!student) return null;
+
+    if (student.entryYear) {
+        return getYearLevel(student.entryYear, academicYear);
+    }
+
+    return deriveYearLevel(student.username, academicYear);
+}
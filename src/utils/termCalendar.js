@@ -0,0 +1,111 @@
+/**
+ * Term Calendar Utility
+ * สร้างปฏิทินรายสัปดาห์ของภาคการศึกษาจากข้อมูลใน terms
+ * - จำนวนสัปดาห์: ใช้ week_count ถ้ากำหนดไว้ ไม่งั้นคำนวณจาก term_start_date ถึง term_end_date (ไม่เกิน MAX_WEEK_COUNT)
+ * - ประเภทสัปดาห์: teaching, midterm, final, break
+ *
+ * Pure functions - ไม่มี side effects
+ */
+
+export const WEEK_TYPES = {
+    TEACHING: 'teaching',
+    MIDTERM: 'midterm',
+    FINAL: 'final',
+    BREAK: 'break',
+};
+
+export const MAX_WEEK_COUNT = 30;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * แปลงค่าวันที่ (string หรือ Date จาก pg) เป็น 'YYYY-MM-DD'
+ * pg คืน DATE เป็น Date เวลาเที่ยงคืนตาม local timezone จึงต้องใช้ local getters
+ */
+export function toDateOnly(value) {
+    if (!value) return null;
+
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) return null;
+        const y = value.getFullYear();
+        const m = String(value.getMonth() + 1).padStart(2, '0');
+        const d = String(value.getDate()).padStart(2, '0');
+        return `${y}-${m}-${d}`;
+    }
+
+    const str = String(value).slice(0, 10);
+    return /^\d{4}-\d{2}-\d{2}$/.test(str) ? str : null;
+}
+
+function toUtcTime(dateOnly) {
+    return Date.parse(`${dateOnly}T00:00:00Z`);
+}
+
+function fromUtcTime(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function rangesOverlap(startA, endA, startB, endB) {
+    return startA <= endB && startB <= endA;
+}
+
+/**
+ * คำนวณจำนวนสัปดาห์จากช่วงวันที่ของเทอม (ปัดขึ้น)
+ */
+export function deriveWeekCount(termStartDate, termEndDate) {
+    const start = toDateOnly(termStartDate);
+    const end = toDateOnly(termEndDate);
+    if (!start || !end) return 0;
+
+    const days = Math.floor((toUtcTime(end) - toUtcTime(start)) / MS_PER_DAY) + 1;
+    return Math.max(0, Math.ceil(days / 7));
+}
+
+/**
+ * สร้างปฏิทินรายสัปดาห์ของเทอม
+ *
+ * @param {Object} term - term row { term_start_date, term_end_date, midterm_*, final_*, week_count, break_weeks }
+ * @returns {Object} { weekCount, weeks: [{ week, startDate, endDate, type }] }
+ */
+export function buildTermCalendar(term) {
+    const termStart = toDateOnly(term.term_start_date);
+    const termEnd = toDateOnly(term.term_end_date);
+
+    if (!termStart || !termEnd) {
+        return { weekCount: 0, weeks: [] };
+    }
+
+    const explicitCount = Number(term.week_count);
+    const weekCount = Number.isInteger(explicitCount) && explicitCount > 0
+        ? explicitCount
+        : Math.min(deriveWeekCount(termStart, termEnd), MAX_WEEK_COUNT);
+
+    const breakWeeks = new Set((term.break_weeks || []).map(Number));
+    const midtermStart = toDateOnly(term.midterm_start_date);
+    const midtermEnd = toDateOnly(term.midterm_end_date);
+    const finalStart = toDateOnly(term.final_start_date);
+    const finalEnd = toDateOnly(term.final_end_date);
+
+    const startTime = toUtcTime(termStart);
+    const weeks = [];
+
+    for (let i = 0; i < weekCount; i++) {
+        const startDate = fromUtcTime(startTime + i * 7 * MS_PER_DAY);
+        const endDate = fromUtcTime(startTime + (i * 7 + 6) * MS_PER_DAY);
+        const week = i + 1;
+
+        // ลำดับความสำคัญ: break ที่กำหนดเอง > สอบปลายภาค > สอบกลางภาค > เรียนปกติ
+        let type = WEEK_TYPES.TEACHING;
+        if (breakWeeks.has(week)) {
+            type = WEEK_TYPES.BREAK;
+        } else if (finalStart && finalEnd && rangesOverlap(startDate, endDate, finalStart, finalEnd)) {
+            type = WEEK_TYPES.FINAL;
+        } else if (midtermStart && midtermEnd && rangesOverlap(startDate, endDate, midtermStart, midtermEnd)) {
+            type = WEEK_TYPES.MIDTERM;
+        }
+
+        weeks.push({ week, startDate, endDate, type });
+    }
+
+    return { weekCount, weeks };
+}
@@ -0,0 +1,140 @@
+/**
+ * Term Clone Utility
+ * วางแผนการคัดลอกรายวิชา อาจารย์ และภาระงาน จาก term ต้นทางไปยัง term ปลายทาง
+ * - รายวิชาที่มีอยู่แล้วใน term ปลายทางถือเป็น conflict และจะไม่ถูกคัดลอก
+ * - วันที่ของภาระงานถูกเลื่อนตามระยะห่างระหว่าง term_start_date ของทั้งสอง term
+ * - ภาระงานที่เลื่อนแล้วหลุดช่วงวันของ term ปลายทางถือเป็น conflict
+ *
+ * Pure functions - ไม่มี side effects
+ */
+
+import { toDateOnly } from './termCalendar.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const CLONE_CONFLICTS = {
+    SUBJECT_ALREADY_IN_TERM: 'SUBJECT_ALREADY_IN_TERM',
+    WORK_OUTSIDE_TERM: 'WORK_OUTSIDE_TERM',
+};
+
+function toUtcTime(dateOnly) {
+    return Date.parse(`${dateOnly}T00:00:00Z`);
+}
+
+/**
+ * คำนวณจำนวนวันที่ต้องเลื่อน (term ปลายทาง - term ต้นทาง)
+ * @param {string|Date} sourceStartDate - term_start_date ของ term ต้นทาง
+ * @param {string|Date} targetStartDate - term_start_date ของ term ปลายทาง
+ * @returns {number} จำนวนวัน (ติดลบได้)
+ */
+export function getDateShiftDays(sourceStartDate, targetStartDate) {
+    const source = toDateOnly(sourceStartDate);
+    const target = toDateOnly(targetStartDate);
+    if (!source || !target) return 0;
+
+    return Math.round((toUtcTime(target) - toUtcTime(source)) / MS_PER_DAY);
+}
+
+/**
+ * เลื่อนวันที่ไป n วัน
+ * @returns {string|null} 'YYYY-MM-DD'
+ */
+export function shiftDate(value, days) {
+    const date = toDateOnly(value);
+    if (!date) return null;
+
+    return new Date(toUtcTime(date) + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * สร้างแผนการคัดลอก term
+ *
+ * @param {Object} params
+ * @param {Object} params.sourceTerm - term ต้นทาง
+ * @param {Object} params.targetTerm - term ปลายทาง
+ * @param {Array<Object>} params.sourceSubjects - term_subjects ของ term ต้นทาง (id, subject_id, code_*, name_*)
+ * @param {Array<number>} params.targetSubjectIds - subject_id ที่มีอยู่แล้วใน term ปลายทาง
+ * @param {Array<Object>} params.lecturers - term_subjects_professor ของ term ต้นทาง
+ * @param {Array<Object>} params.works - work_details ของ term ต้นทาง
+ * @param {boolean} params.includeWorks - คัดลอกภาระงานด้วยหรือไม่
+ * @returns {Object} { shiftDays, subjects: [{ source_term_subject_id, subject_id, ..., lecturers, works }], conflicts }
+ */
+export function buildClonePlan({
+    sourceTerm,
+    targetTerm,
+    sourceSubjects,
+    targetSubjectIds,
+    lecturers,
+    works,
+    includeWorks = false,
+}) {
+    const shiftDays = getDateShiftDays(sourceTerm.term_start_date, targetTerm.term_start_date);
+    const targetStart = toDateOnly(targetTerm.term_start_date);
+    const targetEnd = toDateOnly(targetTerm.term_end_date);
+    const existing = new Set(targetSubjectIds.map(Number));
+
+    const subjects = [];
+    const conflicts = [];
+
+    for (const subject of sourceSubjects) {
+        const subjectInfo = {
+            source_term_subject_id: subject.id,
+            subject_id: subject.subject_id,
+            code_th: subject.code_th,
+            code_eng: subject.code_eng,
+            name_th: subject.name_th,
+            name_eng: subject.name_eng,
+        };
+
+        if (existing.has(Number(subject.subject_id))) {
+            conflicts.push({
+                ...subjectInfo,
+                code: CLONE_CONFLICTS.SUBJECT_ALREADY_IN_TERM,
+                message: 'รายวิชานี้มีอยู่แล้วใน term ปลายทาง (subject already exists in target term)',
+            });
+            continue;
+        }
+
+        const subjectLecturers = lecturers
+            .filter(lecturer => lecturer.term_subject_id === subject.id)
+            .map(lecturer => ({
+                user_id: lecturer.user_id,
+                is_responsible: Boolean(lecturer.is_responsible),
+                notes: lecturer.notes ?? null,
+            }));
+
+        const subjectWorks = [];
+        if (includeWorks) {
+            for (const work of works.filter(item => item.term_subject_id === subject.id)) {
+                const shifted = {
+                    source_work_id: work.id,
+                    work_title: work.work_title,
+                    description: work.description ?? null,
+                    start_date: shiftDate(work.start_date, shiftDays),
+                    end_date: shiftDate(work.end_date, shiftDays),
+                    hours_per_week: Number(work.hours_per_week),
+                    work_type_id: work.work_type_id ?? null,
+                };
+
+                const outsideTerm = (targetStart && shifted.start_date < targetStart)
+                    || (targetEnd && shifted.end_date > targetEnd);
+
+                if (outsideTerm) {
+                    conflicts.push({
+                        ...subjectInfo,
+                        ...shifted,
+                        code: CLONE_CONFLICTS.WORK_OUTSIDE_TERM,
+                        message: 'วันที่ของภาระงานหลังเลื่อนอยู่นอกช่วงของ term ปลายทาง (shifted work falls outside target term)',
+                    });
+                    continue;
+                }
+
+                subjectWorks.push(shifted);
+            }
+        }
+
+        subjects.push({ ...subjectInfo, lecturers: subjectLecturers, works: subjectWorks });
+    }
+
+    return { shiftDays, subjects, conflicts };
+}
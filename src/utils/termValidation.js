@@ -4,6 +4,8 @@
  * Custom error classes for proper error handling
  */
 
+import { MAX_WEEK_COUNT } from './termCalendar.js';
+
 /**
  * Custom error class for validation errors
  */
@@ -144,6 +146,33 @@ export function validateNoDateOverlap(range1Start, range1End, range2Start, range
     }
 }
 
+/**
+ * Validate explicit week calendar (week_count, break_weeks)
+ * week_count เป็น null ได้ (คำนวณจากวันที่เปิด-ปิดเทอม)
+ */
+export function validateWeekCalendar(weekCount, breakWeeks) {
+    if (weekCount !== null && weekCount !== undefined) {
+        if (!Number.isInteger(weekCount) || weekCount < 1 || weekCount > MAX_WEEK_COUNT) {
+            throw new ValidationError(`Week count must be an integer between 1 and ${MAX_WEEK_COUNT}`, 'week_count');
+        }
+    }
+
+    if (breakWeeks !== null && breakWeeks !== undefined) {
+        if (!Array.isArray(breakWeeks)) {
+            throw new ValidationError('Break weeks must be an array of week numbers', 'break_weeks');
+        }
+
+        const maxWeek = weekCount || MAX_WEEK_COUNT;
+        const invalid = breakWeeks.filter(week => !Number.isInteger(week) || week < 1 || week > maxWeek);
+        if (invalid.length > 0) {
+            throw new ValidationError(
+                `Break weeks must be week numbers between 1 and ${maxWeek}`,
+                'break_weeks'
+            );
+        }
+    }
+}
+
 /**
  * Validate complete term data structure
  */
@@ -254,6 +283,13 @@ export function validateTermData(termData) {
         errors.push(err.message);
     }
 
+    // Validate week calendar
+    try {
+        validateWeekCalendar(termData.week_count, termData.break_weeks);
+    } catch (err) {
+        errors.push(err.message);
+    }
+
     if (errors.length > 0) {
         throw new ValidationError('Validation failed', null, errors);
     }
@@ -288,5 +324,17 @@ export function normalizeTermData(termData) {
         midterm_end_date: termData.midterm_end_date.trim(),
         final_start_date: termData.final_start_date.trim(),
         final_end_date: termData.final_end_date.trim(),
+        week_count: normalizeOptionalInt(termData.week_count),
+        break_weeks: Array.isArray(termData.break_weeks)
+            ? [...new Set(termData.break_weeks.map(Number))].sort((a, b) => a - b)
+            : [],
     };
 }
+
+/**
+ * Convert optional numeric input to integer (or null when empty)
+ */
+function normalizeOptionalInt(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return Number(value);
+}
@@ -0,0 +1,64 @@
+/**
+ * Work Edit Access Utility
+ * ข้อมูลสำหรับบันทึกประวัติการแก้ไขรายละเอียดภาระงาน (work_details)
+ * (กฎสิทธิ์แก้ไขอยู่ที่ utils/policy.js — ACTIONS.EDIT_WORKS)
+ *
+ * Pure functions - ไม่มี side effects
+ */
+
+import { ROLES } from '../constants/roles.js';
+import { toDateOnly } from './termCalendar.js';
+
+/**
+ * fields ของ work_details ที่บันทึกลงประวัติการแก้ไข
+ */
+export const WORK_AUDIT_FIELDS = [
+    'work_title',
+    'description',
+    'start_date',
+    'end_date',
+    'hours_per_week',
+    'work_type_id',
+];
+
+const DATE_FIELDS = ['start_date', 'end_date'];
+
+/**
+ * role ที่ใช้บันทึกในประวัติ (Academic Officer มาก่อน Professor)
+ * @param {Object} user - req.user
+ * @returns {string|null}
+ */
+export function resolveEditorRole(user) {
+    const roles = user?.roles || [];
+    if (roles.includes(ROLES.ACADEMIC_OFFICER)) return ROLES.ACADEMIC_OFFICER;
+    if (roles.includes(ROLES.PROFESSOR)) return ROLES.PROFESSOR;
+    return roles[0] || null;
+}
+
+function normalizeAuditValue(field, value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (DATE_FIELDS.includes(field)) return toDateOnly(value);
+    if (field === 'hours_per_week' || field === 'work_type_id') return Number(value);
+    return String(value);
+}
+
+/**
+ * เทียบค่าก่อน/หลังของ work เฉพาะ WORK_AUDIT_FIELDS
+ *
+ * @param {Object|null} before - work ก่อนแก้ไข (null = สร้างใหม่)
+ * @param {Object|null} after - work หลังแก้ไข (null = ถูกลบ)
+ * @returns {Object} { [field]: { from, to } } เฉพาะ fields ที่เปลี่ยน
+ */
+export function diffWorkChanges(before, after) {
+    const changes = {};
+
+    for (const field of WORK_AUDIT_FIELDS) {
+        const from = before ? normalizeAuditValue(field, before[field]) : null;
+        const to = after ? normalizeAuditValue(field, after[field]) : null;
+        if (from !== to) {
+            changes[field] = { from, to };
+        }
+    }
+
+    return changes;
+}
@@ -0,0 +1,192 @@
+/**
+ * Work Effort Utility
+ * ตรวจสอบชั่วโมงจริงที่นักศึกษารายงาน และสรุปสถิติแบบไม่ระบุตัวตน (count, median, p90)
+ * เพื่อเทียบกับ hours_per_week ที่วางแผนไว้
+ * กลุ่มที่มีนักศึกษารายงานน้อยกว่า minGroupSize คน แสดงเฉพาะ count (median/p90 ของกลุ่มเล็กระบุตัวนักศึกษาได้)
+ *
+ * Pure functions - ไม่มี side effects
+ */
+
+import { WorkValidationError } from './workValidation.js';
+import { BusinessError } from './termValidation.js';
+
+export const MAX_EFFORT_HOURS = 168;
+export const DEFAULT_MIN_EFFORT_GROUP_SIZE = 5;
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * คำนวณ percentile แบบ linear interpolation
+ * @param {Array<number>} values
+ * @param {number} p - 0-100
+ * @returns {number|null}
+ */
+export function percentile(values, p) {
+    if (!values || values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * สรุปชั่วโมงที่รายงาน
+ * @param {Array<number>} hours
+ * @param {number} minGroupSize - จำนวนนักศึกษาขั้นต่ำก่อนแสดง median/p90
+ * @param {number} studentCount - จำนวนนักศึกษา (ไม่ซ้ำ) ที่รายงานในกลุ่มนี้
+ * @returns {Object} { count, median, p90 } (median/p90 = null ถ้านักศึกษาน้อยกว่า minGroupSize)
+ */
+export function summarizeEffort(hours, minGroupSize = DEFAULT_MIN_EFFORT_GROUP_SIZE, studentCount = 0) {
+    const values = hours.map(Number).filter(value => Number.isFinite(value));
+    if (values.length === 0 || studentCount < minGroupSize) {
+        return { count: values.length, median: null, p90: null };
+    }
+
+    return {
+        count: values.length,
+        median: round2(percentile(values, 50)),
+        p90: round2(percentile(values, 90)),
+    };
+}
+
+/**
+ * ตรวจสอบข้อมูลที่นักศึกษารายงาน
+ *
+ * Rules:
+ * - week: required, integer, อยู่ในช่วงสัปดาห์ของ work
+ * - hours: required, number, >= 0, <= 168, ทศนิยมไม่เกิน 2 ตำแหน่ง
+ *
+ * @param {Object} data - { week, hours }
+ * @param {Array<number>} weekNumbers - สัปดาห์ (1-based) ที่ work ครอบคลุม
+ * @returns {Object} { week, hours } ที่แปลงเป็นตัวเลขแล้ว
+ * @throws {WorkValidationError}
+ */
+export function validateEffortInput(data, weekNumbers) {
+    const errors = [];
+    const week = Number(data.week);
+    const hours = Number(data.hours);
+
+    if (data.week === undefined || data.week === null || data.week === '') {
+        errors.push({
+            field: 'week',
+            message: 'สัปดาห์จำเป็นต้องระบุ (week is required)',
+            code: 'WEEK_REQUIRED',
+        });
+    } else if (!Number.isInteger(week)) {
+        errors.push({
+            field: 'week',
+            message: 'สัปดาห์ต้องเป็นจำนวนเต็ม (week must be integer)',
+            code: 'WEEK_INVALID',
+        });
+    } else if (!weekNumbers.includes(week)) {
+        errors.push({
+            field: 'week',
+            message: `สัปดาห์ต้องอยู่ในช่วงของภาระงาน (week must be one of ${weekNumbers.join(', ')})`,
+            code: 'WEEK_OUT_OF_RANGE',
+        });
+    }
+
+    if (data.hours === undefined || data.hours === null || data.hours === '') {
+        errors.push({
+            field: 'hours',
+            message: 'จำนวนชั่วโมงจำเป็นต้องระบุ (hours is required)',
+            code: 'HOURS_REQUIRED',
+        });
+    } else if (!Number.isFinite(hours)) {
+        errors.push({
+            field: 'hours',
+            message: 'จำนวนชั่วโมงต้องเป็นตัวเลข (hours must be a number)',
+            code: 'HOURS_INVALID_TYPE',
+        });
+    } else if (hours < 0 || hours > MAX_EFFORT_HOURS) {
+        errors.push({
+            field: 'hours',
+            message: `จำนวนชั่วโมงต้องอยู่ระหว่าง 0-${MAX_EFFORT_HOURS} (hours must be between 0 and ${MAX_EFFORT_HOURS})`,
+            code: 'HOURS_OUT_OF_RANGE',
+        });
+    } else if (round2(hours) !== hours) {
+        errors.push({
+            field: 'hours',
+            message: 'จำนวนชั่วโมงมีทศนิยมได้ไม่เกิน 2 ตำแหน่ง (max 2 decimal places)',
+            code: 'HOURS_TOO_PRECISE',
+        });
+    }
+
+    if (errors.length > 0) {
+        const error = new WorkValidationError(
+            'Validation failed: ' + errors.map(e => e.message).join(', '),
+            'VALIDATION_ERROR',
+            400
+        );
+        error.details = errors;
+        throw error;
+    }
+
+    return { week, hours };
+}
+
+/**
+ * ตรวจว่านักศึกษารายงานชั่วโมงของ work ได้
+ * - term ของ work ต้องเปิดใช้งานอยู่ (terms.is_active)
+ * - ชั้นปีของนักศึกษาใน term ต้องเป็นหนึ่งในชั้นปีของรายวิชา (subjects_student_years)
+ *
+ * @param {Object} term - terms row
+ * @param {Array<number>} subjectYearLevels - ชั้นปีของรายวิชา
+ * @param {number|null} studentYearLevel - ชั้นปีของนักศึกษาใน term (resolveStudentYearLevel)
+ * @throws {BusinessError} 403
+ */
+export function assertCanLogEffort(term, subjectYearLevels, studentYearLevel) {
+    if (!term?.is_active) {
+        throw new BusinessError(
+            'Effort can only be logged for works in the active term',
+            'TERM_NOT_ACTIVE',
+            403
+        );
+    }
+
+    if (!studentYearLevel || !subjectYearLevels.map(Number).includes(studentYearLevel)) {
+        throw new BusinessError(
+            'This work belongs to a subject outside your year level',
+            'NOT_SUBJECT_STUDENT',
+            403
+        );
+    }
+}
+
+/**
+ * สร้างสถิติชั่วโมงจริงของ work เทียบกับชั่วโมงที่วางแผน
+ *
+ * @param {Object} work - work row (id, hours_per_week)
+ * @param {Array<number>} weekNumbers - สัปดาห์ (1-based) ที่ work ครอบคลุม
+ * @param {Array<Object>} rows - [{ week, hours }] ที่นักศึกษารายงาน (ไม่มีข้อมูลผู้รายงาน)
+ * @param {Object} options
+ * @param {number} options.minGroupSize - จำนวนนักศึกษาขั้นต่ำต่อกลุ่มก่อนแสดง median/p90
+ * @param {number} options.studentCount - จำนวนนักศึกษา (ไม่ซ้ำ) ที่รายงานของ work (countEffortStudentsByWorkIds)
+ * @returns {Object} { work_id, planned_hours_per_week, overall, weeks }
+ */
+export function buildEffortStats(work, weekNumbers, rows, {
+    minGroupSize = DEFAULT_MIN_EFFORT_GROUP_SIZE,
+    studentCount = 0,
+} = {}) {
+    const planned = Number(work.hours_per_week);
+    const withComparison = (summary) => ({
+        ...summary,
+        underestimated: summary.median !== null && summary.median > planned,
+    });
+
+    return {
+        work_id: work.id,
+        planned_hours_per_week: planned,
+        overall: withComparison(summarizeEffort(rows.map(row => row.hours), minGroupSize, studentCount)),
+        weeks: weekNumbers.map(week => {
+            // นักศึกษารายงานได้ครั้งเดียวต่อสัปดาห์ (unique work_id, student_id, week) จำนวนรายงาน = จำนวนนักศึกษา
+            const hours = rows.filter(row => Number(row.week) === week).map(row => row.hours);
+            return { week, ...withComparison(summarizeEffort(hours, minGroupSize, hours.length)) };
+        }),
+    };
+}
@@ -0,0 +1,53 @@
+/**
+ * Work Export Utility
+ * กำหนดคอลัมน์และแปลงข้อมูล work_details สำหรับ export เป็น CSV/XLSX
+ *
+ * Pure functions - ไม่มี side effects
+ */
+
+import { toDateOnly } from './termCalendar.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * คอลัมน์ของไฟล์ export (key ตรงกับ field ใน toExportRecord)
+ */
+export const WORK_EXPORT_COLUMNS = [
+    { key: 'subject_code', header: 'subject_code', width: 14 },
+    { key: 'subject_name', header: 'subject_name', width: 40 },
+    { key: 'year_levels', header: 'year_levels', width: 12 },
+    { key: 'responsible_lecturer', header: 'responsible_lecturer', width: 30 },
+    { key: 'work_title', header: 'work_title', width: 40 },
+    { key: 'description', header: 'description', width: 50 },
+    { key: 'start_date', header: 'start_date', width: 12 },
+    { key: 'end_date', header: 'end_date', width: 12 },
+    { key: 'hours_per_week', header: 'hours_per_week', width: 14 },
+    { key: 'work_type_id', header: 'work_type_id', width: 12 },
+];
+
+/**
+ * แปลง row จาก findWorksForExport เป็น record สำหรับเขียนไฟล์
+ * @param {Object} row
+ * @returns {Object}
+ */
+export function toExportRecord(row) {
+    return {
+        subject_code: row.code_eng || row.code_th || '',
+        subject_name: row.name_th || row.name_eng || '',
+        year_levels: row.year_levels || '',
+        responsible_lecturer: row.responsible_lecturer || '',
+        work_title: row.work_title || '',
+        description: row.description || '',
+        start_date: toDateOnly(row.start_date) || '',
+        end_date: toDateOnly(row.end_date) || '',
+        hours_per_week: Number(row.hours_per_week) || 0,
+        work_type_id: row.work_type_id ?? '',
+    };
+}
+
+/**
+ * ชื่อไฟล์ export เช่น works-2567-1.csv
+ */
+export function buildExportFileName(term, format) {
+    return `works-${term.academic_year}-${term.academic_sector}.${format}`;
+}
@@ -0,0 +1,139 @@
+/**
+ * Work Import Utility
+ * แปลงแถวจากไฟล์ CSV/XLSX เป็นข้อมูล work_details และตรวจสอบทีละแถว
+ * ด้วย validateCreateWorkInput (กฎเดียวกับ POST /works)
+ *
+ * Pure functions - ไม่มี side effects
+ */
+
+import { validateCreateWorkInput, applyWorkTypeDefaults, WorkValidationError } from './workValidation.js';
+import { restoreFormulaText } from './csv.js';
+
+/**
+ * ชื่อคอลัมน์ที่รองรับ (lowercase) → field ใน work_details
+ */
+const HEADER_ALIASES = {
+    work_title: 'work_title',
+    title: 'work_title',
+    'ชื่อภาระงาน': 'work_title',
+    description: 'description',
+    'รายละเอียด': 'description',
+    start_date: 'start_date',
+    'วันเริ่มต้น': 'start_date',
+    end_date: 'end_date',
+    'วันสิ้นสุด': 'end_date',
+    hours_per_week: 'hours_per_week',
+    hours: 'hours_per_week',
+    'ชั่วโมงต่อสัปดาห์': 'hours_per_week',
+    work_type_id: 'work_type_id',
+    'ประเภทภาระงาน': 'work_type_id',
+};
+
+export const REQUIRED_IMPORT_COLUMNS = ['work_title', 'start_date', 'end_date', 'hours_per_week'];
+
+/**
+ * แปลง header row เป็น map ของ field → column index
+ * @param {Array<string>} headerRow
+ * @returns {Object} { work_title: 0, ... }
+ * @throws {WorkValidationError} ถ้าขาดคอลัมน์ที่จำเป็น
+ */
+export function mapImportHeaders(headerRow) {
+    const columns = {};
+
+    headerRow.forEach((header, index) => {
+        const field = HEADER_ALIASES[String(header || '').trim().toLowerCase()];
+        if (field && columns[field] === undefined) {
+            columns[field] = index;
+        }
+    });
+
+    const missing = REQUIRED_IMPORT_COLUMNS.filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+        const error = new WorkValidationError(
+            `Missing required columns: ${missing.join(', ')}`,
+            'IMPORT_MISSING_COLUMNS',
+            400
+        );
+        error.details = missing.map(field => ({
+            field,
+            message: `ไม่พบคอลัมน์ ${field} ในไฟล์ (missing column ${field})`,
+            code: 'IMPORT_MISSING_COLUMN',
+        }));
+        throw error;
+    }
+
+    return columns;
+}
+
+/**
+ * แปลงแถวข้อมูลเป็น work object
+ * @param {Array<string>} row
+ * @param {Object} columns - ผลลัพธ์จาก mapImportHeaders
+ * @returns {Object} work data สำหรับ validateCreateWorkInput / insertWork
+ */
+export function rowToWorkData(row, columns) {
+    const cell = (field) => {
+        if (columns[field] === undefined) return undefined;
+        const value = row[columns[field]];
+        // ไฟล์ที่ export จากระบบมี ' นำหน้าข้อความที่ขึ้นต้นด้วยอักขระของสูตร
+        return value === undefined || value === null ? '' : restoreFormulaText(String(value).trim());
+    };
+
+    const hours = cell('hours_per_week');
+    const description = cell('description');
+    const workTypeId = cell('work_type_id');
+
+    return {
+        work_title: cell('work_title'),
+        description: description ? description : null,
+        start_date: cell('start_date'),
+        end_date: cell('end_date'),
+        hours_per_week: hours === '' ? null : Number(hours),
+        // คอลัมน์ไม่บังคับ — ไม่มีหรือว่าง = ไม่จัดประเภท
+        work_type_id: workTypeId ? Number(workTypeId) : null,
+    };
+}
+
+/**
+ * ตรวจสอบทุกแถวและสร้างรายงานผล
+ * work_type_id ตรวจกับประเภทที่เปิดใช้งาน และเติม hours_per_week จากค่าเริ่มต้นของประเภทเหมือน POST /works
+ *
+ * @param {Array<Object>} rows - แถวทั้งหมดจาก readSpreadsheetRows [{ number, cells }] (แถวแรกคือ header)
+ * @param {Object} options - { workTypes: Array<{id, default_hours_per_week}> } ประเภทภาระงานที่เปิดใช้งาน (optional)
+ * @returns {Object} { total, valid, invalid, rows: [{ row, data, valid, errors }] }
+ */
+export function buildImportReport(rows, { workTypes } = {}) {
+    if (!rows || rows.length < 2) {
+        const error = new WorkValidationError(
+            'Import file has no data rows',
+            'IMPORT_EMPTY',
+            400
+        );
+        error.details = [];
+        throw error;
+    }
+
+    const columns = mapImportHeaders(rows[0].cells);
+
+    const report = rows.slice(1).map(({ number: rowNumber, cells }) => {
+        // rowNumber = เลขแถวตามที่ผู้ใช้เห็นในไฟล์ (นับแถวว่างที่ถูกข้ามด้วย)
+        const data = applyWorkTypeDefaults(rowToWorkData(cells, columns), workTypes);
+
+        try {
+            validateCreateWorkInput(data, { workTypes });
+            return { row: rowNumber, data, valid: true, errors: [] };
+        } catch (error) {
+            if (!(error instanceof WorkValidationError)) throw error;
+            return { row: rowNumber, data, valid: false, errors: error.details || [] };
+        }
+    });
+
+    const valid = report.filter(item => item.valid).length;
+
+    return {
+        total: report.length,
+        valid,
+        invalid: report.length - valid,
+        rows: report,
+    };
+}
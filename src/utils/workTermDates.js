@@ -0,0 +1,147 @@
+/**
+ * Work Term Dates Utility
+ * ตรวจสอบวันที่ของภาระงานเทียบกับภาคการศึกษา
+ * - ภาระงานต้องอยู่ภายใน term_start_date ถึง term_end_date (error)
+ * - ภาระงานที่ทับช่วงสอบกลางภาค/ปลายภาค (warning)
+ *
+ * Pure functions - ไม่มี side effects
+ */
+
+import { WorkValidationError } from './workValidation.js';
+import { toDateOnly } from './termCalendar.js';
+
+export const EXAM_PERIODS = {
+    MIDTERM: 'midterm',
+    FINAL: 'final',
+};
+
+const EXAM_PERIOD_LABELS = {
+    [EXAM_PERIODS.MIDTERM]: 'สอบกลางภาค',
+    [EXAM_PERIODS.FINAL]: 'สอบปลายภาค',
+};
+
+/**
+ * ตรวจสอบว่าวันที่ของภาระงานอยู่ในช่วงของเทอม
+ * (ถ้าเทอมยังไม่กำหนดวันเริ่ม/สิ้นสุด จะไม่ตรวจด้านนั้น)
+ *
+ * @param {Object} work - { start_date, end_date }
+ * @param {Object} term - term row { term_start_date, term_end_date }
+ * @returns {Array<Object>} errors [{ field, message, code }]
+ */
+export function collectTermRangeErrors(work, term) {
+    const errors = [];
+    const termStart = toDateOnly(term.term_start_date);
+    const termEnd = toDateOnly(term.term_end_date);
+    const startDate = toDateOnly(work.start_date);
+    const endDate = toDateOnly(work.end_date);
+
+    if (termStart && startDate && startDate < termStart) {
+        errors.push({
+            field: 'start_date',
+            message: `วันเริ่มต้นต้องไม่ก่อนวันเปิดภาคการศึกษา (${termStart})`,
+            code: 'START_DATE_BEFORE_TERM',
+        });
+    }
+
+    if (termEnd && endDate && endDate > termEnd) {
+        errors.push({
+            field: 'end_date',
+            message: `วันสิ้นสุดต้องไม่หลังวันปิดภาคการศึกษา (${termEnd})`,
+            code: 'END_DATE_AFTER_TERM',
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * ตรวจสอบว่าภาระงานอยู่ในช่วงของเทอม
+ * @param {Object} work - { start_date, end_date }
+ * @param {Object} term - term row
+ * @throws {WorkValidationError} WORK_OUTSIDE_TERM
+ */
+export function validateWorkWithinTerm(work, term) {
+    const errors = collectTermRangeErrors(work, term);
+
+    if (errors.length > 0) {
+        const error = new WorkValidationError(
+            'Work dates must be within the term',
+            'WORK_OUTSIDE_TERM',
+            400
+        );
+        error.details = errors;
+        throw error;
+    }
+}
+
+/**
+ * หาช่วงสอบที่ทับกับช่วงเวลาของภาระงาน (start_date ถึง end_date)
+ *
+ * @param {Object} work - { id, start_date, end_date }
+ * @param {Object} term - term row { midterm_start_date, midterm_end_date, final_start_date, final_end_date }
+ * @returns {Array<Object>} warnings [{ code, message, period, workId, periodStart, periodEnd, overlapStart, overlapEnd }]
+ */
+export function findExamOverlaps(work, term) {
+    const startDate = toDateOnly(work.start_date);
+    const endDate = toDateOnly(work.end_date);
+    if (!startDate || !endDate) return [];
+
+    const periods = [
+        [EXAM_PERIODS.MIDTERM, term.midterm_start_date, term.midterm_end_date],
+        [EXAM_PERIODS.FINAL, term.final_start_date, term.final_end_date],
+    ];
+
+    const warnings = [];
+    for (const [period, rawStart, rawEnd] of periods) {
+        const periodStart = toDateOnly(rawStart);
+        const periodEnd = toDateOnly(rawEnd);
+        if (!periodStart || !periodEnd) continue;
+        if (startDate > periodEnd || endDate < periodStart) continue;
+
+        const overlapStart = startDate > periodStart ? startDate : periodStart;
+        const overlapEnd = endDate < periodEnd ? endDate : periodEnd;
+
+        warnings.push({
+            code: 'EXAM_PERIOD_OVERLAP',
+            message: `ภาระงานทับช่วง${EXAM_PERIOD_LABELS[period]} (${overlapStart} ถึง ${overlapEnd})`,
+            period,
+            workId: work.id ?? null,
+            periodStart,
+            periodEnd,
+            overlapStart,
+            overlapEnd,
+        });
+    }
+
+    return warnings;
+}
+
+/**
+ * สร้างรายงานภาระงานที่ทับช่วงสอบของทั้งเทอม
+ *
+ * @param {Array<Object>} works - work rows (id, term_subject_id, code_th, code_eng, name_th, name_eng, work_title, start_date, end_date, hours_per_week)
+ * @param {Object} term - term row
+ * @returns {Array<Object>} [{ workId, termSubjectId, subjectCode, subjectName, workTitle, startDate, endDate, hoursPerWeek, warnings }]
+ */
+export function buildExamOverlapReport(works, term) {
+    const report = [];
+
+    for (const work of works) {
+        const warnings = findExamOverlaps(work, term);
+        if (warnings.length === 0) continue;
+
+        report.push({
+            workId: work.id,
+            termSubjectId: work.term_subject_id,
+            subjectCode: work.code_eng || work.code_th || null,
+            subjectName: work.name_th || work.name_eng || null,
+            workTitle: work.work_title,
+            startDate: toDateOnly(work.start_date),
+            endDate: toDateOnly(work.end_date),
+            hoursPerWeek: work.hours_per_week,
+            warnings,
+        });
+    }
+
+    return report;
+}
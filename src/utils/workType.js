@@ -0,0 +1,136 @@
+/**
+ * Work Type Utility
+ * ตรวจสอบข้อมูลประเภทภาระงาน (assignment, exam, project, reading, ...)
+ * และจัดกลุ่มชั่วโมงตามประเภทสำหรับ Dashboard
+ *
+ * Pure functions - ไม่มี side effects
+ */
+
+import { WorkValidationError } from './workValidation.js';
+
+/**
+ * key ของภาระงานที่ยังไม่ได้จัดประเภท (work_type_id = NULL)
+ */
+export const UNCATEGORIZED = 'uncategorized';
+
+const CODE_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+/**
+ * ตรวจสอบข้อมูลประเภทภาระงาน
+ *
+ * Rules:
+ * - code: required (create), a-z 0-9 _ ขึ้นต้นด้วยตัวอักษร ไม่เกิน 50 ตัว, ห้ามใช้ "uncategorized"
+ * - name_th: required (create), ไม่เกิน 255 ตัวอักษร
+ * - name_en: optional, ไม่เกิน 255 ตัวอักษร
+ * - default_hours_per_week: optional, integer 1-168
+ * - weight: optional, number 0-100
+ *
+ * @param {Object} data - ข้อมูลจาก request
+ * @param {Object} options - { partial: true } สำหรับการแก้ไข (ไม่บังคับ required fields)
+ * @returns {Object} ข้อมูลที่ normalize แล้ว (เฉพาะ fields ที่ส่งมา)
+ * @throws {WorkValidationError}
+ */
+export function validateWorkTypeInput(data, { partial = false } = {}) {
+    const errors = [];
+    const normalized = {};
+    const isMissing = (value) => value === undefined || value === null || value === '';
+
+    if (data.code !== undefined || !partial) {
+        const code = String(data.code ?? '').trim().toLowerCase();
+        if (!code) {
+            errors.push({ field: 'code', message: 'รหัสประเภทจำเป็นต้องระบุ (code is required)', code: 'CODE_REQUIRED' });
+        } else if (!CODE_PATTERN.test(code) || code === UNCATEGORIZED) {
+            errors.push({ field: 'code', message: 'รหัสประเภทไม่ถูกต้อง (a-z, 0-9, _ only)', code: 'CODE_INVALID' });
+        } else {
+            normalized.code = code;
+        }
+    }
+
+    if (data.name_th !== undefined || !partial) {
+        const name = String(data.name_th ?? '').trim();
+        if (!name) {
+            errors.push({ field: 'name_th', message: 'ชื่อประเภทจำเป็นต้องระบุ (name_th is required)', code: 'NAME_TH_REQUIRED' });
+        } else if (name.length > 255) {
+            errors.push({ field: 'name_th', message: 'ชื่อประเภทต้องไม่เกิน 255 ตัวอักษร (max 255 characters)', code: 'NAME_TH_TOO_LONG' });
+        } else {
+            normalized.name_th = name;
+        }
+    }
+
+    if (data.name_en !== undefined) {
+        const name = isMissing(data.name_en) ? null : String(data.name_en).trim();
+        if (name && name.length > 255) {
+            errors.push({ field: 'name_en', message: 'ชื่อภาษาอังกฤษต้องไม่เกิน 255 ตัวอักษร (max 255 characters)', code: 'NAME_EN_TOO_LONG' });
+        } else {
+            normalized.name_en = name || null;
+        }
+    }
+
+    if (data.default_hours_per_week !== undefined) {
+        const hours = Number(data.default_hours_per_week);
+        if (isMissing(data.default_hours_per_week)) {
+            normalized.default_hours_per_week = null;
+        } else if (!Number.isInteger(hours) || hours < 1 || hours > 168) {
+            errors.push({
+                field: 'default_hours_per_week',
+                message: 'ชั่วโมงเริ่มต้นต้องเป็นจำนวนเต็ม 1-168 (default_hours_per_week must be 1-168)',
+                code: 'DEFAULT_HOURS_INVALID',
+            });
+        } else {
+            normalized.default_hours_per_week = hours;
+        }
+    }
+
+    if (data.weight !== undefined) {
+        const weight = Number(data.weight);
+        if (isMissing(data.weight)) {
+            normalized.weight = null;
+        } else if (!Number.isFinite(weight) || weight < 0 || weight > 100) {
+            errors.push({
+                field: 'weight',
+                message: 'น้ำหนักคะแนนต้องอยู่ระหว่าง 0-100 (weight must be 0-100)',
+                code: 'WEIGHT_INVALID',
+            });
+        } else {
+            normalized.weight = weight;
+        }
+    }
+
+    if (data.is_active !== undefined) {
+        normalized.is_active = data.is_active === true || data.is_active === 'true';
+    }
+
+    if (errors.length > 0) {
+        const error = new WorkValidationError(
+            'Validation failed: ' + errors.map(e => e.message).join(', '),
+            'VALIDATION_ERROR',
+            400
+        );
+        error.details = errors;
+        throw error;
+    }
+
+    return normalized;
+}
+
+/**
+ * จัดกลุ่มชั่วโมงตามประเภท
+ * @param {Array<Object>} rows - [{ key, category, hours }] (category = work_types.code หรือ NULL)
+ * @returns {Map<any, Object>} key → { [category]: hours }
+ */
+export function groupHoursByCategory(rows) {
+    const grouped = new Map();
+
+    for (const row of rows) {
+        const category = row.category || UNCATEGORIZED;
+        const hours = Number(row.hours) || 0;
+        if (!grouped.has(row.key)) {
+            grouped.set(row.key, {});
+        }
+
+        const bucket = grouped.get(row.key);
+        bucket[category] = (bucket[category] || 0) + hours;
+    }
+
+    return grouped;
+}
@@ -27,8 +27,12 @@ export class WorkValidationError extends Error {
  * - start_date: required, date, format YYYY-MM-DD
  * - end_date: required, date, format YYYY-MM-DD, >= start_date
  * - hours_per_week: required, integer, > 0, <= 168
+ * - work_type_id: optional, integer > 0, ต้องเป็นประเภทที่เปิดใช้งาน (ถ้าส่ง options.workTypes มา)
+ *
+ * @param {object} data - ข้อมูล workload
+ * @param {object} options - { workTypes: Array<{id}> } ประเภทภาระงานที่เปิดใช้งาน (optional)
  */
-export function validateCreateWorkInput(data) {
+export function validateCreateWorkInput(data, options = {}) {
     const errors = [];
 
     // 1. ตรวจสอบ work_title
@@ -155,6 +159,9 @@ export function validateCreateWorkInput(data) {
         }
     }
 
+    // 6. ตรวจสอบ work_type_id (optional)
+    errors.push(...validateWorkTypeId(data.work_type_id, options.workTypes));
+
     // ถ้ามีข้อผิดพลาด ให้ throw
     if (errors.length > 0) {
         const error = new WorkValidationError(
@@ -169,6 +176,57 @@ export function validateCreateWorkInput(data) {
     return true;
 }
 
+/**
+ * ตรวจสอบ work_type_id
+ * @param {any} value - work_type_id จาก request (undefined/null = ไม่จัดประเภท)
+ * @param {Array<object>} workTypes - ประเภทที่เปิดใช้งาน (ไม่ส่งมา = ตรวจแค่รูปแบบ)
+ * @returns {Array<object>} errors
+ */
+function validateWorkTypeId(value, workTypes) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+
+    const id = Number(value);
+    if (!Number.isInteger(id) || id <= 0) {
+        return [{
+            field: 'work_type_id',
+            message: 'ประเภทภาระงานไม่ถูกต้อง (work_type_id must be a positive integer)',
+            code: 'WORK_TYPE_ID_INVALID',
+        }];
+    }
+
+    if (Array.isArray(workTypes) && !workTypes.some(type => type.id === id)) {
+        return [{
+            field: 'work_type_id',
+            message: 'ไม่พบประเภทภาระงานนี้ หรือถูกปิดใช้งานแล้ว (work type not found)',
+            code: 'WORK_TYPE_NOT_FOUND',
+        }];
+    }
+
+    return [];
+}
+
+/**
+ * เติม hours_per_week จากค่าเริ่มต้นของประเภทภาระงาน ถ้าไม่ได้ระบุมา
+ * @param {object} data - ข้อมูล workload
+ * @param {Array<object>} workTypes - ประเภทที่เปิดใช้งาน
+ * @returns {object} ข้อมูลใหม่ (ไม่แก้ไข object เดิม)
+ */
+export function applyWorkTypeDefaults(data, workTypes = []) {
+    const hoursMissing = data.hours_per_week === undefined || data.hours_per_week === null || data.hours_per_week === '';
+    if (!hoursMissing || data.work_type_id === undefined || data.work_type_id === null) {
+        return data;
+    }
+
+    const workType = workTypes.find(type => type.id === Number(data.work_type_id));
+    if (!workType || !workType.default_hours_per_week) {
+        return data;
+    }
+
+    return { ...data, hours_per_week: workType.default_hours_per_week };
+}
+
 /**
  * ตรวจสอบรูปแบบวันที่ YYYY-MM-DD
  * @param {string} dateString - วันที่ที่ต้องตรวจสอบ
@@ -189,8 +247,11 @@ function isValidDate(dateString) {
 /**
  * ตรวจสอบรูปแบบการอัพเดท workload (คล้ายกับ create แต่ fields ไม่จำเป็น)
  * ใช้สำหรับ UPDATE endpoint (จะเพิ่มในอนาคต)
+ *
+ * @param {object} data - ข้อมูลที่ต้องอัพเดท (work_type_id = null เพื่อยกเลิกการจัดประเภท)
+ * @param {object} options - { workTypes: Array<{id}> } ประเภทภาระงานที่เปิดใช้งาน (optional)
  */
-export function validateUpdateWorkInput(data) {
+export function validateUpdateWorkInput(data, options = {}) {
     const errors = [];
 
     // work_title (optional)
@@ -296,6 +357,9 @@ export function validateUpdateWorkInput(data) {
         }
     }
 
+    // work_type_id (optional)
+    errors.push(...validateWorkTypeId(data.work_type_id, options.workTypes));
+
     if (errors.length > 0) {
         const error = new WorkValidationError(
             'Validation failed',
@@ -0,0 +1,125 @@
+/**
+ * Workload Approval Chain Utility
+ * กำหนดลำดับขั้นการอนุมัติภาระงาน (เช่น Program Chair รับรอง → Academic Officer อนุมัติ)
+ *
+ * สถานะใน term_subjects.workload_approved:
+ * - pending   : ยังไม่ส่ง / ถูกตีกลับให้อาจารย์แก้ไข
+ * - submitted : อาจารย์ส่งแล้ว รอขั้นแรกของ chain
+ * - endorsed  : ผ่านอย่างน้อยหนึ่งขั้นแล้ว รอขั้นถัดไป
+ * - approved  : ผ่านทุกขั้นแล้ว
+ *
+ * term_subjects.workload_approval_stage เก็บ index ของขั้นที่กำลังรอ (0-based)
+ *
+ * Pure functions - ไม่มี side effects
+ */
+
+import { BusinessError } from './termValidation.js';
+import { ROLES } from '../constants/roles.js';
+
+export const WORKLOAD_STATUS = {
+    PENDING: 'pending',
+    SUBMITTED: 'submitted',
+    ENDORSED: 'endorsed',
+    APPROVED: 'approved',
+};
+
+export const WORKLOAD_ACTIONS = {
+    SUBMITTED: 'submitted',
+    ENDORSED: 'endorsed',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+};
+
+/**
+ * แปลงค่า config (string คั่นด้วย comma) เป็น array ของ role names
+ * @param {string} value - เช่น "Program Chair,Academic Officer"
+ * @param {Array<string>} allowedRoles - role names ที่อนุมัติภาระงานได้
+ * @returns {Array<string>} approval chain
+ */
+export function parseApprovalChain(value, allowedRoles) {
+    const chain = String(value || '')
+        .split(',')
+        .map(role => role.trim())
+        .filter(Boolean);
+
+    const unknown = chain.filter(role => !allowedRoles.includes(role));
+    if (chain.length === 0 || unknown.length > 0) {
+        throw new Error(`Invalid workload approval chain: "${value}" (allowed roles: ${allowedRoles.join(', ')})`);
+    }
+
+    return chain;
+}
+
+/**
+ * หาขั้นที่กำลังรออนุมัติ
+ * @param {Object} termSubject - term_subject row (workload_approved, workload_approval_stage)
+ * @returns {number|null} index ของขั้นที่รอ หรือ null ถ้าไม่ได้อยู่ระหว่างอนุมัติ
+ */
+export function getCurrentStage(termSubject) {
+    const status = termSubject.workload_approved;
+    if (status !== WORKLOAD_STATUS.SUBMITTED && status !== WORKLOAD_STATUS.ENDORSED) {
+        return null;
+    }
+
+    const stage = Number(termSubject.workload_approval_stage);
+    // ข้อมูลเก่าก่อนมี chain จะไม่มี stage → ถือว่าอยู่ขั้นแรก
+    return Number.isInteger(stage) && stage >= 0 ? stage : 0;
+}
+
+/**
+ * ตรวจสอบว่าผู้ใช้ดำเนินการขั้นปัจจุบันได้หรือไม่
+ * @param {Array<string>} chain - approval chain
+ * @param {Object} termSubject - term_subject row (รวม program_id ของรายวิชา)
+ * @param {Array<string>} userRoles - roles ของผู้ใช้
+ * @param {Object} options
+ * @param {Array<number>} options.programIds - หลักสูตรของผู้ใช้ (ใช้ตรวจขั้นของ Program Chair)
+ * @returns {Object} { stage, role }
+ * @throws {BusinessError} ถ้าไม่ได้อยู่ระหว่างอนุมัติ, ผู้ใช้ไม่มี role ของขั้นนี้
+ *         หรือเป็น Program Chair ของหลักสูตรอื่น
+ */
+export function assertCanActOnStage(chain, termSubject, userRoles = [], { programIds = [] } = {}) {
+    const status = termSubject.workload_approved;
+
+    if (status === WORKLOAD_STATUS.APPROVED) {
+        throw new BusinessError('Workload already approved', 'ALREADY_APPROVED', 409);
+    }
+
+    const stage = getCurrentStage(termSubject);
+    if (stage === null) {
+        throw new BusinessError('Workload has not been submitted', 'NOT_SUBMITTED', 400);
+    }
+
+    const role = chain[Math.min(stage, chain.length - 1)];
+    if (!userRoles.includes(role)) {
+        throw new BusinessError(
+            `This approval step requires the "${role}" role`,
+            'NOT_CURRENT_APPROVER',
+            403
+        );
+    }
+
+    // ขั้นรับรองของ Program Chair: ต้องเป็นประธานหลักสูตรของรายวิชานี้
+    if (role === ROLES.PROGRAM_CHAIR && !programIds.map(Number).includes(Number(termSubject.program_id))) {
+        throw new BusinessError(
+            'Only the Program Chair of this subject\'s program can act on this approval step',
+            'NOT_PROGRAM_CHAIR',
+            403
+        );
+    }
+
+    return { stage: Math.min(stage, chain.length - 1), role };
+}
+
+/**
+ * คำนวณสถานะถัดไปหลังผ่านขั้นปัจจุบัน
+ * @param {Array<string>} chain - approval chain
+ * @param {number} stage - ขั้นที่เพิ่งผ่าน
+ * @returns {Object} { status, stage, action }
+ */
+export function getNextApprovalState(chain, stage) {
+    if (stage >= chain.length - 1) {
+        return { status: WORKLOAD_STATUS.APPROVED, stage: null, action: WORKLOAD_ACTIONS.APPROVED };
+    }
+
+    return { status: WORKLOAD_STATUS.ENDORSED, stage: stage + 1, action: WORKLOAD_ACTIONS.ENDORSED };
+}
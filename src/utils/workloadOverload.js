@@ -0,0 +1,141 @@
+/**
+ * Workload Overload Utility
+ * คำนวณภาระงานรวมต่อสัปดาห์ของแต่ละชั้นปี และหาสัปดาห์ที่เกิน threshold
+ *
+ * Pure functions - ไม่มี side effects, ไม่ติดต่อฐานข้อมูล
+ */
+
+export const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
+export const DEFAULT_WEEKS = 15;
+
+/**
+ * หา index ของสัปดาห์ (0-based) ที่ work ครอบคลุม
+ * ใช้สูตรเดียวกับ getStudentSubjectsWithWorkload
+ *
+ * @param {Date|string} termStartDate - วันเริ่มภาคการศึกษา
+ * @param {Date|string} startDate - วันเริ่มงาน
+ * @param {Date|string} endDate - วันสิ้นสุดงาน
+ * @param {number} weeks - จำนวนสัปดาห์ในเทอม
+ * @returns {Array<number>} รายการ index ของสัปดาห์
+ */
+export function getWorkWeekIndexes(termStartDate, startDate, endDate, weeks = DEFAULT_WEEKS) {
+    const termStart = new Date(termStartDate);
+    const workStart = new Date(startDate);
+    const workEnd = new Date(endDate);
+
+    if ([termStart, workStart, workEnd].some(d => Number.isNaN(d.getTime()))) {
+        return [];
+    }
+
+    const startWeek = Math.max(0, Math.floor((workStart - termStart) / MS_PER_WEEK));
+    const endWeek = Math.min(weeks - 1, Math.floor((workEnd - termStart) / MS_PER_WEEK));
+
+    const indexes = [];
+    for (let w = startWeek; w <= endWeek; w++) {
+        indexes.push(w);
+    }
+    return indexes;
+}
+
+/**
+ * หาสัปดาห์ที่ภาระงานรวมของแต่ละชั้นปีเกิน threshold
+ *
+ * @param {Array<Object>} works - rows จาก repository
+ *   { work_id, work_title, hours_per_week, start_date, end_date,
+ *     term_subject_id, code_th, code_eng, name_th, name_eng, student_year, term_start_date }
+ * @param {Object} options
+ * @param {number} options.threshold - ชั่วโมงต่อสัปดาห์สูงสุดที่ยอมรับได้
+ * @param {number} [options.weeks] - จำนวนสัปดาห์ในเทอม
+ * @returns {Array<Object>} [{ yearLevel, overloadedWeeks: [{ week, totalHours, excessHours, termSubjects, works }] }]
+ */
+export function detectOverloadWeeks(works, { threshold, weeks = DEFAULT_WEEKS }) {
+    // จัดกลุ่ม works ตามชั้นปี → สัปดาห์
+    const byYear = new Map();
+
+    for (const work of works) {
+        const hours = Number(work.hours_per_week) || 0;
+        if (!hours) continue;
+
+        const yearLevel = Number(work.student_year);
+        if (!byYear.has(yearLevel)) {
+            byYear.set(yearLevel, Array.from({ length: weeks }, () => []));
+        }
+        const weekBuckets = byYear.get(yearLevel);
+
+        for (const w of getWorkWeekIndexes(work.term_start_date, work.start_date, work.end_date, weeks)) {
+            weekBuckets[w].push(work);
+        }
+    }
+
+    const result = [];
+
+    for (const [yearLevel, weekBuckets] of [...byYear.entries()].sort((a, b) => a[0] - b[0])) {
+        const overloadedWeeks = [];
+
+        weekBuckets.forEach((bucket, index) => {
+            const totalHours = bucket.reduce((sum, work) => sum + (Number(work.hours_per_week) || 0), 0);
+            if (totalHours <= threshold) return;
+
+            // รวมชั่วโมงต่อ term subject เพื่อบอกว่าวิชาไหนเป็นต้นเหตุ
+            const subjectMap = new Map();
+            for (const work of bucket) {
+                const current = subjectMap.get(work.term_subject_id) || {
+                    termSubjectId: work.term_subject_id,
+                    subjectCode: work.code_eng || work.code_th,
+                    subjectName: work.name_th || work.name_eng,
+                    hours: 0,
+                };
+                current.hours += Number(work.hours_per_week) || 0;
+                subjectMap.set(work.term_subject_id, current);
+            }
+
+            overloadedWeeks.push({
+                week: index + 1,
+                totalHours,
+                excessHours: totalHours - threshold,
+                termSubjects: [...subjectMap.values()].sort((a, b) => b.hours - a.hours),
+                works: bucket.map(work => ({
+                    workId: work.work_id,
+                    workTitle: work.work_title,
+                    hoursPerWeek: Number(work.hours_per_week) || 0,
+                    termSubjectId: work.term_subject_id,
+                })),
+            });
+        });
+
+        result.push({ yearLevel, overloadedWeeks });
+    }
+
+    return result;
+}
+
+/**
+ * แปลงผลลัพธ์ detectOverloadWeeks เป็น warning payload เฉพาะสัปดาห์ที่ work ที่ระบุมีส่วน
+ * ใช้ตอนสร้าง/แก้ไข work เพื่อแจ้งเตือนเจ้าหน้าที่ (ไม่ใช่ hard failure)
+ *
+ * @param {Array<Object>} overloads - ผลลัพธ์จาก detectOverloadWeeks
+ * @param {number} workId - ID ของ work ที่เพิ่งสร้าง/แก้ไข
+ * @param {number} threshold - ชั่วโมงต่อสัปดาห์สูงสุด
+ * @returns {Array<Object>} รายการ warnings
+ */
+export function buildOverloadWarnings(overloads, workId, threshold) {
+    const warnings = [];
+
+    for (const { yearLevel, overloadedWeeks } of overloads) {
+        for (const week of overloadedWeeks) {
+            if (!week.works.some(work => work.workId === workId)) continue;
+
+            warnings.push({
+                code: 'WORKLOAD_OVERLOAD',
+                message: `ภาระงานชั้นปี ${yearLevel} สัปดาห์ที่ ${week.week} รวม ${week.totalHours} ชั่วโมง เกินกำหนด ${threshold} ชั่วโมง`,
+                yearLevel,
+                week: week.week,
+                totalHours: week.totalHours,
+                threshold,
+                termSubjects: week.termSubjects,
+            });
+        }
+    }
+
+    return warnings;
+}